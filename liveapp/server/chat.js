@@ -0,0 +1,234 @@
+// Local chat relay for testing Livechat.
+//
+//   node server/chat.js                 (listens on :4002)
+//   REACT_APP_CHAT_URL=ws://localhost:4002 npm start
+//
+// Protocol: JSON frames with a `type` field.
+//   client → relay  { type: 'message', id, author, text, timestamp }
+//                   { type: 'auth', key }                       become moderator
+//                   { type: 'pin', id | null }                  moderator only
+//                   { type: 'delete', id }                      moderator only
+//                   { type: 'settings', slowModeSeconds }       moderator only
+//                   { type: 'question', id, author, text, timestamp }
+//                   { type: 'vote', id }                        one vote per connection per question
+//                   { type: 'question_status', id, status }     moderator only (open/answered/hidden)
+//   relay → client  { type: 'history', messages, pinned, settings, questions } on connect
+//                   { type: 'message', ..., role } broadcast to everyone, sender included
+//                   { type: 'pin', message | null } / { type: 'delete', id } / { type: 'settings', ... }
+//                   { type: 'role', role } / { type: 'reject', id, reason }
+//                   { type: 'question', question } / { type: 'question_remove', id }
+//
+// Env: CHAT_PORT, MODERATOR_KEY, BLOCKED_TERMS_FILE (JSON array of terms)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { createWordFilter } = require('./wordFilter');
+
+const PORT = Number(process.env.CHAT_PORT) || 4002;
+const MODERATOR_KEY = process.env.MODERATOR_KEY || 'moderator';
+const BLOCKED_TERMS_FILE = process.env.BLOCKED_TERMS_FILE || path.join(__dirname, 'blocked-terms.json');
+const HISTORY_SIZE = 100;
+const MAX_QUESTIONS = 500;
+const QUESTION_STATUSES = ['open', 'answered', 'hidden'];
+const MAX_TEXT = 500;
+const MAX_AUTHOR = 40;
+
+const history = [];
+const seen = new Set();
+const lastSentBy = new Map(); // connection id → time of its last message
+let pinned = null;
+const questions = new Map(); // id → { ...question, voters: Set }
+const settings = {
+  slowModeSeconds: 0,
+  blockedTerms: JSON.parse(fs.readFileSync(BLOCKED_TERMS_FILE, 'utf8')),
+};
+const isBlocked = createWordFilter(settings.blockedTerms);
+
+const isValidMessage = (m) => m
+  && typeof m.id === 'string' && m.id.length <= 64
+  && typeof m.author === 'string' && m.author.trim() && m.author.length <= MAX_AUTHOR
+  && typeof m.text === 'string' && m.text.trim() && m.text.length <= MAX_TEXT;
+
+const wss = new WebSocketServer({ port: PORT });
+
+const broadcast = (frame) => {
+  const data = JSON.stringify(frame);
+  wss.clients.forEach((client) => {
+    if (client.readyState === client.OPEN) client.send(data);
+  });
+};
+
+const reply = (socket, frame) => socket.send(JSON.stringify(frame));
+
+// Voter ids stay on the relay; clients only see the count
+const publicQuestion = ({ voters, ...question }) => ({ ...question, votes: voters.size });
+
+const visibleQuestions = socket => Array.from(questions.values())
+  .filter(q => q.status !== 'hidden' || socket.isModerator)
+  .map(publicQuestion);
+
+// Hidden questions go to moderators only — everyone else is told to drop them
+const broadcastQuestion = (question) => {
+  const update = JSON.stringify({ type: 'question', question: publicQuestion(question) });
+  const remove = JSON.stringify({ type: 'question_remove', id: question.id });
+  wss.clients.forEach((client) => {
+    if (client.readyState !== client.OPEN) return;
+    client.send(question.status === 'hidden' && !client.isModerator ? remove : update);
+  });
+};
+
+// --- Chat messages ---
+const handleMessage = (socket, frame) => {
+  if (!isValidMessage(frame)) return;
+
+  // Clients retry from their offline queue, so the same id can arrive twice —
+  // echo it back to the sender only so their copy is still acknowledged
+  if (seen.has(frame.id)) {
+    const existing = history.find(m => m.id === frame.id);
+    if (existing) reply(socket, existing);
+    return;
+  }
+
+  const author = frame.author.trim();
+  const text = frame.text.trim();
+
+  if (isBlocked(text) || isBlocked(author)) {
+    reply(socket, { type: 'reject', id: frame.id, reason: 'blocked' });
+    return;
+  }
+
+  // Slow mode is per connection, not per name — a viewer picks their own name
+  // and could rename to skip it; moderators are exempt
+  if (!socket.isModerator && settings.slowModeSeconds > 0) {
+    const last = lastSentBy.get(socket.connectionId) || 0;
+    if (Date.now() - last < settings.slowModeSeconds * 1000) {
+      reply(socket, { type: 'reject', id: frame.id, reason: 'slow_mode' });
+      return;
+    }
+  }
+  lastSentBy.set(socket.connectionId, Date.now());
+  seen.add(frame.id);
+
+  const message = {
+    type: 'message',
+    id: frame.id,
+    author,
+    text,
+    timestamp: Number(frame.timestamp) || Date.now(),
+    role: socket.isModerator ? 'moderator' : 'viewer',
+  };
+  history.push(message);
+  if (history.length > HISTORY_SIZE) history.shift();
+
+  console.log(`${new Date(message.timestamp).toISOString()} ${message.author}: ${message.text}`);
+  broadcast(message);
+};
+
+// --- Q&A ---
+const handleQuestion = (socket, frame) => {
+  if (!isValidMessage(frame) || questions.has(frame.id)) return;
+  if (questions.size >= MAX_QUESTIONS) return;
+
+  const author = frame.author.trim();
+  const text = frame.text.trim();
+  if (isBlocked(text) || isBlocked(author)) {
+    reply(socket, { type: 'reject', id: frame.id, reason: 'blocked' });
+    return;
+  }
+
+  const question = {
+    id: frame.id,
+    author,
+    text,
+    timestamp: Number(frame.timestamp) || Date.now(),
+    status: 'open',
+    voters: new Set(),
+  };
+  questions.set(question.id, question);
+  console.log(`[question] ${question.author}: ${question.text}`);
+  broadcastQuestion(question);
+};
+
+// Votes are keyed on the connection id this relay assigned. A reconnect gets
+// a new one, so only the client's remembered votes stop a second vote then.
+const handleVote = (socket, frame) => {
+  const question = questions.get(frame.id);
+  if (!question || question.status !== 'open') return;
+  if (question.voters.has(socket.connectionId)) return;
+  question.voters.add(socket.connectionId);
+  broadcastQuestion(question);
+};
+
+// --- Moderator actions ---
+const handleModeration = (socket, frame) => {
+  if (!socket.isModerator) return;
+
+  if (frame.type === 'pin') {
+    pinned = frame.id ? history.find(m => m.id === frame.id) || null : null;
+    broadcast({ type: 'pin', message: pinned });
+  } else if (frame.type === 'delete') {
+    const index = history.findIndex(m => m.id === frame.id);
+    if (index !== -1) history.splice(index, 1);
+    if (pinned && pinned.id === frame.id) pinned = null;
+    broadcast({ type: 'delete', id: frame.id });
+  } else if (frame.type === 'settings') {
+    const seconds = Number(frame.slowModeSeconds);
+    settings.slowModeSeconds = Number.isFinite(seconds) && seconds > 0 ? Math.min(seconds, 600) : 0;
+    broadcast({ type: 'settings', ...settings });
+  } else if (frame.type === 'question_status') {
+    const question = questions.get(frame.id);
+    if (!question || !QUESTION_STATUSES.includes(frame.status)) return;
+    question.status = frame.status;
+    broadcastQuestion(question);
+  }
+  console.log(`[moderator] ${frame.type} ${JSON.stringify(frame)}`);
+};
+
+wss.on('connection', (socket) => {
+  socket.isModerator = false;
+  // Assigned here, never taken from the client: slow mode and votes key on it
+  socket.connectionId = crypto.randomUUID();
+  reply(socket, { type: 'history', messages: history, pinned, settings, questions: visibleQuestions(socket) });
+
+  socket.on('message', (raw) => {
+    let frame;
+    try { frame = JSON.parse(raw); } catch (e) { return; }
+    if (!frame || typeof frame !== 'object') return;
+
+    switch (frame.type) {
+      case 'message':
+        handleMessage(socket, frame);
+        break;
+      case 'auth':
+        socket.isModerator = frame.key === MODERATOR_KEY;
+        reply(socket, { type: 'role', role: socket.isModerator ? 'moderator' : 'viewer' });
+        // Moderators also need the hidden questions the connect-time history left out
+        if (socket.isModerator) {
+          questions.forEach((q) => {
+            if (q.status === 'hidden') reply(socket, { type: 'question', question: publicQuestion(q) });
+          });
+        }
+        break;
+      case 'question':
+        handleQuestion(socket, frame);
+        break;
+      case 'vote':
+        handleVote(socket, frame);
+        break;
+      case 'pin':
+      case 'delete':
+      case 'settings':
+      case 'question_status':
+        handleModeration(socket, frame);
+        break;
+      default:
+        break;
+    }
+  });
+
+  socket.on('close', () => lastSentBy.delete(socket.connectionId));
+});
+
+console.log(`Chat relay listening on ws://localhost:${PORT} (moderator key: ${MODERATOR_KEY})`);
@@ -0,0 +1,187 @@
+// Local control server: operator messages and directives for every viewer.
+//
+//   node server/control.js              (listens on :4003)
+//   REACT_APP_CONTROL_URL=http://localhost:4003 npm start
+//   open http://localhost:3000/operator
+//
+// GET    /state          — current state as JSON (polling clients)
+// GET    /events         — server-sent events: `state` on connect and on every change
+// GET    /auth           — 204 if the operator password is right
+// POST   /messages       — { text, target?, level?, startsAt?, endsAt?, durationMinutes? }
+// DELETE /messages/:id   — remove one message
+// DELETE /messages       — clear all
+// PATCH  /directives     — any of { forceSource, blockedSources, hold, teams }
+//
+// Everything except /state and /events needs `Authorization: Bearer <OPERATOR_PASSWORD>`.
+//
+//   curl -X POST localhost:4003/messages -H 'Authorization: Bearer operator' \
+//     -d '{"text":"Technical difficulties, back in 5 minutes","level":"warning","durationMinutes":5}'
+//
+// Env: CONTROL_PORT, OPERATOR_PASSWORD
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.CONTROL_PORT) || 4003;
+const OPERATOR_PASSWORD = process.env.OPERATOR_PASSWORD || 'operator';
+const KEEPALIVE_MS = 25000;
+const TARGETS = ['hold', 'banner', 'all'];
+const LEVELS = ['info', 'warning'];
+
+const state = {
+  messages: [],
+  directives: { forceSource: null, blockedSources: [], hold: false, teams: false },
+};
+const streams = new Set();
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+};
+
+const readJson = req => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try { resolve(raw ? JSON.parse(raw) : {}); } catch (err) { reject(err); }
+  });
+});
+
+// Every change goes out as the full state, so clients never apply deltas
+const publish = () => {
+  const frame = `event: state\ndata: ${JSON.stringify(state)}\n\n`;
+  streams.forEach(res => res.write(frame));
+};
+
+// Constant-time compare so the password can't be guessed byte by byte
+const isOperator = (req) => {
+  const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer /, ''));
+  const expected = Buffer.from(OPERATOR_PASSWORD);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const isDate = value => value === undefined || !Number.isNaN(Date.parse(value));
+
+const addMessage = (body) => {
+  if (typeof body.text !== 'string' || !body.text.trim()) throw new Error('text is required');
+  if (body.target !== undefined && !TARGETS.includes(body.target)) throw new Error(`target must be one of ${TARGETS.join(', ')}`);
+  if (body.level !== undefined && !LEVELS.includes(body.level)) throw new Error(`level must be one of ${LEVELS.join(', ')}`);
+  if (!isDate(body.startsAt) || !isDate(body.endsAt)) throw new Error('startsAt / endsAt must be ISO dates');
+
+  const createdAt = Date.now();
+  const minutes = Number(body.durationMinutes);
+  const endsAt = body.endsAt || (minutes > 0
+    ? new Date((body.startsAt ? Date.parse(body.startsAt) : createdAt) + minutes * 60000).toISOString()
+    : undefined);
+
+  const message = {
+    id: crypto.randomUUID(),
+    text: body.text.trim(),
+    target: body.target || 'all',
+    level: body.level || 'info',
+    startsAt: body.startsAt,
+    endsAt,
+    createdAt,
+  };
+  state.messages.push(message);
+  console.log(`[message] ${message.level} → ${message.target}: ${message.text}${endsAt ? ` (until ${endsAt})` : ''}`);
+  publish();
+  return message;
+};
+
+const updateDirectives = (body) => {
+  const next = { ...state.directives };
+  if ('forceSource' in body) {
+    if (body.forceSource !== null && typeof body.forceSource !== 'string') throw new Error('forceSource must be a source id or null');
+    next.forceSource = body.forceSource || null;
+  }
+  if ('blockedSources' in body) {
+    if (!Array.isArray(body.blockedSources) || !body.blockedSources.every(id => typeof id === 'string')) {
+      throw new Error('blockedSources must be an array of source ids');
+    }
+    next.blockedSources = Array.from(new Set(body.blockedSources));
+  }
+  ['hold', 'teams'].forEach((key) => {
+    if (!(key in body)) return;
+    if (typeof body[key] !== 'boolean') throw new Error(`${key} must be true or false`);
+    next[key] = body[key];
+  });
+  // Forcing a source that is also blocked would leave viewers nowhere
+  if (next.forceSource && next.blockedSources.includes(next.forceSource)) next.forceSource = null;
+
+  state.directives = next;
+  console.log(`[directives] ${JSON.stringify(next)}`);
+  publish();
+  return next;
+};
+
+const openStream = (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.write(`retry: 5000\nevent: state\ndata: ${JSON.stringify(state)}\n\n`);
+  streams.add(res);
+  // Comment lines keep proxies from closing an idle stream
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepalive);
+    streams.delete(res);
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (req.method === 'GET' && pathname === '/state') return send(res, 200, state);
+  if (req.method === 'GET' && pathname === '/events') return openStream(req, res);
+
+  if (!isOperator(req)) return send(res, 401, { error: 'Operator password required' });
+
+  if (req.method === 'GET' && pathname === '/auth') return send(res, 204);
+
+  if (req.method === 'PATCH' && pathname === '/directives') {
+    try {
+      return send(res, 200, updateDirectives(await readJson(req)));
+    } catch (err) {
+      return send(res, 400, { error: err.message });
+    }
+  }
+
+  if (req.method === 'POST' && pathname === '/messages') {
+    try {
+      return send(res, 201, addMessage(await readJson(req)));
+    } catch (err) {
+      return send(res, 400, { error: err.message });
+    }
+  }
+
+  if (req.method === 'DELETE' && pathname === '/messages') {
+    state.messages = [];
+    publish();
+    return send(res, 204);
+  }
+
+  const match = pathname.match(/^\/messages\/([^/]+)$/);
+  if (req.method === 'DELETE' && match) {
+    const before = state.messages.length;
+    state.messages = state.messages.filter(m => m.id !== match[1]);
+    if (state.messages.length === before) return send(res, 404, { error: 'No such message' });
+    publish();
+    return send(res, 204);
+  }
+
+  return send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Control server listening on http://localhost:${PORT} (SSE at /events, operator password: ${OPERATOR_PASSWORD})`);
+});
@@ -0,0 +1,84 @@
+// Rolls viewer health reports (see src/telemetry/attachHealth.js) up into the
+// snapshot the live dashboard shows. In memory only: a restart loses at most
+// one window, and every client re-reports within one interval.
+
+const WINDOW_MS = 5 * 60 * 1000;
+// Hidden tabs can have their timers throttled to once a minute, so a viewer
+// only counts as gone after this long without a report (or on `leaving`)
+const CLIENT_TTL_MS = 90 * 1000;
+
+// Where a viewer is, for the distribution chart
+const bucketOf = (report) => {
+  if (report.view === 'embed') return report.embed || 'embed';
+  if (report.view === 'teams') return 'teams';
+  if (report.phase === 'HOLD') return 'hold';
+  if (report.phase === 'PLAYING' || report.phase === 'SWITCHING') return report.source || 'connecting';
+  return 'connecting';
+};
+
+const createHealthAggregator = ({ now = () => Date.now(), windowMs = WINDOW_MS, ttlMs = CLIENT_TTL_MS } = {}) => {
+  const startedAt = now();
+  const clients = new Map(); // sessionId → { eventId, bucket, cacheLoop, lastSeen }
+  let samples = [];          // { ts, eventId, watched, errors } — one per report, pruned to the window
+
+  const prune = () => {
+    const t = now();
+    samples = samples.filter(s => t - s.ts <= windowMs);
+    clients.forEach((client, id) => {
+      if (t - client.lastSeen > ttlMs) clients.delete(id);
+    });
+  };
+
+  const record = (sessionId, eventId, report) => {
+    const ts = now();
+    samples.push({ ts, eventId, watched: report.watched || {}, errors: report.errors || {} });
+    if (report.leaving) clients.delete(sessionId);
+    else clients.set(sessionId, { eventId, bucket: bucketOf(report), cacheLoop: !!report.cacheLoop, lastSeen: ts });
+  };
+
+  const snapshot = (eventId) => {
+    prune();
+    const live = Array.from(clients.values()).filter(c => c.eventId === eventId);
+    const distribution = {};
+    live.forEach((c) => { distribution[c.bucket] = (distribution[c.bucket] || 0) + 1; });
+
+    const perSource = {};
+    const errorCounts = {};
+    samples.filter(s => s.eventId === eventId).forEach((s) => {
+      Object.entries(s.watched).forEach(([source, w]) => {
+        const total = perSource[source] || (perSource[source] = { playingMs: 0, rebufferMs: 0, rebuffers: 0 });
+        total.playingMs += w.playingMs || 0;
+        total.rebufferMs += w.rebufferMs || 0;
+        total.rebuffers += w.rebuffers || 0;
+      });
+      Object.entries(s.errors).forEach(([details, count]) => {
+        errorCounts[details] = (errorCounts[details] || 0) + count;
+      });
+    });
+
+    const sources = Object.entries(perSource).map(([source, total]) => {
+      const watchedMs = total.playingMs + total.rebufferMs;
+      return { source, ...total, rebufferRatio: watchedMs > 0 ? total.rebufferMs / watchedMs : 0 };
+    });
+    // Until a full window has passed, rates are over the time actually covered
+    const minutes = Math.max(1, Math.min(windowMs, now() - startedAt) / 60000);
+    const errors = Object.entries(errorCounts)
+      .map(([details, count]) => ({ details, count, perMinute: count / minutes }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      eventId,
+      generatedAt: new Date(now()).toISOString(),
+      windowMs,
+      viewers: live.length,
+      distribution,
+      sources,
+      errors,
+      cacheLoops: live.filter(c => c.cacheLoop).length,
+    };
+  };
+
+  return { record, snapshot, prune };
+};
+
+module.exports = { createHealthAggregator, WINDOW_MS, CLIENT_TTL_MS };
@@ -0,0 +1,166 @@
+// Stream health checker: polls every source of one event from the server
+// side so viewers on the hold screen don't each have to probe with three
+// hls.js instances.
+//
+//   node server/healthChecker.js [path/to/event-config.json]   (listens on :4004)
+//   REACT_APP_HEALTH_CHECKER_URL=http://localhost:4004 npm start
+//
+// GET /health — { checkedAt, sources: [{ id, healthy, healthyForMs, reason, ... }] }
+//
+// Each round, for every source: fetch the playlist (and the lowest-bandwidth
+// media playlist if it is a master), then check that
+//   - the media sequence has advanced recently
+//   - the newest segment can be fetched
+//   - EXT-X-PROGRAM-DATE-TIME on the newest segment is fresh (when present)
+// A source is healthy only while all three hold; `healthyForMs` is how long
+// that has been true, which the player compares to its own stability bar.
+//
+// Env: HEALTH_CHECKER_PORT, CHECK_INTERVAL_MS, FETCH_TIMEOUT_MS, PDT_MAX_AGE_MS
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { parsePlaylist } = require('./playlist');
+
+const PORT = Number(process.env.HEALTH_CHECKER_PORT) || 4004;
+const CHECK_INTERVAL_MS = Number(process.env.CHECK_INTERVAL_MS) || 5000;
+const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS) || 5000;
+const PDT_MAX_AGE_MS = Number(process.env.PDT_MAX_AGE_MS) || 30000;
+// A live playlist should gain a segment every target duration; allow a few
+const MIN_STALL_MS = 15000;
+const STALL_TARGET_DURATIONS = 3;
+
+const configPath = path.resolve(process.argv[2] || path.join(__dirname, '../public/config/default.json'));
+// Only HLS sources have a playlist to check; DASH, native and iframe sources
+// are left to the players
+const sources = JSON.parse(fs.readFileSync(configPath, 'utf8')).sources
+  .filter(s => s.type === undefined || s.type === 'hls');
+
+// id → latest result, plus what is needed to judge the next round
+const results = new Map(sources.map(s => [s.id, {
+  id: s.id,
+  healthy: false,
+  reason: 'Not checked yet',
+  checkedAt: null,
+  healthySince: null,
+  lastSequence: null,
+  sequenceSince: null,
+  sequenceAdvancedAt: null,
+}]));
+
+const fetchWithTimeout = (url, options = {}) => fetch(url, {
+  ...options,
+  cache: 'no-store',
+  signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+});
+
+const fetchPlaylist = async (url) => {
+  const response = await fetchWithTimeout(url);
+  if (!response.ok) throw new Error(`Playlist HTTP ${response.status}`);
+  return parsePlaylist(await response.text(), response.url || url);
+};
+
+// Only the first byte: enough to prove the CDN will serve it
+const checkSegment = async (uri) => {
+  const response = await fetchWithTimeout(uri, { headers: { Range: 'bytes=0-0' } });
+  if (response.body) await response.body.cancel();
+  if (!response.ok) throw new Error(`Segment HTTP ${response.status}`);
+};
+
+const checkSource = async (source, previous, now) => {
+  let playlist = await fetchPlaylist(source.url);
+  if (playlist.variants.length > 0) {
+    const cheapest = [...playlist.variants].sort((a, b) => a.bandwidth - b.bandwidth)[0];
+    playlist = await fetchPlaylist(cheapest.uri);
+  }
+  if (playlist.endList) throw new Error('Stream has ended (EXT-X-ENDLIST)');
+  const newest = playlist.segments[playlist.segments.length - 1];
+  if (!newest) throw new Error('Playlist has no segments');
+
+  const advanced = previous.lastSequence !== null && newest.sequence > previous.lastSequence;
+  const sequenceAdvancedAt = advanced ? now : previous.sequenceAdvancedAt;
+  // When this sequence number was first seen — stuck time counts from there
+  const sequenceSince = advanced || previous.sequenceSince === null ? now : previous.sequenceSince;
+  const stallMs = Math.max(MIN_STALL_MS, (playlist.targetDuration || 0) * 1000 * STALL_TARGET_DURATIONS);
+  const pdtAgeMs = newest.programDateTime !== null ? now - (newest.programDateTime + newest.duration * 1000) : null;
+  const checks = { lastSequence: newest.sequence, sequenceSince, sequenceAdvancedAt, pdtAgeMs };
+
+  if (now - sequenceSince > stallMs) {
+    return { ...checks, reason: `Media sequence stuck at ${newest.sequence} for ${Math.round((now - sequenceSince) / 1000)}s` };
+  }
+  if (sequenceAdvancedAt === null) return { ...checks, reason: 'Waiting for the media sequence to advance' };
+  if (pdtAgeMs !== null && pdtAgeMs > PDT_MAX_AGE_MS) {
+    return { ...checks, reason: `Program date time is ${Math.round(pdtAgeMs / 1000)}s old` };
+  }
+  await checkSegment(newest.uri);
+  return { ...checks, reason: null };
+};
+
+const checkAll = async () => {
+  const now = Date.now();
+  await Promise.all(sources.map(async (source) => {
+    const previous = results.get(source.id);
+    let outcome;
+    try {
+      outcome = await checkSource(source, previous, now);
+    } catch (err) {
+      // A failed fetch says nothing about the sequence, so keep what we knew
+      outcome = {
+        lastSequence: previous.lastSequence,
+        sequenceSince: previous.sequenceSince,
+        sequenceAdvancedAt: previous.sequenceAdvancedAt,
+        pdtAgeMs: null,
+        reason: err.message,
+      };
+    }
+    const healthy = outcome.reason === null;
+    if (healthy !== previous.healthy) {
+      console.log(`${new Date(now).toISOString()} ${source.id} ${healthy ? 'healthy' : `unhealthy: ${outcome.reason}`}`);
+    }
+    results.set(source.id, {
+      ...previous,
+      ...outcome,
+      healthy,
+      checkedAt: now,
+      healthySince: healthy ? (previous.healthySince || now) : null,
+    });
+  }));
+  setTimeout(checkAll, CHECK_INTERVAL_MS);
+};
+
+const snapshot = () => {
+  const now = Date.now();
+  return {
+    checkedAt: new Date(now).toISOString(),
+    sources: Array.from(results.values()).map(result => ({
+      id: result.id,
+      healthy: result.healthy,
+      healthyForMs: result.healthySince ? now - result.healthySince : 0,
+      reason: result.reason,
+      mediaSequence: result.lastSequence,
+      sequenceAdvancedAt: result.sequenceAdvancedAt && new Date(result.sequenceAdvancedAt).toISOString(),
+      pdtAgeMs: result.pdtAgeMs,
+      checkedAt: result.checkedAt && new Date(result.checkedAt).toISOString(),
+    })),
+  };
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/health') {
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      // Lets a CDN in front absorb every viewer's poll for one check interval
+      'Cache-Control': `public, max-age=${Math.floor(CHECK_INTERVAL_MS / 1000)}`,
+    });
+    res.end(JSON.stringify(snapshot(), null, 2));
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify({ error: 'Not found' }));
+});
+
+server.listen(PORT, () => {
+  console.log(`Health checker listening on http://localhost:${PORT}/health (${sources.length} sources from ${configPath})`);
+  checkAll();
+});
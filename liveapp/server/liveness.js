@@ -0,0 +1,100 @@
+// Local liveness mock for the iframe tier: a switchable "is the Town Hall on"
+// status, plus a wrapper page that reports it the way a real one would.
+//
+//   node server/liveness.js             (listens on :4005)
+//   "liveness": { "url": "http://localhost:4005/status" }   on an iframe source in the event config
+//
+// GET  /status               — { live, changedAt }
+// POST /status               — { live } switches it
+// GET  /wrapper?src=<url>    — embeds <url> and posts { type: 'liveapp:liveness', live }
+//                              to its parent every 5s; use with "liveness": { "origin": … }
+//
+//   curl -X POST localhost:4005/status -d '{"live":true}'
+//
+// Env: LIVENESS_PORT, LIVE=true to start live
+
+const http = require('http');
+
+const PORT = Number(process.env.LIVENESS_PORT) || 4005;
+// Keep in step with LIVENESS_MESSAGE_TYPE in src/player/LivenessChecker.js
+const MESSAGE_TYPE = 'liveapp:liveness';
+const WRAPPER_INTERVAL_MS = 5000;
+
+const status = { live: process.env.LIVE === 'true', changedAt: new Date().toISOString() };
+
+const send = (res, code, body) => {
+  res.writeHead(code, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+};
+
+const readJson = req => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try { resolve(raw ? JSON.parse(raw) : {}); } catch (err) { reject(err); }
+  });
+});
+
+const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+// What an event's own wrapper page does: embed the real thing and tell the
+// parent whether it is on, over and over, so silence means it has gone
+const wrapperPage = src => `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Teams wrapper (mock)</title>
+<style>html, body, iframe { margin: 0; width: 100%; height: 100%; border: 0; }</style>
+</head>
+<body>
+<iframe src="${escapeAttribute(src)}" allow="autoplay; fullscreen"></iframe>
+<script>
+  const report = () => fetch('/status', { cache: 'no-store' })
+    .then(response => response.json())
+    .then(({ live }) => parent.postMessage({ type: '${MESSAGE_TYPE}', live: live === true }, '*'))
+    .catch(() => {});
+  report();
+  setInterval(report, ${WRAPPER_INTERVAL_MS});
+</script>
+</body>
+</html>
+`;
+
+const server = http.createServer(async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (req.method === 'GET' && pathname === '/status') return send(res, 200, status);
+
+  if (req.method === 'POST' && pathname === '/status') {
+    try {
+      const { live } = await readJson(req);
+      if (typeof live !== 'boolean') return send(res, 400, { error: 'live must be true or false' });
+      if (live !== status.live) {
+        status.live = live;
+        status.changedAt = new Date().toISOString();
+        console.log(`${status.changedAt} ${live ? 'live' : 'not live'}`);
+      }
+      return send(res, 200, status);
+    } catch (err) {
+      return send(res, 400, { error: err.message });
+    }
+  }
+
+  if (req.method === 'GET' && pathname === '/wrapper') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(wrapperPage(searchParams.get('src') || 'about:blank'));
+    return undefined;
+  }
+
+  return send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Liveness mock listening on http://localhost:${PORT}/status (${status.live ? 'live' : 'not live'})`);
+});
@@ -0,0 +1,119 @@
+// Local telemetry collector for testing the player's QoE beacons.
+//
+//   node server/telemetry.js            (listens on :4001)
+//   REACT_APP_TELEMETRY_URL=http://localhost:4001/telemetry npm start
+//
+// POST /telemetry   — batch from BeaconSink, logged to stdout
+// GET  /sessions    — latest cumulative summary per session
+// GET  /report      — viewers who hit hold and how long they stayed there
+//
+// It also aggregates the periodic `health` reports for the live dashboard:
+//
+//   REACT_APP_HEALTH_URL=http://localhost:4001/health npm start
+//   open http://localhost:3000/dashboard
+//
+// GET  /health/:eventId/state   — current snapshot as JSON
+// GET  /health/:eventId/events  — server-sent events: a `state` snapshot every few seconds
+
+const http = require('http');
+const { createHealthAggregator } = require('./healthAggregator');
+
+const PORT = Number(process.env.TELEMETRY_PORT) || 4001;
+const PUBLISH_MS = 5000;
+const DEFAULT_EVENT_ID = 'default';
+
+const sessions = new Map();
+const health = createHealthAggregator();
+const streams = new Map(); // response → eventId
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+};
+
+const record = ({ sessionId, context, events }) => {
+  const session = sessions.get(sessionId) || { sessionId, context, firstSeen: Date.now(), events: 0, summary: null };
+  session.lastSeen = Date.now();
+  session.events += events.length;
+  events.forEach((event) => {
+    if (event.type === 'summary') session.summary = event;
+    const { type, ts, ...data } = event;
+    // Health reports arrive every 15s per viewer — aggregate, don't log
+    if (type === 'health') {
+      health.record(sessionId, (context && context.eventId) || DEFAULT_EVENT_ID, data);
+      return;
+    }
+    console.log(`${new Date(ts).toISOString()} ${sessionId.slice(0, 8)} ${type} ${JSON.stringify(data)}`);
+  });
+  sessions.set(sessionId, session);
+};
+
+const report = () => {
+  const all = Array.from(sessions.values()).filter(s => s.summary);
+  const held = all.filter(s => s.summary.holdCount > 0);
+  const holdMs = held.map(s => s.summary.phaseMs.HOLD || 0);
+  return {
+    sessions: all.length,
+    sessionsThatHitHold: held.length,
+    totalHoldMs: holdMs.reduce((a, b) => a + b, 0),
+    maxHoldMs: holdMs.length ? Math.max(...holdMs) : 0,
+    rebuffers: all.reduce((n, s) => n + s.summary.rebufferCount, 0),
+  };
+};
+
+const stateFrame = eventId => `event: state\ndata: ${JSON.stringify(health.snapshot(eventId))}\n\n`;
+
+const openStream = (req, res, eventId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.write(`retry: 5000\n${stateFrame(eventId)}`);
+  streams.set(res, eventId);
+  req.on('close', () => streams.delete(res));
+};
+
+// The snapshot changes with every report, so streams get it on a timer
+// rather than per report; the timer also doubles as the keepalive
+setInterval(() => {
+  health.prune();
+  streams.forEach((eventId, res) => res.write(stateFrame(eventId)));
+}, PUBLISH_MS);
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const match = req.url.match(/^\/health\/([^/?]+)\/(state|events)(\?|$)/);
+  if (req.method === 'GET' && match) {
+    const eventId = decodeURIComponent(match[1]);
+    return match[2] === 'state' ? send(res, 200, health.snapshot(eventId)) : openStream(req, res, eventId);
+  }
+
+  if (req.method === 'POST' && req.url === '/telemetry') {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        record(JSON.parse(raw));
+        send(res, 204);
+      } catch (err) {
+        send(res, 400, { error: err.message });
+      }
+    });
+    return undefined;
+  }
+
+  if (req.method === 'GET' && req.url === '/sessions') return send(res, 200, Array.from(sessions.values()));
+  if (req.method === 'GET' && req.url === '/report') return send(res, 200, report());
+
+  return send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Telemetry collector listening on http://localhost:${PORT}/telemetry`);
+});
@@ -0,0 +1,22 @@
+// Mirror of src/chat/wordFilter.js for the Node relay (CommonJS).
+// Keep the two in step — clients filter before send, the relay enforces.
+
+const normalize = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createWordFilter = (terms = []) => {
+  const cleaned = terms.map(t => normalize(String(t)).trim()).filter(Boolean);
+  if (cleaned.length === 0) return () => null;
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${cleaned.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'u');
+
+  return (text) => {
+    const match = normalize(text).match(pattern);
+    return match ? match[2] : null;
+  };
+};
+
+module.exports = { createWordFilter };
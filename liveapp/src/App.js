@@ -1,32 +1,167 @@
-import React from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import './App.css';
 import Streaming from './components/Streaming/Streaming';
+import Livechat from './components/livechat/Livechat';
+import ConfigError from './components/ConfigError/ConfigError';
+import Countdown from './components/EventLifecycle/Countdown';
+import EventEnded from './components/EventLifecycle/EventEnded';
+import OperatorPanel from './components/Operator/OperatorPanel';
+import ViewerDashboard from './components/Dashboard/ViewerDashboard';
+import { BeaconSink, normalizeHealthSnapshot } from './telemetry';
+import { loadEventConfig, resolveEventId } from './config';
+import { useEventStage, EVENT_STAGES } from './schedule';
+import { useControlFeed, useActiveMessages, normalizeMessage } from './control';
 
-function App() {
-  const primaryUrl = 'https://5ec71ca4ce48.eu-west-1.playback.live-video.net/api/video/v1/eu-west-1.818517946988.channel.IYRnjkQ4fAMq.m3u8';
-  const secondaryUrl = 'https://stream.mux.com/8Fqg01HnvSOPDngBmqL6OHaP1EIy00NGoWdpZH9toDM8w.m3u8';
-  const tertiaryUrl = 'https://c223d9abb67d57c7.mediapackage.eu-west-1.amazonaws.com/out/v1/238901a4cca640718a23031472ba3d5c/index.m3u8';
-  const teamsUrl = 'https://teams.microsoft.com/convene/townhall?eventId=f16439c7-44dc-4ca8-8885-983e51bbeea0@6e8992ec-76d5-4ea5-8eae-b0c5e558749a&sessionId=49ebf142-6963-49f7-9df4-9aec0e123ca2';
+// One sink for the lifetime of the page — it flushes itself on unload. The
+// event id goes out with every batch so the dashboard can split by event.
+const telemetryUrl = process.env.REACT_APP_TELEMETRY_URL;
+const telemetry = telemetryUrl
+  ? new BeaconSink({ endpoint: telemetryUrl, context: { eventId: resolveEventId(window.location) } })
+  : null;
+
+// Moderators open the page with ?mod=<key>; the relay decides whether it's valid
+const moderatorKey = new URLSearchParams(window.location.search).get('mod');
+
+// REACT_APP_CONTROL_URL points every event at a local control server
+const controlUrlOverride = process.env.REACT_APP_CONTROL_URL;
+
+const getControlOptions = (config) => {
+  if (controlUrlOverride) return { ...config.control, url: controlUrlOverride };
+  return config.control;
+};
+
+// REACT_APP_HEALTH_CHECKER_URL points every event at a local health checker
+const healthCheckerOverride = process.env.REACT_APP_HEALTH_CHECKER_URL;
+
+const getHealthCheck = (config) => {
+  if (healthCheckerOverride) return { ...config.healthChecker, url: healthCheckerOverride };
+  return config.healthChecker;
+};
+
+// Staff routes: /operator?event=<id> steers that event's viewers,
+// /dashboard?event=<id> shows their health
+const isOperatorRoute = /^\/operator\/?$/.test(window.location.pathname);
+const isDashboardRoute = /^\/dashboard\/?$/.test(window.location.pathname);
+
+// Aggregated viewer health, served by the telemetry collector
+const healthUrl = process.env.REACT_APP_HEALTH_URL;
+
+const Header = ({ title, logoText }) => (
+  <header className="App-header">
+    <h1>{title}</h1>
+    <span className="header-logo">{logoText}</span>
+  </header>
+);
+
+function EventPage({ config }) {
+  const stage = useEventStage(config.schedule);
+  const { screens, branding } = config;
+  // REACT_APP_CHAT_URL lets a local relay stand in for the event's chat
+  const chatUrl = (config.chat && config.chat.url) || process.env.REACT_APP_CHAT_URL;
+
+  const controlOptions = useMemo(() => getControlOptions(config), [config]);
+  const healthCheck = useMemo(() => getHealthCheck(config), [config]);
+  const feed = useControlFeed(stage === EVENT_STAGES.ENDED ? null : controlOptions);
+  const scheduledMessages = useMemo(() => config.messages.map(normalizeMessage).filter(Boolean), [config]);
+  const notices = useActiveMessages(feed, scheduledMessages);
+
+  // The player only exists between doors-open and the end time — before
+  // that nothing connects, after it probing stops because it is unmounted
+  let stageView;
+  if (stage === EVENT_STAGES.PRE_SHOW) {
+    stageView = (
+      <Countdown start={config.schedule.start} screen={screens.countdown} logoText={branding.logoText} notice={notices.hold} />
+    );
+  } else if (stage === EVENT_STAGES.ENDED) {
+    stageView = <EventEnded screen={screens.ended} logoText={branding.logoText} />;
+  } else {
+    const doorsOpen = stage === EVENT_STAGES.DOORS_OPEN;
+    stageView = (
+      <Streaming
+        sources={config.sources}
+        telemetry={telemetry}
+        control={feed}
+        healthCheck={healthCheck}
+        probe={config.probe}
+        staleManifest={config.staleManifest}
+        playheadSync={config.playheadSync}
+        quality={config.quality}
+        audioFallback={config.audioFallback}
+        dvr={config.dvr}
+        showDebug={config.debug}
+        hold={doorsOpen ? { tagline: screens.startingSoon.title, message: screens.startingSoon.message } : config.hold}
+        holdLabel={doorsOpen ? 'Starting soon' : 'Standby'}
+        logoText={branding.logoText}
+        holdNotice={notices.hold}
+        banner={notices.banner}
+      />
+    );
+  }
+
+  const player = <div className="player-container">{stageView}</div>;
 
   return (
-    <div className="App">
-      <header className="App-header">
-        <h1>EMEA EXEC Live Stream Test</h1>
-        <span className="header-logo">dentsu</span>
-      </header>
+    <>
+      <Header title={config.title} logoText={branding.logoText} />
       <main className="App-main">
-        <div className="player-container">
-          <Streaming
-            primaryUrl={primaryUrl}
-            secondaryUrl={secondaryUrl}
-            tertiaryUrl={tertiaryUrl}
-            teamsUrl={teamsUrl}
-            showDebug={true}
-          />
-        </div>
+        {chatUrl ? (
+          <div className="event-layout">
+            {player}
+            <aside className="chat-column">
+              <Livechat url={chatUrl} moderatorKey={moderatorKey} />
+            </aside>
+          </div>
+        ) : player}
       </main>
-    </div>
+    </>
   );
 }
 
+function OperatorRoute({ config }) {
+  const controlOptions = useMemo(() => getControlOptions(config), [config]);
+  return <OperatorPanel config={config} controlOptions={controlOptions} />;
+}
+
+function DashboardRoute({ config }) {
+  const feedOptions = useMemo(() => (healthUrl ? {
+    url: `${healthUrl.replace(/\/$/, '')}/${config.eventId}`,
+    normalize: normalizeHealthSnapshot,
+  } : null), [config]);
+  return <ViewerDashboard config={config} feedOptions={feedOptions} />;
+}
+
+function App() {
+  const [eventId] = useState(() => resolveEventId(window.location));
+  const [result, setResult] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult(null);
+    loadEventConfig(eventId).then((loaded) => {
+      if (!cancelled) setResult(loaded);
+    });
+    return () => { cancelled = true; };
+  }, [eventId, attempt]);
+
+  useEffect(() => {
+    if (result && result.config) document.title = result.config.title;
+  }, [result]);
+
+  let content;
+  if (!result) {
+    content = <main className="App-main"><div className="app-loading">Loading event...</div></main>;
+  } else if (result.error) {
+    content = <ConfigError error={result.error} onRetry={() => setAttempt(n => n + 1)} />;
+  } else if (isOperatorRoute) {
+    content = <OperatorRoute config={result.config} />;
+  } else if (isDashboardRoute) {
+    content = <DashboardRoute config={result.config} />;
+  } else {
+    content = <EventPage config={result.config} />;
+  }
+
+  return <div className="App">{content}</div>;
+}
+
 export default App;
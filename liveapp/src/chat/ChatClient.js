@@ -0,0 +1,330 @@
+import Emitter from '../utils/Emitter';
+import createId from '../utils/createId';
+import { createWordFilter } from './wordFilter';
+import { QUESTION_STATUS, sortQuestions, canVote } from './questions';
+
+// --- Events & status ---
+export const CHAT_EVENTS = {
+  MESSAGE: 'message', // (message) — every new chat message, local echo included
+  ACK: 'ack',         // (id) — the relay echoed back one of our messages
+  STATUS: 'status',   // (status)
+  DELETE: 'delete',   // (id) — message removed for everyone by a moderator
+  REJECT: 'reject',   // ({ id, reason }) — relay refused one of our messages
+  PIN: 'pin',         // (message | null)
+  SETTINGS: 'settings', // ({ slowModeSeconds, blockedTerms })
+  ROLE: 'role',       // (role)
+  QUESTIONS: 'questions', // (questions) — the whole Q&A queue, sorted, after any change
+};
+
+export const CHAT_ROLES = {
+  VIEWER: 'viewer',
+  MODERATOR: 'moderator',
+};
+
+export const CHAT_STATUS = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+// --- Constants ---
+const MIN_BACKOFF = 1000;
+const MAX_BACKOFF = 30000;
+const MAX_SEEN_IDS = 2000;
+export const MAX_MESSAGE_LENGTH = 500;
+
+// =============================================================================
+// ChatClient — JSON-over-WebSocket chat with reconnect, offline queue and
+// id-based dedupe. Every frame is an object with a `type` field.
+// =============================================================================
+class ChatClient extends Emitter {
+  constructor({
+    url,
+    moderatorKey = null,
+    votedIds = [],
+    WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : null,
+    minBackoff = MIN_BACKOFF,
+    maxBackoff = MAX_BACKOFF,
+  }) {
+    super();
+    this.url = url;
+    this.moderatorKey = moderatorKey;
+    this.WebSocketImpl = WebSocketImpl;
+    this.minBackoff = minBackoff;
+    this.maxBackoff = maxBackoff;
+
+    this.socket = null;
+    this.status = CHAT_STATUS.CLOSED;
+    this.attempt = 0;
+    this.reconnectTimer = null;
+    this.closedByUser = false;
+    this.outbox = [];
+    this.seen = new Set();
+    this.pending = new Set();
+
+    // Moderation state, all owned by the relay
+    this.role = CHAT_ROLES.VIEWER;
+    this.pinned = null;
+    this.settings = { slowModeSeconds: 0, blockedTerms: [] };
+    this.filter = createWordFilter([]);
+    this.lastSentAt = 0;
+
+    // Q&A queue; the relay counts one vote per connection, `voted` keeps the
+    // client from voting again after a reconnect
+    this.questions = new Map();
+    this.voted = new Set(votedIds);
+  }
+
+  connect() {
+    if (!this.WebSocketImpl || this.socket) return;
+    this.closedByUser = false;
+    this.setStatus(CHAT_STATUS.CONNECTING);
+
+    const socket = new this.WebSocketImpl(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.attempt = 0;
+      this.setStatus(CHAT_STATUS.OPEN);
+      // Re-authenticate on every connection — the relay holds no session
+      if (this.moderatorKey) socket.send(JSON.stringify({ type: 'auth', key: this.moderatorKey }));
+      this.flushOutbox();
+    };
+
+    socket.onmessage = (event) => {
+      let frame;
+      try { frame = JSON.parse(event.data); } catch (e) { return; }
+      this.handleFrame(frame);
+    };
+
+    socket.onclose = () => {
+      this.socket = null;
+      this.setStatus(CHAT_STATUS.CLOSED);
+      if (!this.closedByUser) this.scheduleReconnect();
+    };
+
+    // onclose always follows onerror, so reconnect is handled there
+    socket.onerror = () => {};
+  }
+
+  close() {
+    this.closedByUser = true;
+    if (this.reconnectTimer) { clearTimeout(this.reconnectTimer); this.reconnectTimer = null; }
+    if (this.socket) this.socket.close();
+  }
+
+  destroy() {
+    this.close();
+    this.removeAllListeners();
+  }
+
+  // Exponential backoff with jitter so a relay restart isn't hit by every client at once
+  scheduleReconnect() {
+    const base = Math.min(this.maxBackoff, this.minBackoff * (2 ** this.attempt));
+    const delay = Math.round(base * (0.8 + Math.random() * 0.4));
+    this.attempt += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    this.emit(CHAT_EVENTS.STATUS, status);
+  }
+
+  // --- Outgoing ---
+
+  send(frame) {
+    if (this.socket && this.status === CHAT_STATUS.OPEN) {
+      this.socket.send(JSON.stringify(frame));
+    } else {
+      this.outbox.push(frame);
+    }
+  }
+
+  flushOutbox() {
+    const queued = this.outbox;
+    this.outbox = [];
+    queued.forEach(frame => this.send(frame));
+  }
+
+  isModerator() {
+    return this.role === CHAT_ROLES.MODERATOR;
+  }
+
+  // Seconds left before slow mode allows another message (0 = can send)
+  slowModeRemaining() {
+    if (!this.settings.slowModeSeconds || this.isModerator()) return 0;
+    const waitMs = this.lastSentAt + this.settings.slowModeSeconds * 1000 - Date.now();
+    return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+  }
+
+  // Client-side checks mirror the relay so most rejections never leave the browser
+  validate(text) {
+    const remaining = this.slowModeRemaining();
+    if (remaining > 0) return `Slow mode is on — wait ${remaining}s`;
+    const term = this.filter(text);
+    if (term) return 'Message contains a blocked term';
+    return null;
+  }
+
+  // Sends a chat message and echoes it locally straight away; the relay's
+  // copy is recognised by id and turned into an ACK instead of a duplicate.
+  // Returns { message } or { error } when a client-side check fails.
+  sendMessage({ author, text }) {
+    const error = this.validate(text);
+    if (error) return { error };
+
+    const message = {
+      type: 'message',
+      id: createId(),
+      author,
+      text: text.slice(0, MAX_MESSAGE_LENGTH),
+      timestamp: Date.now(),
+    };
+    this.pending.add(message.id);
+    this.lastSentAt = message.timestamp;
+    this.receive({ ...message, role: this.role, pending: true });
+    this.send(message);
+    return { message };
+  }
+
+  // --- Q&A ---
+
+  // Questions skip the local echo — they only appear once the relay has
+  // accepted them, so the queue order is always the relay's
+  askQuestion({ author, text }) {
+    if (this.filter(text)) return { error: 'Question contains a blocked term' };
+    const question = {
+      type: 'question',
+      id: createId(),
+      author,
+      text: text.slice(0, MAX_MESSAGE_LENGTH),
+      timestamp: Date.now(),
+    };
+    this.send(question);
+    return { question };
+  }
+
+  hasVoted(id) {
+    return this.voted.has(id);
+  }
+
+  // Optimistic upvote; the relay's copy of the question replaces it
+  vote(id) {
+    const question = this.questions.get(id);
+    if (!question || this.voted.has(id) || !canVote(question)) return false;
+    this.voted.add(id);
+    this.questions.set(id, { ...question, votes: question.votes + 1 });
+    this.emitQuestions();
+    this.send({ type: 'vote', id });
+    return true;
+  }
+
+  getQuestions() {
+    return sortQuestions(Array.from(this.questions.values()));
+  }
+
+  emitQuestions() {
+    this.emit(CHAT_EVENTS.QUESTIONS, this.getQuestions());
+  }
+
+  // --- Moderator actions (the relay ignores them from viewers) ---
+
+  pin(id) { this.send({ type: 'pin', id }); }
+
+  unpin() { this.send({ type: 'pin', id: null }); }
+
+  deleteMessage(id) { this.send({ type: 'delete', id }); }
+
+  setSlowMode(seconds) { this.send({ type: 'settings', slowModeSeconds: seconds }); }
+
+  markAnswered(id) { this.setQuestionStatus(id, QUESTION_STATUS.ANSWERED); }
+
+  hideQuestion(id) { this.setQuestionStatus(id, QUESTION_STATUS.HIDDEN); }
+
+  reopenQuestion(id) { this.setQuestionStatus(id, QUESTION_STATUS.OPEN); }
+
+  setQuestionStatus(id, status) { this.send({ type: 'question_status', id, status }); }
+
+  // --- Incoming ---
+
+  handleFrame(frame) {
+    if (!frame || typeof frame !== 'object') return;
+    switch (frame.type) {
+      case 'history':
+        if (Array.isArray(frame.messages)) frame.messages.forEach(m => this.receive(m));
+        if (frame.settings) this.applySettings(frame.settings);
+        this.applyPin(frame.pinned || null);
+        if (Array.isArray(frame.questions)) this.applyQuestions(frame.questions);
+        break;
+      case 'message':
+        this.receive(frame);
+        break;
+      case 'delete':
+        if (this.pinned && this.pinned.id === frame.id) this.applyPin(null);
+        this.emit(CHAT_EVENTS.DELETE, frame.id);
+        break;
+      case 'reject':
+        this.pending.delete(frame.id);
+        this.seen.delete(frame.id);
+        this.emit(CHAT_EVENTS.REJECT, { id: frame.id, reason: frame.reason });
+        break;
+      case 'pin':
+        this.applyPin(frame.message || null);
+        break;
+      case 'settings':
+        this.applySettings(frame);
+        break;
+      case 'question':
+        if (frame.question && frame.question.id) {
+          this.questions.set(frame.question.id, frame.question);
+          this.emitQuestions();
+        }
+        break;
+      case 'question_remove':
+        if (this.questions.delete(frame.id)) this.emitQuestions();
+        break;
+      case 'role':
+        this.role = frame.role === CHAT_ROLES.MODERATOR ? CHAT_ROLES.MODERATOR : CHAT_ROLES.VIEWER;
+        this.emit(CHAT_EVENTS.ROLE, this.role);
+        break;
+      default:
+        break;
+    }
+  }
+
+  applyPin(message) {
+    this.pinned = message;
+    this.emit(CHAT_EVENTS.PIN, message);
+  }
+
+  applySettings({ slowModeSeconds = 0, blockedTerms = [] }) {
+    this.settings = { slowModeSeconds, blockedTerms };
+    this.filter = createWordFilter(blockedTerms);
+    this.emit(CHAT_EVENTS.SETTINGS, this.settings);
+  }
+
+  // History replaces the queue outright — the relay may have hidden or
+  // dropped questions while we were disconnected
+  applyQuestions(questions) {
+    this.questions = new Map(questions.filter(q => q && q.id).map(q => [q.id, q]));
+    this.emitQuestions();
+  }
+
+  receive(message) {
+    if (!message.id) return;
+    if (this.seen.has(message.id)) {
+      if (this.pending.delete(message.id)) this.emit(CHAT_EVENTS.ACK, message.id);
+      return;
+    }
+    this.seen.add(message.id);
+    if (this.seen.size > MAX_SEEN_IDS) this.seen.delete(this.seen.values().next().value);
+    this.emit(CHAT_EVENTS.MESSAGE, message);
+  }
+}
+
+export default ChatClient;
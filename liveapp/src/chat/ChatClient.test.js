@@ -0,0 +1,247 @@
+import ChatClient, { CHAT_EVENTS, CHAT_STATUS, CHAT_ROLES } from './ChatClient';
+
+// Scriptable WebSocket: tests open, close and push frames by hand
+const createFakeSocket = () => {
+  class FakeSocket {
+    static instances = [];
+
+    constructor(url) {
+      this.url = url;
+      this.sent = [];
+      FakeSocket.instances.push(this);
+    }
+
+    send(data) { this.sent.push(JSON.parse(data)); }
+
+    close() { this.onclose(); }
+
+    open() { this.onopen(); }
+
+    drop() { this.onclose(); }
+
+    push(frame) { this.onmessage({ data: JSON.stringify(frame) }); }
+  }
+  FakeSocket.last = () => FakeSocket.instances[FakeSocket.instances.length - 1];
+  return FakeSocket;
+};
+
+const setup = ({ moderatorKey } = {}) => {
+  const Socket = createFakeSocket();
+  const client = new ChatClient({ url: 'ws://chat', moderatorKey, WebSocketImpl: Socket, minBackoff: 1000, maxBackoff: 8000 });
+  const messages = [];
+  const acks = [];
+  client.on(CHAT_EVENTS.MESSAGE, m => messages.push(m));
+  client.on(CHAT_EVENTS.ACK, id => acks.push(id));
+  return { client, Socket, messages, acks };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  Math.random.mockRestore();
+});
+
+describe('ChatClient', () => {
+  it('queues messages while offline and sends them once connected', () => {
+    const { client, Socket, messages } = setup();
+    client.connect();
+    const { message: sent } = client.sendMessage({ author: 'Ana', text: 'Hello' });
+
+    expect(messages).toEqual([expect.objectContaining({ id: sent.id, text: 'Hello', pending: true })]);
+    expect(Socket.last().sent).toEqual([]);
+
+    Socket.last().open();
+    expect(client.status).toBe(CHAT_STATUS.OPEN);
+    expect(Socket.last().sent).toEqual([expect.objectContaining({ type: 'message', id: sent.id, author: 'Ana' })]);
+  });
+
+  it('dedupes by id and acks our own echoed messages', () => {
+    const { client, Socket, messages, acks } = setup();
+    client.connect();
+    Socket.last().open();
+    const { message: sent } = client.sendMessage({ author: 'Ana', text: 'Hi' });
+
+    Socket.last().push(sent);
+    Socket.last().push({ type: 'history', messages: [sent, { type: 'message', id: 'x', author: 'Bo', text: 'Yo', timestamp: 1 }] });
+    Socket.last().push({ type: 'message', id: 'x', author: 'Bo', text: 'Yo', timestamp: 1 });
+
+    expect(messages.map(m => m.id)).toEqual([sent.id, 'x']);
+    expect(acks).toEqual([sent.id]);
+  });
+
+  it('reconnects with exponential backoff and resets after a successful open', () => {
+    const { client, Socket } = setup();
+    client.connect();
+    Socket.last().drop();
+
+    jest.advanceTimersByTime(999);
+    expect(Socket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(Socket.instances).toHaveLength(2);
+
+    Socket.last().drop();
+    jest.advanceTimersByTime(2000);
+    expect(Socket.instances).toHaveLength(3);
+
+    Socket.last().open();
+    Socket.last().drop();
+    jest.advanceTimersByTime(1000);
+    expect(Socket.instances).toHaveLength(4);
+  });
+
+  it('does not reconnect after close()', () => {
+    const { client, Socket } = setup();
+    client.connect();
+    Socket.last().open();
+    client.close();
+    jest.advanceTimersByTime(60000);
+    expect(Socket.instances).toHaveLength(1);
+    expect(client.status).toBe(CHAT_STATUS.CLOSED);
+  });
+
+  it('ignores malformed frames', () => {
+    const { client, Socket, messages } = setup();
+    client.connect();
+    Socket.last().open();
+    Socket.last().onmessage({ data: 'not json' });
+    Socket.last().push({ type: 'message', text: 'no id' });
+    expect(messages).toEqual([]);
+  });
+
+  describe('moderation', () => {
+    it('authenticates as moderator on every connection', () => {
+      const { client, Socket } = setup({ moderatorKey: 'secret' });
+      const roles = [];
+      client.on(CHAT_EVENTS.ROLE, r => roles.push(r));
+      client.connect();
+      Socket.last().open();
+
+      expect(Socket.last().sent[0]).toEqual({ type: 'auth', key: 'secret' });
+      Socket.last().push({ type: 'role', role: 'moderator' });
+      expect(roles).toEqual([CHAT_ROLES.MODERATOR]);
+      expect(client.isModerator()).toBe(true);
+    });
+
+    it('enforces slow mode for viewers before sending', () => {
+      const { client, Socket } = setup();
+      client.connect();
+      Socket.last().open();
+      Socket.last().push({ type: 'settings', slowModeSeconds: 10, blockedTerms: [] });
+
+      expect(client.sendMessage({ author: 'Ana', text: 'one' }).message).toBeDefined();
+      jest.advanceTimersByTime(4000);
+      expect(client.sendMessage({ author: 'Ana', text: 'two' })).toEqual({ error: 'Slow mode is on — wait 6s' });
+      jest.advanceTimersByTime(6000);
+      expect(client.sendMessage({ author: 'Ana', text: 'three' }).message).toBeDefined();
+      expect(Socket.last().sent.map(f => f.text)).toEqual(['one', 'three']);
+    });
+
+    it('filters blocked terms announced by the relay', () => {
+      const { client, Socket } = setup();
+      client.connect();
+      Socket.last().open();
+      Socket.last().push({ type: 'history', messages: [], settings: { slowModeSeconds: 0, blockedTerms: ['Project Falcon'] } });
+
+      expect(client.sendMessage({ author: 'Ana', text: 'any news on project falcon?' }))
+        .toEqual({ error: 'Message contains a blocked term' });
+      expect(Socket.last().sent).toEqual([]);
+    });
+
+    it('applies pins, deletions and rejections from the relay', () => {
+      const { client, Socket } = setup();
+      const pins = [];
+      const deleted = [];
+      const rejected = [];
+      client.on(CHAT_EVENTS.PIN, m => pins.push(m && m.id));
+      client.on(CHAT_EVENTS.DELETE, id => deleted.push(id));
+      client.on(CHAT_EVENTS.REJECT, r => rejected.push(r));
+      client.connect();
+      Socket.last().open();
+
+      const msg = { type: 'message', id: 'm1', author: 'Bo', text: 'Welcome', timestamp: 1 };
+      Socket.last().push({ type: 'pin', message: msg });
+      Socket.last().push({ type: 'delete', id: 'm1' });
+      expect(pins).toEqual(['m1', null]);
+      expect(deleted).toEqual(['m1']);
+
+      const { message } = client.sendMessage({ author: 'Ana', text: 'hi' });
+      Socket.last().push({ type: 'reject', id: message.id, reason: 'blocked' });
+      expect(rejected).toEqual([{ id: message.id, reason: 'blocked' }]);
+    });
+  });
+
+  describe('Q&A', () => {
+    const question = (id, votes, timestamp, status = 'open') => ({ id, author: 'Bo', text: id, votes, timestamp, status });
+
+    it('shares the chat socket and sorts questions by votes, then recency', () => {
+      const { client, Socket } = setup();
+      const updates = [];
+      client.on(CHAT_EVENTS.QUESTIONS, q => updates.push(q.map(x => x.id)));
+      client.connect();
+      Socket.last().open();
+      Socket.last().push({ type: 'history', messages: [], questions: [question('a', 1, 1), question('b', 3, 2), question('c', 1, 5)] });
+      Socket.last().push({ type: 'question', question: question('d', 0, 9) });
+
+      expect(updates).toEqual([['b', 'c', 'a'], ['b', 'c', 'a', 'd']]);
+
+      const { question: asked } = client.askQuestion({ author: 'Ana', text: 'When is the next town hall?' });
+      expect(Socket.instances).toHaveLength(1);
+      expect(Socket.last().sent).toEqual([expect.objectContaining({ type: 'question', id: asked.id, author: 'Ana' })]);
+    });
+
+    it('allows one vote per question and takes the relay count as authoritative', () => {
+      const { client, Socket } = setup();
+      client.connect();
+      Socket.last().open();
+      Socket.last().push({ type: 'question', question: question('q1', 2, 1) });
+
+      expect(client.vote('q1')).toBe(true);
+      expect(client.vote('q1')).toBe(false);
+      expect(client.getQuestions()[0].votes).toBe(3);
+      expect(client.hasVoted('q1')).toBe(true);
+      expect(Socket.last().sent).toEqual([{ type: 'vote', id: 'q1' }]);
+
+      Socket.last().push({ type: 'question', question: question('q1', 5, 1) });
+      expect(client.getQuestions()[0].votes).toBe(5);
+    });
+
+    it('remembers votes across reloads via votedIds', () => {
+      const Socket = createFakeSocket();
+      const client = new ChatClient({ url: 'ws://chat', WebSocketImpl: Socket, votedIds: ['q1'] });
+      client.connect();
+      Socket.last().open();
+      Socket.last().push({ type: 'question', question: question('q1', 1, 1) });
+      expect(client.vote('q1')).toBe(false);
+      expect(Socket.last().sent).toEqual([]);
+    });
+
+    it('blocks voting on answered questions and drops hidden ones', () => {
+      const { client, Socket } = setup();
+      client.connect();
+      Socket.last().open();
+      Socket.last().push({ type: 'history', messages: [], questions: [question('q1', 0, 1, 'answered'), question('q2', 0, 2)] });
+
+      expect(client.vote('q1')).toBe(false);
+      Socket.last().push({ type: 'question_remove', id: 'q2' });
+      expect(client.getQuestions().map(q => q.id)).toEqual(['q1']);
+    });
+
+    it('sends question status changes for moderators', () => {
+      const { client, Socket } = setup({ moderatorKey: 'secret' });
+      client.connect();
+      Socket.last().open();
+      client.markAnswered('q1');
+      client.hideQuestion('q2');
+      client.reopenQuestion('q2');
+      expect(Socket.last().sent.slice(1)).toEqual([
+        { type: 'question_status', id: 'q1', status: 'answered' },
+        { type: 'question_status', id: 'q2', status: 'hidden' },
+        { type: 'question_status', id: 'q2', status: 'open' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,3 @@
+export { default as ChatClient, CHAT_EVENTS, CHAT_STATUS, CHAT_ROLES, MAX_MESSAGE_LENGTH } from './ChatClient';
+export { createWordFilter } from './wordFilter';
+export { QUESTION_STATUS, sortQuestions, canVote } from './questions';
@@ -0,0 +1,14 @@
+// Q&A queue helpers shared by ChatClient and the Livechat Q&A tab
+
+export const QUESTION_STATUS = {
+  OPEN: 'open',
+  ANSWERED: 'answered',
+  HIDDEN: 'hidden',   // only moderators ever receive hidden questions
+};
+
+// Most votes first, then newest first
+export const sortQuestions = questions => [...questions].sort(
+  (a, b) => (b.votes - a.votes) || (b.timestamp - a.timestamp),
+);
+
+export const canVote = question => question.status === QUESTION_STATUS.OPEN;
@@ -0,0 +1,21 @@
+// Blocked-term matching shared by the composer and (mirrored in
+// server/wordFilter.js) the relay. Case- and accent-insensitive, whole words only.
+
+const normalize = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const createWordFilter = (terms = []) => {
+  const cleaned = terms.map(t => normalize(String(t)).trim()).filter(Boolean);
+  if (cleaned.length === 0) return () => null;
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${cleaned.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'u');
+
+  // Returns the first blocked term found, or null when the text is clean
+  return (text) => {
+    const match = normalize(text).match(pattern);
+    return match ? match[2] : null;
+  };
+};
@@ -0,0 +1,19 @@
+import { createWordFilter } from './wordFilter';
+
+describe('createWordFilter', () => {
+  const filter = createWordFilter(['darn', 'Project Falcon', 'c++']);
+
+  it('matches whole words regardless of case and accents', () => {
+    expect(filter('Well DARN it')).toBe('darn');
+    expect(filter('Any news on prôject falcon?')).toBe('project falcon');
+    expect(filter('we use c++ here')).toBe('c++');
+  });
+
+  it('ignores terms embedded in longer words', () => {
+    expect(filter('darnell is presenting')).toBeNull();
+  });
+
+  it('passes everything with no terms configured', () => {
+    expect(createWordFilter([])('anything')).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+import React from 'react';
+import { CONFIG_ERRORS } from '../../config';
+import './configError.css';
+
+const TITLES = {
+  [CONFIG_ERRORS.INVALID_ID]: 'Event not found',
+  [CONFIG_ERRORS.NOT_FOUND]: 'Event not found',
+  [CONFIG_ERRORS.NETWORK]: 'Unable to load the event',
+  [CONFIG_ERRORS.PARSE]: 'Event configuration error',
+  [CONFIG_ERRORS.INVALID]: 'Event configuration error',
+};
+
+const HINTS = {
+  [CONFIG_ERRORS.INVALID_ID]: 'Check the link you were sent.',
+  [CONFIG_ERRORS.NOT_FOUND]: 'Check the link you were sent.',
+  [CONFIG_ERRORS.NETWORK]: 'Check your connection and try again.',
+  [CONFIG_ERRORS.PARSE]: 'The event organiser needs to fix the configuration file.',
+  [CONFIG_ERRORS.INVALID]: 'The event organiser needs to fix the configuration file.',
+};
+
+// Full-page screen for a config that failed to load. Schema problems are
+// listed in full — the people who see them are the ones editing the file.
+function ConfigError({ error, onRetry }) {
+  const { kind, message, details } = error;
+  const showDetails = details.length > 0 && kind !== CONFIG_ERRORS.NETWORK;
+
+  return (
+    <main className="App-main">
+      <div className="config-error" role="alert">
+        <h2 className="config-error-title">{TITLES[kind] || 'Something went wrong'}</h2>
+        <p className="config-error-message">{message}</p>
+        {showDetails && (
+          <ul className="config-error-details">
+            {details.map(detail => <li key={detail}>{detail}</li>)}
+          </ul>
+        )}
+        <p className="config-error-hint">{HINTS[kind]}</p>
+        {kind === CONFIG_ERRORS.NETWORK && (
+          <button className="config-error-retry" onClick={onRetry} type="button">
+            Try again
+          </button>
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default ConfigError;
@@ -0,0 +1,142 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useControlFeed, FEED_EVENTS, FEED_STATUS } from '../../control';
+import { normalizeSources, getSourceLabel } from '../../player';
+import { REBUFFER_WARNING_RATIO, getDistributionRows } from '../../telemetry';
+import './dashboard.css';
+
+const FEED_LABELS = {
+  [FEED_STATUS.CONNECTING]: 'Connecting...',
+  [FEED_STATUS.OPEN]: 'Live',
+  [FEED_STATUS.ERROR]: 'Reconnecting...',
+};
+
+const percent = ratio => `${(ratio * 100).toFixed(ratio > 0 && ratio < 0.1 ? 1 : 0)}%`;
+
+const formatMinutes = ms => `${Math.round(ms / 60000)} min`;
+
+// =============================================================================
+// ViewerDashboard — /dashboard. Live view of the health reports every viewer
+// sends (see attachHealth): how many are watching, where they are, and which
+// source is struggling — before anyone has to say so on Teams.
+// =============================================================================
+function ViewerDashboard({ config, feedOptions }) {
+  const [snapshot, setSnapshot] = useState(null);
+  const [feedStatus, setFeedStatus] = useState(FEED_STATUS.CONNECTING);
+
+  const feed = useControlFeed(feedOptions);
+  const sources = useMemo(() => normalizeSources(config.sources), [config]);
+
+  useEffect(() => {
+    if (!feed) return undefined;
+    const offState = feed.on(FEED_EVENTS.STATE, setSnapshot);
+    const offStatus = feed.on(FEED_EVENTS.STATUS, setFeedStatus);
+    return () => { offState(); offStatus(); };
+  }, [feed]);
+
+  if (!feedOptions) {
+    return (
+      <main className="App-main">
+        <div className="dashboard">
+          <h2 className="dashboard-title">Viewers — {config.title}</h2>
+          <p className="dashboard-error">No health service configured. Set <code>REACT_APP_HEALTH_URL</code>.</p>
+        </div>
+      </main>
+    );
+  }
+
+  const rows = snapshot ? getDistributionRows(snapshot, sources) : [];
+
+  return (
+    <main className="App-main">
+      <div className="dashboard">
+        <div className="dashboard-header">
+          <h2 className="dashboard-title">Viewers — {config.title}</h2>
+          <span className={`dashboard-feed dashboard-feed-${feedStatus}`}>{FEED_LABELS[feedStatus]}</span>
+        </div>
+
+        {!snapshot ? (
+          <p className="dashboard-muted">Waiting for the health service...</p>
+        ) : (
+          <>
+            <div className="dashboard-stats">
+              <div className="dashboard-stat">
+                <span className="dashboard-stat-value">{snapshot.viewers}</span>
+                <span className="dashboard-stat-label">Watching now</span>
+              </div>
+              <div className={`dashboard-stat ${snapshot.cacheLoops > 0 ? 'dashboard-stat-warning' : ''}`}>
+                <span className="dashboard-stat-value">{snapshot.cacheLoops}</span>
+                <span className="dashboard-stat-label">Detecting cache loops</span>
+              </div>
+            </div>
+
+            <section className="dashboard-section">
+              <h3>Where viewers are</h3>
+              <ul className="dashboard-distribution">
+                {rows.map(row => (
+                  <li key={row.key}>
+                    <span className="dashboard-bucket">{row.label}</span>
+                    <span className="dashboard-bar">
+                      <span className="dashboard-bar-fill" style={{ width: percent(row.share) }} />
+                    </span>
+                    <span className="dashboard-count">{row.viewers}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+
+            <section className="dashboard-section">
+              <h3>Rebuffering — last {formatMinutes(snapshot.windowMs)}</h3>
+              {snapshot.sources.length === 0 ? (
+                <p className="dashboard-muted">No playback reported yet.</p>
+              ) : (
+                <table className="dashboard-table">
+                  <thead>
+                    <tr><th>Source</th><th>Watched</th><th>Rebuffers</th><th>Rebuffer ratio</th></tr>
+                  </thead>
+                  <tbody>
+                    {snapshot.sources.map(s => (
+                      <tr key={s.source} className={s.rebufferRatio > REBUFFER_WARNING_RATIO ? 'dashboard-row-warning' : ''}>
+                        <td>{getSourceLabel(sources, s.source)}</td>
+                        <td>{formatMinutes(s.playingMs + s.rebufferMs)}</td>
+                        <td>{s.rebuffers}</td>
+                        <td>{percent(s.rebufferRatio)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+
+            <section className="dashboard-section">
+              <h3>Player errors per minute</h3>
+              {snapshot.errors.length === 0 ? (
+                <p className="dashboard-muted">No errors reported.</p>
+              ) : (
+                <table className="dashboard-table">
+                  <thead>
+                    <tr><th>hls.js details</th><th>Per minute</th><th>Total</th></tr>
+                  </thead>
+                  <tbody>
+                    {snapshot.errors.map(e => (
+                      <tr key={e.details}>
+                        <td><code>{e.details}</code></td>
+                        <td>{e.perMinute.toFixed(1)}</td>
+                        <td>{e.count}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+
+            {snapshot.generatedAt && (
+              <p className="dashboard-muted">Updated {new Date(snapshot.generatedAt).toLocaleTimeString()}</p>
+            )}
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default ViewerDashboard;
@@ -0,0 +1,21 @@
+import React from 'react';
+import DiagonalLines from '../Streaming/DiagonalLines';
+import '../Streaming/streaming.css';
+import './eventLifecycle.css';
+
+// Player-sized branded panel, so lifecycle screens sit exactly where the
+// video will be
+const BrandedScreen = ({ logoText, notice = null, children }) => (
+  <div className="streaming-wrapper">
+    <div className="hold-screen overlay-visible lifecycle-screen">
+      <DiagonalLines />
+      {notice && <div className={`hold-notice notice-${notice.level}`} role="status">{notice.text}</div>}
+      <div className="lifecycle-content">{children}</div>
+      <div className="hold-branding lifecycle-logo">
+        <div className="hold-logo">{logoText}</div>
+      </div>
+    </div>
+  </div>
+);
+
+export default BrandedScreen;
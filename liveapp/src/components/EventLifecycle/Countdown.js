@@ -0,0 +1,43 @@
+import React, { useEffect, useState } from 'react';
+import { getCountdown } from '../../schedule';
+import BrandedScreen from './BrandedScreen';
+
+const UNITS = [
+  ['days', 'Days'],
+  ['hours', 'Hours'],
+  ['minutes', 'Minutes'],
+  ['seconds', 'Seconds'],
+];
+
+const pad = n => String(n).padStart(2, '0');
+
+// Pre-show screen. Counts down to the start time; the switch to the
+// "starting soon" stage at doors-open is driven by useEventStage, not by this.
+function Countdown({ start, screen, logoText, notice = null }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const remaining = getCountdown(start, now);
+  const startsAt = new Date(start).toLocaleString(undefined, { dateStyle: 'full', timeStyle: 'short' });
+
+  return (
+    <BrandedScreen logoText={logoText} notice={notice}>
+      <div className="lifecycle-title">{screen.title}</div>
+      <div className="countdown" role="timer" aria-live="off">
+        {UNITS.filter(([key]) => key !== 'days' || remaining.days > 0).map(([key, label]) => (
+          <div key={key} className="countdown-unit">
+            <span className="countdown-value">{key === 'days' ? remaining.days : pad(remaining[key])}</span>
+            <span className="countdown-label">{label}</span>
+          </div>
+        ))}
+      </div>
+      <div className="lifecycle-message">{screen.message || startsAt}</div>
+    </BrandedScreen>
+  );
+}
+
+export default Countdown;
@@ -0,0 +1,12 @@
+import React from 'react';
+import BrandedScreen from './BrandedScreen';
+
+// Post-show screen — shown once the scheduled end time has passed
+const EventEnded = ({ screen, logoText }) => (
+  <BrandedScreen logoText={logoText}>
+    <div className="lifecycle-title">{screen.title}</div>
+    {screen.message && <div className="lifecycle-message">{screen.message}</div>}
+  </BrandedScreen>
+);
+
+export default EventEnded;
@@ -0,0 +1,292 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  useControlFeed, createOperatorApi, FEED_EVENTS, FEED_STATUS, MESSAGE_TARGETS, MESSAGE_LEVELS, MAX_MESSAGE_TEXT,
+} from '../../control';
+import { normalizeSources, isEmbedSource } from '../../player';
+import './operator.css';
+
+const PASSWORD_KEY = 'liveapp.operatorPassword';
+
+// Storage can be blocked (Safari private mode, sandboxed iframes); reading it
+// then throws, and during render that would take the panel down. Without it
+// the password is asked for again on reload.
+const readStored = (key) => {
+  try {
+    return sessionStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+};
+
+const writeStored = (key, value) => {
+  try {
+    if (value === null) sessionStorage.removeItem(key);
+    else sessionStorage.setItem(key, value);
+  } catch (e) {
+    // Storage blocked — nothing to remember or forget
+  }
+};
+
+const FEED_LABELS = {
+  [FEED_STATUS.CONNECTING]: 'Connecting...',
+  [FEED_STATUS.OPEN]: 'Connected',
+  [FEED_STATUS.ERROR]: 'Reconnecting...',
+};
+
+const EMPTY_MESSAGE = { text: '', target: MESSAGE_TARGETS.ALL, level: MESSAGE_LEVELS.INFO, durationMinutes: '' };
+
+// =============================================================================
+// OperatorPanel — /operator. Steers every viewer of an event through the
+// control server: force or block sources, hold, Teams view and messages.
+// The panel only writes; what it shows comes back over the same feed the
+// viewers get, so it always reflects what they are seeing.
+// =============================================================================
+function OperatorPanel({ config, controlOptions }) {
+  const [password, setPassword] = useState(() => readStored(PASSWORD_KEY) || '');
+  const [passwordInput, setPasswordInput] = useState('');
+  const [authorised, setAuthorised] = useState(false);
+  const [error, setError] = useState(null);
+  const [feedState, setFeedState] = useState(null);
+  const [feedStatus, setFeedStatus] = useState(FEED_STATUS.CONNECTING);
+  const [draft, setDraft] = useState(EMPTY_MESSAGE);
+
+  const api = useMemo(
+    () => (controlOptions && password ? createOperatorApi({ url: controlOptions.url, password }) : null),
+    [controlOptions, password],
+  );
+  const feed = useControlFeed(authorised ? controlOptions : null);
+  // Force and block act on the player's chain; iframe sources are reached through the Teams directive
+  const sources = useMemo(() => normalizeSources(config.sources).filter(s => !isEmbedSource(s)), [config]);
+  // Keep in step with the Teams directive in Streaming: the "teams" source, else the first iframe source
+  const directedEmbed = useMemo(() => {
+    const embeds = normalizeSources(config.sources).filter(isEmbedSource);
+    return embeds.find(s => s.id === 'teams') || embeds[0] || null;
+  }, [config]);
+
+  // Check a remembered password before showing the controls
+  useEffect(() => {
+    if (!api) return undefined;
+    let cancelled = false;
+    api.checkPassword().then(({ error: authError }) => {
+      if (cancelled) return;
+      if (authError) {
+        writeStored(PASSWORD_KEY, null);
+        setPassword('');
+        setError(authError);
+      } else {
+        writeStored(PASSWORD_KEY, password);
+        setAuthorised(true);
+        setError(null);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [api, password]);
+
+  useEffect(() => {
+    if (!feed) return undefined;
+    setFeedState(feed.getState());
+    const offState = feed.on(FEED_EVENTS.STATE, setFeedState);
+    const offStatus = feed.on(FEED_EVENTS.STATUS, setFeedStatus);
+    return () => { offState(); offStatus(); };
+  }, [feed]);
+
+  if (!controlOptions) {
+    return (
+      <main className="App-main">
+        <div className="operator-panel">
+          <h2 className="operator-title">Operator — {config.title}</h2>
+          <p className="operator-error">This event has no control server. Add <code>control.url</code> to its config.</p>
+        </div>
+      </main>
+    );
+  }
+
+  const run = async (call) => {
+    const { error: callError } = await call;
+    setError(callError || null);
+  };
+
+  if (!authorised) {
+    const login = (e) => {
+      e.preventDefault();
+      if (passwordInput) setPassword(passwordInput);
+    };
+    return (
+      <main className="App-main">
+        <form className="operator-panel operator-login" onSubmit={login}>
+          <h2 className="operator-title">Operator — {config.title}</h2>
+          <input
+            type="password"
+            value={passwordInput}
+            onChange={e => setPasswordInput(e.target.value)}
+            placeholder="Operator password"
+            autoFocus
+          />
+          <button type="submit" className="operator-btn operator-btn-primary" disabled={!passwordInput}>Sign in</button>
+          {error && <p className="operator-error">{error}</p>}
+        </form>
+      </main>
+    );
+  }
+
+  const directives = feedState ? feedState.directives : null;
+  const messages = feedState ? feedState.messages : [];
+  const setDirectives = patch => run(api.setDirectives(patch));
+
+  const toggleBlocked = (id) => {
+    const blocked = directives.blockedSources;
+    setDirectives({ blockedSources: blocked.includes(id) ? blocked.filter(b => b !== id) : [...blocked, id] });
+  };
+
+  const toggleHold = () => {
+    if (!directives.hold && !window.confirm('Send every viewer to the hold screen?')) return;
+    setDirectives({ hold: !directives.hold });
+  };
+
+  const sendMessage = async (e) => {
+    e.preventDefault();
+    const minutes = Number(draft.durationMinutes);
+    const { error: postError } = await api.postMessage({
+      text: draft.text,
+      target: draft.target,
+      level: draft.level,
+      ...(minutes > 0 ? { durationMinutes: minutes } : {}),
+    });
+    setError(postError || null);
+    if (!postError) setDraft(EMPTY_MESSAGE);
+  };
+
+  const signOut = () => {
+    writeStored(PASSWORD_KEY, null);
+    setPassword('');
+    setPasswordInput('');
+    setAuthorised(false);
+  };
+
+  return (
+    <main className="App-main">
+      <div className="operator-panel">
+        <div className="operator-header">
+          <h2 className="operator-title">Operator — {config.title}</h2>
+          <span className={`operator-feed operator-feed-${feedStatus}`}>{FEED_LABELS[feedStatus]}</span>
+          <button type="button" className="operator-btn" onClick={signOut}>Sign out</button>
+        </div>
+
+        {error && <p className="operator-error">{error}</p>}
+
+        {!directives ? (
+          <p className="operator-muted">Waiting for control server state...</p>
+        ) : (
+          <>
+            <section className="operator-section">
+              <h3>Playback</h3>
+              <div className="operator-row">
+                <button
+                  type="button"
+                  className={`operator-btn ${directives.hold ? 'operator-btn-warning' : ''}`}
+                  onClick={toggleHold}
+                >
+                  {directives.hold ? 'Resume playback' : 'Send everyone to hold'}
+                </button>
+                {directedEmbed && (
+                  <button
+                    type="button"
+                    className={`operator-btn ${directives.teams ? 'operator-btn-active' : ''}`}
+                    onClick={() => setDirectives({ teams: !directives.teams })}
+                  >
+                    {directives.teams ? 'Back to the player' : `Switch everyone to ${directedEmbed.label}`}
+                  </button>
+                )}
+              </div>
+            </section>
+
+            <section className="operator-section">
+              <h3>Sources</h3>
+              <table className="operator-sources">
+                <tbody>
+                  {sources.map((src) => {
+                    const forced = directives.forceSource === src.id;
+                    const blocked = directives.blockedSources.includes(src.id);
+                    return (
+                      <tr key={src.id} className={blocked ? 'operator-source-blocked' : ''}>
+                        <td>
+                          <span className="operator-source-label">{src.label}</span>
+                          <span className="operator-muted">{src.id}</span>
+                        </td>
+                        <td>
+                          {forced && <span className="operator-tag">Forced</span>}
+                          {blocked && <span className="operator-tag operator-tag-warning">Blocked</span>}
+                        </td>
+                        <td className="operator-actions">
+                          <button
+                            type="button"
+                            className={`operator-btn ${forced ? 'operator-btn-active' : ''}`}
+                            disabled={blocked}
+                            onClick={() => setDirectives({ forceSource: forced ? null : src.id })}
+                          >
+                            {forced ? 'Release' : 'Force'}
+                          </button>
+                          <button type="button" className="operator-btn" onClick={() => toggleBlocked(src.id)}>
+                            {blocked ? 'Unblock' : 'Block'}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </section>
+
+            <section className="operator-section">
+              <h3>Messages</h3>
+              <form className="operator-message-form" onSubmit={sendMessage}>
+                <input
+                  type="text"
+                  value={draft.text}
+                  maxLength={MAX_MESSAGE_TEXT}
+                  onChange={e => setDraft({ ...draft, text: e.target.value })}
+                  placeholder="e.g. Technical difficulties, back in 5 minutes"
+                />
+                <select value={draft.target} onChange={e => setDraft({ ...draft, target: e.target.value })}>
+                  <option value={MESSAGE_TARGETS.ALL}>Hold + banner</option>
+                  <option value={MESSAGE_TARGETS.HOLD}>Hold screen</option>
+                  <option value={MESSAGE_TARGETS.BANNER}>Banner</option>
+                </select>
+                <select value={draft.level} onChange={e => setDraft({ ...draft, level: e.target.value })}>
+                  <option value={MESSAGE_LEVELS.INFO}>Info</option>
+                  <option value={MESSAGE_LEVELS.WARNING}>Warning</option>
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  value={draft.durationMinutes}
+                  onChange={e => setDraft({ ...draft, durationMinutes: e.target.value })}
+                  placeholder="Minutes"
+                  className="operator-duration"
+                />
+                <button type="submit" className="operator-btn operator-btn-primary" disabled={!draft.text.trim()}>Send</button>
+              </form>
+              {messages.length > 0 && (
+                <ul className="operator-messages">
+                  {messages.map(m => (
+                    <li key={m.id}>
+                      <span className={`operator-tag ${m.level === MESSAGE_LEVELS.WARNING ? 'operator-tag-warning' : ''}`}>{m.target}</span>
+                      <span className="operator-message-text">{m.text}</span>
+                      {m.endsAt && <span className="operator-muted">until {new Date(m.endsAt).toLocaleTimeString()}</span>}
+                      <button type="button" className="operator-btn" onClick={() => run(api.deleteMessage(m.id))}>Remove</button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {messages.length > 1 && (
+                <button type="button" className="operator-btn" onClick={() => run(api.clearMessages())}>Clear all</button>
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
+
+export default OperatorPanel;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+
+export const CAPTION_SIZES = ['small', 'medium', 'large'];
+export const CAPTION_BACKGROUNDS = ['none', 'translucent', 'solid'];
+export const DEFAULT_CAPTION_STYLE = { size: 'medium', background: 'translucent' };
+
+const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+
+// CC picker over the video: "Off" plus each language the current source
+// carries, and the caption style (size and background). Styling is applied
+// by Streaming as classes on the wrapper, so it covers both slots.
+function CaptionsMenu({ offer, style, onSelect, onStyle }) {
+  const [open, setOpen] = useState(false);
+  const { options, language } = offer;
+  if (options.length === 0) return null;
+
+  const selected = options.find(o => o.language === language);
+
+  const choose = (next) => {
+    onSelect(next);
+    setOpen(false);
+  };
+
+  const renderChoices = (key, values) => (
+    <div className="captions-choices" role="radiogroup" aria-label={capitalize(key)}>
+      <span className="captions-choices-label">{capitalize(key)}</span>
+      {values.map(value => (
+        <button
+          key={value}
+          className={`captions-choice ${style[key] === value ? 'captions-selected' : ''}`}
+          onClick={() => onStyle({ ...style, [key]: value })}
+          role="radio"
+          aria-checked={style[key] === value}
+          type="button"
+        >
+          {capitalize(value)}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="captions-menu">
+      <button
+        className={`quality-toggle ${selected ? 'captions-on' : ''}`}
+        onClick={() => setOpen(!open)}
+        type="button"
+        aria-expanded={open}
+        aria-label="Captions"
+      >
+        {selected ? `CC ${selected.label}` : 'CC'}
+      </button>
+      {open && (
+        <div className="quality-list" role="menu">
+          <button
+            className={`quality-option ${!selected ? 'quality-selected' : ''}`}
+            onClick={() => choose(null)}
+            role="menuitemradio"
+            aria-checked={!selected}
+            type="button"
+          >
+            Off
+          </button>
+          {options.map(option => (
+            <button
+              key={option.language}
+              className={`quality-option ${selected === option ? 'quality-selected' : ''}`}
+              onClick={() => choose(option.language)}
+              role="menuitemradio"
+              aria-checked={selected === option}
+              type="button"
+            >
+              {option.label}
+            </button>
+          ))}
+          <div className="captions-style">
+            {renderChoices('size', CAPTION_SIZES)}
+            {renderChoices('background', CAPTION_BACKGROUNDS)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CaptionsMenu;
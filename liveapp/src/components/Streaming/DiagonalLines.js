@@ -0,0 +1,15 @@
+import React from 'react';
+
+// Brand colour bands behind the hold and lifecycle screens (styles in streaming.css)
+const DiagonalLines = () => (
+  <div className="diagonal-lines">
+    <div className="diagonal-line line-cyan-1" />
+    <div className="diagonal-line line-purple" />
+    <div className="diagonal-line line-lime" />
+    <div className="diagonal-line line-teal" />
+    <div className="diagonal-line line-red" />
+    <div className="diagonal-line line-cyan-2" />
+  </div>
+);
+
+export default DiagonalLines;
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { formatBehind } from '../../player';
+
+// Timeline over the live window: drag back to rewind, the LIVE badge shows
+// how far behind the live edge the viewer is, and "Go live" jumps back to it.
+// The scrubber follows the pointer while dragging and seeks once on release.
+function DvrControls({ dvr, onSeek, onGoLive }) {
+  const [dragging, setDragging] = useState(null);
+  if (!dvr.available) return null;
+
+  const { start, liveEdge, behind, atLive } = dvr;
+  const position = dragging === null ? dvr.position : dragging;
+  const progress = Math.min(100, Math.max(0, ((position - start) / (liveEdge - start)) * 100));
+
+  const commit = () => {
+    if (dragging === null) return;
+    onSeek(dragging);
+    setDragging(null);
+  };
+
+  return (
+    <div className="dvr-controls">
+      <input
+        className="dvr-scrubber"
+        type="range"
+        min={Math.floor(start)}
+        max={Math.ceil(liveEdge)}
+        step="1"
+        value={Math.round(position)}
+        onChange={e => setDragging(Number(e.target.value))}
+        onPointerUp={commit}
+        onKeyUp={commit}
+        onBlur={commit}
+        aria-label="Rewind"
+        aria-valuetext={atLive ? 'Live' : `${formatBehind(behind)} behind live`}
+        style={{ '--dvr-progress': `${progress}%` }}
+      />
+      <span className={`dvr-badge ${atLive ? 'dvr-at-live' : ''}`}>
+        LIVE
+        {!atLive && <span className="dvr-behind">{formatBehind(behind)}</span>}
+      </span>
+      {!atLive && (
+        <button className="dvr-go-live" onClick={onGoLive} type="button">
+          Go live
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default DvrControls;
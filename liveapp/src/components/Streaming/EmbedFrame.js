@@ -0,0 +1,63 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getEmbedAdapter, EMBED_LOAD_TIMEOUT } from '../../player';
+
+// One iframe source over the video slots. Muted while hidden where the
+// platform allows it, unloaded while hidden where it doesn't and nothing
+// needs it loaded (see embeds.js). The iframe can't say it failed, so no load
+// event in EMBED_LOAD_TIMEOUT is taken to mean it did.
+function EmbedFrame({ source, visible, onLog }) {
+  const adapter = useMemo(() => getEmbedAdapter(source), [source]);
+  const frameRef = useRef(null);
+  const [loaded, setLoaded] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const mounted = visible || adapter.keepLoaded;
+
+  useEffect(() => {
+    if (!mounted || loaded) return undefined;
+    const timer = setTimeout(() => {
+      setFailed(true);
+      onLog(`${source.label} did not load`, 'error');
+    }, EMBED_LOAD_TIMEOUT);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mounted, loaded]);
+
+  useEffect(() => {
+    if (!mounted) setLoaded(false);
+  }, [mounted]);
+
+  useEffect(() => {
+    const frame = frameRef.current;
+    if (!loaded || !adapter.muteMessage || !frame || !frame.contentWindow) return;
+    frame.contentWindow.postMessage(adapter.muteMessage(!visible), adapter.origin);
+  }, [loaded, visible, adapter]);
+
+  const handleLoad = () => {
+    setLoaded(true);
+    setFailed(false);
+  };
+
+  return (
+    <div className={`embed-container ${visible ? 'overlay-visible' : 'overlay-hidden'}`}>
+      {mounted && (
+        <iframe
+          ref={frameRef}
+          src={adapter.src}
+          title={source.label}
+          width="1280"
+          height="720"
+          frameBorder="0"
+          scrolling="no"
+          allowFullScreen
+          allow={adapter.allow}
+          onLoad={handleLoad}
+        />
+      )}
+      {failed && visible && (
+        <div className="embed-error" role="status">{source.label} is not loading. Try the player instead.</div>
+      )}
+    </div>
+  );
+}
+
+export default EmbedFrame;
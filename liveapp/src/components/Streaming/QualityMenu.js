@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { formatHeight } from '../../player';
+
+// Quality picker over the video: "Auto" plus each height the current source
+// offers, and a data-saver switch. Heights above the cap are shown disabled
+// so a viewer can see why 1080p isn't available.
+function QualityMenu({ offer, current, onSelect, onDataSaver }) {
+  const [open, setOpen] = useState(false);
+  const { options, height, dataSaver, maxHeight } = offer;
+  if (options.length === 0) return null;
+
+  const playing = current && current.height ? formatHeight(current.height) : null;
+  let summary = height ? formatHeight(height) : 'Auto';
+  if (!height && playing) summary = `Auto (${playing})`;
+
+  const choose = (next) => {
+    onSelect(next);
+    setOpen(false);
+  };
+
+  return (
+    <div className="quality-menu">
+      <button className="quality-toggle" onClick={() => setOpen(!open)} type="button" aria-expanded={open}>
+        {summary}
+      </button>
+      {open && (
+        <div className="quality-list" role="menu">
+          <button
+            className={`quality-option ${height === null ? 'quality-selected' : ''}`}
+            onClick={() => choose(null)}
+            role="menuitemradio"
+            aria-checked={height === null}
+            type="button"
+          >
+            Auto
+          </button>
+          {options.map(option => (
+            <button
+              key={option.height}
+              className={`quality-option ${height === option.height ? 'quality-selected' : ''}`}
+              onClick={() => choose(option.height)}
+              disabled={maxHeight !== null && option.height > maxHeight}
+              role="menuitemradio"
+              aria-checked={height === option.height}
+              type="button"
+            >
+              {option.label}
+            </button>
+          ))}
+          <label className="quality-saver">
+            <input type="checkbox" checked={dataSaver} onChange={e => onDataSaver(e.target.checked)} />
+            Data saver
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QualityMenu;
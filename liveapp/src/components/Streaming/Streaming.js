@@ -1,147 +1,84 @@
-import React, { useEffect, useReducer, useRef, useState } from 'react';
-import Hls from 'hls.js';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ResilientPlayer,
+  StabilityStore,
+  TabLeader,
+  TAB_LEADER_EVENTS,
+  PLAYER_EVENTS,
+  PHASES,
+  MAX_RETRIES,
+  initialState,
+  normalizeSources,
+  isEmbedSource,
+  getSourceLabel,
+  getSlotClass,
+  formatLatency,
+} from '../../player';
+import { attachTelemetry, attachHealth, HEALTH_VIEWS } from '../../telemetry';
+import { attachControl } from '../../control';
+import { DEFAULT_HOLD, DEFAULT_BRANDING } from '../../config';
+import DiagonalLines from './DiagonalLines';
+import QualityMenu from './QualityMenu';
+import DvrControls from './DvrControls';
+import EmbedFrame from './EmbedFrame';
+import CaptionsMenu, { CAPTION_SIZES, CAPTION_BACKGROUNDS, DEFAULT_CAPTION_STYLE } from './CaptionsMenu';
 import './streaming.css';
 
-// --- Phases & Actions ---
-const PHASES = {
-  CONNECTING: 'CONNECTING',
-  PLAYING: 'PLAYING',
-  SWITCHING: 'SWITCHING',
-  HOLD: 'HOLD',
-};
+// The viewer's quality choice outlives the page: hotel Wi-Fi is still hotel Wi-Fi tomorrow
+const QUALITY_KEY = 'liveapp.quality';
 
-const ACTIONS = {
-  CONNECT: 'CONNECT',
-  PLAY_STARTED: 'PLAY_STARTED',
-  AUTOPLAY_BLOCKED: 'AUTOPLAY_BLOCKED',
-  RETRY: 'RETRY',
-  SWITCH_START: 'SWITCH_START',
-  SWITCH_READY: 'SWITCH_READY',
-  SWITCH_COMPLETE: 'SWITCH_COMPLETE',
-  HOLD: 'HOLD',
-  PROBE_SUCCESS: 'PROBE_SUCCESS',
-  SWITCH_ABORT: 'SWITCH_ABORT',
+const loadQualityChoice = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(QUALITY_KEY));
+    return {
+      height: Number.isFinite(saved && saved.height) ? saved.height : null,
+      dataSaver: !!(saved && saved.dataSaver),
+    };
+  } catch (e) {
+    return { height: null, dataSaver: false };
+  }
 };
 
-// --- Constants ---
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 4000;
-const STALL_TIMEOUT = 20000;
-const BUFFER_ERROR_THRESHOLD = 5;
-const BACKGROUND_RETRY_DELAY = 30000;
-const STABILITY_WINDOW = 15000;
-const STABLE_THRESHOLD = 60000;
-const STABLE_MIN_FRAGS = 10;
-const SWITCH_TIMEOUT = 15000;
-const CROSSFADE_MS = 600;
-
-// --- Reducer ---
-const initialState = {
-  phase: PHASES.CONNECTING,
-  activeSource: 'primary',
-  standbySource: null,
-  activeSlot: 'A',
-  crossfading: false,
-  retryCount: 0,
-  needsUserInteraction: false,
+const saveQualityChoice = (choice) => {
+  try {
+    localStorage.setItem(QUALITY_KEY, JSON.stringify(choice));
+  } catch (e) {
+    // Storage blocked — the choice lasts for this page only
+  }
 };
 
-function streamReducer(state, action) {
-  switch (action.type) {
-    case ACTIONS.CONNECT:
-      return {
-        ...state,
-        phase: PHASES.CONNECTING,
-        activeSource: action.source,
-        standbySource: null,
-        crossfading: false,
-        needsUserInteraction: false,
-      };
-
-    case ACTIONS.PLAY_STARTED:
-      return { ...state, phase: PHASES.PLAYING, needsUserInteraction: false };
-
-    case ACTIONS.AUTOPLAY_BLOCKED:
-      return { ...state, phase: PHASES.PLAYING, needsUserInteraction: true };
-
-    case ACTIONS.RETRY:
-      return { ...state, phase: PHASES.CONNECTING, retryCount: state.retryCount + 1 };
-
-    case ACTIONS.SWITCH_START:
-      return { ...state, phase: PHASES.SWITCHING, standbySource: action.source, crossfading: false };
-
-    case ACTIONS.SWITCH_READY:
-      return { ...state, crossfading: true };
-
-    case ACTIONS.SWITCH_COMPLETE:
-      return {
-        ...state,
-        phase: PHASES.PLAYING,
-        activeSource: state.standbySource,
-        standbySource: null,
-        activeSlot: state.activeSlot === 'A' ? 'B' : 'A',
-        crossfading: false,
-        retryCount: 0,
-        needsUserInteraction: false,
-      };
-
-    case ACTIONS.SWITCH_ABORT:
-      return { ...state, phase: PHASES.PLAYING, standbySource: null, crossfading: false };
-
-    case ACTIONS.HOLD:
-      return {
-        ...state,
-        phase: PHASES.HOLD,
-        activeSource: 'hold',
-        standbySource: null,
-        crossfading: false,
-        retryCount: 0,
-      };
-
-    case ACTIONS.PROBE_SUCCESS:
-      return {
-        ...state,
-        phase: PHASES.CONNECTING,
-        activeSource: action.source,
-        standbySource: null,
-        crossfading: false,
-        retryCount: 0,
-      };
-
-    default:
-      return state;
-  }
-}
+// Caption language and style, kept the same way
+const CAPTIONS_KEY = 'liveapp.captions';
 
-// --- Pure helpers ---
-const selectBestCandidate = (failedSources, stabilityMap, urlMap) => {
-  return ['primary', 'secondary', 'tertiary']
-    .filter(s => !failedSources.has(s) && urlMap[s])
-    .sort((a, b) => {
-      const aMs = stabilityMap[a] || 0;
-      const bMs = stabilityMap[b] || 0;
-      const aStable = aMs >= STABLE_THRESHOLD;
-      const bStable = bMs >= STABLE_THRESHOLD;
-      if (aStable !== bStable) return bStable - aStable;
-      return bMs - aMs;
-    });
+const loadCaptionsChoice = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CAPTIONS_KEY)) || {};
+    return {
+      language: typeof saved.language === 'string' ? saved.language : null,
+      size: CAPTION_SIZES.includes(saved.size) ? saved.size : DEFAULT_CAPTION_STYLE.size,
+      background: CAPTION_BACKGROUNDS.includes(saved.background) ? saved.background : DEFAULT_CAPTION_STYLE.background,
+    };
+  } catch (e) {
+    return { language: null, ...DEFAULT_CAPTION_STYLE };
+  }
 };
 
-const getSourceLabel = (source) => {
-  const labels = {
-    primary: 'Primary (Amazon IVS)',
-    secondary: 'Backup (MUX)',
-    tertiary: 'Backup (MediaPackage)',
-    hold: 'None active',
-  };
-  return labels[source] || source;
+const saveCaptionsChoice = (choice) => {
+  try {
+    localStorage.setItem(CAPTIONS_KEY, JSON.stringify(choice));
+  } catch (e) {
+    // Storage blocked — the choice lasts for this page only
+  }
 };
 
-const getStatusLabel = (phase, needsInteraction) => {
+// --- Pure helpers ---
+const getStatusLabel = (phase, needsInteraction, holdLabel, audioOnly) => {
+  if (phase === PHASES.IDLE) return 'Stopped';
   if (phase === PHASES.CONNECTING) return 'Connecting...';
-  if (phase === PHASES.PLAYING) return needsInteraction ? 'Ready' : 'Live';
+  if (phase === PHASES.PLAYING && needsInteraction) return 'Ready';
+  if (phase === PHASES.PLAYING) return audioOnly ? 'Live (audio only)' : 'Live';
   if (phase === PHASES.SWITCHING) return 'Live (switching)';
-  if (phase === PHASES.HOLD) return 'Standby';
+  if (phase === PHASES.HOLD) return holdLabel;
   return 'Unknown';
 };
 
@@ -152,726 +89,310 @@ const getStatusClass = (phase) => {
   return '';
 };
 
-// Cache-bust playlist requests so CDN edge nodes serve fresh manifests
-// instead of stale cached content when a stream is cut
-const bustPlaylistCache = (xhr, url) => {
-  if (url.includes('.m3u8')) {
-    const sep = url.includes('?') ? '&' : '?';
-    xhr.open('GET', `${url}${sep}_cb=${Date.now()}`, true);
-  }
-};
-
-// --- HLS configs ---
-const HLS_CONFIG = {
-  enableWorker: true,
-  lowLatencyMode: false,
-  backBufferLength: 60,
-  maxBufferLength: 30,
-  maxMaxBufferLength: 60,
-  maxBufferSize: 60 * 1000 * 1000,
-  maxBufferHole: 1.0,
-  startLevel: -1,
-  abrEwmaDefaultEstimate: 500000,
-  abrBandWidthFactor: 0.8,
-  abrBandWidthUpFactor: 0.4,
-  fragLoadingTimeOut: 20000,
-  fragLoadingMaxRetry: 6,
-  fragLoadingRetryDelay: 2000,
-  manifestLoadingTimeOut: 20000,
-  manifestLoadingMaxRetry: 4,
-  levelLoadingTimeOut: 20000,
-  levelLoadingMaxRetry: 4,
-  xhrSetup: bustPlaylistCache,
-};
-
-const PROBE_HLS_CONFIG = {
-  enableWorker: false,
-  startLevel: 0,
-  manifestLoadingTimeOut: 10000,
-  manifestLoadingMaxRetry: 1,
-  levelLoadingTimeOut: 10000,
-  levelLoadingMaxRetry: 1,
-  fragLoadingTimeOut: 15000,
-  fragLoadingMaxRetry: 2,
-  maxBufferLength: 10,
-  maxMaxBufferLength: 15,
-  xhrSetup: bustPlaylistCache,
-};
-
 // =============================================================================
-// Component
+// Component — thin React shell over ResilientPlayer
 // =============================================================================
-function Streaming({ primaryUrl, secondaryUrl, tertiaryUrl, teamsUrl, showDebug = true }) {
-  const [state, dispatch] = useReducer(streamReducer, initialState);
-  const stateRef = useRef(state);
-  stateRef.current = state;
-
+function Streaming({
+  sources,
+  telemetry = null,
+  control = null,
+  healthCheck = null,
+  probe = {},
+  staleManifest = {},
+  playheadSync = {},
+  quality = {},
+  audioFallback = null,
+  dvr = false,
+  showDebug = true,
+  hold = DEFAULT_HOLD,
+  logoText = DEFAULT_BRANDING.logoText,
+  holdLabel = 'Standby',
+  holdNotice = null,
+  banner = null,
+}) {
+  const [state, setState] = useState(initialState);
   const [isDebugExpanded, setIsDebugExpanded] = useState(true);
   const [logs, setLogs] = useState([]);
-  const [showTeams, setShowTeams] = useState(false);
+  const [manualEmbed, setManualEmbed] = useState(null); // the iframe source the viewer picked
+  const [stability, setStability] = useState({ stability: {}, failed: [] });
+  const [isFollower, setIsFollower] = useState(false);
+  const [qualityOffer, setQualityOffer] = useState({ options: [], height: null, dataSaver: false, maxHeight: null });
+  const [currentQuality, setCurrentQuality] = useState(null);
+  const [dvrState, setDvrState] = useState({ available: false });
+  const [latency, setLatency] = useState({ latency: null, target: null });
+  const [captionsOffer, setCaptionsOffer] = useState({ options: [], language: null });
+  const [captionStyle, setCaptionStyle] = useState(() => {
+    const { size, background } = loadCaptionsChoice();
+    return { size, background };
+  });
 
-  // Dual video slots
   const videoSlotARef = useRef(null);
   const videoSlotBRef = useRef(null);
-  const hlsSlotARef = useRef(null);
-  const hlsSlotBRef = useRef(null);
-  const listenersSlotARef = useRef([]);
-  const listenersSlotBRef = useRef([]);
-  const bufErrSlotARef = useRef(0);
-  const bufErrSlotBRef = useRef(0);
-  const stallSlotARef = useRef(null);
-  const stallSlotBRef = useRef(null);
-
-  // Shared
-  const retryTimerRef = useRef(null);
-  const heartbeatRef = useRef(null);
-  const switchTimerRef = useRef(null);
-  const lastFragTimeRef = useRef(Date.now());
-  const playStartRef = useRef(null);
-  const lastCTRef = useRef(0);
-  const maxCTRef = useRef(0);
-  const loopCntRef = useRef(0);
-  const tabVisRef = useRef(true);
-  const mountedRef = useRef(true);
-
-  // Probe
-  const probeHlsRef = useRef([]);
-  const probeTimerRef = useRef(null);
-  const probeVidsRef = useRef([]);
-
-  // Stability
-  const stabilityRef = useRef({ primary: 0, secondary: 0, tertiary: 0 });
-  const failedRef = useRef(new Set());
-
-  const urlMap = { primary: primaryUrl, secondary: secondaryUrl, tertiary: tertiaryUrl };
-
-  // --- Slot helpers ---
-  const slot = (s) => ({
-    video: s === 'A' ? videoSlotARef : videoSlotBRef,
-    hls: s === 'A' ? hlsSlotARef : hlsSlotBRef,
-    listeners: s === 'A' ? listenersSlotARef : listenersSlotBRef,
-    bufErr: s === 'A' ? bufErrSlotARef : bufErrSlotBRef,
-    stall: s === 'A' ? stallSlotARef : stallSlotBRef,
-  });
-
-  const standbySlot = () => stateRef.current.activeSlot === 'A' ? 'B' : 'A';
+  const playerRef = useRef(null);
+  const tabLeaderRef = useRef(null);
+  const manualEmbedRef = useRef(null);
 
-  // --- Logging ---
-  const addLog = (message, type = 'info') => {
-    if (!mountedRef.current) return;
-    const time = new Date().toLocaleTimeString('en-GB', {
-      hour: '2-digit', minute: '2-digit', second: '2-digit',
+  // --- Player lifecycle ---
+  useEffect(() => {
+    // Shared with earlier page loads and other tabs, so a refresh mid-event
+    // goes straight to the source that has been working
+    const stabilityStore = new StabilityStore();
+    const player = new ResilientPlayer({
+      videoA: videoSlotARef.current,
+      videoB: videoSlotBRef.current,
+      sources,
+      healthCheck,
+      probe,
+      staleManifest,
+      playheadSync,
+      stabilityStore,
+      quality,
+      audioFallback,
+      dvr,
     });
-    setLogs(prev => [...prev.slice(-19), { time, message, type }]);
-  };
-
-  // --- Cleanup ---
-  const destroySlot = (s) => {
-    const r = slot(s);
-    if (r.stall.current) { clearTimeout(r.stall.current); r.stall.current = null; }
-    r.listeners.current.forEach(({ element, event, handler }) => {
-      element.removeEventListener(event, handler);
+    playerRef.current = player;
+    const savedQuality = loadQualityChoice();
+    player.setQuality(savedQuality.height);
+    player.setDataSaver(savedQuality.dataSaver);
+    player.setCaptions(loadCaptionsChoice().language);
+
+    player.on(PLAYER_EVENTS.STATE_CHANGE, setState);
+    player.on(PLAYER_EVENTS.STABILITY, setStability);
+    player.on(PLAYER_EVENTS.QUALITY_OPTIONS, setQualityOffer);
+    player.on(PLAYER_EVENTS.QUALITY, setCurrentQuality);
+    player.on(PLAYER_EVENTS.CAPTION_OPTIONS, setCaptionsOffer);
+    player.on(PLAYER_EVENTS.DVR, setDvrState);
+    player.on(PLAYER_EVENTS.LATENCY, setLatency);
+    player.on(PLAYER_EVENTS.LOG, (entry) => {
+      setLogs(prev => [...prev.slice(-19), entry]);
     });
-    r.listeners.current = [];
-    r.bufErr.current = 0;
-    if (r.hls.current) { r.hls.current.destroy(); r.hls.current = null; }
-    if (r.video.current) { r.video.current.removeAttribute('src'); r.video.current.load(); }
-  };
-
-  const clearShared = () => {
-    if (retryTimerRef.current) { clearTimeout(retryTimerRef.current); retryTimerRef.current = null; }
-    if (heartbeatRef.current) { clearInterval(heartbeatRef.current); heartbeatRef.current = null; }
-    if (switchTimerRef.current) { clearTimeout(switchTimerRef.current); switchTimerRef.current = null; }
-  };
-
-  const destroyProbe = () => {
-    if (probeTimerRef.current) { clearTimeout(probeTimerRef.current); probeTimerRef.current = null; }
-    probeHlsRef.current.forEach(p => { try { p.destroy(); } catch (e) { /* */ } });
-    probeHlsRef.current = [];
-    probeVidsRef.current.forEach(v => { v.removeAttribute('src'); v.load(); });
-    probeVidsRef.current = [];
-  };
-
-  const destroyAll = () => { clearShared(); destroySlot('A'); destroySlot('B'); destroyProbe(); };
-
-  // --- Heartbeat ---
-  const startHeartbeat = () => {
-    if (heartbeatRef.current) clearInterval(heartbeatRef.current);
-    lastCTRef.current = 0;
-    maxCTRef.current = 0;
-    loopCntRef.current = 0;
-
-    heartbeatRef.current = setInterval(() => {
-      if (!mountedRef.current) return;
-      const s = stateRef.current;
-      if (s.phase !== PHASES.PLAYING && s.phase !== PHASES.SWITCHING) return;
-      if (!tabVisRef.current) return;
-
-      const v = slot(s.activeSlot).video.current;
-      if (!v) return;
-      const ct = v.currentTime;
-
-      if (lastCTRef.current > 0 && ct === lastCTRef.current) {
-        addLog('Heartbeat: playback frozen', 'warning');
-        const r = slot(s.activeSlot);
-        r.bufErr.current += 2;
-        if (r.bufErr.current >= BUFFER_ERROR_THRESHOLD) {
-          r.bufErr.current = 0;
-          handleError(s.activeSlot, 'Stream frozen — video not advancing', true);
-        }
-      } else if (maxCTRef.current > 0 && ct < maxCTRef.current - 3) {
-        loopCntRef.current += 1;
-        addLog(`Cache loop detected — time jumped back (${Math.round(ct)}s < ${Math.round(maxCTRef.current)}s, count: ${loopCntRef.current})`, 'warning');
-        if (loopCntRef.current >= 2) {
-          loopCntRef.current = 0;
-          handleError(stateRef.current.activeSlot, 'Stream looping cached content — source likely offline', true);
+    const detachTelemetry = telemetry ? attachTelemetry(player, telemetry) : null;
+
+    // Only one tab per browser plays; the others wait behind an overlay and
+    // send no health reports, so one viewer counts once on the dashboard
+    const tabLeader = new TabLeader();
+    tabLeaderRef.current = tabLeader;
+    let detachHealth = null;
+    tabLeader.on(TAB_LEADER_EVENTS.CHANGE, ({ leader }) => {
+      setIsFollower(!leader);
+      if (leader) {
+        if (telemetry) {
+          // The viewer's pick, else the one the player fell back to
+          const getEmbed = () => manualEmbedRef.current || (player.getState().embed ? player.getState().activeSource : null);
+          detachHealth = attachHealth(player, telemetry, {
+            getView: () => (getEmbed() ? HEALTH_VIEWS.EMBED : HEALTH_VIEWS.PLAYER),
+            getEmbed,
+          });
         }
+        player.start();
       } else {
-        lastCTRef.current = ct;
-        if (ct > maxCTRef.current) { maxCTRef.current = ct; loopCntRef.current = 0; }
+        player.stop();
+        player.log('Playing in another tab', 'info');
+        if (detachHealth) { detachHealth(); detachHealth = null; }
       }
-    }, 5000);
-  };
+    });
+    tabLeader.start();
 
-  // --- Playback ---
-  const attemptPlay = async (s) => {
-    const v = slot(s).video.current;
-    if (!v) return false;
-
-    try {
-      await v.play();
-      if (!mountedRef.current) return false;
-      dispatch({ type: ACTIONS.PLAY_STARTED });
-      addLog('Stream playing successfully', 'success');
-      startHeartbeat();
-      return true;
-    } catch (err) {
-      if (!mountedRef.current) return false;
-      if (err?.name === 'NotAllowedError') {
-        dispatch({ type: ACTIONS.AUTOPLAY_BLOCKED });
-        addLog('Click required to start playback', 'warning');
-        startHeartbeat();
-        return true;
-      }
-      addLog(`Playback failed: ${err.message}`, 'error');
-      return false;
-    }
-  };
+    return () => {
+      tabLeader.stop();
+      tabLeaderRef.current = null;
+      if (detachHealth) detachHealth();
+      if (detachTelemetry) detachTelemetry();
+      player.destroy();
+      stabilityStore.close();
+      playerRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
-  // --- Error handling ---
-  const handleError = (errorSlot, msg, isFatal = true) => {
-    if (!mountedRef.current) return;
-    addLog(msg, 'error');
-    if (!isFatal) return;
-
-    const s = stateRef.current;
-
-    // Error on standby during switching → abort switch, try next
-    if (s.phase === PHASES.SWITCHING && errorSlot !== s.activeSlot) {
-      addLog('Standby source failed — aborting switch', 'warning');
-      if (switchTimerRef.current) { clearTimeout(switchTimerRef.current); switchTimerRef.current = null; }
-      destroySlot(errorSlot);
-      dispatch({ type: ACTIONS.SWITCH_ABORT });
-
-      failedRef.current.add(s.standbySource);
-      const next = selectBestCandidate(failedRef.current, stabilityRef.current, urlMap);
-      if (next.length > 0) {
-        addLog(`Trying ${next[0]} instead...`, 'warning');
-        setTimeout(() => {
-          if (!mountedRef.current) return;
-          initStandby(urlMap[next[0]], next[0]);
-        }, RETRY_DELAY);
-      }
-      return;
+  useEffect(() => {
+    if (playerRef.current) playerRef.current.setSources(sources);
+  }, [sources]);
+
+  // Kept stable across renders so EmbedFrame's adapter isn't rebuilt each time
+  const sourceList = useMemo(() => normalizeSources(sources), [sources]);
+  const embedSources = sourceList.filter(isEmbedSource);
+  const videoSources = sourceList.filter(s => !isEmbedSource(s));
+
+  // null goes back to the player
+  const setEmbedView = useCallback((id) => {
+    setManualEmbed(id);
+    manualEmbedRef.current = id;
+    const player = playerRef.current;
+    if (player) {
+      player.setMuted(!!id);
+      player.log(id ? `Switched to ${getSourceLabel(sourceList, id)}` : 'Switched to player', 'info');
     }
+  }, [sourceList]);
 
-    // Error on active slot
-    const source = s.activeSource;
-    const retries = s.retryCount;
-
-    if (retries < MAX_RETRIES) {
-      dispatch({ type: ACTIONS.RETRY });
-      addLog(`Retrying ${source} stream (attempt ${retries + 1}/${MAX_RETRIES})...`, 'warning');
-      clearShared();
-      destroySlot(s.activeSlot);
-
-      retryTimerRef.current = setTimeout(() => {
-        if (!mountedRef.current) return;
-        initStream(urlMap[source], source, stateRef.current.activeSlot);
-      }, RETRY_DELAY);
-    } else {
-      if (playStartRef.current) {
-        const elapsed = Date.now() - playStartRef.current;
-        stabilityRef.current[source] = Math.max(stabilityRef.current[source] || 0, elapsed);
-        addLog(`${source} was stable for ${Math.round(elapsed / 1000)}s`, 'info');
-      }
-      failedRef.current.add(source);
-
-      const candidates = selectBestCandidate(failedRef.current, stabilityRef.current, urlMap);
-
-      if (candidates.length > 0) {
-        const next = candidates[0];
-        const stab = stabilityRef.current[next] || 0;
-        const label = stab >= STABLE_THRESHOLD
-          ? `most stable (${Math.round(stab / 1000)}s uptime)` : 'next available';
-        addLog(`Switching to ${next} — ${label}`, 'warning');
-
-        if (s.phase === PHASES.PLAYING || s.phase === PHASES.SWITCHING) {
-          initStandby(urlMap[next], next);
-        } else {
-          destroySlot(s.activeSlot);
-          dispatch({ type: ACTIONS.CONNECT, source: next });
-          initStream(urlMap[next], next, s.activeSlot);
-        }
-      } else {
-        failedRef.current.clear();
-        goHold();
-      }
-    }
-  };
+  // Operator directives (force / block / hold / Teams) from the control feed.
+  // The Teams directive opens the source called "teams", else the first iframe source.
+  const directed = embedSources.find(s => s.id === 'teams') || embedSources[0];
+  const directedEmbed = directed ? directed.id : null;
+  useEffect(() => {
+    if (!control || !playerRef.current) return undefined;
+    return attachControl(playerRef.current, control, {
+      onTeams: on => directedEmbed && setEmbedView(on ? directedEmbed : null),
+    });
+  }, [control, directedEmbed, setEmbedView]);
 
-  // --- Hold ---
-  const goHold = () => {
-    destroyAll();
-    addLog('All streams unavailable. Showing hold screen.', 'error');
-    dispatch({ type: ACTIONS.HOLD });
-    scheduleProbe();
+  // --- User interaction ---
+  const handlePlayClick = () => {
+    if (playerRef.current) playerRef.current.play();
   };
 
-  // --- Background probe ---
-  const scheduleProbe = () => {
-    if (retryTimerRef.current) { clearTimeout(retryTimerRef.current); retryTimerRef.current = null; }
-
-    retryTimerRef.current = setTimeout(() => {
-      if (!mountedRef.current) return;
-      const cands = Object.entries(urlMap).filter(([, u]) => u);
-      destroyProbe();
-
-      if (cands.length === 0 || !Hls.isSupported()) { scheduleProbe(); return; }
-
-      addLog(`Probing ${cands.length} stream source(s)...`, 'info');
-      const frags = {};
-      let resolved = false;
-
-      cands.forEach(([src, url]) => {
-        frags[src] = 0;
-        const probe = new Hls(PROBE_HLS_CONFIG);
-        probeHlsRef.current.push(probe);
-        const pv = document.createElement('video');
-        probeVidsRef.current.push(pv);
-        probe.loadSource(url);
-        probe.attachMedia(pv);
-        probe.on(Hls.Events.FRAG_LOADED, () => { frags[src] += 1; });
-        probe.on(Hls.Events.ERROR, (_, d) => { if (d.fatal) frags[src] = -1; });
-      });
-
-      probeTimerRef.current = setTimeout(() => {
-        if (!mountedRef.current || resolved) return;
-        const results = Object.entries(frags)
-          .filter(([, c]) => c >= STABLE_MIN_FRAGS)
-          .sort(([, a], [, b]) => b - a);
-
-        if (results.length > 0) {
-          resolved = true;
-          const [best] = results[0];
-          addLog(`${best} stream stable (${frags[best]} fragments in ${STABLE_THRESHOLD / 1000}s). Switching...`, 'success');
-          destroyProbe();
-          failedRef.current.clear();
-          dispatch({ type: ACTIONS.PROBE_SUCCESS, source: best });
-          initStream(urlMap[best], best, stateRef.current.activeSlot);
-        } else {
-          addLog('No stable stream found, will retry...', 'warning');
-          destroyProbe();
-          scheduleProbe();
-        }
-      }, STABLE_THRESHOLD);
-    }, BACKGROUND_RETRY_DELAY);
+  const handleQuality = (height) => {
+    if (playerRef.current) playerRef.current.setQuality(height);
+    saveQualityChoice({ height, dataSaver: qualityOffer.dataSaver });
   };
 
-  // --- Init stream on a specific slot (break-before-make path) ---
-  const initStream = (url, source, targetSlot) => {
-    destroySlot(targetSlot);
-    clearShared();
-    lastFragTimeRef.current = Date.now();
-    playStartRef.current = null;
-
-    const r = slot(targetSlot);
-    const ve = r.video.current;
-    if (!ve) return;
-
-    addLog(`Connecting to ${source} stream...`, 'info');
-
-    const onEnded = () => {
-      addLog('Stream ended — source stopped broadcasting', 'warning');
-      handleError(targetSlot, 'Stream ended', true);
-    };
-    ve.addEventListener('ended', onEnded);
-    r.listeners.current.push({ element: ve, event: 'ended', handler: onEnded });
-
-    if (Hls.isSupported()) {
-      const hls = new Hls(HLS_CONFIG);
-      r.hls.current = hls;
-      hls.loadSource(url);
-      hls.attachMedia(ve);
-
-      hls.on(Hls.Events.MANIFEST_PARSED, () => {
-        if (!mountedRef.current) return;
-        addLog('Stream manifest loaded', 'success');
-        playStartRef.current = Date.now();
-        attemptPlay(targetSlot);
-      });
-
-      hls.on(Hls.Events.LEVEL_SWITCHED, (_, d) => { addLog(`Quality: Level ${d.level}`, 'info'); });
-
-      hls.on(Hls.Events.ERROR, (_, data) => {
-        if (!mountedRef.current) return;
-        const isStall = data.details === 'bufferStalledError' || data.details === 'bufferNudgeOnStall';
-
-        if (data.fatal) {
-          if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
-            addLog('Media error - attempting recovery...', 'warning');
-            hls.recoverMediaError();
-          } else if (data.type === Hls.ErrorTypes.NETWORK_ERROR) {
-            handleError(targetSlot, `Network error: ${data.details}`, true);
-          } else {
-            handleError(targetSlot, `Stream error: ${data.details}`, true);
-          }
-        } else if (isStall) {
-          const since = playStartRef.current ? Date.now() - playStartRef.current : 0;
-          if (since < STABILITY_WINDOW) {
-            addLog(`Buffer stall (stabilising, ${Math.round((STABILITY_WINDOW - since) / 1000)}s grace remaining)`, 'warning');
-            return;
-          }
-          r.bufErr.current += 1;
-          const sinceF = Date.now() - lastFragTimeRef.current;
-          addLog(`Buffer stall (${r.bufErr.current}/${BUFFER_ERROR_THRESHOLD})`, 'warning');
-          if (r.bufErr.current >= BUFFER_ERROR_THRESHOLD || sinceF > STALL_TIMEOUT) {
-            r.bufErr.current = 0;
-            handleError(targetSlot, 'Stream unresponsive - too many buffer stalls', true);
-          }
-        } else {
-          addLog(`Minor issue: ${data.details}`, 'warning');
-        }
-      });
-
-      hls.on(Hls.Events.FRAG_LOADED, () => {
-        r.bufErr.current = 0;
-        lastFragTimeRef.current = Date.now();
-        if (r.stall.current) clearTimeout(r.stall.current);
-        r.stall.current = setTimeout(() => {
-          if (!mountedRef.current) return;
-          const st = stateRef.current;
-          if (st.phase !== PHASES.PLAYING && st.phase !== PHASES.SWITCHING) return;
-          const since = playStartRef.current ? Date.now() - playStartRef.current : 0;
-          if (since < STABILITY_WINDOW) return;
-          handleError(targetSlot, 'Stream stalled - no data received', true);
-        }, STALL_TIMEOUT);
-      });
-
-    } else if (ve.canPlayType('application/vnd.apple.mpegurl')) {
-      ve.src = url;
-      const onMeta = () => { if (mountedRef.current) { addLog('Stream metadata loaded (native HLS)', 'success'); attemptPlay(targetSlot); } };
-      const onErr = () => { handleError(targetSlot, 'Native playback error', true); };
-      ve.addEventListener('loadedmetadata', onMeta);
-      ve.addEventListener('error', onErr);
-      r.listeners.current.push(
-        { element: ve, event: 'loadedmetadata', handler: onMeta },
-        { element: ve, event: 'error', handler: onErr },
-      );
-    } else {
-      handleError(targetSlot, 'HLS not supported in this browser', true);
-    }
+  const handleDataSaver = (on) => {
+    if (playerRef.current) playerRef.current.setDataSaver(on);
+    saveQualityChoice({ height: qualityOffer.height, dataSaver: on });
   };
 
-  // --- Make-before-break: load on standby slot ---
-  const initStandby = (url, source) => {
-    const sbSlot = standbySlot();
-    destroySlot(sbSlot);
-    dispatch({ type: ACTIONS.SWITCH_START, source });
-
-    const r = slot(sbSlot);
-    const ve = r.video.current;
-    if (!ve) return;
-
-    addLog(`Pre-loading ${source} on standby...`, 'info');
-    ve.muted = true;
-
-    let ready = false;
-    let gotManifest = false;
-    let gotFrag = false;
-
-    const tryReady = () => {
-      if (ready || !gotManifest || !gotFrag) return;
-      ready = true;
-      ve.play().then(() => {
-        if (mountedRef.current) beginCrossfade(sbSlot);
-      }).catch(() => {
-        if (mountedRef.current) beginCrossfade(sbSlot);
-      });
-    };
-
-    const onEnded = () => { handleError(sbSlot, 'Standby stream ended', true); };
-    ve.addEventListener('ended', onEnded);
-    r.listeners.current.push({ element: ve, event: 'ended', handler: onEnded });
-
-    if (Hls.isSupported()) {
-      const hls = new Hls(HLS_CONFIG);
-      r.hls.current = hls;
-      hls.loadSource(url);
-      hls.attachMedia(ve);
-
-      hls.on(Hls.Events.MANIFEST_PARSED, () => {
-        if (!mountedRef.current) return;
-        addLog(`Standby ${source}: manifest loaded`, 'success');
-        gotManifest = true;
-        tryReady();
-      });
-
-      hls.on(Hls.Events.FRAG_LOADED, () => {
-        if (!gotFrag) {
-          addLog(`Standby ${source}: first fragment loaded`, 'success');
-          gotFrag = true;
-          tryReady();
-        }
-      });
-
-      hls.on(Hls.Events.ERROR, (_, d) => {
-        if (!mountedRef.current) return;
-        if (d.fatal) handleError(sbSlot, `Standby error: ${d.details}`, true);
-      });
-
-    } else if (ve.canPlayType('application/vnd.apple.mpegurl')) {
-      ve.src = url;
-      const onCanPlay = () => {
-        if (!mountedRef.current) return;
-        addLog(`Standby ${source}: ready (native HLS)`, 'success');
-        gotManifest = true;
-        gotFrag = true;
-        tryReady();
-      };
-      const onErr = () => { handleError(sbSlot, 'Standby native playback error', true); };
-      ve.addEventListener('canplay', onCanPlay);
-      ve.addEventListener('error', onErr);
-      r.listeners.current.push(
-        { element: ve, event: 'canplay', handler: onCanPlay },
-        { element: ve, event: 'error', handler: onErr },
-      );
-    }
-
-    // Safety valve
-    if (switchTimerRef.current) clearTimeout(switchTimerRef.current);
-    switchTimerRef.current = setTimeout(() => {
-      if (!mountedRef.current) return;
-      if (!ready) {
-        addLog('Standby source failed to load in time — falling back', 'warning');
-        handleError(sbSlot, 'Switch timeout — standby not ready', true);
-      }
-    }, SWITCH_TIMEOUT);
+  const handleCaptions = (language) => {
+    if (playerRef.current) playerRef.current.setCaptions(language);
+    saveCaptionsChoice({ language, ...captionStyle });
   };
 
-  // --- Crossfade ---
-  const beginCrossfade = (inSlot) => {
-    if (!mountedRef.current) return;
-    if (stateRef.current.phase !== PHASES.SWITCHING) return;
-
-    if (switchTimerRef.current) { clearTimeout(switchTimerRef.current); switchTimerRef.current = null; }
-
-    const outSlot = stateRef.current.activeSlot;
-    const outVid = slot(outSlot).video.current;
-    const inVid = slot(inSlot).video.current;
-
-    if (outVid) outVid.muted = true;
-    if (inVid) inVid.muted = false;
-
-    addLog('Crossfading to new source...', 'info');
-    dispatch({ type: ACTIONS.SWITCH_READY });
-
-    const onEnd = (e) => {
-      if (e.propertyName !== 'opacity') return;
-      inVid.removeEventListener('transitionend', onEnd);
-      finishCrossfade(outSlot);
-    };
-    if (inVid) inVid.addEventListener('transitionend', onEnd);
-
-    // Safety: complete after CROSSFADE_MS + buffer in case transitionend doesn't fire
-    setTimeout(() => {
-      if (!mountedRef.current) return;
-      const s = stateRef.current;
-      if (s.phase === PHASES.SWITCHING && s.crossfading) {
-        if (inVid) inVid.removeEventListener('transitionend', onEnd);
-        finishCrossfade(outSlot);
-      }
-    }, CROSSFADE_MS + 200);
+  const handleCaptionStyle = (next) => {
+    setCaptionStyle(next);
+    saveCaptionsChoice({ language: captionsOffer.language, ...next });
   };
 
-  const finishCrossfade = (outSlot) => {
-    if (!mountedRef.current) return;
-    addLog('Source switch complete', 'success');
-    destroySlot(outSlot);
-    dispatch({ type: ACTIONS.SWITCH_COMPLETE });
-    playStartRef.current = Date.now();
-    startHeartbeat();
+  const handleSeek = (time) => {
+    if (playerRef.current) playerRef.current.seek(time);
   };
 
-  // --- Main effect ---
-  useEffect(() => {
-    mountedRef.current = true;
-    addLog('Initializing stream player...', 'info');
-    initStream(primaryUrl, 'primary', 'A');
-
-    const onVis = () => {
-      tabVisRef.current = !document.hidden;
-      if (document.hidden) {
-        addLog('Tab hidden — pausing stall detection', 'info');
-        if (stallSlotARef.current) { clearTimeout(stallSlotARef.current); stallSlotARef.current = null; }
-        if (stallSlotBRef.current) { clearTimeout(stallSlotBRef.current); stallSlotBRef.current = null; }
-      } else {
-        addLog('Tab visible — resuming monitoring', 'info');
-        lastFragTimeRef.current = Date.now();
-        const av = stateRef.current.activeSlot === 'A' ? videoSlotARef.current : videoSlotBRef.current;
-        lastCTRef.current = av?.currentTime || 0;
-        maxCTRef.current = av?.currentTime || 0;
-        loopCntRef.current = 0;
-        bufErrSlotARef.current = 0;
-        bufErrSlotBRef.current = 0;
-      }
-    };
-
-    const onOnline = () => {
-      addLog('Network restored', 'info');
-      const s = stateRef.current;
-      if (s.phase === PHASES.HOLD || s.phase === PHASES.CONNECTING) {
-        addLog('Attempting immediate reconnection...', 'info');
-        destroyProbe();
-        clearShared();
-        failedRef.current.clear();
-        const best = selectBestCandidate(new Set(), stabilityRef.current, urlMap);
-        if (best.length > 0) {
-          dispatch({ type: ACTIONS.CONNECT, source: best[0] });
-          initStream(urlMap[best[0]], best[0], s.activeSlot);
-        }
-      }
-    };
-
-    const onOffline = () => { addLog('Network lost', 'error'); };
-
-    document.addEventListener('visibilitychange', onVis);
-    window.addEventListener('online', onOnline);
-    window.addEventListener('offline', onOffline);
-
-    return () => {
-      mountedRef.current = false;
-      destroyAll();
-      document.removeEventListener('visibilitychange', onVis);
-      window.removeEventListener('online', onOnline);
-      window.removeEventListener('offline', onOffline);
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
-
-  // --- User interaction ---
-  const handlePlayClick = () => {
-    const s = stateRef.current;
-    const v = slot(s.activeSlot).video.current;
-    if (v) {
-      v.play().then(() => { dispatch({ type: ACTIONS.PLAY_STARTED }); }).catch(() => {});
-    }
+  const handleGoLive = () => {
+    if (playerRef.current) playerRef.current.goLive();
   };
 
-  const toggleTeams = () => {
-    setShowTeams(prev => {
-      const next = !prev;
-      const v = slot(stateRef.current.activeSlot).video.current;
-      if (v) v.muted = next;
-      addLog(next ? 'Switched to Teams view' : 'Switched to HLS player', 'info');
-      return next;
-    });
+  const handleTakeOver = () => {
+    if (tabLeaderRef.current) tabLeaderRef.current.takeOver();
   };
 
   // --- Render ---
-  const { phase, activeSlot, crossfading, activeSource, needsUserInteraction, retryCount } = state;
-
-  const videoClass = (s) => {
-    if (crossfading && activeSlot === s) return 'video-slot video-fade-out';
-    if (crossfading && activeSlot !== s) return 'video-slot video-fade-in';
-    if (activeSlot === s && (phase === PHASES.PLAYING || phase === PHASES.SWITCHING || phase === PHASES.CONNECTING)) return 'video-slot video-active';
-    return 'video-slot video-standby';
-  };
+  const {
+    phase, activeSlot, activeSource, needsUserInteraction, retryCount, audioOnly, crossfading, embed,
+  } = state;
+  // An iframe source is on screen when the viewer chose it or the player fell back to it
+  const visibleEmbed = manualEmbed || (embed ? activeSource : null);
+  const isFirstSource = !activeSource || (videoSources.length > 0 && activeSource === videoSources[0].id);
 
   return (
     <>
-      {teamsUrl && (
+      {embedSources.length > 0 && (
         <div className="source-toggle">
           <button
-            className={`toggle-btn ${!showTeams ? 'toggle-active' : ''}`}
-            onClick={() => showTeams && toggleTeams()}
-            type="button"
-          >
-            HLS Player
-          </button>
-          <button
-            className={`toggle-btn ${showTeams ? 'toggle-active' : ''}`}
-            onClick={() => !showTeams && toggleTeams()}
+            className={`toggle-btn ${!visibleEmbed ? 'toggle-active' : ''}`}
+            onClick={() => manualEmbed && setEmbedView(null)}
             type="button"
           >
-            Teams
+            Player
           </button>
+          {embedSources.map(src => (
+            <button
+              key={src.id}
+              className={`toggle-btn ${visibleEmbed === src.id ? 'toggle-active' : ''}`}
+              onClick={() => visibleEmbed !== src.id && setEmbedView(src.id)}
+              type="button"
+            >
+              {src.label}
+            </button>
+          ))}
         </div>
       )}
 
-      <div className="streaming-wrapper">
+      <div className={`streaming-wrapper captions-size-${captionStyle.size} captions-bg-${captionStyle.background}`}>
         <video
           ref={videoSlotARef}
-          className={videoClass('A')}
-          controls={!showTeams && activeSlot === 'A' && phase === PHASES.PLAYING && !needsUserInteraction}
+          className={getSlotClass(state, 'A')}
+          controls={!manualEmbed && activeSlot === 'A' && phase === PHASES.PLAYING && !needsUserInteraction}
           playsInline
         />
         <video
           ref={videoSlotBRef}
-          className={videoClass('B')}
-          controls={!showTeams && activeSlot === 'B' && phase === PHASES.PLAYING && !needsUserInteraction}
+          className={getSlotClass(state, 'B')}
+          controls={!manualEmbed && activeSlot === 'B' && phase === PHASES.PLAYING && !needsUserInteraction}
           playsInline
         />
 
-        {teamsUrl && (
-          <div className={`teams-container ${showTeams ? 'overlay-visible' : 'overlay-hidden'}`}>
-            <iframe
-              src={teamsUrl}
-              title="Teams Live Stream"
-              width="1280"
-              height="720"
-              frameBorder="0"
-              scrolling="no"
-              allowFullScreen
-              allow="autoplay; camera; microphone"
-            />
+        {!isFollower && embedSources.map(src => (
+          <EmbedFrame
+            key={src.id}
+            source={src}
+            visible={visibleEmbed === src.id}
+            onLog={(message, type) => playerRef.current && playerRef.current.log(message, type)}
+          />
+        ))}
+
+        <div className={`hold-screen ${!visibleEmbed && phase === PHASES.HOLD ? 'overlay-visible' : 'overlay-hidden'}`}>
+          <DiagonalLines />
+          {holdNotice && (
+            <div className={`hold-notice notice-${holdNotice.level}`} role="status">{holdNotice.text}</div>
+          )}
+          <div className="hold-branding">
+            {hold.tagline && <div className="hold-tagline">{hold.tagline}</div>}
+            <div className="hold-logo">{logoText}</div>
+            {hold.message && <div className="hold-message">{hold.message}</div>}
           </div>
-        )}
+        </div>
 
-        <div className={`hold-screen ${!showTeams && phase === PHASES.HOLD ? 'overlay-visible' : 'overlay-hidden'}`}>
-          <div className="diagonal-lines">
-            <div className="diagonal-line line-cyan-1" />
-            <div className="diagonal-line line-purple" />
-            <div className="diagonal-line line-lime" />
-            <div className="diagonal-line line-teal" />
-            <div className="diagonal-line line-red" />
-            <div className="diagonal-line line-cyan-2" />
-          </div>
+        {/* Audio only: branded like hold, fading out as the video fades back in */}
+        <div className={`hold-screen audio-only-screen ${!manualEmbed && audioOnly && !crossfading && phase !== PHASES.CONNECTING ? 'overlay-visible' : 'overlay-hidden'}`}>
+          <DiagonalLines />
+          <div className="audio-only-label" role="status">Audio only — video will resume</div>
           <div className="hold-branding">
-            <div className="hold-tagline">Innovating to Impact</div>
-            <div className="hold-logo">dentsu</div>
+            <div className="hold-logo">{logoText}</div>
           </div>
         </div>
 
-        <div className={`connecting-overlay ${!showTeams && phase === PHASES.CONNECTING ? 'overlay-visible' : 'overlay-hidden'}`}>
+        {banner && (
+          <div
+            className={`live-banner notice-${banner.level} ${visibleEmbed || phase === PHASES.PLAYING || phase === PHASES.SWITCHING ? 'overlay-visible' : 'overlay-hidden'}`}
+            role="status"
+          >
+            {banner.text}
+          </div>
+        )}
+
+        <div className={`connecting-overlay ${!manualEmbed && phase === PHASES.CONNECTING ? 'overlay-visible' : 'overlay-hidden'}`}>
           <div className="spinner" />
           <div className="connecting-text">
-            {activeSource === 'primary' && 'Connecting to stream...'}
-            {activeSource === 'secondary' && 'Switching to backup stream...'}
-            {activeSource === 'tertiary' && 'Switching to MediaPackage stream...'}
+            {isFirstSource ? 'Connecting to stream...' : `Switching to ${getSourceLabel(sourceList, activeSource)}...`}
           </div>
         </div>
 
+        {!manualEmbed && !isFollower && !audioOnly && (phase === PHASES.PLAYING || phase === PHASES.SWITCHING) && (
+          <div className="player-menus">
+            <CaptionsMenu
+              offer={captionsOffer}
+              style={captionStyle}
+              onSelect={handleCaptions}
+              onStyle={handleCaptionStyle}
+            />
+            <QualityMenu
+              offer={qualityOffer}
+              current={currentQuality && currentQuality.source === activeSource ? currentQuality : null}
+              onSelect={handleQuality}
+              onDataSaver={handleDataSaver}
+            />
+          </div>
+        )}
+
+        {!manualEmbed && !isFollower && !audioOnly && phase === PHASES.PLAYING && !needsUserInteraction && (
+          <DvrControls dvr={dvrState} onSeek={handleSeek} onGoLive={handleGoLive} />
+        )}
+
+        <div className={`other-tab-overlay ${isFollower ? 'overlay-visible' : 'overlay-hidden'}`} aria-hidden={!isFollower}>
+          <div className="other-tab-text">The stream is playing in another tab</div>
+          <button className="other-tab-button" onClick={handleTakeOver} type="button">
+            Watch here instead
+          </button>
+        </div>
+
         {needsUserInteraction && phase === PHASES.PLAYING && (
           <button className="streaming-play-button" onClick={handlePlayClick} type="button">
             Start Stream
@@ -891,18 +412,44 @@ function Streaming({ primaryUrl, secondaryUrl, tertiaryUrl, teamsUrl, showDebug
           <div className="debug-content">
             <div className="debug-item">
               <span className="debug-label">Status</span>
-              <span className={`debug-value ${getStatusClass(phase)}`}>{getStatusLabel(phase, needsUserInteraction)}</span>
+              <span className={`debug-value ${getStatusClass(phase)}`}>{getStatusLabel(phase, needsUserInteraction, holdLabel, audioOnly)}</span>
             </div>
             <div className="debug-item">
               <span className="debug-label">Stream Source</span>
-              <span className="debug-value">{showTeams ? 'Teams (manual)' : getSourceLabel(activeSource)}</span>
+              <span className="debug-value">
+                {visibleEmbed
+                  ? `${getSourceLabel(sourceList, visibleEmbed)} (${manualEmbed ? 'manual' : 'automatic'})`
+                  : getSourceLabel(sourceList, activeSource)}
+              </span>
             </div>
             <div className="debug-item">
               <span className="debug-label">Connection Attempts</span>
               <span className="debug-value">{retryCount} / {MAX_RETRIES}</span>
             </div>
+            <div className="debug-item">
+              <span className="debug-label">Latency</span>
+              <span className="debug-value">{formatLatency(latency.latency, latency.target)}</span>
+            </div>
           </div>
 
+          {isDebugExpanded && videoSources.length > 0 && (
+            <div className="debug-sources">
+              <div className="debug-log-title">Sources</div>
+              {videoSources.map((src) => {
+                const stableMs = stability.stability[src.id] || 0;
+                return (
+                  <div key={src.id} className={`source-entry ${src.id === activeSource ? 'source-active' : ''}`}>
+                    <span className="source-label">{src.label}</span>
+                    <span className="source-stability">
+                      {stableMs > 0 ? `${Math.round(stableMs / 1000)}s stable` : 'no history'}
+                      {stability.failed.includes(src.id) && ' · failed'}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
           {isDebugExpanded && logs.length > 0 && (
             <div className="debug-log">
               <div className="debug-log-title">Activity Log</div>
@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import Streaming from './Streaming';
+import { createFakeLocks } from '../../player/testing/FakeLocks';
+import { flushPromises } from '../../player/testing/FakeVideo';
+
+const SOURCES = [{ id: 'primary', url: 'https://ivs/primary.m3u8' }];
+
+// A page of its own, so each tab's queries only see that tab
+const openTab = () => {
+  const page = document.createElement('div');
+  document.body.append(page);
+  return render(<Streaming sources={SOURCES} showDebug={false} />, { container: page, baseElement: page });
+};
+
+describe('Streaming', () => {
+  beforeEach(() => {
+    // Two renders share one "browser" of Web Locks, as two tabs would
+    Object.defineProperty(navigator, 'locks', { value: createFakeLocks(), configurable: true });
+    // jsdom has no media pipeline
+    jest.spyOn(window.HTMLMediaElement.prototype, 'load').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete navigator.locks;
+  });
+
+  it('tells a second tab the stream is playing in the first', async () => {
+    const { queryByRole: inFirst, unmount: closeFirst } = openTab();
+    await act(flushPromises);
+    const { queryByRole: inSecond } = openTab();
+    await act(flushPromises);
+
+    const takeOver = { name: 'Watch here instead' };
+    expect(inFirst('button', takeOver)).toBeNull();
+    expect(inSecond('button', takeOver)).not.toBeNull();
+
+    // The first tab closes and the second takes over
+    closeFirst();
+    await act(flushPromises);
+    expect(inSecond('button', takeOver)).toBeNull();
+  });
+});
@@ -1,33 +1,281 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    ChatClient, CHAT_EVENTS, CHAT_STATUS, CHAT_ROLES, MAX_MESSAGE_LENGTH, QUESTION_STATUS,
+} from '../../chat';
+import QuestionList from './QuestionList';
+import { formatTime } from './formatTime';
+import './livechat.css';
 
-function Livechat() {
+const MAX_MESSAGES = 200;
+const NAME_KEY = 'liveapp.chatName';
+const VOTES_KEY = 'liveapp.chatVotes';
+
+const TABS = { CHAT: 'chat', QA: 'qa' };
+
+// Storage can be blocked (Safari private mode, cookies off); reading it then
+// throws, and during render that would take the whole page down
+const readStored = (key) => {
+    try {
+        return localStorage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+};
+
+const writeStored = (key, value) => {
+    try {
+        localStorage.setItem(key, value);
+    } catch (e) {
+        // Storage blocked — remembered for this page only
+    }
+};
+
+const loadVotes = () => {
+    try {
+        const ids = JSON.parse(readStored(VOTES_KEY));
+        return Array.isArray(ids) ? ids : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60];
+
+const REJECT_REASONS = {
+    blocked: 'Your message was blocked by the chat filter',
+    slow_mode: 'Slow mode is on — your message was not sent',
+};
+
+const STATUS_LABELS = {
+    [CHAT_STATUS.CONNECTING]: 'Connecting...',
+    [CHAT_STATUS.OPEN]: 'Live',
+    [CHAT_STATUS.CLOSED]: 'Reconnecting...',
+};
+
+function Livechat({ url, moderatorKey = null }) {
     const [messages, setMessages] = useState([]);
     const [input, setInput] = useState('');
+    const [status, setStatus] = useState(CHAT_STATUS.CONNECTING);
+    const [name, setName] = useState(() => readStored(NAME_KEY) || '');
+    const [nameInput, setNameInput] = useState('');
+    const [role, setRole] = useState(CHAT_ROLES.VIEWER);
+    const [pinned, setPinned] = useState(null);
+    const [slowMode, setSlowMode] = useState(0);
+    const [notice, setNotice] = useState(null);
+    const [tab, setTab] = useState(TABS.CHAT);
+    const [questions, setQuestions] = useState([]);
+    const [questionInput, setQuestionInput] = useState('');
+
+    const clientRef = useRef(null);
+    const listRef = useRef(null);
+
+    useEffect(() => {
+        const client = new ChatClient({ url, moderatorKey, votedIds: loadVotes() });
+        clientRef.current = client;
+
+        client.on(CHAT_EVENTS.STATUS, setStatus);
+        client.on(CHAT_EVENTS.MESSAGE, (msg) => {
+            setMessages(prev => [...prev.slice(-(MAX_MESSAGES - 1)), msg]);
+        });
+        client.on(CHAT_EVENTS.ACK, (id) => {
+            setMessages(prev => prev.map(m => (m.id === id ? { ...m, pending: false } : m)));
+        });
+        client.on(CHAT_EVENTS.DELETE, (id) => {
+            setMessages(prev => prev.filter(m => m.id !== id));
+        });
+        client.on(CHAT_EVENTS.REJECT, ({ id, reason }) => {
+            setMessages(prev => prev.filter(m => m.id !== id));
+            setNotice(REJECT_REASONS[reason] || 'Your message was not sent');
+        });
+        client.on(CHAT_EVENTS.PIN, setPinned);
+        client.on(CHAT_EVENTS.ROLE, setRole);
+        client.on(CHAT_EVENTS.SETTINGS, (settings) => setSlowMode(settings.slowModeSeconds));
+        client.on(CHAT_EVENTS.QUESTIONS, setQuestions);
+        client.connect();
 
-    // WebSocket setup and message handling would be added here
+        return () => {
+            client.destroy();
+            clientRef.current = null;
+        };
+    }, [url, moderatorKey]);
+
+    // Keep the newest message in view
+    useEffect(() => {
+        if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+    }, [messages, tab]);
+
+    const saveName = (e) => {
+        e.preventDefault();
+        const trimmed = nameInput.trim();
+        if (!trimmed) return;
+        writeStored(NAME_KEY, trimmed);
+        setName(trimmed);
+    };
 
     const sendMessage = (e) => {
         e.preventDefault();
-        // Logic to send message goes here
+        const text = input.trim();
+        if (!text || !clientRef.current) return;
+        const { error } = clientRef.current.sendMessage({ author: name, text });
+        if (error) {
+            setNotice(error);
+            return;
+        }
+        setNotice(null);
         setInput('');
     };
 
+    const askQuestion = (e) => {
+        e.preventDefault();
+        const text = questionInput.trim();
+        if (!text || !clientRef.current) return;
+        const { error } = clientRef.current.askQuestion({ author: name, text });
+        if (error) {
+            setNotice(error);
+            return;
+        }
+        setNotice(null);
+        setQuestionInput('');
+    };
+
+    const vote = (id) => {
+        const client = clientRef.current;
+        if (!client || !client.vote(id)) return;
+        writeStored(VOTES_KEY, JSON.stringify(Array.from(client.voted)));
+    };
+
+    const isModerator = role === CHAT_ROLES.MODERATOR;
+    const openQuestions = questions.filter(q => q.status === QUESTION_STATUS.OPEN).length;
+
     return (
         <div className="chat-container">
-            <ul>
-                {messages.map((msg, index) => (
-                    <li key={index}>{msg}</li>
-                ))}
-            </ul>
-            <form onSubmit={sendMessage}>
-                <input
-                    type="text"
-                    value={input}
-                    onChange={(e) => setInput(e.target.value)}
-                    placeholder="Type a message..."
+            <div className="chat-header">
+                <span className="chat-title">Live Chat</span>
+                <span className={`chat-status chat-status-${status}`}>{STATUS_LABELS[status]}</span>
+            </div>
+
+            <div className="chat-tabs" role="tablist">
+                <button
+                    type="button"
+                    role="tab"
+                    aria-selected={tab === TABS.CHAT}
+                    className={`chat-tab ${tab === TABS.CHAT ? 'chat-tab-active' : ''}`}
+                    onClick={() => setTab(TABS.CHAT)}
+                >
+                    Chat
+                </button>
+                <button
+                    type="button"
+                    role="tab"
+                    aria-selected={tab === TABS.QA}
+                    className={`chat-tab ${tab === TABS.QA ? 'chat-tab-active' : ''}`}
+                    onClick={() => setTab(TABS.QA)}
+                >
+                    Q&amp;A{openQuestions > 0 && <span className="chat-tab-count">{openQuestions}</span>}
+                </button>
+            </div>
+
+            {isModerator && tab === TABS.CHAT && (
+                <div className="chat-mod-bar">
+                    <span className="chat-mod-badge">Moderator</span>
+                    <label className="chat-slow-mode">
+                        Slow mode
+                        <select
+                            value={slowMode}
+                            onChange={(e) => clientRef.current && clientRef.current.setSlowMode(Number(e.target.value))}
+                        >
+                            {SLOW_MODE_OPTIONS.map(sec => (
+                                <option key={sec} value={sec}>{sec ? `${sec}s` : 'Off'}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+            )}
+
+            {tab === TABS.CHAT && pinned && (
+                <div className="chat-pinned">
+                    <span className="chat-pinned-label">Pinned</span>
+                    <span className="chat-author">{pinned.author}</span>
+                    <div className="chat-text">{pinned.text}</div>
+                    {isModerator && (
+                        <button type="button" className="chat-mod-action" onClick={() => clientRef.current.unpin()}>
+                            Unpin
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {tab === TABS.CHAT ? (
+                <ul className="chat-messages" ref={listRef}>
+                    {messages.map((msg) => (
+                        <li key={msg.id} className={`chat-message ${msg.pending ? 'chat-message-pending' : ''}`}>
+                            <span className="chat-author">{msg.author}</span>
+                            {msg.role === CHAT_ROLES.MODERATOR && <span className="chat-mod-badge">Mod</span>}
+                            <span className="chat-time">{formatTime(msg.timestamp)}</span>
+                            {isModerator && !msg.pending && (
+                                <span className="chat-mod-actions">
+                                    <button type="button" className="chat-mod-action" onClick={() => clientRef.current.pin(msg.id)}>
+                                        Pin
+                                    </button>
+                                    <button type="button" className="chat-mod-action" onClick={() => clientRef.current.deleteMessage(msg.id)}>
+                                        Delete
+                                    </button>
+                                </span>
+                            )}
+                            <div className="chat-text">{msg.text}</div>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <QuestionList
+                    questions={questions}
+                    isModerator={isModerator}
+                    hasVoted={id => (clientRef.current ? clientRef.current.hasVoted(id) : false)}
+                    onVote={vote}
+                    onSetStatus={(id, status) => clientRef.current && clientRef.current.setQuestionStatus(id, status)}
                 />
-                <button type="submit">Send</button>
-            </form>
+            )}
+
+            {(notice || (tab === TABS.CHAT && slowMode > 0 && !isModerator)) && (
+                <div className="chat-notice">{notice || `Slow mode: one message every ${slowMode}s`}</div>
+            )}
+
+            {name && tab === TABS.QA && (
+                <form className="chat-form" onSubmit={askQuestion}>
+                    <input
+                        type="text"
+                        value={questionInput}
+                        maxLength={MAX_MESSAGE_LENGTH}
+                        onChange={(e) => setQuestionInput(e.target.value)}
+                        placeholder="Ask a question..."
+                    />
+                    <button type="submit" disabled={!questionInput.trim()}>Ask</button>
+                </form>
+            )}
+            {name && tab === TABS.CHAT && (
+                <form className="chat-form" onSubmit={sendMessage}>
+                    <input
+                        type="text"
+                        value={input}
+                        maxLength={MAX_MESSAGE_LENGTH}
+                        onChange={(e) => setInput(e.target.value)}
+                        placeholder="Type a message..."
+                    />
+                    <button type="submit" disabled={!input.trim()}>Send</button>
+                </form>
+            )}
+            {!name && (
+                <form className="chat-form" onSubmit={saveName}>
+                    <input
+                        type="text"
+                        value={nameInput}
+                        maxLength={40}
+                        onChange={(e) => setNameInput(e.target.value)}
+                        placeholder="Your name to join the chat"
+                    />
+                    <button type="submit" disabled={!nameInput.trim()}>Join</button>
+                </form>
+            )}
         </div>
     );
 }
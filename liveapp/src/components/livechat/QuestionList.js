@@ -0,0 +1,70 @@
+import React from 'react';
+import { QUESTION_STATUS, canVote } from '../../chat';
+import { formatTime } from './formatTime';
+
+const STATUS_BADGES = {
+    [QUESTION_STATUS.ANSWERED]: 'Answered',
+    [QUESTION_STATUS.HIDDEN]: 'Hidden',
+};
+
+// Host actions offered for each status
+const STATUS_ACTIONS = [
+    { status: QUESTION_STATUS.ANSWERED, label: 'Answered' },
+    { status: QUESTION_STATUS.HIDDEN, label: 'Hide' },
+    { status: QUESTION_STATUS.OPEN, label: 'Reopen' },
+];
+
+// Q&A queue — questions arrive already sorted by votes, then recency
+function QuestionList({ questions, isModerator, hasVoted, onVote, onSetStatus }) {
+    if (questions.length === 0) {
+        return (
+            <ul className="chat-messages chat-questions">
+                <li className="chat-empty">No questions yet — ask the first one</li>
+            </ul>
+        );
+    }
+
+    return (
+        <ul className="chat-messages chat-questions">
+            {questions.map((q) => {
+                const voted = hasVoted(q.id);
+                return (
+                    <li key={q.id} className={`chat-question chat-question-${q.status}`}>
+                        <button
+                            type="button"
+                            className={`chat-vote ${voted ? 'chat-vote-active' : ''}`}
+                            disabled={voted || !canVote(q)}
+                            onClick={() => onVote(q.id)}
+                            aria-label={voted ? `Upvoted, ${q.votes} votes` : `Upvote, ${q.votes} votes`}
+                        >
+                            <span className="chat-vote-arrow">▲</span>
+                            <span className="chat-vote-count">{q.votes}</span>
+                        </button>
+                        <div className="chat-question-body">
+                            <span className="chat-author">{q.author}</span>
+                            <span className="chat-time">{formatTime(q.timestamp)}</span>
+                            {STATUS_BADGES[q.status] && <span className="chat-question-badge">{STATUS_BADGES[q.status]}</span>}
+                            {isModerator && (
+                                <span className="chat-mod-actions">
+                                    {STATUS_ACTIONS.filter(a => a.status !== q.status).map(a => (
+                                        <button
+                                            key={a.status}
+                                            type="button"
+                                            className="chat-mod-action"
+                                            onClick={() => onSetStatus(q.id, a.status)}
+                                        >
+                                            {a.label}
+                                        </button>
+                                    ))}
+                                </span>
+                            )}
+                            <div className="chat-text">{q.text}</div>
+                        </div>
+                    </li>
+                );
+            })}
+        </ul>
+    );
+}
+
+export default QuestionList;
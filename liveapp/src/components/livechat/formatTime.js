@@ -0,0 +1,3 @@
+export const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-GB', {
+    hour: '2-digit', minute: '2-digit',
+});
@@ -0,0 +1,6 @@
+export {
+  loadEventConfig, resolveEventId, CONFIG_ERRORS, DEFAULT_EVENT_ID,
+} from './loadEventConfig';
+export {
+  validateEventConfig, DEFAULT_BRANDING, DEFAULT_HOLD, DEFAULT_SCREENS,
+} from './validateEventConfig';
@@ -0,0 +1,66 @@
+import { validateEventConfig } from './validateEventConfig';
+
+export const DEFAULT_EVENT_ID = 'default';
+
+export const CONFIG_ERRORS = {
+  INVALID_ID: 'invalid_id',  // event id in the URL isn't a safe file name
+  NOT_FOUND: 'not_found',    // no config file for this event
+  NETWORK: 'network',        // fetch failed — worth a retry
+  PARSE: 'parse',            // file isn't JSON
+  INVALID: 'invalid',        // JSON doesn't match the schema
+};
+
+// Ids become file names under /config, so keep them to a safe slug
+const EVENT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// The event comes from ?event=<id> or a /events/<id> path, in that order.
+// Returns null for an id that isn't a valid slug.
+export const resolveEventId = ({ pathname = '/', search = '' } = window.location) => {
+  const fromQuery = new URLSearchParams(search).get('event');
+  const fromPath = (pathname.match(/^\/events\/([^/]+)\/?$/) || [])[1];
+  const id = fromQuery || (fromPath && decodeURIComponent(fromPath)) || DEFAULT_EVENT_ID;
+  return EVENT_ID_PATTERN.test(id) ? id : null;
+};
+
+// Fetches and validates /config/<eventId>.json. Resolves to { config } or
+// { error: { kind, message, details } } — it never rejects, so the caller
+// only has to pick which screen to show.
+export const loadEventConfig = async (eventId, {
+  baseUrl = `${process.env.PUBLIC_URL || ''}/config`,
+  fetchImpl = (...args) => fetch(...args),
+} = {}) => {
+  if (!eventId) {
+    return { error: { kind: CONFIG_ERRORS.INVALID_ID, message: 'The event link is not valid.', details: [] } };
+  }
+
+  let response;
+  try {
+    // no-cache: config edits must show up without waiting for a CDN TTL
+    response = await fetchImpl(`${baseUrl}/${eventId}.json`, { cache: 'no-cache' });
+  } catch (err) {
+    return { error: { kind: CONFIG_ERRORS.NETWORK, message: 'Could not reach the event configuration.', details: [err.message] } };
+  }
+
+  // The SPA fallback answers unknown paths with index.html, so a 200 that
+  // isn't JSON is treated the same as a 404
+  const contentType = (response.headers && response.headers.get('content-type')) || '';
+  if (response.status === 404 || (response.ok && contentType.includes('text/html'))) {
+    return { error: { kind: CONFIG_ERRORS.NOT_FOUND, message: `No event called "${eventId}".`, details: [] } };
+  }
+  if (!response.ok) {
+    return { error: { kind: CONFIG_ERRORS.NETWORK, message: 'Could not reach the event configuration.', details: [`HTTP ${response.status}`] } };
+  }
+
+  let raw;
+  try {
+    raw = await response.json();
+  } catch (err) {
+    return { error: { kind: CONFIG_ERRORS.PARSE, message: `The configuration for "${eventId}" is not valid JSON.`, details: [err.message] } };
+  }
+
+  const { config, errors } = validateEventConfig(raw);
+  if (errors) {
+    return { error: { kind: CONFIG_ERRORS.INVALID, message: `The configuration for "${eventId}" has errors.`, details: errors } };
+  }
+  return { config: { ...config, eventId } };
+};
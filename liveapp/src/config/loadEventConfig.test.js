@@ -0,0 +1,62 @@
+import { loadEventConfig, resolveEventId, CONFIG_ERRORS, DEFAULT_EVENT_ID } from './loadEventConfig';
+
+const response = ({ status = 200, body, contentType = 'application/json' }) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: () => contentType },
+  json: async () => (typeof body === 'string' ? JSON.parse(body) : body),
+});
+
+const config = {
+  title: 'Town Hall',
+  sources: [{ id: 'primary', url: 'https://cdn.example.com/live.m3u8' }],
+};
+
+describe('resolveEventId', () => {
+  it('reads the event from the query string, then the path', () => {
+    expect(resolveEventId({ pathname: '/events/q3-townhall', search: '?event=emea-exec' })).toBe('emea-exec');
+    expect(resolveEventId({ pathname: '/events/q3-townhall', search: '' })).toBe('q3-townhall');
+    expect(resolveEventId({ pathname: '/', search: '?mod=x' })).toBe(DEFAULT_EVENT_ID);
+  });
+
+  it('refuses ids that are not a safe file name', () => {
+    expect(resolveEventId({ pathname: '/', search: '?event=../secrets' })).toBeNull();
+    expect(resolveEventId({ pathname: '/events/%2E%2E', search: '' })).toBeNull();
+  });
+});
+
+describe('loadEventConfig', () => {
+  it('fetches /config/<id>.json without the HTTP cache and validates it', async () => {
+    const fetchImpl = jest.fn(async () => response({ body: config }));
+    const result = await loadEventConfig('q3-townhall', { baseUrl: '/config', fetchImpl });
+
+    expect(fetchImpl).toHaveBeenCalledWith('/config/q3-townhall.json', { cache: 'no-cache' });
+    expect(result.config).toMatchObject({ eventId: 'q3-townhall', title: 'Town Hall' });
+  });
+
+  it('treats a 404 or the SPA index.html fallback as an unknown event', async () => {
+    const notFound = await loadEventConfig('nope', { fetchImpl: async () => response({ status: 404 }) });
+    const spaFallback = await loadEventConfig('nope', { fetchImpl: async () => response({ contentType: 'text/html' }) });
+    expect(notFound.error.kind).toBe(CONFIG_ERRORS.NOT_FOUND);
+    expect(spaFallback.error.kind).toBe(CONFIG_ERRORS.NOT_FOUND);
+  });
+
+  it('separates network failures, bad JSON and schema errors', async () => {
+    const offline = await loadEventConfig('x', { fetchImpl: async () => { throw new Error('Failed to fetch'); } });
+    const serverError = await loadEventConfig('x', { fetchImpl: async () => response({ status: 503 }) });
+    const badJson = await loadEventConfig('x', { fetchImpl: async () => response({ body: '{ title: ' }) });
+    const badSchema = await loadEventConfig('x', { fetchImpl: async () => response({ body: { title: 'x' } }) });
+
+    expect(offline.error.kind).toBe(CONFIG_ERRORS.NETWORK);
+    expect(serverError.error).toMatchObject({ kind: CONFIG_ERRORS.NETWORK, details: ['HTTP 503'] });
+    expect(badJson.error.kind).toBe(CONFIG_ERRORS.PARSE);
+    expect(badSchema.error).toMatchObject({ kind: CONFIG_ERRORS.INVALID, details: ['sources must be a non-empty array'] });
+  });
+
+  it('does not fetch for an invalid id', async () => {
+    const fetchImpl = jest.fn();
+    const result = await loadEventConfig(null, { fetchImpl });
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(result.error.kind).toBe(CONFIG_ERRORS.INVALID_ID);
+  });
+});
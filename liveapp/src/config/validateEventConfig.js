@@ -0,0 +1,429 @@
+// Schema check for event config JSON. Hand-rolled rather than a schema
+// library: the shape is small and the messages need to be readable by
+// whoever edits the file, not by a developer.
+
+export const DEFAULT_BRANDING = {
+  logoText: 'dentsu',
+};
+
+export const DEFAULT_HOLD = {
+  tagline: 'Innovating to Impact',
+  message: null,
+};
+
+// Text for the scheduled lifecycle screens; each entry can be overridden per event
+export const DEFAULT_SCREENS = {
+  countdown: { title: 'The event starts in', message: null },
+  startingSoon: { title: 'Starting soon', message: 'The stream will begin shortly — stay on this page' },
+  ended: { title: 'Thank you for joining', message: 'A replay will be available soon' },
+};
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNonEmptyString = v => typeof v === 'string' && v.trim().length > 0;
+
+const hasProtocol = (value, protocols) => {
+  try {
+    return protocols.includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+const HTTP = ['http:', 'https:'];
+const WS = ['ws:', 'wss:'];
+
+// An embed on an https page must be https too, or it is blocked as mixed
+// content. Plain http is let through for localhost only, where the app itself
+// is served over http during development (e.g. the liveness mock's /wrapper).
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+const isEmbedUrl = (value) => {
+  if (hasProtocol(value, ['https:'])) return true;
+  return hasProtocol(value, ['http:']) && LOCAL_HOSTS.includes(new URL(value).hostname);
+};
+
+// Keep in step with SOURCE_TYPES in src/player/sources.js and EMBED_PLATFORMS
+// in src/player/embeds.js
+const SOURCE_TYPES = ['hls', 'native', 'dash', 'iframe'];
+const EMBED_PLATFORMS = ['youtube', 'vimeo', 'teams', 'zoom', 'generic'];
+
+const checkOptionalStrings = (obj, keys, path, errors) => {
+  keys.forEach((key) => {
+    if (obj[key] !== undefined && obj[key] !== null && typeof obj[key] !== 'string') {
+      errors.push(`${path}.${key} must be a string`);
+    }
+  });
+};
+
+// LL-HLS opt-in: true for the defaults, or { targetLatencyMs, maxDriftMs }
+const validateLowLatency = (lowLatency, path, errors) => {
+  if (lowLatency === undefined || typeof lowLatency === 'boolean') return;
+  if (!isObject(lowLatency)) {
+    errors.push(`${path}.lowLatency must be true, false or an object`);
+    return;
+  }
+  const { targetLatencyMs, maxDriftMs } = lowLatency;
+  if (targetLatencyMs !== undefined && !(Number.isFinite(targetLatencyMs) && targetLatencyMs >= 1000)) {
+    errors.push(`${path}.lowLatency.targetLatencyMs must be a number of at least 1000`);
+  }
+  if (maxDriftMs !== undefined && !(Number.isFinite(maxDriftMs) && maxDriftMs > 0)) {
+    errors.push(`${path}.lowLatency.maxDriftMs must be a positive number`);
+  }
+};
+
+// What tells the player an iframe source is on, so it can be the last tier
+// before HOLD: a status endpoint to poll (url) or a wrapper page around the
+// embed that posts it (origin) — not both
+const validateLiveness = (liveness, path, errors) => {
+  if (!isObject(liveness)) {
+    errors.push(`${path} must be an object or null`);
+    return null;
+  }
+  const { url, origin, pollIntervalMs } = liveness;
+  if ((url === undefined) === (origin === undefined)) {
+    errors.push(`${path} needs either url or origin`);
+  } else if (url !== undefined && !(isNonEmptyString(url) && hasProtocol(url, HTTP))) {
+    errors.push(`${path}.url must be an http(s) URL`);
+  } else if (origin !== undefined && !(isNonEmptyString(origin) && hasProtocol(origin, HTTP))) {
+    errors.push(`${path}.origin must be an http(s) origin`);
+  }
+  if (pollIntervalMs !== undefined && !(Number.isFinite(pollIntervalMs) && pollIntervalMs >= 1000)) {
+    errors.push(`${path}.pollIntervalMs must be a number of at least 1000`);
+  }
+  if (origin !== undefined) return { origin };
+  return pollIntervalMs === undefined ? { url } : { url, pollInterval: pollIntervalMs };
+};
+
+const validateSources = (sources, errors) => {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    errors.push('sources must be a non-empty array');
+    return [];
+  }
+
+  const ids = new Set();
+  sources.forEach((source, i) => {
+    const path = `sources[${i}]`;
+    if (!isObject(source)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(source.id)) {
+      errors.push(`${path}.id is required`);
+    } else if (ids.has(source.id)) {
+      errors.push(`${path}.id "${source.id}" is used more than once`);
+    } else {
+      ids.add(source.id);
+    }
+    const type = source.type === undefined ? 'hls' : source.type;
+    if (!SOURCE_TYPES.includes(type)) errors.push(`${path}.type must be one of ${SOURCE_TYPES.join(', ')}`);
+    const iframe = type === 'iframe';
+    if (!isNonEmptyString(source.url)) errors.push(`${path}.url is required`);
+    else if (iframe && !isEmbedUrl(source.url)) errors.push(`${path}.url must be an https URL`);
+    else if (!hasProtocol(source.url, HTTP)) errors.push(`${path}.url must be an http(s) URL`);
+    checkOptionalStrings(source, ['label', 'provider'], path, errors);
+    if (source.priority !== undefined && typeof source.priority !== 'number') {
+      errors.push(`${path}.priority must be a number`);
+    }
+    if (source.lowLatency !== undefined && type !== 'hls') errors.push(`${path}.lowLatency only applies to hls sources`);
+    else validateLowLatency(source.lowLatency, path, errors);
+    if (source.platform !== undefined && !(iframe && EMBED_PLATFORMS.includes(source.platform))) {
+      errors.push(`${path}.platform must be one of ${EMBED_PLATFORMS.join(', ')} on an iframe source`);
+    }
+    if (source.liveness !== undefined && source.liveness !== null && !iframe) {
+      errors.push(`${path}.liveness only applies to iframe sources`);
+    }
+  });
+  const hasLiveness = s => isObject(s) && s.type === 'iframe' && s.liveness !== undefined && s.liveness !== null;
+  return sources.map((source, i) => (hasLiveness(source)
+    ? { ...source, liveness: validateLiveness(source.liveness, `sources[${i}].liveness`, errors) }
+    : source));
+};
+
+// teamsUrl and teamsLiveness predate iframe sources and are still read: they
+// become a Teams iframe source after the others
+const validateLegacyTeams = ({ teamsUrl, teamsLiveness }, sources, errors) => {
+  const hasLiveness = teamsLiveness !== undefined && teamsLiveness !== null;
+  const hasUrl = teamsUrl !== undefined && teamsUrl !== null;
+  if (hasLiveness && !hasUrl) errors.push('teamsLiveness needs a teamsUrl');
+  const liveness = hasLiveness ? validateLiveness(teamsLiveness, 'teamsLiveness', errors) : null;
+  if (!hasUrl) return null;
+  if (!hasProtocol(teamsUrl, ['https:'])) errors.push('teamsUrl must be an https URL');
+  if (sources.some(s => isObject(s) && s.id === 'teams')) errors.push('teamsUrl can\'t be used alongside a source with id "teams"');
+  return {
+    id: 'teams', type: 'iframe', platform: 'teams', label: 'Teams', url: teamsUrl, ...(liveness && { liveness }),
+  };
+};
+
+const validateChat = (chat, errors) => {
+  if (chat === undefined || chat === null) return null;
+  if (!isObject(chat)) {
+    errors.push('chat must be an object or null');
+    return null;
+  }
+  if (!isNonEmptyString(chat.url) || !hasProtocol(chat.url, WS)) {
+    errors.push('chat.url must be a ws(s) URL');
+  }
+  return { url: chat.url };
+};
+
+const validateSchedule = (schedule, errors) => {
+  if (schedule === undefined || schedule === null) return null;
+  if (!isObject(schedule)) {
+    errors.push('schedule must be an object or null');
+    return null;
+  }
+
+  const times = {};
+  ['doorsOpen', 'start', 'end'].forEach((key) => {
+    const value = schedule[key];
+    if (value === undefined || value === null) {
+      if (key !== 'doorsOpen') errors.push(`schedule.${key} is required`);
+      return;
+    }
+    const ms = typeof value === 'string' ? Date.parse(value) : NaN;
+    if (Number.isNaN(ms)) errors.push(`schedule.${key} must be an ISO date, e.g. 2025-06-01T14:00:00Z`);
+    else times[key] = ms;
+  });
+
+  if (times.doorsOpen !== undefined && times.start !== undefined && times.doorsOpen > times.start) {
+    errors.push('schedule.doorsOpen must not be after schedule.start');
+  }
+  if (times.start !== undefined && times.end !== undefined && times.end <= times.start) {
+    errors.push('schedule.end must be after schedule.start');
+  }
+  return { doorsOpen: schedule.doorsOpen || null, start: schedule.start, end: schedule.end };
+};
+
+const validateScreens = (screens, errors) => {
+  if (screens === undefined) return DEFAULT_SCREENS;
+  if (!isObject(screens)) {
+    errors.push('screens must be an object');
+    return DEFAULT_SCREENS;
+  }
+  return Object.keys(DEFAULT_SCREENS).reduce((merged, key) => {
+    const screen = screens[key];
+    if (screen !== undefined && !isObject(screen)) errors.push(`screens.${key} must be an object`);
+    else if (screen) checkOptionalStrings(screen, ['title', 'message'], `screens.${key}`, errors);
+    return { ...merged, [key]: { ...DEFAULT_SCREENS[key], ...(isObject(screen) ? screen : {}) } };
+  }, {});
+};
+
+const validateControl = (control, errors) => {
+  if (control === undefined || control === null) return null;
+  if (!isObject(control)) {
+    errors.push('control must be an object or null');
+    return null;
+  }
+  if (!isNonEmptyString(control.url) || !hasProtocol(control.url, HTTP)) errors.push('control.url must be an http(s) URL');
+  if (control.transport !== undefined && !['sse', 'poll'].includes(control.transport)) {
+    errors.push('control.transport must be "sse" or "poll"');
+  }
+  if (control.pollIntervalMs !== undefined && !(Number.isFinite(control.pollIntervalMs) && control.pollIntervalMs >= 1000)) {
+    errors.push('control.pollIntervalMs must be a number of at least 1000');
+  }
+  return {
+    url: control.url,
+    transport: control.transport || 'sse',
+    pollInterval: control.pollIntervalMs || 15000,
+  };
+};
+
+// Shared stream health checker (server/healthChecker.js); without one every
+// viewer on the hold screen probes the sources itself
+const validateHealthChecker = (healthChecker, errors) => {
+  if (healthChecker === undefined || healthChecker === null) return null;
+  if (!isObject(healthChecker)) {
+    errors.push('healthChecker must be an object or null');
+    return null;
+  }
+  if (!isNonEmptyString(healthChecker.url) || !hasProtocol(healthChecker.url, HTTP)) {
+    errors.push('healthChecker.url must be an http(s) URL');
+  }
+  if (healthChecker.pollIntervalMs !== undefined
+    && !(Number.isFinite(healthChecker.pollIntervalMs) && healthChecker.pollIntervalMs >= 1000)) {
+    errors.push('healthChecker.pollIntervalMs must be a number of at least 1000');
+  }
+  return { url: healthChecker.url, pollInterval: healthChecker.pollIntervalMs || 10000 };
+};
+
+// How a viewer on the hold screen checks sources when no health checker is
+// reachable: 'media' decodes with hls.js, 'playlist' only reloads playlists
+const PROBE_MODES = ['media', 'playlist'];
+
+const validateProbe = (probe, errors) => {
+  if (probe === undefined) return { mode: 'media', checkSegment: false };
+  if (!isObject(probe)) {
+    errors.push('probe must be an object');
+    return null;
+  }
+  if (probe.mode !== undefined && !PROBE_MODES.includes(probe.mode)) {
+    errors.push('probe.mode must be "media" or "playlist"');
+  }
+  if (probe.checkSegment !== undefined && typeof probe.checkSegment !== 'boolean') {
+    errors.push('probe.checkSegment must be true or false');
+  }
+  return { mode: probe.mode || 'media', checkSegment: probe.checkSegment === true };
+};
+
+// Thresholds for the player's playlist watchdog. maxPdtLagMs: null turns the
+// program-date-time check off for audiences whose clocks can't be trusted.
+const validateStaleManifest = (staleManifest, errors) => {
+  const defaults = { stuckTargetDurations: 3, maxPdtLag: 60000 };
+  if (staleManifest === undefined) return defaults;
+  if (!isObject(staleManifest)) {
+    errors.push('staleManifest must be an object');
+    return null;
+  }
+  const { stuckTargetDurations, maxPdtLagMs } = staleManifest;
+  if (stuckTargetDurations !== undefined && !(Number.isFinite(stuckTargetDurations) && stuckTargetDurations >= 1)) {
+    errors.push('staleManifest.stuckTargetDurations must be a number of at least 1');
+  }
+  if (maxPdtLagMs !== undefined && maxPdtLagMs !== null && !(Number.isFinite(maxPdtLagMs) && maxPdtLagMs >= 1000)) {
+    errors.push('staleManifest.maxPdtLagMs must be a number of at least 1000, or null');
+  }
+  return {
+    stuckTargetDurations: stuckTargetDurations || defaults.stuckTargetDurations,
+    maxPdtLag: maxPdtLagMs === undefined ? defaults.maxPdtLag : maxPdtLagMs,
+  };
+};
+
+// How far apart two providers may run before a switch seeks the standby to the
+// outgoing moment. toleranceMs: null switches at whatever point the standby is.
+const validatePlayheadSync = (playheadSync, errors) => {
+  const defaults = { tolerance: 1000 };
+  if (playheadSync === undefined) return defaults;
+  if (!isObject(playheadSync)) {
+    errors.push('playheadSync must be an object');
+    return null;
+  }
+  const { toleranceMs } = playheadSync;
+  if (toleranceMs !== undefined && toleranceMs !== null && !(Number.isFinite(toleranceMs) && toleranceMs >= 0)) {
+    errors.push('playheadSync.toleranceMs must be a number of at least 0, or null');
+  }
+  return { tolerance: toleranceMs === undefined ? defaults.tolerance : toleranceMs };
+};
+
+// Quality policy: maxHeight caps every viewer (e.g. 720 for a talking-head
+// event), dataSaverMaxHeight is where the viewer's data-saver switch caps
+const validateQuality = (quality, errors) => {
+  if (quality === undefined) return { maxHeight: null, dataSaverMaxHeight: 480 };
+  if (!isObject(quality)) {
+    errors.push('quality must be an object');
+    return null;
+  }
+  ['maxHeight', 'dataSaverMaxHeight'].forEach((key) => {
+    const value = quality[key];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      errors.push(`quality.${key} must be a positive whole number of pixels`);
+    }
+  });
+  return { maxHeight: quality.maxHeight || null, dataSaverMaxHeight: quality.dataSaverMaxHeight || 480 };
+};
+
+// Audio-only tier before HOLD: either its own playlist (url) or the audio
+// rendition of one of the event's sources (source, by id) — not both
+const validateAudioFallback = (audioFallback, sources, errors) => {
+  if (audioFallback === undefined || audioFallback === null) return null;
+  if (!isObject(audioFallback)) {
+    errors.push('audioFallback must be an object or null');
+    return null;
+  }
+  const { url, source } = audioFallback;
+  if ((url === undefined) === (source === undefined)) {
+    errors.push('audioFallback needs either url or source');
+  } else if (url !== undefined && !(isNonEmptyString(url) && hasProtocol(url, HTTP))) {
+    errors.push('audioFallback.url must be an http(s) URL');
+  } else if (source !== undefined && !sources.some(s => isObject(s) && s.id === source)) {
+    errors.push('audioFallback.source must be the id of one of the sources');
+  } else if (source !== undefined && !sources.some(s => isObject(s) && s.id === source && (s.type === undefined || s.type === 'hls'))) {
+    // Its audio rendition is read from an HLS master playlist
+    errors.push('audioFallback.source must be an hls source');
+  }
+  return url !== undefined ? { url } : { source };
+};
+
+// Messages scheduled ahead of time (e.g. "Break until 14:30"); live ones
+// come from the control feed
+const validateMessages = (messages, errors) => {
+  if (messages === undefined) return [];
+  if (!Array.isArray(messages)) {
+    errors.push('messages must be an array');
+    return [];
+  }
+  messages.forEach((message, i) => {
+    const path = `messages[${i}]`;
+    if (!isObject(message)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(message.text)) errors.push(`${path}.text is required`);
+    if (message.target !== undefined && !['hold', 'banner', 'all'].includes(message.target)) {
+      errors.push(`${path}.target must be "hold", "banner" or "all"`);
+    }
+    ['startsAt', 'endsAt'].forEach((key) => {
+      if (message[key] !== undefined && Number.isNaN(Date.parse(message[key]))) {
+        errors.push(`${path}.${key} must be an ISO date`);
+      }
+    });
+  });
+  return messages.map((message, i) => ({ id: `config-${i}`, ...message }));
+};
+
+// Returns { config } with defaults applied, or { errors } listing every
+// problem found (not just the first) so a bad file can be fixed in one pass.
+export const validateEventConfig = (raw) => {
+  if (!isObject(raw)) return { errors: ['config must be a JSON object'] };
+
+  const errors = [];
+
+  if (!isNonEmptyString(raw.title)) errors.push('title is required');
+
+  const sources = validateSources(raw.sources, errors);
+  const teams = validateLegacyTeams(raw, sources, errors);
+
+  ['branding', 'hold'].forEach((key) => {
+    if (raw[key] !== undefined && !isObject(raw[key])) errors.push(`${key} must be an object`);
+  });
+  const branding = isObject(raw.branding) ? raw.branding : {};
+  const hold = isObject(raw.hold) ? raw.hold : {};
+  checkOptionalStrings(branding, ['logoText'], 'branding', errors);
+  checkOptionalStrings(hold, ['tagline', 'message'], 'hold', errors);
+
+  if (raw.debug !== undefined && typeof raw.debug !== 'boolean') errors.push('debug must be true or false');
+  if (raw.dvr !== undefined && typeof raw.dvr !== 'boolean') errors.push('dvr must be true or false');
+
+  const chat = validateChat(raw.chat, errors);
+  const schedule = validateSchedule(raw.schedule, errors);
+  const screens = validateScreens(raw.screens, errors);
+  const control = validateControl(raw.control, errors);
+  const messages = validateMessages(raw.messages, errors);
+  const healthChecker = validateHealthChecker(raw.healthChecker, errors);
+  const probe = validateProbe(raw.probe, errors);
+  const staleManifest = validateStaleManifest(raw.staleManifest, errors);
+  const playheadSync = validatePlayheadSync(raw.playheadSync, errors);
+  const quality = validateQuality(raw.quality, errors);
+  const audioFallback = validateAudioFallback(raw.audioFallback, sources, errors);
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    config: {
+      title: raw.title.trim(),
+      sources: teams ? [...sources, teams] : sources,
+      branding: { ...DEFAULT_BRANDING, ...branding },
+      hold: { ...DEFAULT_HOLD, ...hold },
+      debug: raw.debug === true,
+      dvr: raw.dvr === true,
+      chat,
+      schedule,
+      screens,
+      control,
+      messages,
+      healthChecker,
+      probe,
+      staleManifest,
+      playheadSync,
+      quality,
+      audioFallback,
+    },
+  };
+};
@@ -0,0 +1,236 @@
+import { validateEventConfig, DEFAULT_HOLD, DEFAULT_SCREENS } from './validateEventConfig';
+
+const valid = () => ({
+  title: 'Town Hall',
+  sources: [
+    { id: 'primary', url: 'https://cdn.example.com/live.m3u8', label: 'Primary' },
+    { id: 'backup', url: 'https://backup.example.com/live.m3u8' },
+  ],
+});
+
+describe('validateEventConfig', () => {
+  it('applies defaults to a minimal config', () => {
+    const { config, errors } = validateEventConfig(valid());
+    expect(errors).toBeUndefined();
+    expect(config).toMatchObject({
+      title: 'Town Hall',
+      debug: false,
+      dvr: false,
+      chat: null,
+      hold: DEFAULT_HOLD,
+      branding: { logoText: 'dentsu' },
+    });
+    expect(config.sources).toHaveLength(2);
+  });
+
+  it('keeps overrides for branding, hold text and chat', () => {
+    const { config } = validateEventConfig({
+      ...valid(),
+      branding: { logoText: 'ACME' },
+      hold: { message: 'We will be back shortly' },
+      chat: { url: 'wss://chat.example.com' },
+      debug: true,
+    });
+    expect(config.branding.logoText).toBe('ACME');
+    expect(config.hold).toEqual({ tagline: DEFAULT_HOLD.tagline, message: 'We will be back shortly' });
+    expect(config.chat).toEqual({ url: 'wss://chat.example.com' });
+    expect(config.debug).toBe(true);
+  });
+
+  it('reports every problem at once', () => {
+    const { config, errors } = validateEventConfig({
+      sources: [
+        { id: 'a', url: 'ftp://nope' },
+        { id: 'a', url: 'https://ok.example.com/x.m3u8', priority: 'high' },
+        'not a source',
+      ],
+      teamsUrl: 'http://insecure.example.com',
+      debug: 'yes',
+      dvr: 1,
+      chat: { url: 'https://not-a-socket' },
+      hold: { tagline: 42 },
+    });
+    expect(config).toBeUndefined();
+    expect(errors).toEqual([
+      'title is required',
+      'sources[0].url must be an http(s) URL',
+      'sources[1].id "a" is used more than once',
+      'sources[1].priority must be a number',
+      'sources[2] must be an object',
+      'teamsUrl must be an https URL',
+      'hold.tagline must be a string',
+      'debug must be true or false',
+      'dvr must be true or false',
+      'chat.url must be a ws(s) URL',
+    ]);
+  });
+
+  it('rejects missing or empty sources and non-object configs', () => {
+    expect(validateEventConfig({ title: 'x', sources: [] }).errors).toEqual(['sources must be a non-empty array']);
+    expect(validateEventConfig([]).errors).toEqual(['config must be a JSON object']);
+  });
+
+  it('validates the schedule and fills in lifecycle screen text', () => {
+    const ok = validateEventConfig({
+      ...valid(),
+      schedule: { start: '2025-06-01T14:00:00Z', end: '2025-06-01T15:30:00Z' },
+      screens: { ended: { message: 'Replay on the intranet tomorrow' } },
+    });
+    expect(ok.config.schedule).toEqual({ doorsOpen: null, start: '2025-06-01T14:00:00Z', end: '2025-06-01T15:30:00Z' });
+    expect(ok.config.screens.ended).toEqual({ title: DEFAULT_SCREENS.ended.title, message: 'Replay on the intranet tomorrow' });
+    expect(ok.config.screens.countdown).toEqual(DEFAULT_SCREENS.countdown);
+
+    expect(validateEventConfig({
+      ...valid(),
+      schedule: { doorsOpen: '2025-06-01T14:30:00Z', start: '2025-06-01T14:00:00Z', end: 'tomorrow' },
+    }).errors).toEqual([
+      'schedule.end must be an ISO date, e.g. 2025-06-01T14:00:00Z',
+      'schedule.doorsOpen must not be after schedule.start',
+    ]);
+    expect(validateEventConfig({ ...valid(), schedule: { start: '2025-06-01T14:00:00Z', end: '2025-06-01T13:00:00Z' } }).errors)
+      .toEqual(['schedule.end must be after schedule.start']);
+  });
+
+  it('validates the control feed and scheduled messages', () => {
+    const { config } = validateEventConfig({
+      ...valid(),
+      control: { url: 'https://control.example.com', transport: 'poll' },
+      messages: [{ text: 'Break until 14:30', target: 'hold', startsAt: '2025-06-01T14:00:00Z', endsAt: '2025-06-01T14:30:00Z' }],
+    });
+    expect(config.control).toEqual({ url: 'https://control.example.com', transport: 'poll', pollInterval: 15000 });
+    expect(config.messages[0]).toMatchObject({ id: 'config-0', text: 'Break until 14:30' });
+
+    expect(validateEventConfig({
+      ...valid(),
+      control: { url: 'wss://nope', pollIntervalMs: 10 },
+      messages: [{ target: 'popup', endsAt: 'later' }],
+    }).errors).toEqual([
+      'control.url must be an http(s) URL',
+      'control.pollIntervalMs must be a number of at least 1000',
+      'messages[0].text is required',
+      'messages[0].target must be "hold", "banner" or "all"',
+      'messages[0].endsAt must be an ISO date',
+    ]);
+  });
+
+  it('validates the health checker', () => {
+    expect(validateEventConfig(valid()).config.healthChecker).toBeNull();
+    expect(validateEventConfig({ ...valid(), healthChecker: { url: 'https://health.example.com' } }).config.healthChecker)
+      .toEqual({ url: 'https://health.example.com', pollInterval: 10000 });
+    expect(validateEventConfig({ ...valid(), healthChecker: { url: 'health', pollIntervalMs: '5s' } }).errors).toEqual([
+      'healthChecker.url must be an http(s) URL',
+      'healthChecker.pollIntervalMs must be a number of at least 1000',
+    ]);
+  });
+
+  it('validates the probe mode', () => {
+    expect(validateEventConfig(valid()).config.probe).toEqual({ mode: 'media', checkSegment: false });
+    expect(validateEventConfig({ ...valid(), probe: { mode: 'playlist', checkSegment: true } }).config.probe)
+      .toEqual({ mode: 'playlist', checkSegment: true });
+    expect(validateEventConfig({ ...valid(), probe: { mode: 'manifest', checkSegment: 'yes' } }).errors).toEqual([
+      'probe.mode must be "media" or "playlist"',
+      'probe.checkSegment must be true or false',
+    ]);
+  });
+
+  it('validates the quality policy', () => {
+    expect(validateEventConfig(valid()).config.quality).toEqual({ maxHeight: null, dataSaverMaxHeight: 480 });
+    expect(validateEventConfig({ ...valid(), quality: { maxHeight: 720 } }).config.quality)
+      .toEqual({ maxHeight: 720, dataSaverMaxHeight: 480 });
+    expect(validateEventConfig({ ...valid(), quality: { maxHeight: '720p', dataSaverMaxHeight: -1 } }).errors).toEqual([
+      'quality.maxHeight must be a positive whole number of pixels',
+      'quality.dataSaverMaxHeight must be a positive whole number of pixels',
+    ]);
+  });
+
+  it('validates the audio-only fallback', () => {
+    expect(validateEventConfig(valid()).config.audioFallback).toBeNull();
+    expect(validateEventConfig({ ...valid(), audioFallback: { source: 'primary' } }).config.audioFallback)
+      .toEqual({ source: 'primary' });
+    expect(validateEventConfig({ ...valid(), audioFallback: { url: 'https://cdn.example.com/audio.m3u8' } }).config.audioFallback)
+      .toEqual({ url: 'https://cdn.example.com/audio.m3u8' });
+    expect(validateEventConfig({ ...valid(), audioFallback: { source: 'tertiary' } }).errors)
+      .toEqual(['audioFallback.source must be the id of one of the sources']);
+    expect(validateEventConfig({ ...valid(), audioFallback: { source: 'primary', url: 'https://cdn.example.com/a.m3u8' } }).errors)
+      .toEqual(['audioFallback needs either url or source']);
+    expect(validateEventConfig({ ...valid(), audioFallback: { url: 'ftp://cdn.example.com/a.m3u8' } }).errors)
+      .toEqual(['audioFallback.url must be an http(s) URL']);
+  });
+
+  it('validates the stale manifest thresholds', () => {
+    expect(validateEventConfig(valid()).config.staleManifest).toEqual({ stuckTargetDurations: 3, maxPdtLag: 60000 });
+    expect(validateEventConfig({ ...valid(), staleManifest: { stuckTargetDurations: 4, maxPdtLagMs: null } }).config.staleManifest)
+      .toEqual({ stuckTargetDurations: 4, maxPdtLag: null });
+    expect(validateEventConfig({ ...valid(), staleManifest: { stuckTargetDurations: 0, maxPdtLagMs: '30s' } }).errors).toEqual([
+      'staleManifest.stuckTargetDurations must be a number of at least 1',
+      'staleManifest.maxPdtLagMs must be a number of at least 1000, or null',
+    ]);
+  });
+
+  it('validates a source\'s low-latency settings', () => {
+    const withLowLatency = lowLatency => ({ ...valid(), sources: [{ id: 'ivs', url: 'https://ivs.example.com/ll.m3u8', lowLatency }] });
+    expect(validateEventConfig(withLowLatency(true)).config.sources[0].lowLatency).toBe(true);
+    expect(validateEventConfig(withLowLatency({ targetLatencyMs: 4000, maxDriftMs: 2000 })).errors).toBeUndefined();
+    expect(validateEventConfig(withLowLatency('on')).errors).toEqual(['sources[0].lowLatency must be true, false or an object']);
+    expect(validateEventConfig(withLowLatency({ targetLatencyMs: 500, maxDriftMs: 0 })).errors).toEqual([
+      'sources[0].lowLatency.targetLatencyMs must be a number of at least 1000',
+      'sources[0].lowLatency.maxDriftMs must be a positive number',
+    ]);
+  });
+
+  it('validates source types and what goes with them', () => {
+    const withSource = source => ({ ...valid(), sources: [...valid().sources, { id: 'extra', ...source }] });
+    expect(validateEventConfig(withSource({ type: 'dash', url: 'https://cdn.example.com/live.mpd' })).errors).toBeUndefined();
+    expect(validateEventConfig(withSource({
+      type: 'iframe', url: 'https://www.youtube.com/embed/x', liveness: { url: 'https://status.example.com/youtube', pollIntervalMs: 5000 },
+    })).config.sources[2].liveness).toEqual({ url: 'https://status.example.com/youtube', pollInterval: 5000 });
+    // The liveness mock's wrapper page, for local testing
+    expect(validateEventConfig(withSource({
+      type: 'iframe', url: 'http://localhost:4005/wrapper?src=https://teams.microsoft.com/l/x', liveness: { origin: 'http://localhost:4005' },
+    })).errors).toBeUndefined();
+    expect(validateEventConfig(withSource({ type: 'rtmp', url: 'https://cdn.example.com/x' })).errors)
+      .toEqual(['sources[2].type must be one of hls, native, dash, iframe']);
+    expect(validateEventConfig(withSource({
+      type: 'iframe', url: 'http://events.example.com', platform: 'webex', lowLatency: true, liveness: { origin: 'x' },
+    })).errors).toEqual([
+      'sources[2].url must be an https URL',
+      'sources[2].lowLatency only applies to hls sources',
+      'sources[2].platform must be one of youtube, vimeo, teams, zoom, generic on an iframe source',
+      'sources[2].liveness.origin must be an http(s) origin',
+    ]);
+    expect(validateEventConfig(withSource({ type: 'native', url: 'https://cdn.example.com/x.mp4', liveness: { origin: 'https://x.example.com' } })).errors)
+      .toEqual(['sources[2].liveness only applies to iframe sources']);
+    expect(validateEventConfig({ ...withSource({ type: 'dash', url: 'https://cdn.example.com/live.mpd' }), audioFallback: { source: 'extra' } }).errors)
+      .toEqual(['audioFallback.source must be an hls source']);
+    // A broken entry is reported, not tripped over
+    expect(validateEventConfig({ ...valid(), sources: [null, ...valid().sources], audioFallback: { source: 'primary' } }).errors)
+      .toEqual(['sources[0] must be an object']);
+  });
+
+  it('reads teamsUrl and teamsLiveness as a Teams iframe source', () => {
+    const teams = { ...valid(), teamsUrl: 'https://teams.microsoft.com/l/meetup-join/x' };
+    expect(validateEventConfig(teams).config.sources[2]).toEqual({
+      id: 'teams', type: 'iframe', platform: 'teams', label: 'Teams', url: 'https://teams.microsoft.com/l/meetup-join/x',
+    });
+    expect(validateEventConfig({ ...teams, teamsLiveness: { url: 'https://status.example.com/teams', pollIntervalMs: 5000 } }).config.sources[2].liveness)
+      .toEqual({ url: 'https://status.example.com/teams', pollInterval: 5000 });
+    expect(validateEventConfig({ ...teams, teamsLiveness: { origin: 'https://wrapper.example.com' } }).config.sources[2].liveness)
+      .toEqual({ origin: 'https://wrapper.example.com' });
+    expect(validateEventConfig({ ...valid(), teamsLiveness: { url: 'https://status.example.com/teams', origin: 'https://wrapper.example.com' } }).errors)
+      .toEqual(['teamsLiveness needs a teamsUrl', 'teamsLiveness needs either url or origin']);
+    expect(validateEventConfig({ ...teams, teamsLiveness: { url: 'status', pollIntervalMs: 10 } }).errors).toEqual([
+      'teamsLiveness.url must be an http(s) URL',
+      'teamsLiveness.pollIntervalMs must be a number of at least 1000',
+    ]);
+    const clash = { ...teams, sources: [...valid().sources, { id: 'teams', type: 'iframe', url: 'https://teams.microsoft.com/l/y' }] };
+    expect(validateEventConfig(clash).errors).toEqual(['teamsUrl can\'t be used alongside a source with id "teams"']);
+  });
+
+  it('validates the playhead sync tolerance', () => {
+    expect(validateEventConfig(valid()).config.playheadSync).toEqual({ tolerance: 1000 });
+    expect(validateEventConfig({ ...valid(), playheadSync: { toleranceMs: null } }).config.playheadSync)
+      .toEqual({ tolerance: null });
+    expect(validateEventConfig({ ...valid(), playheadSync: { toleranceMs: -1 } }).errors)
+      .toEqual(['playheadSync.toleranceMs must be a number of at least 0, or null']);
+  });
+});
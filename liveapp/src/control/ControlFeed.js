@@ -0,0 +1,131 @@
+import Emitter from '../utils/Emitter';
+import { normalizeMessage } from './messages';
+import { normalizeDirectives } from './directives';
+
+export const FEED_TRANSPORTS = {
+  SSE: 'sse',   // GET <url>/events — server-sent `state` events
+  POLL: 'poll', // GET <url>/state every pollInterval
+};
+
+export const FEED_EVENTS = {
+  STATE: 'state',   // (state) — full snapshot, replaces the previous one; { messages, directives } by default
+  STATUS: 'status', // (status)
+};
+
+export const FEED_STATUS = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  ERROR: 'error', // last poll failed / stream dropped — the last snapshot is kept
+};
+
+const DEFAULT_POLL_INTERVAL = 15000;
+
+export const normalizeControlState = raw => ({
+  messages: Array.isArray(raw.messages) ? raw.messages.map(normalizeMessage).filter(Boolean) : [],
+  directives: normalizeDirectives(raw.directives),
+});
+
+// =============================================================================
+// ControlFeed — one-way operator feed. The server always sends the whole
+// state, never deltas, so a missed update or a reconnect can't leave a viewer
+// out of step. Failures keep the last snapshot: an outage is exactly when the
+// current message matters most.
+//
+// `normalize` turns a raw snapshot into the state consumers see; swapping it
+// lets other full-snapshot feeds (the viewer dashboard) reuse the transport.
+// =============================================================================
+class ControlFeed extends Emitter {
+  constructor({
+    url,
+    transport = FEED_TRANSPORTS.SSE,
+    pollInterval = DEFAULT_POLL_INTERVAL,
+    EventSourceImpl = typeof EventSource !== 'undefined' ? EventSource : null,
+    fetchImpl = (...args) => fetch(...args),
+    normalize = normalizeControlState,
+  }) {
+    super();
+    this.url = url.replace(/\/$/, '');
+    // Browsers without EventSource fall back to polling
+    this.transport = transport === FEED_TRANSPORTS.SSE && !EventSourceImpl ? FEED_TRANSPORTS.POLL : transport;
+    this.pollInterval = pollInterval;
+    this.EventSourceImpl = EventSourceImpl;
+    this.fetchImpl = fetchImpl;
+    this.normalize = normalize;
+
+    this.source = null;
+    this.pollTimer = null;
+    this.active = false;
+    this.status = null;
+    this.state = normalize({});
+
+    this.poll = this.poll.bind(this);
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.setStatus(FEED_STATUS.CONNECTING);
+    if (this.transport === FEED_TRANSPORTS.SSE) this.openStream();
+    else this.poll();
+  }
+
+  stop() {
+    this.active = false;
+    if (this.source) { this.source.close(); this.source = null; }
+    if (this.pollTimer) { clearTimeout(this.pollTimer); this.pollTimer = null; }
+  }
+
+  destroy() {
+    this.stop();
+    this.removeAllListeners();
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    this.emit(FEED_EVENTS.STATUS, status);
+  }
+
+  // EventSource reconnects by itself; we only track the status
+  openStream() {
+    const source = new this.EventSourceImpl(`${this.url}/events`);
+    this.source = source;
+    source.onopen = () => this.setStatus(FEED_STATUS.OPEN);
+    source.onerror = () => this.setStatus(FEED_STATUS.ERROR);
+    source.addEventListener('state', (event) => {
+      try {
+        this.applyState(JSON.parse(event.data));
+      } catch (e) {
+        // Ignore a malformed event and keep the last snapshot
+      }
+    });
+  }
+
+  async poll() {
+    this.pollTimer = null;
+    try {
+      const response = await this.fetchImpl(`${this.url}/state`, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const state = await response.json();
+      if (!this.active) return;
+      this.applyState(state);
+      this.setStatus(FEED_STATUS.OPEN);
+    } catch (e) {
+      if (!this.active) return;
+      this.setStatus(FEED_STATUS.ERROR);
+    }
+    this.pollTimer = setTimeout(this.poll, this.pollInterval);
+  }
+
+  applyState(raw) {
+    if (!raw || typeof raw !== 'object') return;
+    this.state = this.normalize(raw);
+    this.emit(FEED_EVENTS.STATE, this.state);
+  }
+}
+
+export default ControlFeed;
@@ -0,0 +1,91 @@
+import ControlFeed, { FEED_EVENTS, FEED_STATUS, FEED_TRANSPORTS } from './ControlFeed';
+import { flushPromises } from '../player/testing/FakeVideo';
+
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, handler) { this.listeners[type] = handler; }
+
+  close() { this.closed = true; }
+
+  push(type, data) { this.listeners[type]({ data: typeof data === 'string' ? data : JSON.stringify(data) }); }
+}
+
+const track = (feed) => {
+  const states = [];
+  const statuses = [];
+  feed.on(FEED_EVENTS.STATE, s => states.push(s.messages.map(m => m.id)));
+  feed.on(FEED_EVENTS.STATUS, s => statuses.push(s));
+  return { states, statuses };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  FakeEventSource.instances = [];
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('ControlFeed', () => {
+  it('applies snapshots from the SSE stream and keeps the last one on errors', () => {
+    const feed = new ControlFeed({ url: 'http://control/', EventSourceImpl: FakeEventSource });
+    const { states, statuses } = track(feed);
+    feed.start();
+    const source = FakeEventSource.instances[0];
+    expect(source.url).toBe('http://control/events');
+
+    source.onopen();
+    source.push('state', { messages: [{ id: 'm1', text: 'Back in 5' }] });
+    source.onerror();
+    source.push('state', 'not json');
+
+    expect(states).toEqual([['m1']]);
+    expect(feed.getState().messages[0].text).toBe('Back in 5');
+    expect(statuses).toEqual([FEED_STATUS.CONNECTING, FEED_STATUS.OPEN, FEED_STATUS.ERROR]);
+
+    feed.stop();
+    expect(source.closed).toBe(true);
+  });
+
+  it('polls the state endpoint and survives failed requests', async () => {
+    const responses = [
+      { ok: true, json: async () => ({ messages: [{ id: 'm1', text: 'Hello' }] }) },
+      { ok: false, status: 502 },
+      { ok: true, json: async () => ({ messages: [] }) },
+    ];
+    const fetchImpl = jest.fn(async () => responses.shift());
+    const feed = new ControlFeed({ url: 'http://control', transport: FEED_TRANSPORTS.POLL, pollInterval: 5000, fetchImpl });
+    const { states, statuses } = track(feed);
+
+    feed.start();
+    await flushPromises();
+    expect(fetchImpl).toHaveBeenCalledWith('http://control/state', { cache: 'no-store' });
+
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(feed.getState().messages.map(m => m.id)).toEqual(['m1']);
+
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(states).toEqual([['m1'], []]);
+    expect(statuses).toEqual([FEED_STATUS.CONNECTING, FEED_STATUS.OPEN, FEED_STATUS.ERROR, FEED_STATUS.OPEN]);
+
+    feed.stop();
+    jest.advanceTimersByTime(60000);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  it('falls back to polling without EventSource', () => {
+    const feed = new ControlFeed({ url: 'http://control', EventSourceImpl: null, fetchImpl: jest.fn(() => new Promise(() => {})) });
+    expect(feed.transport).toBe(FEED_TRANSPORTS.POLL);
+  });
+});
@@ -0,0 +1,36 @@
+import { FEED_EVENTS } from './ControlFeed';
+
+const sameList = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+
+// =============================================================================
+// attachControl — applies operator directives from a ControlFeed to a
+// ResilientPlayer. Only changes are applied, so a reconnect that replays the
+// same state doesn't restart a switch. Attached before player.start(), the
+// directives decide where the player starts. Attached after (as Streaming
+// does, and as any snapshot arriving after start is), they move it: off a
+// blocked source, onto a forced one, or into an operator hold.
+// `onTeams(on)` lets the host toggle its Teams view. Returns a detach function.
+// =============================================================================
+function attachControl(player, feed, { onTeams = () => {} } = {}) {
+  let applied = null;
+
+  const apply = ({ directives }) => {
+    const prev = applied;
+    applied = directives;
+
+    // Order matters: blocking first so a force or a hold release never lands
+    // on a source that is about to be blocked
+    if (!prev || !sameList(prev.blockedSources, directives.blockedSources)) {
+      player.setBlockedSources(directives.blockedSources);
+    }
+    if (!prev || prev.hold !== directives.hold) player.setOperatorHold(directives.hold);
+    if (!prev || prev.forceSource !== directives.forceSource) player.forceSource(directives.forceSource);
+    // Don't override a viewer's own Teams toggle with the default on attach
+    if (prev ? prev.teams !== directives.teams : directives.teams) onTeams(directives.teams);
+  };
+
+  apply(feed.getState());
+  return feed.on(FEED_EVENTS.STATE, apply);
+}
+
+export default attachControl;
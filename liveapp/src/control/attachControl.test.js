@@ -0,0 +1,85 @@
+import attachControl from './attachControl';
+import ControlFeed from './ControlFeed';
+import { ResilientPlayer, PHASES } from '../player';
+import { createFakeHls } from '../player/testing/FakeHls';
+import { FakeVideo } from '../player/testing/FakeVideo';
+
+const fakePlayer = () => ({
+  calls: [],
+  setBlockedSources(ids) { this.calls.push(['block', ids]); },
+  setOperatorHold(on) { this.calls.push(['hold', on]); },
+  forceSource(id) { this.calls.push(['force', id]); },
+});
+
+const setup = () => {
+  const feed = new ControlFeed({ url: 'http://control', EventSourceImpl: null, fetchImpl: () => new Promise(() => {}) });
+  const player = fakePlayer();
+  const teams = [];
+  const detach = attachControl(player, feed, { onTeams: on => teams.push(on) });
+  return { feed, player, teams, detach };
+};
+
+describe('attachControl', () => {
+  it('applies the current directives on attach, without touching Teams', () => {
+    const { player, teams } = setup();
+    expect(player.calls).toEqual([['block', []], ['hold', false], ['force', null]]);
+    expect(teams).toEqual([]);
+  });
+
+  it('applies only what changed, blocking before forcing', () => {
+    const { feed, player, teams } = setup();
+    player.calls = [];
+
+    feed.applyState({ directives: { forceSource: 'secondary', blockedSources: ['primary'] } });
+    expect(player.calls).toEqual([['block', ['primary']], ['force', 'secondary']]);
+
+    player.calls = [];
+    feed.applyState({ directives: { forceSource: 'secondary', blockedSources: ['primary'], teams: true } });
+    feed.applyState({ directives: { forceSource: 'secondary', blockedSources: ['primary'], teams: true } });
+    expect(player.calls).toEqual([]);
+    expect(teams).toEqual([true]);
+
+    feed.applyState({ directives: { hold: true } });
+    expect(player.calls).toEqual([['block', []], ['hold', true], ['force', null]]);
+    expect(teams).toEqual([true, false]);
+  });
+
+  it('moves a player that has already started to where the operator wants it', () => {
+    jest.useFakeTimers();
+    const Hls = createFakeHls();
+    const player = new ResilientPlayer({
+      videoA: new FakeVideo(),
+      videoB: new FakeVideo(),
+      sources: [
+        { id: 'primary', url: 'https://ivs/primary.m3u8' },
+        { id: 'secondary', url: 'https://mux/secondary.m3u8' },
+        { id: 'tertiary', url: 'https://mediapackage/index.m3u8' },
+      ],
+      hls: Hls,
+      createVideo: () => new FakeVideo(),
+    });
+    const feed = new ControlFeed({ url: 'http://control', EventSourceImpl: null, fetchImpl: () => new Promise(() => {}) });
+    feed.applyState({ directives: { forceSource: 'tertiary', blockedSources: ['primary'] } });
+
+    player.start();
+    const primary = Hls.last();
+    attachControl(player, feed);
+    expect(primary.destroyed).toBe(true);
+    expect(Hls.live().map(h => h.url)).toEqual(['https://mediapackage/index.m3u8']);
+    expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'tertiary' });
+
+    feed.applyState({ directives: { forceSource: 'tertiary', blockedSources: ['primary'], hold: true } });
+    expect(player.getState().phase).toBe(PHASES.HOLD);
+    expect(Hls.live()).toHaveLength(0);
+    player.destroy();
+    jest.useRealTimers();
+  });
+
+  it('stops applying after detach', () => {
+    const { feed, player, detach } = setup();
+    player.calls = [];
+    detach();
+    feed.applyState({ directives: { hold: true } });
+    expect(player.calls).toEqual([]);
+  });
+});
@@ -0,0 +1,20 @@
+// Operator directives carried in the control feed's state. Like messages
+// they are state, not one-off commands, so a viewer who joins mid-incident
+// is steered the same way as everyone else.
+
+export const DEFAULT_DIRECTIVES = {
+  forceSource: null,   // source id every viewer should play, or null
+  blockedSources: [],  // source ids nobody may play
+  hold: false,         // everyone on the hold screen, no probing
+  teams: false,        // everyone on the Teams view: the "teams" iframe source, else the first
+};
+
+export const normalizeDirectives = (raw) => {
+  if (!raw || typeof raw !== 'object') return DEFAULT_DIRECTIVES;
+  return {
+    forceSource: typeof raw.forceSource === 'string' && raw.forceSource ? raw.forceSource : null,
+    blockedSources: Array.isArray(raw.blockedSources) ? raw.blockedSources.filter(id => typeof id === 'string') : [],
+    hold: raw.hold === true,
+    teams: raw.teams === true,
+  };
+};
@@ -0,0 +1,11 @@
+export {
+  default as ControlFeed, FEED_TRANSPORTS, FEED_EVENTS, FEED_STATUS, normalizeControlState,
+} from './ControlFeed';
+export {
+  MESSAGE_TARGETS, MESSAGE_LEVELS, MAX_MESSAGE_TEXT, normalizeMessage, getActiveMessages, msUntilMessagesChange,
+} from './messages';
+export { DEFAULT_DIRECTIVES, normalizeDirectives } from './directives';
+export { default as attachControl } from './attachControl';
+export { createOperatorApi } from './operatorApi';
+export { default as useControlFeed } from './useControlFeed';
+export { default as useActiveMessages } from './useActiveMessages';
@@ -0,0 +1,58 @@
+// Operator messages for the hold screen and the banner over live video.
+// A message is { id, text, target, level, startsAt, endsAt, createdAt };
+// startsAt / endsAt (ISO, optional) make it a scheduled message.
+
+export const MESSAGE_TARGETS = {
+  HOLD: 'hold',     // hold / starting-soon screen only
+  BANNER: 'banner', // strip over live video only
+  ALL: 'all',       // both
+};
+
+export const MESSAGE_LEVELS = {
+  INFO: 'info',
+  WARNING: 'warning',
+};
+
+export const MAX_MESSAGE_TEXT = 280;
+
+// setTimeout overflows past ~24.8 days
+export const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const TARGETS = Object.values(MESSAGE_TARGETS);
+const LEVELS = Object.values(MESSAGE_LEVELS);
+
+const toMs = value => (value ? Date.parse(value) : NaN);
+
+// Coerces one message from the feed or the event config; null if unusable
+export const normalizeMessage = (raw) => {
+  if (!raw || typeof raw.id !== 'string' || typeof raw.text !== 'string' || !raw.text.trim()) return null;
+  return {
+    id: raw.id,
+    text: raw.text.trim().slice(0, MAX_MESSAGE_TEXT),
+    target: TARGETS.includes(raw.target) ? raw.target : MESSAGE_TARGETS.ALL,
+    level: LEVELS.includes(raw.level) ? raw.level : MESSAGE_LEVELS.INFO,
+    startsAt: Number.isNaN(toMs(raw.startsAt)) ? null : raw.startsAt,
+    endsAt: Number.isNaN(toMs(raw.endsAt)) ? null : raw.endsAt,
+    createdAt: Number(raw.createdAt) || 0,
+  };
+};
+
+const isActive = (message, now) => (!message.startsAt || toMs(message.startsAt) <= now)
+  && (!message.endsAt || toMs(message.endsAt) > now);
+
+// The newest active message for each surface: { hold, banner }
+export const getActiveMessages = (messages, now = Date.now()) => {
+  const active = messages
+    .filter(m => isActive(m, now))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const pick = target => active.find(m => m.target === target || m.target === MESSAGE_TARGETS.ALL) || null;
+  return { hold: pick(MESSAGE_TARGETS.HOLD), banner: pick(MESSAGE_TARGETS.BANNER) };
+};
+
+// Milliseconds until a scheduled message starts or ends, or null if none will
+export const msUntilMessagesChange = (messages, now = Date.now()) => {
+  const upcoming = messages
+    .flatMap(m => [toMs(m.startsAt), toMs(m.endsAt)])
+    .filter(t => t > now);
+  return upcoming.length ? Math.min(...upcoming) - now : null;
+};
@@ -0,0 +1,36 @@
+import { normalizeMessage, getActiveMessages, msUntilMessagesChange } from './messages';
+
+const at = iso => Date.parse(iso);
+const message = (id, fields = {}) => normalizeMessage({ id, text: id, createdAt: 1, ...fields });
+
+describe('operator messages', () => {
+  it('normalises feed messages and drops unusable ones', () => {
+    expect(normalizeMessage({ id: 'm1', text: '  Back in 5  ', target: 'sideways', level: 'loud', startsAt: 'soon' }))
+      .toEqual({ id: 'm1', text: 'Back in 5', target: 'all', level: 'info', startsAt: null, endsAt: null, createdAt: 0 });
+    expect(normalizeMessage({ id: 'm2', text: '   ' })).toBeNull();
+    expect(normalizeMessage({ text: 'no id' })).toBeNull();
+  });
+
+  it('picks the newest active message for the hold screen and the banner', () => {
+    const messages = [
+      message('everywhere', { createdAt: 1 }),
+      message('hold-only', { target: 'hold', createdAt: 2 }),
+      message('expired', { target: 'banner', createdAt: 3, endsAt: '2025-06-01T13:00:00Z' }),
+    ];
+    const { hold, banner } = getActiveMessages(messages, at('2025-06-01T14:00:00Z'));
+    expect(hold.id).toBe('hold-only');
+    expect(banner.id).toBe('everywhere');
+    expect(getActiveMessages([], 0)).toEqual({ hold: null, banner: null });
+  });
+
+  it('honours scheduled windows', () => {
+    const brk = message('break', { startsAt: '2025-06-01T14:00:00Z', endsAt: '2025-06-01T14:30:00Z' });
+    expect(getActiveMessages([brk], at('2025-06-01T13:59:00Z')).hold).toBeNull();
+    expect(getActiveMessages([brk], at('2025-06-01T14:10:00Z')).hold.id).toBe('break');
+    expect(getActiveMessages([brk], at('2025-06-01T14:30:00Z')).hold).toBeNull();
+
+    expect(msUntilMessagesChange([brk], at('2025-06-01T13:59:00Z'))).toBe(60 * 1000);
+    expect(msUntilMessagesChange([brk], at('2025-06-01T14:10:00Z'))).toBe(20 * 60 * 1000);
+    expect(msUntilMessagesChange([brk], at('2025-06-01T15:00:00Z'))).toBeNull();
+  });
+});
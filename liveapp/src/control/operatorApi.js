@@ -0,0 +1,30 @@
+// Write side of the control server, used by the /operator panel. Every call
+// resolves to { data } or { error } — it never rejects.
+export const createOperatorApi = ({ url, password, fetchImpl = (...args) => fetch(...args) }) => {
+  const base = url.replace(/\/$/, '');
+
+  const request = async (method, path, body) => {
+    let response;
+    try {
+      response = await fetchImpl(`${base}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${password}` },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (err) {
+      return { error: 'Control server unreachable' };
+    }
+    if (response.status === 401) return { error: 'Wrong operator password' };
+    const data = response.status === 204 ? null : await response.json().catch(() => null);
+    if (!response.ok) return { error: (data && data.error) || `HTTP ${response.status}` };
+    return { data };
+  };
+
+  return {
+    checkPassword: () => request('GET', '/auth'),
+    setDirectives: directives => request('PATCH', '/directives', directives),
+    postMessage: message => request('POST', '/messages', message),
+    deleteMessage: id => request('DELETE', `/messages/${encodeURIComponent(id)}`),
+    clearMessages: () => request('DELETE', '/messages'),
+  };
+};
@@ -0,0 +1,32 @@
+import { createOperatorApi } from './operatorApi';
+
+const response = (status, body) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  json: async () => body,
+});
+
+describe('createOperatorApi', () => {
+  it('sends the password as a bearer token', async () => {
+    const fetchImpl = jest.fn(async () => response(200, { hold: true }));
+    const api = createOperatorApi({ url: 'http://control/', password: 's3cret', fetchImpl });
+
+    expect(await api.setDirectives({ hold: true })).toEqual({ data: { hold: true } });
+    expect(fetchImpl).toHaveBeenCalledWith('http://control/directives', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer s3cret' },
+      body: JSON.stringify({ hold: true }),
+    });
+  });
+
+  it('turns failures into { error } instead of rejecting', async () => {
+    const api = (fetchImpl) => createOperatorApi({ url: 'http://control', password: 'x', fetchImpl });
+
+    expect(await api(async () => response(401)).checkPassword()).toEqual({ error: 'Wrong operator password' });
+    expect(await api(async () => response(400, { error: 'text is required' })).postMessage({}))
+      .toEqual({ error: 'text is required' });
+    expect(await api(async () => { throw new Error('offline'); }).clearMessages())
+      .toEqual({ error: 'Control server unreachable' });
+    expect(await api(async () => response(204)).deleteMessage('m 1')).toEqual({ data: null });
+  });
+});
@@ -0,0 +1,34 @@
+import { useEffect, useMemo, useState } from 'react';
+import { FEED_EVENTS } from './ControlFeed';
+import { getActiveMessages, msUntilMessagesChange, MAX_TIMER_MS } from './messages';
+
+// { hold, banner } from the feed's messages plus the ones scheduled in the
+// event config, re-evaluated whenever a scheduled message starts or ends
+const useActiveMessages = (feed, scheduled = []) => {
+  const [live, setLive] = useState(() => (feed ? feed.getState().messages : []));
+  // Bumped when a scheduled message starts or ends, to re-run the selection
+  const [tick, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!feed) {
+      setLive([]);
+      return undefined;
+    }
+    setLive(feed.getState().messages);
+    return feed.on(FEED_EVENTS.STATE, state => setLive(state.messages));
+  }, [feed]);
+
+  const messages = useMemo(() => [...scheduled, ...live], [scheduled, live]);
+
+  useEffect(() => {
+    const wait = msUntilMessagesChange(messages, Date.now());
+    if (wait === null) return undefined;
+    const timer = setTimeout(() => setTick(n => n + 1), Math.min(wait, MAX_TIMER_MS));
+    return () => clearTimeout(timer);
+  }, [messages, tick]);
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  return useMemo(() => getActiveMessages(messages, Date.now()), [messages, tick]);
+};
+
+export default useActiveMessages;
@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+import ControlFeed from './ControlFeed';
+
+// Opens the operator feed for as long as the component is mounted.
+// `options` must be stable (it comes straight from the loaded event config).
+const useControlFeed = (options) => {
+  const [feed, setFeed] = useState(null);
+
+  useEffect(() => {
+    if (!options) return undefined;
+    const instance = new ControlFeed(options);
+    instance.start();
+    setFeed(instance);
+    return () => {
+      instance.destroy();
+      setFeed(null);
+    };
+  }, [options]);
+
+  return feed;
+};
+
+export default useControlFeed;
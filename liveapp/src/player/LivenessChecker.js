@@ -0,0 +1,131 @@
+import Emitter from '../utils/Emitter';
+
+export const LIVENESS_EVENTS = {
+  CHANGE: 'change', // ({ live })
+};
+
+// What a wrapper page posts to its parent: { type, live }
+export const LIVENESS_MESSAGE_TYPE = 'liveapp:liveness';
+export const LIVENESS_POLL_INTERVAL = 15000;
+// A wrapper page that hasn't confirmed for this long is taken to be gone
+export const LIVENESS_MESSAGE_MAX_AGE = 60000;
+
+// =============================================================================
+// Liveness checkers — whether an iframe source (a Teams Town Hall) has
+// anything on it right now. The iframe itself gives no signal, which is why
+// Teams was manual only. A checker has start(), stop(), isLive() and a CHANGE
+// event; any object that does can be handed to the player instead of these.
+// Not knowing counts as not live: a blank embed is worse than the hold screen.
+// =============================================================================
+class LivenessChecker extends Emitter {
+  constructor() {
+    super();
+    this.live = false;
+    this.active = false;
+  }
+
+  isLive() {
+    return this.live;
+  }
+
+  setLive(live) {
+    if (live === this.live) return;
+    this.live = live;
+    this.emit(LIVENESS_EVENTS.CHANGE, { live });
+  }
+}
+
+// Polls a status endpoint that answers { live: true | false }. An error or
+// any other answer counts as not live.
+export class StatusLiveness extends LivenessChecker {
+  constructor({ url, pollInterval = LIVENESS_POLL_INTERVAL, fetchImpl = (...args) => fetch(...args) }) {
+    super();
+    this.url = url;
+    this.pollInterval = pollInterval;
+    this.fetchImpl = fetchImpl;
+    this.timer = null;
+
+    this.poll = this.poll.bind(this);
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.poll();
+  }
+
+  stop() {
+    this.active = false;
+    this.live = false;
+    if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+  }
+
+  async poll() {
+    this.timer = null;
+    let live = false;
+    try {
+      const response = await this.fetchImpl(this.url, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const status = await response.json();
+      live = !!status && status.live === true;
+    } catch (e) {
+      // Unreachable is not live
+    }
+    if (!this.active) return;
+    this.setLive(live);
+    this.timer = setTimeout(this.poll, this.pollInterval);
+  }
+}
+
+// Listens for { type: LIVENESS_MESSAGE_TYPE, live } posted by a wrapper page
+// on `origin` that embeds the real iframe and knows its state. The wrapper
+// repeats itself; silence for maxAge counts as not live.
+export class MessageLiveness extends LivenessChecker {
+  constructor({
+    origin,
+    maxAge = LIVENESS_MESSAGE_MAX_AGE,
+    target = typeof window !== 'undefined' ? window : null,
+  }) {
+    super();
+    this.origin = origin.replace(/\/$/, '');
+    this.maxAge = maxAge;
+    this.target = target;
+    this.expiry = null;
+
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  start() {
+    if (this.active || !this.target) return;
+    this.active = true;
+    this.target.addEventListener('message', this.onMessage);
+  }
+
+  stop() {
+    this.active = false;
+    this.live = false;
+    if (this.target) this.target.removeEventListener('message', this.onMessage);
+    if (this.expiry) { clearTimeout(this.expiry); this.expiry = null; }
+  }
+
+  onMessage(event) {
+    if (event.origin !== this.origin) return;
+    const { data } = event;
+    if (!data || data.type !== LIVENESS_MESSAGE_TYPE) return;
+    if (this.expiry) clearTimeout(this.expiry);
+    this.expiry = setTimeout(() => {
+      this.expiry = null;
+      this.setLive(false);
+    }, this.maxAge);
+    this.setLive(data.live === true);
+  }
+}
+
+// { url, pollInterval?, fetchImpl? } polls; { origin, maxAge?, target? }
+// listens; a ready-made checker is used as is
+export const createLivenessChecker = (options) => {
+  if (typeof options.isLive === 'function') return options;
+  if (options.url) return new StatusLiveness(options);
+  if (options.origin) return new MessageLiveness(options);
+  throw new Error('A liveness checker needs a url or an origin');
+};
@@ -0,0 +1,104 @@
+import {
+  StatusLiveness, MessageLiveness, createLivenessChecker, LIVENESS_EVENTS, LIVENESS_MESSAGE_TYPE,
+} from './LivenessChecker';
+import { flushPromises } from './testing/FakeVideo';
+
+const respond = body => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+// Just enough of `window` to post messages at
+const createTarget = () => {
+  const listeners = [];
+  return {
+    addEventListener: (event, handler) => listeners.push(handler),
+    removeEventListener: (event, handler) => listeners.splice(listeners.indexOf(handler), 1),
+    post: (origin, data) => listeners.slice().forEach(h => h({ origin, data })),
+    listenerCount: () => listeners.length,
+  };
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('StatusLiveness', () => {
+  it('polls the status endpoint and reports each change', async () => {
+    const answers = [{ live: false }, { live: true }, { live: true }];
+    const fetchImpl = jest.fn(() => respond(answers.shift()));
+    const checker = new StatusLiveness({ url: 'https://status.example.com/teams', pollInterval: 1000, fetchImpl });
+    const changes = [];
+    checker.on(LIVENESS_EVENTS.CHANGE, e => changes.push(e));
+
+    checker.start();
+    await flushPromises();
+    expect(checker.isLive()).toBe(false);
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(checker.isLive()).toBe(true);
+    expect(changes).toEqual([{ live: true }]);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(fetchImpl).toHaveBeenCalledWith('https://status.example.com/teams', { cache: 'no-store' });
+
+    checker.stop();
+    jest.advanceTimersByTime(5000);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  it('counts an unreachable endpoint or an odd answer as not live', async () => {
+    const answers = [
+      respond({ live: true }),
+      Promise.reject(new Error('offline')),
+      respond({ live: true }),
+      respond({ live: 'yes' }),
+    ];
+    const checker = new StatusLiveness({ url: 'https://status.example.com/teams', pollInterval: 1000, fetchImpl: () => answers.shift() });
+    const seen = [];
+    checker.start();
+    for (let i = 0; i < 4; i += 1) {
+      await flushPromises();
+      seen.push(checker.isLive());
+      jest.advanceTimersByTime(1000);
+    }
+    expect(seen).toEqual([true, false, true, false]);
+    checker.stop();
+  });
+});
+
+describe('MessageLiveness', () => {
+  it('trusts only its wrapper page and forgets it after maxAge of silence', () => {
+    const target = createTarget();
+    const checker = new MessageLiveness({ origin: 'https://wrapper.example.com/', maxAge: 30000, target });
+    checker.start();
+
+    target.post('https://evil.example.com', { type: LIVENESS_MESSAGE_TYPE, live: true });
+    target.post('https://wrapper.example.com', { type: 'something-else', live: true });
+    expect(checker.isLive()).toBe(false);
+
+    target.post('https://wrapper.example.com', { type: LIVENESS_MESSAGE_TYPE, live: true });
+    expect(checker.isLive()).toBe(true);
+    jest.advanceTimersByTime(20000);
+    target.post('https://wrapper.example.com', { type: LIVENESS_MESSAGE_TYPE, live: true });
+    jest.advanceTimersByTime(20000);
+    expect(checker.isLive()).toBe(true);
+    jest.advanceTimersByTime(10000);
+    expect(checker.isLive()).toBe(false);
+
+    checker.stop();
+    expect(target.listenerCount()).toBe(0);
+  });
+});
+
+describe('createLivenessChecker', () => {
+  it('picks a checker from the options, or takes a ready-made one', () => {
+    expect(createLivenessChecker({ url: 'https://status.example.com/teams' })).toBeInstanceOf(StatusLiveness);
+    expect(createLivenessChecker({ origin: 'https://wrapper.example.com', target: createTarget() })).toBeInstanceOf(MessageLiveness);
+    const custom = { start() {}, stop() {}, isLive: () => true, on: () => () => {} };
+    expect(createLivenessChecker(custom)).toBe(custom);
+    expect(() => createLivenessChecker({})).toThrow('A liveness checker needs a url or an origin');
+  });
+});
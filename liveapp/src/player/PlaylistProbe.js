@@ -0,0 +1,138 @@
+import { parsePlaylist } from './playlist';
+
+// Sequence advances needed before a source counts as live
+export const PLAYLIST_PROBE_ADVANCES = 3;
+// Without an advance for this many target durations the source is stuck
+const STUCK_TARGET_DURATIONS = 3;
+// The playlist must gain at least this much media per second of wall time;
+// less means the encoder or packager is falling behind
+const MIN_MEDIA_RATE = 0.5;
+
+// =============================================================================
+// PlaylistProbe — judges one source from its playlists alone: no hls.js, no
+// <video>, no decoding. Reloads the media playlist once per target duration
+// (as a player would) and resolves once the media sequence has advanced
+// PLAYLIST_PROBE_ADVANCES times at a believable rate, or as soon as anything
+// rules the source out. run() never rejects.
+// =============================================================================
+class PlaylistProbe {
+  constructor(url, {
+    fetchImpl = (...args) => fetch(...args),
+    checkSegment = false,
+    requiredAdvances = PLAYLIST_PROBE_ADVANCES,
+    now = () => Date.now(),
+  } = {}) {
+    this.url = url;
+    this.fetchImpl = fetchImpl;
+    this.checkSegment = checkSegment;
+    this.requiredAdvances = requiredAdvances;
+    this.now = now;
+
+    this.cancelled = false;
+    this.timer = null;
+    this.wake = null;
+    this.controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  }
+
+  cancel() {
+    this.cancelled = true;
+    if (this.controller) this.controller.abort();
+    if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+    if (this.wake) { this.wake(); this.wake = null; }
+  }
+
+  // Resolves to { ok: true, advances, targetDuration } or { ok: false, reason }
+  async run() {
+    try {
+      return await this.probe();
+    } catch (err) {
+      return { ok: false, reason: this.cancelled ? 'Cancelled' : err.message };
+    }
+  }
+
+  async probe() {
+    let playlist = await this.load(this.url);
+    let mediaUrl = this.url;
+    if (playlist.variants.length > 0) {
+      // Every rendition comes off the same packager; the smallest is cheapest to poll
+      mediaUrl = [...playlist.variants].sort((a, b) => a.bandwidth - b.bandwidth)[0].uri;
+      playlist = await this.load(mediaUrl);
+    }
+    this.validate(playlist);
+
+    const targetMs = playlist.targetDuration * 1000;
+    const startedAt = this.now();
+    let lastAdvanceAt = startedAt;
+    let last = playlist.segments[playlist.segments.length - 1].sequence;
+    let advances = 0;
+    let mediaMs = 0;
+
+    while (advances < this.requiredAdvances) {
+      await this.wait(targetMs);
+      playlist = await this.load(mediaUrl);
+      this.validate(playlist);
+
+      const seen = last;
+      const added = playlist.segments.filter(seg => seg.sequence > seen);
+      if (added.length > 0) {
+        advances += 1;
+        mediaMs += added.reduce((sum, seg) => sum + seg.duration * 1000, 0);
+        last = added[added.length - 1].sequence;
+        lastAdvanceAt = this.now();
+      } else if (this.now() - lastAdvanceAt > targetMs * STUCK_TARGET_DURATIONS) {
+        throw new Error(`Media sequence stuck at ${last}`);
+      }
+    }
+
+    const elapsed = this.now() - startedAt;
+    if (elapsed > 0 && mediaMs / elapsed < MIN_MEDIA_RATE) {
+      throw new Error('Playlist grows slower than its target duration allows');
+    }
+
+    if (this.checkSegment) {
+      const newest = playlist.segments[playlist.segments.length - 1];
+      const response = await this.request(newest.uri, { method: 'HEAD' });
+      if (!response.ok) throw new Error(`Segment HTTP ${response.status}`);
+    }
+
+    return { ok: true, advances, targetDuration: playlist.targetDuration };
+  }
+
+  validate(playlist) {
+    if (playlist.endList) throw new Error('Stream has ended (EXT-X-ENDLIST)');
+    if (!(playlist.targetDuration > 0)) throw new Error('No EXT-X-TARGETDURATION');
+    if (playlist.segments.length === 0) throw new Error('Playlist has no segments');
+    // Per the HLS spec no segment may round to more than the target duration
+    if (playlist.segments.some(seg => Math.round(seg.duration) > playlist.targetDuration)) {
+      throw new Error('Segment longer than EXT-X-TARGETDURATION');
+    }
+  }
+
+  async load(url) {
+    const response = await this.request(url);
+    if (!response.ok) throw new Error(`Playlist HTTP ${response.status}`);
+    return parsePlaylist(await response.text(), response.url || url);
+  }
+
+  request(url, options = {}) {
+    if (this.cancelled) return Promise.reject(new Error('Cancelled'));
+    return this.fetchImpl(url, {
+      ...options,
+      cache: 'no-store',
+      ...(this.controller ? { signal: this.controller.signal } : {}),
+    });
+  }
+
+  wait(ms) {
+    return new Promise((resolve, reject) => {
+      this.wake = () => reject(new Error('Cancelled'));
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.wake = null;
+        resolve();
+      }, ms);
+    });
+  }
+}
+
+export default PlaylistProbe;
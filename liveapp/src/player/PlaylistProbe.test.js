@@ -0,0 +1,89 @@
+import PlaylistProbe from './PlaylistProbe';
+import { createFakeOrigin } from './testing/FakeOrigin';
+import { flushPromises } from './testing/FakeVideo';
+
+const URL = 'https://cdn.example.com/live/master.m3u8';
+
+// Let the probe fetch, then move the clock one target duration, `times` over
+const refresh = async (origin, times, { advance = true } = {}) => {
+  for (let i = 0; i < times; i += 1) {
+    await flushPromises();
+    if (advance) origin.sequence += 1;
+    jest.advanceTimersByTime(origin.targetDuration * 1000);
+  }
+  await flushPromises();
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('PlaylistProbe', () => {
+  it('passes a live stream after three sequence advances, polling the smallest rendition', async () => {
+    const origin = createFakeOrigin();
+    const probe = new PlaylistProbe(URL, { fetchImpl: origin.fetch, checkSegment: true });
+    const verdict = probe.run();
+
+    await refresh(origin, 3);
+    await flushPromises();
+
+    await expect(verdict).resolves.toEqual({ ok: true, advances: 3, targetDuration: 2 });
+    expect(origin.requests).toContain('GET https://cdn.example.com/live/sd.m3u8');
+    expect(origin.requests).not.toContain('GET https://cdn.example.com/live/hd.m3u8');
+    expect(origin.requests[origin.requests.length - 1]).toBe('HEAD https://cdn.example.com/live/seg5.ts');
+  });
+
+  it('fails a playlist whose sequence stops advancing', async () => {
+    const origin = createFakeOrigin();
+    const verdict = new PlaylistProbe(URL, { fetchImpl: origin.fetch }).run();
+
+    await refresh(origin, 1);
+    await refresh(origin, 4, { advance: false });
+
+    await expect(verdict).resolves.toEqual({ ok: false, reason: 'Media sequence stuck at 3' });
+  });
+
+  it('fails straight away on an ended stream or a broken playlist', async () => {
+    const ended = createFakeOrigin();
+    ended.endList = true;
+    await expect(new PlaylistProbe(URL, { fetchImpl: ended.fetch }).run())
+      .resolves.toEqual({ ok: false, reason: 'Stream has ended (EXT-X-ENDLIST)' });
+
+    const oversized = createFakeOrigin();
+    oversized.segmentDuration = 4;
+    await expect(new PlaylistProbe(URL, { fetchImpl: oversized.fetch }).run())
+      .resolves.toEqual({ ok: false, reason: 'Segment longer than EXT-X-TARGETDURATION' });
+
+    const missing = createFakeOrigin();
+    missing.status = 404;
+    await expect(new PlaylistProbe(URL, { fetchImpl: missing.fetch }).run())
+      .resolves.toEqual({ ok: false, reason: 'Playlist HTTP 404' });
+  });
+
+  it('fails when the newest segment cannot be fetched', async () => {
+    const origin = createFakeOrigin();
+    origin.segmentStatus = 403;
+    const verdict = new PlaylistProbe(URL, { fetchImpl: origin.fetch, checkSegment: true }).run();
+
+    await refresh(origin, 3);
+    await flushPromises();
+    await expect(verdict).resolves.toEqual({ ok: false, reason: 'Segment HTTP 403' });
+  });
+
+  it('stops fetching once cancelled', async () => {
+    const origin = createFakeOrigin();
+    const probe = new PlaylistProbe(URL, { fetchImpl: origin.fetch });
+    const verdict = probe.run();
+    await flushPromises();
+
+    probe.cancel();
+    const count = origin.requests.length;
+    jest.advanceTimersByTime(60000);
+    await expect(verdict).resolves.toEqual({ ok: false, reason: 'Cancelled' });
+    expect(origin.requests).toHaveLength(count);
+  });
+});
@@ -0,0 +1,59 @@
+import { STALE_PLAYLIST_TARGET_DURATIONS, PDT_MAX_LAG } from './constants';
+
+// =============================================================================
+// PlaylistWatchdog — judges each media playlist hls.js loads (LEVEL_LOADED
+// details) for signs the origin has stopped while the CDN keeps serving:
+// a media sequence that no longer advances, program date time falling behind
+// the wall clock, or EXT-X-ENDLIST appearing on a stream that was live.
+// These show up in the playlist before the heartbeat sees playback loop.
+// =============================================================================
+class PlaylistWatchdog {
+  constructor({
+    stuckTargetDurations = STALE_PLAYLIST_TARGET_DURATIONS,
+    maxPdtLag = PDT_MAX_LAG, // null disables the check (e.g. for viewers with unreliable clocks)
+    now = () => Date.now(),
+  } = {}) {
+    this.stuckTargetDurations = stuckTargetDurations;
+    this.maxPdtLag = maxPdtLag;
+    this.now = now;
+    this.reset();
+  }
+
+  // Forget the sequence baseline, e.g. after the tab was hidden and reloads were throttled
+  reset() {
+    this.lastSequence = null;
+    this.sequenceSince = null;
+    this.wasLive = false;
+  }
+
+  // Returns why the playlist looks stale, or null
+  check(details) {
+    const now = this.now();
+
+    if (!details.live) {
+      // A VOD source is fine; a live one turning VOD is the origin signing off
+      return this.wasLive ? 'EXT-X-ENDLIST on a live stream' : null;
+    }
+    this.wasLive = true;
+
+    // A lower sequence is a new encoder session — treat it as progress
+    if (this.lastSequence === null || details.endSN !== this.lastSequence) {
+      this.lastSequence = details.endSN;
+      this.sequenceSince = now;
+    } else {
+      const stuckMs = now - this.sequenceSince;
+      if (stuckMs > details.targetduration * 1000 * this.stuckTargetDurations) {
+        return `Media sequence stuck at ${details.endSN} for ${Math.round(stuckMs / 1000)}s`;
+      }
+    }
+
+    const newest = details.fragments[details.fragments.length - 1];
+    if (this.maxPdtLag !== null && newest && Number.isFinite(newest.programDateTime)) {
+      const lag = now - (newest.programDateTime + newest.duration * 1000);
+      if (lag > this.maxPdtLag) return `Program date time ${Math.round(lag / 1000)}s behind the clock`;
+    }
+    return null;
+  }
+}
+
+export default PlaylistWatchdog;
@@ -0,0 +1,60 @@
+import PlaylistWatchdog from './PlaylistWatchdog';
+
+// Just the LevelDetails fields the watchdog reads
+const details = (endSN, { live = true, pdt = null, targetduration = 2 } = {}) => ({
+  live,
+  endSN,
+  targetduration,
+  fragments: [{ sn: endSN, duration: targetduration, programDateTime: pdt }],
+});
+
+describe('PlaylistWatchdog', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 1000000;
+  });
+
+  it('passes a playlist that keeps advancing', () => {
+    const watchdog = new PlaylistWatchdog({ now });
+    for (let sn = 10; sn < 20; sn += 1) {
+      clock += 2000;
+      expect(watchdog.check(details(sn))).toBeNull();
+    }
+  });
+
+  it('flags a media sequence stuck for more than N target durations', () => {
+    const watchdog = new PlaylistWatchdog({ now, stuckTargetDurations: 3 });
+    expect(watchdog.check(details(10))).toBeNull();
+    clock += 6000;
+    expect(watchdog.check(details(10))).toBeNull();
+    clock += 1000;
+    expect(watchdog.check(details(10))).toBe('Media sequence stuck at 10 for 7s');
+  });
+
+  it('takes a sequence reset as a new encoder session rather than a stall', () => {
+    const watchdog = new PlaylistWatchdog({ now });
+    watchdog.check(details(500));
+    clock += 5000;
+    expect(watchdog.check(details(1))).toBeNull();
+    clock += 5000;
+    expect(watchdog.check(details(2))).toBeNull();
+  });
+
+  it('flags program date time lagging the wall clock, unless disabled', () => {
+    const pdt = clock - 2000 - 45000;
+    expect(new PlaylistWatchdog({ now, maxPdtLag: 30000 }).check(details(10, { pdt })))
+      .toBe('Program date time 45s behind the clock');
+    expect(new PlaylistWatchdog({ now }).check(details(10, { pdt }))).toBeNull();
+    expect(new PlaylistWatchdog({ now, maxPdtLag: null }).check(details(10, { pdt: 0 }))).toBeNull();
+  });
+
+  it('flags EXT-X-ENDLIST only when the stream was live', () => {
+    const watchdog = new PlaylistWatchdog({ now });
+    watchdog.check(details(10));
+    expect(watchdog.check(details(11, { live: false }))).toBe('EXT-X-ENDLIST on a live stream');
+
+    expect(new PlaylistWatchdog({ now }).check(details(10, { live: false }))).toBeNull();
+  });
+});
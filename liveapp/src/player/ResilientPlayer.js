@@ -0,0 +1,1627 @@
+import Hls from 'hls.js';
+import Emitter from '../utils/Emitter';
+import { PHASES, ACTIONS, initialState, streamReducer } from './streamReducer';
+import {
+  SOURCE_TYPES, normalizeSources, findSource, selectBestCandidate, isEmbedSource, isPlaylistSource,
+} from './sources';
+import { nativeAdapter, createDashAdapter } from './mediaAdapters';
+import { getHlsConfig, PROBE_HLS_CONFIG } from './hlsConfig';
+import SourceHealthMonitor from './SourceHealthMonitor';
+import PlaylistProbe from './PlaylistProbe';
+import PlaylistWatchdog from './PlaylistWatchdog';
+import { createLivenessChecker, LIVENESS_EVENTS } from './LivenessChecker';
+import { parsePlaylist } from './playlist';
+import { getDvrState, LIVE_EDGE_SLACK } from './dvr';
+import { planSync, formatOffset } from './pdtSync';
+import { getLatencyPolicy, getPlaybackRate, getStallLimits } from './latency';
+import { isRecentFailure } from './StabilityStore';
+import {
+  QUALITY_AUTO, DATA_SAVER_MAX_HEIGHT, getQualityOptions, getMaxHeight, resolveQuality,
+} from './quality';
+import {
+  CAPTIONS_OFF, baseLanguage, getCaptionOptions, getInbandTracks, findSubtitleTrack,
+} from './captions';
+import {
+  MAX_RETRIES,
+  RETRY_DELAY,
+  STALL_TIMEOUT,
+  BACKGROUND_RETRY_DELAY,
+  PLAYLIST_PROBE_DELAY,
+  STABLE_THRESHOLD,
+  STABLE_MIN_FRAGS,
+  SWITCH_TIMEOUT,
+  CROSSFADE_MS,
+  HEARTBEAT_INTERVAL,
+  LOOP_JUMP_SECONDS,
+  LOOP_JUMP_LIMIT,
+  USER_SEEK_WINDOW,
+  PLAYHEAD_SYNC_TOLERANCE,
+  PLAYHEAD_SYNC_TIMEOUT,
+  AUDIO_SOURCE,
+} from './constants';
+
+// --- Events ---
+export const PLAYER_EVENTS = {
+  STATE_CHANGE: 'statechange', // (state, prevState)
+  PHASE_CHANGE: 'phasechange', // ({ phase, prevPhase, source })
+  SWITCH: 'switch',            // ({ from, to, reason, detail, mode })
+  LOG: 'log',                  // ({ time, message, type })
+  STABILITY: 'stability',      // ({ stability, failed })
+  BUFFERING: 'buffering',      // ({ buffering, source })
+  QUALITY: 'quality',          // ({ source, level, bitrate, width, height })
+  QUALITY_OPTIONS: 'qualityoptions', // ({ source, options, height, dataSaver, maxHeight }) — what a quality menu can offer
+  CAPTION_OPTIONS: 'captionoptions', // ({ source, options, language }) — caption languages on the active source
+  DVR: 'dvr',                  // ({ source, available, start, end, liveEdge, position, behind, atLive }) — see dvr.js
+  LATENCY: 'latency',          // ({ source, latency, target, rate }) — seconds behind live; target null unless low latency
+  PROBE_RESULT: 'proberesult', // ({ results, winner })
+  HLS_ERROR: 'hlserror',       // ({ source, details, fatal }) — every hls.js error, before it is handled
+  CACHE_LOOP: 'cacheloop',     // ({ source, count }) — count drops to 0 once playback moves forward again
+};
+
+// How HOLD probes sources when there is no health checker to ask
+export const PROBE_MODES = {
+  MEDIA: 'media',       // hls.js on a hidden <video> for STABLE_THRESHOLD, counting fragments
+  PLAYLIST: 'playlist', // reload the media playlist until its sequence has advanced a few times
+};
+
+// Switch reasons carried on SWITCH events
+export const SWITCH_REASONS = {
+  ERROR: 'error',
+  PROBE: 'probe',
+  NETWORK: 'network',
+  MANUAL: 'manual',
+  OPERATOR: 'operator',
+  STALE: 'stale', // the playlist stopped advancing, fell behind or ended — see PlaylistWatchdog
+};
+
+const otherSlot = (s) => (s === 'A' ? 'B' : 'A');
+
+// CSS class for a video slot given the current player state. Hosts outside
+// React apply this on every STATE_CHANGE so crossfades line up with the engine.
+export const getSlotClass = (state, s) => {
+  const { phase, activeSlot, crossfading } = state;
+  if (crossfading && activeSlot === s) return 'video-slot video-fade-out';
+  if (crossfading && activeSlot !== s) return 'video-slot video-fade-in';
+  if (activeSlot === s && (phase === PHASES.PLAYING || phase === PHASES.SWITCHING || phase === PHASES.CONNECTING)) return 'video-slot video-active';
+  return 'video-slot video-standby';
+};
+
+// =============================================================================
+// ResilientPlayer — framework-agnostic fallback engine driving two <video>
+// slots. Hosts render the slots, subscribe to events and call start().
+// =============================================================================
+class ResilientPlayer extends Emitter {
+  constructor({
+    videoA,
+    videoB,
+    sources = [],
+    hls: HlsImpl = Hls,
+    createVideo = () => document.createElement('video'),
+    healthCheck = null, // { url, pollInterval?, fetchImpl? } — shared health checker, see SourceHealthMonitor
+    probe = {},         // { mode?, checkSegment?, fetchImpl? } — how HOLD probes without a health checker
+    staleManifest = {}, // { stuckTargetDurations?, maxPdtLag? } — see PlaylistWatchdog
+    stabilityStore = null, // StabilityStore — history from earlier page loads and other tabs
+    quality = {},          // { maxHeight?, dataSaverMaxHeight? } — the event's quality policy
+    audioFallback = null,  // { url } or { source, fetchImpl? } — the tier after video, see goAudioOnly
+    dvr = false,           // offer rewind on sources with a long enough sliding window
+    playheadSync = {},     // { tolerance? } — ms; null turns alignment off, see alignStandby
+    dashjs = typeof window !== 'undefined' ? window.dashjs : undefined, // the page's dash.js, for DASH sources
+  } = {}) {
+    super();
+    this.Hls = HlsImpl;
+    this.createVideo = createVideo;
+    this.dashAdapter = createDashAdapter(dashjs);
+    this.sources = this.playableSources(sources);
+    this.state = initialState;
+    this.active = false;
+    this.muted = false;
+
+    // Per-slot resources
+    this.slots = {
+      A: { video: videoA, hls: null, listeners: [], bufErr: 0, stall: null, details: null, started: false, sync: null, latency: null, detach: null },
+      B: { video: videoB, hls: null, listeners: [], bufErr: 0, stall: null, details: null, started: false, sync: null, latency: null, detach: null },
+    };
+
+    // Shared
+    this.retryTimer = null;
+    this.heartbeat = null;
+    this.switchTimer = null;
+    this.standbyRetryTimer = null;
+    this.crossfadeTimer = null;
+    this.lastFragTime = Date.now();
+    this.playStart = null;
+    this.lastCT = 0;
+    this.maxCT = 0;
+    this.loopCnt = 0;
+    this.tabVisible = true;
+    this.switchReason = null;
+    this.staleManifest = staleManifest;
+    this.syncTolerance = playheadSync.tolerance === undefined ? PLAYHEAD_SYNC_TOLERANCE : playheadSync.tolerance;
+
+    // Quality — the event's cap plus the viewer's choice, both by height (see quality.js)
+    this.qualityPolicy = { maxHeight: null, dataSaverMaxHeight: DATA_SAVER_MAX_HEIGHT, ...quality };
+    this.qualityHeight = QUALITY_AUTO;
+    this.dataSaver = false;
+
+    // Captions — a language, or CAPTIONS_OFF (see captions.js)
+    this.captionLanguage = CAPTIONS_OFF;
+
+    // DVR. userSeek marks a jump the heartbeat must not mistake for a cache loop.
+    this.dvrEnabled = !!dvr;
+    this.userSeek = false;
+    this.lastUserInput = 0;
+
+    // Audio-only fallback. audioFailed skips it until video has been reached again.
+    this.audioFallback = audioFallback && (audioFallback.url || audioFallback.source) ? audioFallback : null;
+    this.audioUrl = this.audioFallback ? this.audioFallback.url || null : null;
+    this.audioFailed = false;
+
+    // Probe
+    this.probeHls = [];
+    this.probeTimer = null;
+    this.probeVids = [];
+    this.playlistProbes = [];
+    this.probeOptions = { mode: PROBE_MODES.MEDIA, checkSegment: false, ...probe };
+
+    // Stability
+    this.stability = {};
+    this.failed = new Set();
+    this.history = {};
+    this.stabilityStore = stabilityStore;
+    this.unsubscribeHistory = null;
+
+    // Operator directives — see setBlockedSources / forceSource / setOperatorHold
+    this.blocked = new Set();
+    this.forced = null;
+    this.operatorHold = false;
+
+    // Shared health checker — ranks sources and replaces the HOLD probe while reachable
+    this.healthMonitor = healthCheck ? new SourceHealthMonitor(healthCheck) : null;
+
+    // Iframe sources with a liveness check — the final tier, whichever first says
+    // it is live. Ones without a check are for the host to show by hand.
+    this.embeds = normalizeSources(sources)
+      .filter(s => isEmbedSource(s) && s.liveness)
+      .map(s => ({ id: s.id, label: s.label, liveness: createLivenessChecker(s.liveness) }));
+    this.unsubscribeLiveness = [];
+
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+    this.onOnline = this.onOnline.bind(this);
+    this.onOffline = this.onOffline.bind(this);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+
+    if (typeof document !== 'undefined') document.addEventListener('visibilitychange', this.onVisibilityChange);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', this.onOnline);
+      window.addEventListener('offline', this.onOffline);
+    }
+
+    this.log('Initializing stream player...', 'info');
+    if (this.healthMonitor) this.healthMonitor.start();
+    this.embeds.forEach(({ liveness }) => {
+      this.unsubscribeLiveness.push(liveness.on(LIVENESS_EVENTS.CHANGE, () => this.updateEmbed()));
+      liveness.start();
+    });
+    if (this.stabilityStore) {
+      this.loadHistory();
+      // Another tab learned something — re-rank, but don't move a viewer who is playing
+      this.unsubscribeHistory = this.stabilityStore.subscribe(() => {
+        this.loadHistory();
+        this.emitStability();
+      });
+    }
+    if (this.operatorHold) {
+      this.enterOperatorHold();
+      return;
+    }
+    // A restart (e.g. this tab taking playback back) starts with a clean slate
+    this.failed.clear();
+    this.audioFailed = false;
+    const [first] = this.candidates();
+    if (first) {
+      this.dispatch({ type: ACTIONS.CONNECT, source: first });
+      this.initStream(this.urlOf(first), first, this.state.activeSlot);
+    } else {
+      this.log('No stream sources configured', 'error');
+      this.goHold();
+    }
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.active = false;
+    this.destroyAll();
+    if (this.healthMonitor) this.healthMonitor.stop();
+    this.embeds.forEach(({ liveness }) => liveness.stop());
+    this.unsubscribeLiveness.forEach(unsubscribe => unsubscribe());
+    this.unsubscribeLiveness = [];
+    if (this.unsubscribeHistory) { this.unsubscribeHistory(); this.unsubscribeHistory = null; }
+
+    if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', this.onVisibilityChange);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.onOnline);
+      window.removeEventListener('offline', this.onOffline);
+    }
+
+    this.log('Player stopped', 'info');
+    this.dispatch({ type: ACTIONS.STOP });
+  }
+
+  destroy() {
+    this.stop();
+    this.removeAllListeners();
+  }
+
+  // Move to a specific source. While playing this uses make-before-break;
+  // from HOLD or CONNECTING it reconnects on the active slot.
+  switchTo(id, reason = SWITCH_REASONS.MANUAL) {
+    const source = findSource(this.sources, id);
+    if (!source) {
+      this.log(`Unknown source: ${id}`, 'error');
+      return false;
+    }
+    if (!this.active) return false;
+    if (this.blocked.has(id)) {
+      this.log(`${id} is blocked by the operator`, 'warning');
+      return false;
+    }
+    if (this.operatorHold) return false;
+
+    const s = this.state;
+    if (s.activeSource === id && s.phase !== PHASES.HOLD) return true;
+
+    this.failed.delete(id);
+    this.emitStability();
+
+    if (s.phase === PHASES.PLAYING || s.phase === PHASES.SWITCHING) {
+      this.log(`Switching to ${id} (${reason})`, 'info');
+      this.initStandby(source.url, id, reason);
+    } else {
+      this.reconnect(id, reason);
+    }
+    return true;
+  }
+
+  // Resume playback after the browser blocked autoplay
+  play() {
+    const v = this.slots[this.state.activeSlot].video;
+    if (!v) return;
+    v.play().then(() => { this.dispatch({ type: ACTIONS.PLAY_STARTED }); }).catch(() => {});
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    const v = this.slots[this.state.activeSlot].video;
+    if (v) v.muted = muted;
+  }
+
+  // Embeds stay as constructed: their checkers run for the player's lifetime
+  setSources(sources) {
+    this.sources = this.playableSources(sources);
+    // An audio rendition found through a source may have moved with it
+    if (this.audioFallback && !this.audioFallback.url) this.audioUrl = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Operator directives. Each can be set before start(); afterwards they move
+  // the viewer using the same make-before-break path as any other switch.
+  // ---------------------------------------------------------------------------
+
+  // Blocked sources are never played or probed. Leaving a blocked source
+  // crossfades to the best remaining one, or holds if none is left.
+  setBlockedSources(ids) {
+    this.blocked = new Set(ids);
+    if (!this.active || this.operatorHold) return;
+
+    if (this.state.phase === PHASES.SWITCHING && this.blocked.has(this.state.standbySource)) {
+      this.log(`${this.state.standbySource} blocked by operator — aborting switch`, 'warning');
+      if (this.switchTimer) { clearTimeout(this.switchTimer); this.switchTimer = null; }
+      if (this.crossfadeTimer) { clearTimeout(this.crossfadeTimer); this.crossfadeTimer = null; }
+      this.destroySlot(otherSlot(this.state.activeSlot));
+      this.dispatch({ type: ACTIONS.SWITCH_ABORT });
+      // beginCrossfade may already have muted the outgoing video
+      const v = this.slots[this.state.activeSlot].video;
+      if (v) v.muted = this.muted;
+      // Still on audio only — go back to looking for video
+      if (this.state.audioOnly) this.scheduleProbe();
+    }
+
+    const s = this.state;
+    // A switch already in flight to an allowed source moves us off anyway
+    if (s.phase === PHASES.SWITCHING || !this.blocked.has(s.activeSource)) return;
+
+    const [next] = this.candidates();
+    this.log(`${s.activeSource} blocked by operator`, 'warning');
+    if (!next) {
+      this.goHold();
+    } else if (s.phase === PHASES.PLAYING || s.phase === PHASES.SWITCHING) {
+      this.initStandby(this.urlOf(next), next, SWITCH_REASONS.OPERATOR);
+    } else {
+      this.reconnect(next, SWITCH_REASONS.OPERATOR);
+    }
+  }
+
+  // Pins every viewer to one source (null releases it). The forced source
+  // goes first in every fallback decision, but if it fails the normal chain
+  // still takes over rather than leaving viewers on a dead stream.
+  forceSource(id) {
+    this.forced = id && findSource(this.sources, id) ? id : null;
+    if (!this.forced) return;
+    this.log(`Operator forced ${id}`, 'info');
+    if (this.active && !this.operatorHold) this.switchTo(id, SWITCH_REASONS.OPERATOR);
+  }
+
+  // Operator hold stops all playback and probing until released
+  setOperatorHold(on) {
+    if (on === this.operatorHold) return;
+    this.operatorHold = on;
+    if (!this.active) return;
+
+    if (on) {
+      this.enterOperatorHold();
+      return;
+    }
+    this.log('Operator released hold', 'info');
+    this.failed.clear();
+    this.emitStability();
+    const [next] = this.candidates();
+    if (next) this.reconnect(next, SWITCH_REASONS.OPERATOR);
+    else this.goHold();
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  getStability() {
+    return { stability: { ...this.stability }, failed: Array.from(this.failed) };
+  }
+
+  // Viewer's quality choice: a picture height, or QUALITY_AUTO for ABR.
+  // Kept across source switches and re-applied to every new stream.
+  setQuality(height) {
+    this.qualityHeight = Number.isFinite(height) ? height : QUALITY_AUTO;
+    this.applyQualityEverywhere();
+  }
+
+  // Data saver caps ABR (and any choice) at the policy's dataSaverMaxHeight
+  setDataSaver(on) {
+    this.dataSaver = !!on;
+    this.applyQualityEverywhere();
+  }
+
+  // Show captions in this language (a base code like 'en') on every source
+  // that has them, or CAPTIONS_OFF. Stays chosen through switches, including
+  // to sources without that language, so it comes back with them.
+  setCaptions(language) {
+    this.captionLanguage = typeof language === 'string' && language ? language : CAPTIONS_OFF;
+    this.applyCaptions('A');
+    this.applyCaptions('B');
+    this.emit(PLAYER_EVENTS.CAPTION_OPTIONS, this.getCaptionOptions());
+  }
+
+  getCaptionOptions() {
+    const { hls, video } = this.slots[this.state.activeSlot];
+    return {
+      source: this.state.activeSource,
+      options: getCaptionOptions(hls ? hls.subtitleTracks : [], getInbandTracks(video)),
+      language: this.captionLanguage,
+    };
+  }
+
+  getDvrState() {
+    const { hls, video } = this.slots[this.state.activeSlot];
+    const s = this.state;
+    const playing = (s.phase === PHASES.PLAYING || s.phase === PHASES.SWITCHING) && !s.audioOnly;
+    const dvr = this.dvrEnabled && playing ? getDvrState(video, hls ? hls.liveSyncPosition : null) : getDvrState(null);
+    return { source: s.activeSource, ...dvr };
+  }
+
+  // Move the playhead within the DVR window (seconds on the media timeline).
+  // Anything within LIVE_EDGE_SLACK of the live edge is treated as going live.
+  seek(time) {
+    const dvr = this.getDvrState();
+    if (!dvr.available || !Number.isFinite(time)) return false;
+    if (time >= dvr.liveEdge - LIVE_EDGE_SLACK) return this.goLive();
+    this.userSeek = true;
+    this.slots[this.state.activeSlot].video.currentTime = Math.max(dvr.start, time);
+    this.emit(PLAYER_EVENTS.DVR, this.getDvrState());
+    return true;
+  }
+
+  // Back to the live edge, resuming if the viewer had paused
+  goLive() {
+    const dvr = this.getDvrState();
+    if (!dvr.available) return false;
+    const v = this.slots[this.state.activeSlot].video;
+    this.userSeek = true;
+    v.currentTime = dvr.liveEdge;
+    if (v.paused) v.play().catch(() => {});
+    this.emit(PLAYER_EVENTS.DVR, this.getDvrState());
+    return true;
+  }
+
+  // Seconds behind the live edge as hls.js measures it; null on native HLS or
+  // before a playlist has loaded
+  getLatency() {
+    const { hls, video, latency: policy } = this.slots[this.state.activeSlot];
+    const playing = this.state.phase === PHASES.PLAYING || this.state.phase === PHASES.SWITCHING;
+    const latency = playing && hls && hls.latency > 0 ? hls.latency : null;
+    return {
+      source: this.state.activeSource,
+      latency,
+      target: policy ? policy.target : null,
+      rate: video ? video.playbackRate : 1,
+    };
+  }
+
+  getQualityOptions() {
+    const { hls } = this.slots[this.state.activeSlot];
+    return {
+      source: this.state.activeSource,
+      options: getQualityOptions(hls ? hls.levels : []),
+      height: this.qualityHeight,
+      dataSaver: this.dataSaver,
+      maxHeight: this.maxQualityHeight(),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // State & events
+  // ---------------------------------------------------------------------------
+
+  dispatch(action) {
+    const prev = this.state;
+    const next = streamReducer(prev, action);
+    if (next === prev) return;
+    this.state = next;
+    this.emit(PLAYER_EVENTS.STATE_CHANGE, next, prev);
+    if (next.phase !== prev.phase) {
+      this.emit(PLAYER_EVENTS.PHASE_CHANGE, { phase: next.phase, prevPhase: prev.phase, source: next.activeSource });
+    }
+  }
+
+  log(message, type = 'info') {
+    const time = new Date().toLocaleTimeString('en-GB', {
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    this.emit(PLAYER_EVENTS.LOG, { time, message, type });
+  }
+
+  emitStability() {
+    this.emit(PLAYER_EVENTS.STABILITY, this.getStability());
+  }
+
+  maxQualityHeight() {
+    return getMaxHeight({ ...this.qualityPolicy, dataSaver: this.dataSaver });
+  }
+
+  // On a fresh instance (MANIFEST_PARSED) only a fixed choice needs setting;
+  // a live change switches now, or hands back to ABR from the next fragment
+  applyQuality(hls, { live = false } = {}) {
+    const { capping, level } = resolveQuality(hls.levels || [], {
+      height: this.qualityHeight,
+      maxHeight: this.maxQualityHeight(),
+    });
+    hls.autoLevelCapping = capping;
+    if (level !== -1) hls.currentLevel = level;
+    else if (live) hls.nextLevel = -1;
+  }
+
+  applyQualityEverywhere() {
+    ['A', 'B'].forEach((s) => {
+      if (this.slots[s].hls) this.applyQuality(this.slots[s].hls, { live: true });
+    });
+    this.emit(PLAYER_EVENTS.QUALITY_OPTIONS, this.getQualityOptions());
+  }
+
+  // WebVTT through hls.js when the source has the language, otherwise the
+  // in-band 608/708 track. The standby slot gets the same so captions are
+  // already showing when it fades in.
+  applyCaptions(s) {
+    const { hls, video } = this.slots[s];
+    const language = this.captionLanguage;
+    const subtitle = hls ? findSubtitleTrack(hls.subtitleTracks || [], language) : -1;
+    if (hls) {
+      hls.subtitleTrack = subtitle;
+      hls.subtitleDisplay = subtitle !== -1;
+    }
+    const inband = getInbandTracks(video);
+    const showing = inband.map(t => subtitle === -1 && language !== CAPTIONS_OFF && baseLanguage(t.language) === language);
+    showing.forEach((show, i) => { inband[i].mode = show ? 'showing' : 'disabled'; });
+  }
+
+  // Tracks turn up after the manifest: subtitle renditions once parsed,
+  // 608/708 captions when hls.js first finds them in a fragment
+  watchCaptions(hls, s) {
+    const r = this.slots[s];
+    const update = () => {
+      if (!this.active || !r.hls) return;
+      this.applyCaptions(s);
+      if (this.state.activeSlot === s) this.emit(PLAYER_EVENTS.CAPTION_OPTIONS, this.getCaptionOptions());
+    };
+    hls.on(this.Hls.Events.SUBTITLE_TRACKS_UPDATED, update);
+    const tracks = r.video.textTracks;
+    if (tracks && tracks.addEventListener) {
+      tracks.addEventListener('addtrack', update);
+      r.listeners.push({ element: tracks, event: 'addtrack', handler: update });
+    }
+  }
+
+  // Merge the stored history into this session's ranking. Stored uptime has
+  // already decayed; this session's own numbers are never lowered by it.
+  loadHistory() {
+    const now = Date.now();
+    this.history = {};
+    this.sources.forEach(({ id, url }) => {
+      const record = this.stabilityStore.get(url);
+      if (!record) return;
+      this.stability[id] = Math.max(this.stability[id] || 0, Math.round(record.stableMs));
+      this.history[id] = { recentlyFailed: isRecentFailure(record, now), failures: record.failures };
+    });
+  }
+
+  // Fallback gives up on a source for this round — remembered across reloads
+  markFailed(source) {
+    this.failed.add(source);
+    if (this.stabilityStore && this.urlOf(source)) this.stabilityStore.recordFailure(this.urlOf(source));
+    this.emitStability();
+  }
+
+  urlOf(id) {
+    return findSource(this.sources, id)?.url;
+  }
+
+  // Fallback order: the operator's forced source first, then by stability.
+  // Blocked sources are treated as permanently failed.
+  candidates(failed = this.failed) {
+    const excluded = new Set([...failed, ...this.blocked]);
+    const best = selectBestCandidate(excluded, this.stability, this.sources, this.history);
+    const ranked = this.healthMonitor ? this.healthMonitor.rank(best) : best;
+    if (!this.forced || !ranked.includes(this.forced)) return ranked;
+    return [this.forced, ...ranked.filter(id => id !== this.forced)];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  destroySlot(s) {
+    const r = this.slots[s];
+    if (r.stall) { clearTimeout(r.stall); r.stall = null; }
+    if (r.sync) { clearTimeout(r.sync); r.sync = null; }
+    r.details = null;
+    r.started = false;
+    r.latency = null;
+    r.listeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    r.listeners = [];
+    r.bufErr = 0;
+    if (r.hls) { r.hls.destroy(); r.hls = null; }
+    if (r.detach) { r.detach(); r.detach = null; }
+    if (r.video) { r.video.removeAttribute('src'); r.video.load(); }
+  }
+
+  clearShared() {
+    if (this.retryTimer) { clearTimeout(this.retryTimer); this.retryTimer = null; }
+    if (this.heartbeat) { clearInterval(this.heartbeat); this.heartbeat = null; }
+    if (this.switchTimer) { clearTimeout(this.switchTimer); this.switchTimer = null; }
+    if (this.standbyRetryTimer) { clearTimeout(this.standbyRetryTimer); this.standbyRetryTimer = null; }
+    if (this.crossfadeTimer) { clearTimeout(this.crossfadeTimer); this.crossfadeTimer = null; }
+  }
+
+  destroyProbe() {
+    if (this.probeTimer) { clearTimeout(this.probeTimer); this.probeTimer = null; }
+    this.probeHls.forEach(p => { try { p.destroy(); } catch (e) { /* */ } });
+    this.probeHls = [];
+    this.probeVids.forEach(v => { v.removeAttribute('src'); v.load(); });
+    this.probeVids = [];
+    this.playlistProbes.forEach(p => p.cancel());
+    this.playlistProbes = [];
+  }
+
+  destroyAll() {
+    this.clearShared();
+    this.destroySlot('A');
+    this.destroySlot('B');
+    this.destroyProbe();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Heartbeat
+  // ---------------------------------------------------------------------------
+
+  setLoopCount(count) {
+    if (count === this.loopCnt) return;
+    this.loopCnt = count;
+    this.emit(PLAYER_EVENTS.CACHE_LOOP, { source: this.state.activeSource, count });
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    this.lastCT = 0;
+    this.maxCT = 0;
+    this.setLoopCount(0);
+
+    this.heartbeat = setInterval(() => {
+      if (!this.active) return;
+      const s = this.state;
+      if (s.phase !== PHASES.PLAYING && s.phase !== PHASES.SWITCHING) return;
+      if (!this.tabVisible) return;
+
+      const r = this.slots[s.activeSlot];
+      const v = r.video;
+      if (!v) return;
+      const ct = v.currentTime;
+      // Paused, the live edge still moves on
+      if (this.dvrEnabled) this.emit(PLAYER_EVENTS.DVR, this.getDvrState());
+      this.emit(PLAYER_EVENTS.LATENCY, this.getLatency());
+
+      if (this.userSeek) {
+        // The viewer moved the playhead: a new baseline, not a loop or a freeze
+        this.userSeek = false;
+        this.lastCT = ct;
+        this.maxCT = ct;
+        this.setLoopCount(0);
+        return;
+      }
+      // With DVR a viewer may pause on purpose; the standstill isn't a frozen stream
+      if (v.paused && this.getDvrState().available) return;
+
+      if (this.lastCT > 0 && ct === this.lastCT) {
+        this.log('Heartbeat: playback frozen', 'warning');
+        r.bufErr += 2;
+        if (r.bufErr >= getStallLimits(r.latency).bufferErrorThreshold) {
+          r.bufErr = 0;
+          this.handleError(s.activeSlot, 'Stream frozen — video not advancing', true);
+        }
+      } else if (this.maxCT > 0 && ct < this.maxCT - LOOP_JUMP_SECONDS) {
+        this.setLoopCount(this.loopCnt + 1);
+        this.log(`Cache loop detected — time jumped back (${Math.round(ct)}s < ${Math.round(this.maxCT)}s, count: ${this.loopCnt})`, 'warning');
+        if (this.loopCnt >= LOOP_JUMP_LIMIT) {
+          this.setLoopCount(0);
+          this.handleError(this.state.activeSlot, 'Stream looping cached content — source likely offline', true);
+        }
+      } else {
+        this.lastCT = ct;
+        if (ct > this.maxCT) { this.maxCT = ct; this.setLoopCount(0); }
+        if (this.stabilityStore && this.playStart && s.phase === PHASES.PLAYING && !s.audioOnly) {
+          this.stabilityStore.recordUptime(this.urlOf(s.activeSource), Date.now() - this.playStart);
+        }
+      }
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Playback
+  // ---------------------------------------------------------------------------
+
+  async attemptPlay(s) {
+    const v = this.slots[s].video;
+    if (!v) return false;
+
+    try {
+      await v.play();
+      if (!this.active) return false;
+      this.dispatch({ type: ACTIONS.PLAY_STARTED });
+      this.log('Stream playing successfully', 'success');
+      this.startHeartbeat();
+      return true;
+    } catch (err) {
+      if (!this.active) return false;
+      if (err?.name === 'NotAllowedError') {
+        this.dispatch({ type: ACTIONS.AUTOPLAY_BLOCKED });
+        this.log('Click required to start playback', 'warning');
+        this.startHeartbeat();
+        return true;
+      }
+      this.log(`Playback failed: ${err.message}`, 'error');
+      return false;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Error handling
+  // ---------------------------------------------------------------------------
+
+  handleError(errorSlot, msg, isFatal = true) {
+    if (!this.active) return;
+    this.log(msg, 'error');
+    if (!isFatal) return;
+
+    const s = this.state;
+
+    // Error on standby during switching → abort switch, try next
+    if (s.phase === PHASES.SWITCHING && errorSlot !== s.activeSlot) {
+      this.log('Standby source failed — aborting switch', 'warning');
+      if (this.switchTimer) { clearTimeout(this.switchTimer); this.switchTimer = null; }
+      this.destroySlot(errorSlot);
+      this.dispatch({ type: ACTIONS.SWITCH_ABORT });
+
+      this.markFailed(s.standbySource);
+      // From audio only, only a source the probe has vouched for is worth
+      // loading — and with the audio gone too there is nothing left to play
+      if (s.audioOnly) {
+        if (this.audioFailed) this.goHold();
+        else this.scheduleProbe();
+        return;
+      }
+      const next = this.candidates();
+      if (next.length > 0) {
+        this.log(`Trying ${next[0]} instead...`, 'warning');
+        this.standbyRetryTimer = setTimeout(() => {
+          this.standbyRetryTimer = null;
+          if (!this.active) return;
+          this.initStandby(this.urlOf(next[0]), next[0], SWITCH_REASONS.ERROR, msg);
+        }, RETRY_DELAY);
+      }
+      return;
+    }
+
+    // The audio-only fallback is the last tier — no retries, straight to hold.
+    // Unless video is already loading on the standby: that takes over instead.
+    if (s.audioOnly) {
+      this.audioFailed = true;
+      if (s.phase === PHASES.SWITCHING) {
+        this.log(`Audio-only fallback failed — waiting for ${s.standbySource}`, 'warning');
+        if (this.heartbeat) { clearInterval(this.heartbeat); this.heartbeat = null; }
+        this.destroySlot(s.activeSlot);
+        return;
+      }
+      this.goHold();
+      return;
+    }
+
+    // Error on active slot
+    const source = s.activeSource;
+    const retries = s.retryCount;
+
+    if (retries < MAX_RETRIES) {
+      this.dispatch({ type: ACTIONS.RETRY });
+      this.log(`Retrying ${source} stream (attempt ${retries + 1}/${MAX_RETRIES})...`, 'warning');
+      this.clearShared();
+      this.destroySlot(s.activeSlot);
+
+      this.retryTimer = setTimeout(() => {
+        if (!this.active) return;
+        this.initStream(this.urlOf(source), source, this.state.activeSlot);
+      }, RETRY_DELAY);
+    } else {
+      this.recordStability(source);
+      this.markFailed(source);
+
+      const candidates = this.candidates();
+
+      if (candidates.length > 0) {
+        const next = candidates[0];
+        const stab = this.stability[next] || 0;
+        const label = stab >= STABLE_THRESHOLD
+          ? `most stable (${Math.round(stab / 1000)}s uptime)` : 'next available';
+        this.log(`Switching to ${next} — ${label}`, 'warning');
+
+        if (s.phase === PHASES.PLAYING || s.phase === PHASES.SWITCHING) {
+          this.initStandby(this.urlOf(next), next, SWITCH_REASONS.ERROR, msg);
+        } else {
+          this.destroySlot(s.activeSlot);
+          this.dispatch({ type: ACTIONS.CONNECT, source: next });
+          this.emit(PLAYER_EVENTS.SWITCH, { from: source, to: next, reason: SWITCH_REASONS.ERROR, detail: msg, mode: 'reconnect' });
+          this.initStream(this.urlOf(next), next, s.activeSlot);
+        }
+      } else {
+        this.failed.clear();
+        this.emitStability();
+        this.goHold();
+      }
+    }
+  }
+
+  recordStability(source) {
+    if (!this.playStart) return;
+    const elapsed = Date.now() - this.playStart;
+    this.stability[source] = Math.max(this.stability[source] || 0, elapsed);
+    this.log(`${source} was stable for ${Math.round(elapsed / 1000)}s`, 'info');
+  }
+
+  // The playlist says the origin has gone (see PlaylistWatchdog). Unlike an
+  // error there is no point retrying the same source, so move straight on —
+  // make-before-break while cached content is still playing.
+  handleStalePlaylist(slot, source, reason) {
+    const s = this.state;
+    const msg = `${source} playlist is stale: ${reason}`;
+    if (source === AUDIO_SOURCE) {
+      this.handleError(slot, msg, true);
+      return;
+    }
+
+    if (slot !== s.activeSlot) {
+      // A stale standby aborts its switch and the next candidate is tried
+      if (s.phase === PHASES.SWITCHING) this.handleError(slot, msg, true);
+      return;
+    }
+    // Already on the way to another source
+    if (s.phase === PHASES.SWITCHING) return;
+
+    const [next] = this.candidates(new Set([...this.failed, source]));
+    if (!next) {
+      this.log(`${msg} — no other source to move to`, 'warning');
+      return;
+    }
+    this.log(`${msg} — switching to ${next}`, 'warning');
+    this.recordStability(source);
+    this.markFailed(source);
+
+    if (s.phase === PHASES.PLAYING) {
+      this.initStandby(this.urlOf(next), next, SWITCH_REASONS.STALE, reason);
+    } else {
+      this.destroySlot(s.activeSlot);
+      this.dispatch({ type: ACTIONS.CONNECT, source: next });
+      this.emit(PLAYER_EVENTS.SWITCH, { from: source, to: next, reason: SWITCH_REASONS.STALE, detail: reason, mode: 'reconnect' });
+      this.initStream(this.urlOf(next), next, s.activeSlot);
+    }
+  }
+
+  // Break-before-make onto the active slot, used when nothing is playing
+  reconnect(id, reason) {
+    const s = this.state;
+    this.destroyProbe();
+    this.clearShared();
+    this.audioFailed = false;
+    this.destroySlot(otherSlot(s.activeSlot));
+    this.dispatch({ type: ACTIONS.CONNECT, source: id });
+    this.emit(PLAYER_EVENTS.SWITCH, { from: s.activeSource, to: id, reason, detail: null, mode: 'reconnect' });
+    this.initStream(this.urlOf(id), id, s.activeSlot);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Hold
+  // ---------------------------------------------------------------------------
+
+  goHold() {
+    if (this.audioFallback && !this.audioFailed) {
+      this.goAudioOnly();
+      return;
+    }
+    this.destroyAll();
+    this.log('All streams unavailable. Showing hold screen.', 'error');
+    this.dispatch({ type: ACTIONS.HOLD });
+    this.updateEmbed();
+    this.scheduleProbe();
+  }
+
+  // Final tier: in HOLD, the first iframe source whose liveness checker reports
+  // it live replaces the hold screen, and gives way again when it stops. The
+  // probe carries on underneath and brings the viewer back to video as usual.
+  // Never during an operator hold — that screen is the operator's call.
+  updateEmbed() {
+    const s = this.state;
+    if (!this.active || !this.embeds.length || s.phase !== PHASES.HOLD || this.operatorHold) return;
+    const current = s.embed ? s.activeSource : null;
+    const next = this.embeds.find(e => e.liveness.isLive()) || null;
+    if ((next && next.id) === current) return;
+    if (next) this.log(`${next.label} is live — showing it until a stream recovers`, 'info');
+    else this.log(`${this.embeds.find(e => e.id === current).label} is no longer live. Showing hold screen.`, 'warning');
+    this.dispatch({ type: ACTIONS.EMBED, source: next ? next.id : null });
+  }
+
+  // The tier after video: sound only, which gets through where no video
+  // rendition will. The background probe runs exactly as it does in HOLD and
+  // crossfades back to video once a source proves stable.
+  goAudioOnly() {
+    this.destroyAll();
+    this.log('All video sources unavailable. Falling back to audio only.', 'warning');
+    this.dispatch({ type: ACTIONS.AUDIO_ONLY });
+
+    this.resolveAudioUrl().then((url) => {
+      const s = this.state;
+      if (!this.active || !s.audioOnly || s.phase !== PHASES.CONNECTING) return;
+      this.initStream(url, AUDIO_SOURCE, s.activeSlot);
+      this.scheduleProbe();
+    }).catch((err) => {
+      if (!this.active || !this.state.audioOnly) return;
+      this.handleError(this.state.activeSlot, `Audio-only fallback unavailable: ${err.message}`, true);
+    });
+  }
+
+  // A dedicated audio playlist is used as is. Otherwise the named source's
+  // master playlist is read for an audio rendition with its own playlist
+  // (EXT-X-MEDIA TYPE=AUDIO), preferring the default one.
+  async resolveAudioUrl() {
+    if (this.audioUrl) return this.audioUrl;
+    const { source, fetchImpl = (...args) => fetch(...args) } = this.audioFallback;
+    const url = this.urlOf(source);
+    if (!url) throw new Error(`Unknown source ${source}`);
+
+    const response = await fetchImpl(url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Playlist HTTP ${response.status}`);
+    const { audio } = parsePlaylist(await response.text(), response.url || url);
+    const rendition = audio.find(a => a.default) || audio[0];
+    if (!rendition) throw new Error(`${source} has no separate audio rendition`);
+    this.audioUrl = rendition.uri;
+    return this.audioUrl;
+  }
+
+  // Same screen as goHold, but nothing probes — the operator decides when to resume
+  enterOperatorHold() {
+    this.destroyAll();
+    this.log('Operator hold — playback paused for all viewers', 'warning');
+    this.dispatch({ type: ACTIONS.HOLD });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Background probe
+  // ---------------------------------------------------------------------------
+
+  // With a reachable health checker HOLD just watches its verdicts; only
+  // without one, or for sources it doesn't report, does this client probe
+  scheduleProbe() {
+    if (this.retryTimer) { clearTimeout(this.retryTimer); this.retryTimer = null; }
+    if (this.healthMonitor) {
+      this.retryTimer = setTimeout(() => this.checkSharedHealth(), this.healthMonitor.pollInterval);
+      return;
+    }
+    this.scheduleClientProbe();
+  }
+
+  checkSharedHealth() {
+    this.retryTimer = null;
+    if (!this.active) return;
+    if (!this.healthMonitor.isAvailable()) {
+      this.log('Health checker unreachable — probing from this client', 'warning');
+      this.scheduleClientProbe();
+      return;
+    }
+    const cands = this.candidates();
+    const best = cands.find(id => this.healthMonitor.isReady(id));
+    if (!best) {
+      // The checker only watches HLS playlists; DASH and native sources (and
+      // any it wasn't configured with) are retried as if there were no checker
+      const unreported = cands.filter(id => !this.healthMonitor.getHealth(id));
+      if (unreported.length > 0) this.scheduleClientProbe(unreported);
+      else this.scheduleProbe();
+      return;
+    }
+
+    const { healthyForMs } = this.healthMonitor.getHealth(best);
+    this.log(`Health checker reports ${best} healthy for ${Math.round(healthyForMs / 1000)}s. Switching...`, 'success');
+    this.leaveHold(best);
+  }
+
+  leaveHold(best) {
+    this.destroyProbe();
+    this.failed.clear();
+    this.emitStability();
+    this.audioFailed = false;
+    const s = this.state;
+    // Audio keeps playing until the video is ready to fade in over it
+    if (s.audioOnly && s.phase === PHASES.PLAYING) {
+      this.initStandby(this.urlOf(best), best, SWITCH_REASONS.PROBE);
+      return;
+    }
+    this.dispatch({ type: ACTIONS.PROBE_SUCCESS, source: best });
+    this.emit(PLAYER_EVENTS.SWITCH, { from: s.activeSource, to: best, reason: SWITCH_REASONS.PROBE, detail: null, mode: 'reconnect' });
+    this.initStream(this.urlOf(best), best, this.state.activeSlot);
+  }
+
+  // `only` narrows the round to those source ids
+  scheduleClientProbe(only = null) {
+    const playlistMode = this.probeOptions.mode === PROBE_MODES.PLAYLIST;
+    this.retryTimer = setTimeout(() => {
+      if (!this.active) return;
+      const allowed = this.sources.filter(src => !this.blocked.has(src.id) && (!only || only.includes(src.id)));
+      // Only HLS has a playlist to watch without playing it. With no HLS
+      // source at all, the others are retried head-on instead.
+      const cands = allowed.filter(isPlaylistSource);
+      this.destroyProbe();
+
+      if (cands.length === 0 && allowed.length > 0) {
+        this.log(`No playlist to probe — retrying ${allowed[0].id}`, 'info');
+        this.leaveHold(allowed[0].id);
+      } else if (cands.length === 0) this.scheduleProbe();
+      else if (playlistMode) this.runPlaylistProbe(cands);
+      else if (this.Hls.isSupported()) this.runMediaProbe(cands);
+      else this.scheduleProbe();
+    }, playlistMode ? PLAYLIST_PROBE_DELAY : BACKGROUND_RETRY_DELAY);
+  }
+
+  // One hls.js instance per source on a hidden <video>, counting fragments
+  runMediaProbe(cands) {
+    this.log(`Probing ${cands.length} stream source(s)...`, 'info');
+    const frags = {};
+    let resolved = false;
+
+    cands.forEach(({ id: src, url }) => {
+      frags[src] = 0;
+      const probe = new this.Hls(PROBE_HLS_CONFIG);
+      this.probeHls.push(probe);
+      const pv = this.createVideo();
+      this.probeVids.push(pv);
+      probe.loadSource(url);
+      probe.attachMedia(pv);
+      probe.on(this.Hls.Events.FRAG_LOADED, () => { frags[src] += 1; });
+      probe.on(this.Hls.Events.ERROR, (_, d) => { if (d.fatal) frags[src] = -1; });
+    });
+
+    this.probeTimer = setTimeout(() => {
+      if (!this.active || resolved) return;
+      const results = Object.entries(frags)
+        .filter(([id, c]) => c >= STABLE_MIN_FRAGS && !this.blocked.has(id))
+        .sort(([, a], [, b]) => b - a);
+      // A stable forced source wins even if another one loaded more fragments
+      const forcedIndex = results.findIndex(([id]) => id === this.forced);
+      if (forcedIndex > 0) results.unshift(...results.splice(forcedIndex, 1));
+
+      this.emit(PLAYER_EVENTS.PROBE_RESULT, { results: { ...frags }, winner: results.length > 0 ? results[0][0] : null });
+
+      if (results.length > 0) {
+        resolved = true;
+        const [best] = results[0];
+        this.log(`${best} stream stable (${frags[best]} fragments in ${STABLE_THRESHOLD / 1000}s). Switching...`, 'success');
+        this.leaveHold(best);
+      } else {
+        this.log('No stable stream found, will retry...', 'warning');
+        this.destroyProbe();
+        this.scheduleProbe();
+      }
+    }, STABLE_THRESHOLD);
+  }
+
+  // Playlists only (see PlaylistProbe): a verdict in a few target durations,
+  // and it works where hls.js doesn't (native HLS in Safari)
+  runPlaylistProbe(cands) {
+    this.log(`Probing ${cands.length} stream playlist(s)...`, 'info');
+    const probes = cands.map(({ url }) => new PlaylistProbe(url, {
+      checkSegment: this.probeOptions.checkSegment,
+      ...(this.probeOptions.fetchImpl ? { fetchImpl: this.probeOptions.fetchImpl } : {}),
+    }));
+    this.playlistProbes = probes;
+
+    Promise.all(probes.map(p => p.run())).then((verdicts) => {
+      // destroyProbe() swaps the list out, so a cancelled round stops here
+      if (!this.active || this.playlistProbes !== probes) return;
+      this.playlistProbes = [];
+
+      const results = {};
+      cands.forEach(({ id }, i) => {
+        const verdict = verdicts[i];
+        results[id] = verdict.ok ? verdict.advances : -1;
+        if (!verdict.ok) this.log(`Probe ${id}: ${verdict.reason}`, 'warning');
+      });
+      // Priority order among live sources, but a live forced source wins
+      const live = cands.map(c => c.id).filter(id => results[id] > 0 && !this.blocked.has(id));
+      const winner = live.includes(this.forced) ? this.forced : live[0] || null;
+
+      this.emit(PLAYER_EVENTS.PROBE_RESULT, { results, winner });
+
+      if (winner) {
+        this.log(`${winner} playlist is live (${results[winner]} updates). Switching...`, 'success');
+        this.leaveHold(winner);
+      } else {
+        this.log('No live playlist found, will retry...', 'warning');
+        this.scheduleProbe();
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Init stream on a specific slot (break-before-make path)
+  // ---------------------------------------------------------------------------
+
+  initStream(url, source, targetSlot) {
+    this.destroySlot(targetSlot);
+    this.clearShared();
+    this.lastFragTime = Date.now();
+    this.playStart = null;
+
+    const r = this.slots[targetSlot];
+    const ve = r.video;
+    if (!ve) return;
+
+    this.log(`Connecting to ${source} stream...`, 'info');
+    ve.muted = this.muted;
+    r.latency = getLatencyPolicy(findSource(this.sources, source));
+    const { stabilityWindow, bufferErrorThreshold } = getStallLimits(r.latency);
+
+    const onEnded = () => {
+      this.log('Stream ended — source stopped broadcasting', 'warning');
+      this.handleError(targetSlot, 'Stream ended', true);
+    };
+    ve.addEventListener('ended', onEnded);
+    r.listeners.push({ element: ve, event: 'ended', handler: onEnded });
+    this.watchBuffering(targetSlot, source);
+    this.watchSeeking(targetSlot);
+    this.watchLatency(targetSlot);
+
+    const { Hls: HlsImpl } = this;
+    const adapter = this.mediaAdapterFor(source);
+
+    if (!adapter) {
+      const hls = new HlsImpl(getHlsConfig(r.latency));
+      r.hls = hls;
+      hls.loadSource(url);
+      hls.attachMedia(ve);
+      this.watchQuality(hls, source);
+      this.watchPlaylist(hls, targetSlot, source);
+      this.watchCaptions(hls, targetSlot);
+
+      hls.on(HlsImpl.Events.MANIFEST_PARSED, () => {
+        if (!this.active) return;
+        this.log('Stream manifest loaded', 'success');
+        this.applyQuality(hls);
+        this.emit(PLAYER_EVENTS.QUALITY_OPTIONS, this.getQualityOptions());
+        this.playStart = Date.now();
+        this.attemptPlay(targetSlot);
+      });
+
+      hls.on(HlsImpl.Events.ERROR, (_, data) => {
+        if (!this.active) return;
+        this.emit(PLAYER_EVENTS.HLS_ERROR, { source, details: data.details, fatal: !!data.fatal });
+        const isStall = data.details === 'bufferStalledError' || data.details === 'bufferNudgeOnStall';
+
+        if (data.fatal) {
+          if (data.type === HlsImpl.ErrorTypes.MEDIA_ERROR) {
+            this.log('Media error - attempting recovery...', 'warning');
+            hls.recoverMediaError();
+          } else if (data.type === HlsImpl.ErrorTypes.NETWORK_ERROR) {
+            this.handleError(targetSlot, `Network error: ${data.details}`, true);
+          } else {
+            this.handleError(targetSlot, `Stream error: ${data.details}`, true);
+          }
+        } else if (isStall) {
+          const since = this.playStart ? Date.now() - this.playStart : 0;
+          if (since < stabilityWindow) {
+            this.log(`Buffer stall (stabilising, ${Math.round((stabilityWindow - since) / 1000)}s grace remaining)`, 'warning');
+            return;
+          }
+          r.bufErr += 1;
+          const sinceF = Date.now() - this.lastFragTime;
+          this.log(`Buffer stall (${r.bufErr}/${bufferErrorThreshold})`, 'warning');
+          if (r.bufErr >= bufferErrorThreshold || sinceF > STALL_TIMEOUT) {
+            r.bufErr = 0;
+            this.handleError(targetSlot, 'Stream unresponsive - too many buffer stalls', true);
+          }
+        } else {
+          this.log(`Minor issue: ${data.details}`, 'warning');
+        }
+      });
+
+      hls.on(HlsImpl.Events.FRAG_LOADED, () => {
+        r.bufErr = 0;
+        this.lastFragTime = Date.now();
+        if (r.stall) clearTimeout(r.stall);
+        r.stall = setTimeout(() => {
+          if (!this.active) return;
+          const st = this.state;
+          if (st.phase !== PHASES.PLAYING && st.phase !== PHASES.SWITCHING) return;
+          const since = this.playStart ? Date.now() - this.playStart : 0;
+          if (since < stabilityWindow) return;
+          // A DVR viewer paused with a full buffer has no reason to load more
+          if (ve.paused && this.getDvrState().available) return;
+          this.handleError(targetSlot, 'Stream stalled - no data received', true);
+        }, STALL_TIMEOUT);
+      });
+
+    } else if (!this.canPlay(source, ve)) {
+      this.handleError(targetSlot, 'HLS not supported in this browser', true);
+    } else {
+      r.detach = adapter.attach(ve, url, {
+        onLoaded: () => { if (this.active) { this.log(`Stream metadata loaded (${this.describeAdapter(source, adapter)})`, 'success'); this.attemptPlay(targetSlot); } },
+        onReady: () => {},
+        onError: (message) => { this.handleError(targetSlot, message, true); },
+      });
+    }
+  }
+
+  typeOf(id) {
+    if (id === AUDIO_SOURCE) return SOURCE_TYPES.HLS;
+    const source = findSource(this.sources, id);
+    return source ? source.type : SOURCE_TYPES.HLS;
+  }
+
+  // Video sources in priority order, less any this browser can't play: iframes
+  // are the host's to render, and DASH needs dash.js on the page
+  playableSources(sources) {
+    return normalizeSources(sources).filter(s => !isEmbedSource(s)
+      && (s.type !== SOURCE_TYPES.DASH || this.dashAdapter.isAvailable()));
+  }
+
+  // null when hls.js plays the source; otherwise the adapter that does
+  mediaAdapterFor(id) {
+    const type = this.typeOf(id);
+    if (type === SOURCE_TYPES.DASH) return this.dashAdapter;
+    if (type === SOURCE_TYPES.HLS && this.Hls.isSupported()) return null;
+    return nativeAdapter;
+  }
+
+  // Only HLS without MSE can be ruled out up front; anything else the native
+  // adapter gets to try
+  canPlay(id, video) {
+    return this.typeOf(id) !== SOURCE_TYPES.HLS || !!video.canPlayType('application/vnd.apple.mpegurl');
+  }
+
+  describeAdapter(id, adapter) {
+    return adapter === nativeAdapter && this.typeOf(id) === SOURCE_TYPES.HLS ? 'native HLS' : adapter.name;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Slot monitors (feed BUFFERING / QUALITY events for telemetry)
+  // ---------------------------------------------------------------------------
+
+  // Only the visible slot reports buffering — the standby preloads silently
+  watchBuffering(s, source) {
+    const r = this.slots[s];
+    const ve = r.video;
+    const report = (buffering) => () => {
+      if (!this.active || this.state.activeSlot !== s) return;
+      this.emit(PLAYER_EVENTS.BUFFERING, { buffering, source });
+    };
+    const onWaiting = report(true);
+    const onPlaying = report(false);
+    ve.addEventListener('waiting', onWaiting);
+    ve.addEventListener('playing', onPlaying);
+    r.listeners.push(
+      { element: ve, event: 'waiting', handler: onWaiting },
+      { element: ve, event: 'playing', handler: onPlaying },
+    );
+  }
+
+  // Tells the viewer's seeks (native controls: a click or key press just
+  // before) from hls.js and CDN jumps, and feeds the DVR scrubber
+  watchSeeking(s) {
+    const r = this.slots[s];
+    const ve = r.video;
+    const onInput = () => { this.lastUserInput = Date.now(); };
+    const onSeeking = () => {
+      if (this.state.activeSlot === s && Date.now() - this.lastUserInput <= USER_SEEK_WINDOW) this.userSeek = true;
+    };
+    const onTimeUpdate = () => {
+      if (this.active && this.dvrEnabled && this.state.activeSlot === s) this.emit(PLAYER_EVENTS.DVR, this.getDvrState());
+    };
+    ve.addEventListener('pointerdown', onInput);
+    ve.addEventListener('keydown', onInput);
+    ve.addEventListener('seeking', onSeeking);
+    ve.addEventListener('timeupdate', onTimeUpdate);
+    r.listeners.push(
+      { element: ve, event: 'pointerdown', handler: onInput },
+      { element: ve, event: 'keydown', handler: onInput },
+      { element: ve, event: 'seeking', handler: onSeeking },
+      { element: ve, event: 'timeupdate', handler: onTimeUpdate },
+    );
+  }
+
+  // Low-latency sources: play a little fast while the playhead has drifted
+  // behind the target (stalls push it back; hls.js only re-syncs on a seek).
+  // Not while the viewer has rewound on purpose.
+  watchLatency(s) {
+    const r = this.slots[s];
+    const ve = r.video;
+    const onTimeUpdate = () => {
+      if (!this.active || !r.latency || !r.hls || this.state.activeSlot !== s) return;
+      const rewound = this.dvrEnabled && !this.getDvrState().atLive;
+      const rate = ve.paused || rewound ? 1 : getPlaybackRate(r.hls.latency, r.latency, ve.playbackRate);
+      if (rate === ve.playbackRate) return;
+      this.log(rate > 1
+        ? `Latency ${r.hls.latency.toFixed(1)}s, target ${r.latency.target.toFixed(1)}s — catching up`
+        : 'Back at target latency', 'info');
+      ve.playbackRate = rate;
+    };
+    ve.addEventListener('timeupdate', onTimeUpdate);
+    r.listeners.push({ element: ve, event: 'timeupdate', handler: onTimeUpdate });
+  }
+
+  watchQuality(hls, source) {
+    hls.on(this.Hls.Events.LEVEL_SWITCHED, (_, d) => {
+      const level = hls.levels?.[d.level];
+      this.log(`Quality: Level ${d.level}`, 'info');
+      this.emit(PLAYER_EVENTS.QUALITY, {
+        source,
+        level: d.level,
+        bitrate: level?.bitrate ?? null,
+        width: level?.width ?? null,
+        height: level?.height ?? null,
+      });
+    });
+  }
+
+  // Background tabs throttle playlist reloads, so a hidden tab starts over
+  // rather than mistaking the throttling for a stuck sequence
+  watchPlaylist(hls, s, source) {
+    const watchdog = new PlaylistWatchdog(this.staleManifest);
+    hls.on(this.Hls.Events.LEVEL_LOADED, (_, data) => {
+      if (!this.active || !data.details) return;
+      // Kept for alignStandby
+      this.slots[s].details = data.details;
+      if (!this.tabVisible) {
+        watchdog.reset();
+        return;
+      }
+      const reason = watchdog.check(data.details);
+      if (reason) this.handleStalePlaylist(s, source, reason);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Make-before-break: load on standby slot
+  // ---------------------------------------------------------------------------
+
+  initStandby(url, source, reason = SWITCH_REASONS.ERROR, detail = null) {
+    // Leaving audio only, whether the probe found video or a switch overruled it
+    if (this.state.audioOnly) {
+      if (this.retryTimer) { clearTimeout(this.retryTimer); this.retryTimer = null; }
+      this.destroyProbe();
+    }
+    const sbSlot = otherSlot(this.state.activeSlot);
+    this.destroySlot(sbSlot);
+    this.switchReason = { reason, detail };
+    this.dispatch({ type: ACTIONS.SWITCH_START, source });
+
+    const r = this.slots[sbSlot];
+    const ve = r.video;
+    if (!ve) return;
+
+    this.log(`Pre-loading ${source} on standby...`, 'info');
+    ve.muted = true;
+    r.latency = getLatencyPolicy(findSource(this.sources, source));
+
+    let ready = false;
+    let gotManifest = false;
+    let gotFrag = false;
+
+    const tryReady = () => {
+      if (ready || !gotManifest || !gotFrag) return;
+      ready = true;
+      const fadeIn = () => ve.play().then(() => {
+        if (this.active) this.beginCrossfade(sbSlot);
+      }).catch(() => {
+        if (this.active) this.beginCrossfade(sbSlot);
+      });
+      if (!this.alignStandby(sbSlot, source, fadeIn)) fadeIn();
+    };
+
+    const onEnded = () => { this.handleError(sbSlot, 'Standby stream ended', true); };
+    ve.addEventListener('ended', onEnded);
+    r.listeners.push({ element: ve, event: 'ended', handler: onEnded });
+    this.watchBuffering(sbSlot, source);
+    this.watchSeeking(sbSlot);
+    this.watchLatency(sbSlot);
+
+    const { Hls: HlsImpl } = this;
+    const adapter = this.mediaAdapterFor(source);
+
+    if (!adapter) {
+      const hls = new HlsImpl(getHlsConfig(r.latency));
+      r.hls = hls;
+      hls.loadSource(url);
+      hls.attachMedia(ve);
+      this.watchQuality(hls, source);
+      this.watchPlaylist(hls, sbSlot, source);
+      this.watchCaptions(hls, sbSlot);
+
+      hls.on(HlsImpl.Events.MANIFEST_PARSED, () => {
+        if (!this.active) return;
+        this.log(`Standby ${source}: manifest loaded`, 'success');
+        this.applyQuality(hls);
+        gotManifest = true;
+        tryReady();
+      });
+
+      hls.on(HlsImpl.Events.FRAG_LOADED, () => {
+        if (!gotFrag) {
+          this.log(`Standby ${source}: first fragment loaded`, 'success');
+          gotFrag = true;
+          tryReady();
+        }
+      });
+
+      // hls.js seeks to its start position once the first main fragment is
+      // buffered; before that the standby's currentTime is still 0
+      hls.on(HlsImpl.Events.FRAG_BUFFERED, (_, d) => {
+        if (d.frag?.type === 'main') r.started = true;
+      });
+
+      hls.on(HlsImpl.Events.ERROR, (_, d) => {
+        if (!this.active) return;
+        this.emit(PLAYER_EVENTS.HLS_ERROR, { source, details: d.details, fatal: !!d.fatal });
+        if (d.fatal) this.handleError(sbSlot, `Standby error: ${d.details}`, true);
+      });
+
+    } else if (this.canPlay(source, ve)) {
+      r.detach = adapter.attach(ve, url, {
+        onLoaded: () => {},
+        onReady: () => {
+          if (!this.active) return;
+          this.log(`Standby ${source}: ready (${this.describeAdapter(source, adapter)})`, 'success');
+          gotManifest = true;
+          gotFrag = true;
+          tryReady();
+        },
+        onError: (message) => { this.handleError(sbSlot, `Standby: ${message}`, true); },
+      });
+    }
+
+    // Safety valve
+    if (this.switchTimer) clearTimeout(this.switchTimer);
+    this.switchTimer = setTimeout(() => {
+      if (!this.active) return;
+      if (!ready) {
+        this.log('Standby source failed to load in time — falling back', 'warning');
+        this.handleError(sbSlot, 'Switch timeout — standby not ready', true);
+      }
+    }, SWITCH_TIMEOUT);
+  }
+
+  // Seek the standby to the moment the outgoing slot is showing, by
+  // EXT-X-PROGRAM-DATE-TIME, so a switch between CDNs neither repeats nor
+  // skips speech. Returns true when it will call `done` once the seek lands
+  // (or after PLAYHEAD_SYNC_TIMEOUT); false to fade in right away.
+  alignStandby(sbSlot, source, done) {
+    if (this.syncTolerance === null) return false;
+    const out = this.slots[this.state.activeSlot];
+    const r = this.slots[sbSlot];
+    if (!out.details || !r.details || !out.video) return false;
+    if (!r.hls || r.started) return this.seekStandby(sbSlot, source, done);
+
+    // Fragment loaded but not yet buffered: measure once hls.js has moved the
+    // standby to its start position
+    const { FRAG_BUFFERED } = this.Hls.Events;
+    const onStarted = (_, d) => {
+      if (!r.sync || d.frag?.type !== 'main') return;
+      clearTimeout(r.sync);
+      r.sync = null;
+      r.hls.off(FRAG_BUFFERED, onStarted);
+      if (this.active && !this.seekStandby(sbSlot, source, done)) done();
+    };
+    r.sync = setTimeout(() => {
+      r.sync = null;
+      r.hls.off(FRAG_BUFFERED, onStarted);
+      done();
+    }, PLAYHEAD_SYNC_TIMEOUT);
+    r.hls.on(FRAG_BUFFERED, onStarted);
+    return true;
+  }
+
+  // Measure from where the standby is now and seek it if that's off by more
+  // than the tolerance
+  seekStandby(sbSlot, source, done) {
+    const from = this.state.activeSource;
+    const out = this.slots[this.state.activeSlot];
+    const r = this.slots[sbSlot];
+    const plan = planSync({
+      from: { fragments: out.details.fragments, time: out.video.currentTime },
+      to: { fragments: r.details.fragments, time: r.video.currentTime },
+      tolerance: this.syncTolerance,
+    });
+    if (plan.offset === null) {
+      this.log(`${source}: no program date time to align with ${from}`, 'info');
+      return false;
+    }
+    const measured = `${source} is ${formatOffset(plan.offset)} ${from}`;
+    if (!plan.seek) {
+      const why = plan.target === null ? 'that moment is outside its window' : 'within tolerance';
+      this.log(`${measured} — ${why}`, plan.target === null ? 'warning' : 'info');
+      return false;
+    }
+    this.log(`${measured} — aligning`, 'info');
+
+    const ve = r.video;
+    const onSeeked = () => {
+      if (!r.sync) return;
+      clearTimeout(r.sync);
+      r.sync = null;
+      done();
+    };
+    r.sync = setTimeout(onSeeked, PLAYHEAD_SYNC_TIMEOUT);
+    ve.addEventListener('seeked', onSeeked);
+    r.listeners.push({ element: ve, event: 'seeked', handler: onSeeked });
+    ve.currentTime = plan.target;
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Crossfade
+  // ---------------------------------------------------------------------------
+
+  beginCrossfade(inSlot) {
+    if (!this.active) return;
+    if (this.state.phase !== PHASES.SWITCHING) return;
+
+    if (this.switchTimer) { clearTimeout(this.switchTimer); this.switchTimer = null; }
+
+    const outSlot = this.state.activeSlot;
+    const outVid = this.slots[outSlot].video;
+    const inVid = this.slots[inSlot].video;
+
+    if (outVid) outVid.muted = true;
+    if (inVid) inVid.muted = this.muted;
+
+    this.log('Crossfading to new source...', 'info');
+    this.dispatch({ type: ACTIONS.SWITCH_READY });
+
+    const onEnd = (e) => {
+      if (e.propertyName !== 'opacity') return;
+      inVid.removeEventListener('transitionend', onEnd);
+      this.finishCrossfade(outSlot);
+    };
+    if (inVid) inVid.addEventListener('transitionend', onEnd);
+
+    // Safety: complete after CROSSFADE_MS + buffer in case transitionend doesn't fire
+    this.crossfadeTimer = setTimeout(() => {
+      this.crossfadeTimer = null;
+      if (!this.active) return;
+      const s = this.state;
+      if (s.phase === PHASES.SWITCHING && s.crossfading) {
+        if (inVid) inVid.removeEventListener('transitionend', onEnd);
+        this.finishCrossfade(outSlot);
+      }
+    }, CROSSFADE_MS + 200);
+  }
+
+  finishCrossfade(outSlot) {
+    if (!this.active) return;
+    if (this.state.phase !== PHASES.SWITCHING) return;
+    const from = this.state.activeSource;
+    const to = this.state.standbySource;
+    this.log('Source switch complete', 'success');
+    // Back on video, so the audio fallback is worth trying again next time
+    if (this.state.audioOnly) this.audioFailed = false;
+    this.destroySlot(outSlot);
+    this.dispatch({ type: ACTIONS.SWITCH_COMPLETE });
+    this.emit(PLAYER_EVENTS.SWITCH, { from, to, ...this.switchReason, mode: 'crossfade' });
+    this.switchReason = null;
+    this.playStart = Date.now();
+    this.startHeartbeat();
+    this.emit(PLAYER_EVENTS.QUALITY_OPTIONS, this.getQualityOptions());
+    this.emit(PLAYER_EVENTS.CAPTION_OPTIONS, this.getCaptionOptions());
+  }
+
+  // ---------------------------------------------------------------------------
+  // Browser environment
+  // ---------------------------------------------------------------------------
+
+  onVisibilityChange() {
+    this.tabVisible = !document.hidden;
+    if (document.hidden) {
+      this.log('Tab hidden — pausing stall detection', 'info');
+      ['A', 'B'].forEach((s) => {
+        const r = this.slots[s];
+        if (r.stall) { clearTimeout(r.stall); r.stall = null; }
+      });
+    } else {
+      this.log('Tab visible — resuming monitoring', 'info');
+      this.lastFragTime = Date.now();
+      const av = this.slots[this.state.activeSlot].video;
+      this.lastCT = av?.currentTime || 0;
+      this.maxCT = av?.currentTime || 0;
+      this.setLoopCount(0);
+      this.slots.A.bufErr = 0;
+      this.slots.B.bufErr = 0;
+    }
+  }
+
+  onOnline() {
+    this.log('Network restored', 'info');
+    const s = this.state;
+    if (this.operatorHold) return;
+    if (s.phase === PHASES.HOLD || s.phase === PHASES.CONNECTING) {
+      this.log('Attempting immediate reconnection...', 'info');
+      this.failed.clear();
+      this.emitStability();
+      const best = this.candidates(new Set());
+      if (best.length > 0) this.reconnect(best[0], SWITCH_REASONS.NETWORK);
+    }
+  }
+
+  onOffline() {
+    this.log('Network lost', 'error');
+  }
+}
+
+export default ResilientPlayer;
@@ -0,0 +1,1531 @@
+import ResilientPlayer, { PLAYER_EVENTS, SWITCH_REASONS, PROBE_MODES } from './ResilientPlayer';
+import { PHASES } from './streamReducer';
+import {
+  MAX_RETRIES,
+  RETRY_DELAY,
+  STALL_TIMEOUT,
+  BUFFER_ERROR_THRESHOLD,
+  BACKGROUND_RETRY_DELAY,
+  STABILITY_WINDOW,
+  STABLE_THRESHOLD,
+  STABLE_MIN_FRAGS,
+  SWITCH_TIMEOUT,
+  CROSSFADE_MS,
+  HEARTBEAT_INTERVAL,
+  PLAYLIST_PROBE_DELAY,
+  USER_SEEK_WINDOW,
+  PLAYHEAD_SYNC_TIMEOUT,
+  LL_STABILITY_WINDOW,
+  LL_BUFFER_ERROR_THRESHOLD,
+} from './constants';
+import { CATCH_UP_RATE } from './latency';
+import { PLAYLIST_PROBE_ADVANCES } from './PlaylistProbe';
+import { createFakeHls } from './testing/FakeHls';
+import { createFakeDash } from './testing/FakeDash';
+import { createFakeOrigin } from './testing/FakeOrigin';
+import StabilityStore from './StabilityStore';
+import { FakeVideo, flushPromises } from './testing/FakeVideo';
+import Emitter from '../utils/Emitter';
+import { LIVENESS_EVENTS } from './LivenessChecker';
+
+const SOURCES = [
+  { id: 'primary', url: 'https://ivs/primary.m3u8' },
+  { id: 'secondary', url: 'https://mux/secondary.m3u8' },
+  { id: 'tertiary', url: 'https://mediapackage/index.m3u8' },
+];
+
+const setup = ({
+  sources = SOURCES, supported = true, healthCheck = null, probe = {}, stabilityStore = null, quality = {},
+  audioFallback = null, dvr = false, playheadSync = {}, dashjs,
+} = {}) => {
+  const Hls = createFakeHls({ supported });
+  const videoA = new FakeVideo();
+  const videoB = new FakeVideo();
+  const probeVideos = [];
+  const player = new ResilientPlayer({
+    videoA,
+    videoB,
+    sources,
+    hls: Hls,
+    healthCheck,
+    probe,
+    stabilityStore,
+    quality,
+    audioFallback,
+    dvr,
+    playheadSync,
+    dashjs,
+    createVideo: () => {
+      const v = new FakeVideo();
+      probeVideos.push(v);
+      return v;
+    },
+  });
+  const logs = [];
+  const switches = [];
+  player.on(PLAYER_EVENTS.LOG, entry => logs.push(entry.message));
+  player.on(PLAYER_EVENTS.SWITCH, e => switches.push(e));
+  return { player, Hls, videoA, videoB, probeVideos, logs, switches };
+};
+
+// Drive the current active-slot Hls instance to PLAYING
+const bringUp = async (hls) => {
+  hls.manifestParsed();
+  await flushPromises();
+};
+
+// Advance a heartbeat tick with the given currentTime on the video
+const tick = (video, currentTime) => {
+  video.currentTime = currentTime;
+  jest.advanceTimersByTime(HEARTBEAT_INTERVAL);
+};
+
+// Exhaust retries on the active source so the next fatal error triggers a switch
+const exhaustRetries = async (Hls) => {
+  for (let i = 0; i < MAX_RETRIES; i += 1) {
+    Hls.last().error('manifestLoadError', { fatal: true });
+    jest.advanceTimersByTime(RETRY_DELAY);
+    await bringUp(Hls.last());
+  }
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('ResilientPlayer', () => {
+  describe('startup', () => {
+    it('connects to the highest-priority source on slot A and plays', async () => {
+      const { player, Hls, videoA } = setup();
+      player.start();
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'primary', activeSlot: 'A' });
+      expect(Hls.last().url).toBe(SOURCES[0].url);
+      expect(Hls.last().media).toBe(videoA);
+
+      await bringUp(Hls.last());
+      expect(player.getState().phase).toBe(PHASES.PLAYING);
+      player.destroy();
+    });
+
+    it('shows the Start Stream prompt when autoplay is blocked', async () => {
+      const { player, Hls, videoA } = setup();
+      videoA.playResult = 'blocked';
+      player.start();
+      await bringUp(Hls.last());
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, needsUserInteraction: true });
+
+      videoA.playResult = 'resolve';
+      player.play();
+      await flushPromises();
+      expect(player.getState().needsUserInteraction).toBe(false);
+      player.destroy();
+    });
+
+    it('goes straight to HOLD with no sources configured', () => {
+      const { player } = setup({ sources: [] });
+      player.start();
+      expect(player.getState().phase).toBe(PHASES.HOLD);
+      player.destroy();
+    });
+
+    it('emits phase changes', async () => {
+      const { player, Hls } = setup();
+      const phases = [];
+      player.on(PLAYER_EVENTS.PHASE_CHANGE, ({ phase }) => phases.push(phase));
+      player.start();
+      await bringUp(Hls.last());
+      player.stop();
+      expect(phases).toEqual([PHASES.PLAYING, PHASES.IDLE]);
+    });
+  });
+
+  describe('source types', () => {
+    const MIXED = [
+      { id: 'dash', type: 'dash', url: 'https://cdn/event.mpd' },
+      { id: 'mp4', type: 'native', url: 'https://cdn/event.mp4' },
+      { id: 'hls', url: 'https://ivs/primary.m3u8' },
+      { id: 'teams', type: 'iframe', url: 'https://teams.microsoft.com/l/x' },
+    ];
+
+    it('plays DASH through dash.js and tears it down on the way out', async () => {
+      const dashjs = createFakeDash();
+      const { player, Hls, videoA, logs } = setup({ sources: MIXED, dashjs });
+      player.start();
+      expect(Hls.instances).toHaveLength(0);
+      expect(dashjs.last()).toMatchObject({ video: videoA, url: 'https://cdn/event.mpd' });
+
+      dashjs.last().initialized();
+      await flushPromises();
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'dash' });
+      expect(logs).toContain('Stream metadata loaded (DASH)');
+
+      player.destroy();
+      expect(dashjs.last().isReset).toBe(true);
+    });
+
+    it('skips DASH without dash.js and plays a native source on the video itself', async () => {
+      const { player, Hls, videoA, logs } = setup({ sources: MIXED });
+      expect(player.sources.map(s => s.id)).toEqual(['mp4', 'hls']);
+      player.start();
+      expect(Hls.instances).toHaveLength(0);
+      expect(videoA.src).toBe('https://cdn/event.mp4');
+
+      videoA.dispatch('loadedmetadata');
+      await flushPromises();
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'mp4' });
+      expect(logs).toContain('Stream metadata loaded (native)');
+      player.destroy();
+      expect(videoA.listenerCount()).toBe(0);
+    });
+
+    it('falls back from a failed native source to HLS', () => {
+      const { player, Hls, videoA } = setup({ sources: MIXED });
+      player.start();
+      for (let i = 0; i <= MAX_RETRIES; i += 1) {
+        videoA.dispatch('error');
+        if (i < MAX_RETRIES) jest.advanceTimersByTime(RETRY_DELAY);
+      }
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'hls' });
+      expect(Hls.last().url).toBe('https://ivs/primary.m3u8');
+      player.destroy();
+    });
+
+    it('only probes HLS sources from HOLD', () => {
+      const { player, Hls, videoA } = setup({ sources: MIXED });
+      player.start();
+      for (let i = 0; i <= MAX_RETRIES; i += 1) {
+        videoA.dispatch('error');
+        if (i < MAX_RETRIES) jest.advanceTimersByTime(RETRY_DELAY);
+      }
+      for (let i = 0; i <= MAX_RETRIES; i += 1) {
+        Hls.last().error('manifestLoadError', { fatal: true });
+        if (i < MAX_RETRIES) jest.advanceTimersByTime(RETRY_DELAY);
+      }
+      expect(player.getState().phase).toBe(PHASES.HOLD);
+
+      const before = Hls.instances.length;
+      jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+      expect(Hls.instances.slice(before).map(h => h.url)).toEqual(['https://ivs/primary.m3u8']);
+      player.destroy();
+    });
+
+    it('retries a source it cannot probe head-on when there is no HLS source', () => {
+      const { player, videoA } = setup({ sources: [MIXED[1]] });
+      player.start();
+      for (let i = 0; i <= MAX_RETRIES; i += 1) {
+        videoA.dispatch('error');
+        if (i < MAX_RETRIES) jest.advanceTimersByTime(RETRY_DELAY);
+      }
+      expect(player.getState().phase).toBe(PHASES.HOLD);
+
+      jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'mp4' });
+      player.destroy();
+    });
+  });
+
+  describe('cache loop detection', () => {
+    it('falls back after two backward jumps, not one', async () => {
+      const { player, Hls, videoA } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      tick(videoA, 10);
+      tick(videoA, 20);
+      tick(videoA, 12); // first jump back
+      expect(player.getState().retryCount).toBe(0);
+
+      tick(videoA, 14); // still behind the high water mark
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, retryCount: 1 });
+      player.destroy();
+    });
+
+    it('resets the loop counter once playback passes the high water mark', async () => {
+      const { player, Hls, videoA } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      tick(videoA, 20);
+      tick(videoA, 10);
+      tick(videoA, 25);
+      tick(videoA, 15);
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, retryCount: 0 });
+      player.destroy();
+    });
+
+    it('reports the loop count as it rises and clears', async () => {
+      const { player, Hls, videoA } = setup();
+      const counts = [];
+      player.on(PLAYER_EVENTS.CACHE_LOOP, ({ source, count }) => counts.push([source, count]));
+      player.start();
+      await bringUp(Hls.last());
+
+      tick(videoA, 20);
+      tick(videoA, 10);
+      tick(videoA, 25);
+      expect(counts).toEqual([['primary', 1], ['primary', 0]]);
+      player.destroy();
+    });
+  });
+
+  describe('dvr', () => {
+    // Ten minutes of sliding window, hls.js syncing 10s behind its end
+    const bringUpDvr = async (options = { dvr: true }) => {
+      const env = setup(options);
+      env.player.start();
+      await bringUp(env.Hls.last());
+      env.videoA.setSeekable(0, 600);
+      env.Hls.last().liveSyncPosition = 590;
+      tick(env.videoA, 585);
+      tick(env.videoA, 590);
+      return env;
+    };
+
+    it('rewinds within the window and goes back to live without tripping loop detection', async () => {
+      const { player, Hls, videoA } = await bringUpDvr();
+      const loops = [];
+      player.on(PLAYER_EVENTS.CACHE_LOOP, e => loops.push(e));
+
+      expect(player.seek(300)).toBe(true);
+      expect(player.getDvrState()).toMatchObject({ available: true, position: 300, behind: 290, atLive: false });
+      tick(videoA, 305);
+      expect(player.seek(120)).toBe(true);
+      tick(videoA, 125);
+      tick(videoA, 130);
+      expect(loops).toEqual([]);
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, retryCount: 0 });
+
+      videoA.pause();
+      expect(player.goLive()).toBe(true);
+      expect(videoA).toMatchObject({ currentTime: 590, paused: false });
+      expect(player.getDvrState().atLive).toBe(true);
+      expect(Hls.instances).toHaveLength(1);
+      player.destroy();
+    });
+
+    it('counts a native-controls seek as the viewer\'s, but not a jump nobody asked for', async () => {
+      const { player, videoA } = await bringUpDvr();
+      const loops = [];
+      player.on(PLAYER_EVENTS.CACHE_LOOP, ({ count }) => loops.push(count));
+
+      videoA.dispatch('pointerdown');
+      videoA.currentTime = 200;
+      videoA.dispatch('seeking');
+      tick(videoA, 205);
+      expect(loops).toEqual([]);
+
+      jest.advanceTimersByTime(USER_SEEK_WINDOW);
+      videoA.currentTime = 100;
+      videoA.dispatch('seeking');
+      tick(videoA, 100);
+      expect(loops).toEqual([1]);
+      player.destroy();
+    });
+
+    it('lets a viewer pause behind live without the stream counting as frozen or stalled', async () => {
+      const { player, Hls, videoA } = await bringUpDvr();
+      videoA.pause();
+      jest.advanceTimersByTime(STABILITY_WINDOW);
+      Hls.last().fragLoaded();
+
+      jest.advanceTimersByTime(Math.max(STALL_TIMEOUT, HEARTBEAT_INTERVAL * BUFFER_ERROR_THRESHOLD) * 2);
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, retryCount: 0 });
+      player.destroy();
+    });
+
+    it('offers nothing unless the event enables it', async () => {
+      const { player } = await bringUpDvr({});
+      expect(player.getDvrState().available).toBe(false);
+      expect(player.seek(300)).toBe(false);
+      player.destroy();
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('treats frozen currentTime as a fatal error', async () => {
+      const { player, Hls, videoA, logs } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      tick(videoA, 5);
+      tick(videoA, 5);
+      tick(videoA, 5);
+      expect(player.getState().retryCount).toBe(0);
+      tick(videoA, 5);
+      expect(player.getState().retryCount).toBe(1);
+      expect(logs).toContain('Stream frozen — video not advancing');
+      player.destroy();
+    });
+  });
+
+  describe('buffer stalls', () => {
+    it('ignores stalls during the grace period', async () => {
+      const { player, Hls } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      for (let i = 0; i < 10; i += 1) Hls.last().bufferStalled();
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, retryCount: 0 });
+      player.destroy();
+    });
+
+    it('treats repeated stalls after the grace period as fatal', async () => {
+      const { player, Hls } = setup();
+      player.start();
+      const hls = Hls.last();
+      await bringUp(hls);
+      jest.setSystemTime(Date.now() + STABILITY_WINDOW);
+
+      for (let i = 0; i < 4; i += 1) hls.bufferStalled();
+      expect(player.getState().retryCount).toBe(0);
+      hls.bufferStalled();
+      expect(player.getState().retryCount).toBe(1);
+      player.destroy();
+    });
+
+    it('falls back when no fragment arrives within STALL_TIMEOUT', async () => {
+      const { player, Hls, logs } = setup();
+      player.start();
+      const hls = Hls.last();
+      await bringUp(hls);
+
+      jest.advanceTimersByTime(STABILITY_WINDOW);
+      hls.fragLoaded();
+      jest.advanceTimersByTime(STALL_TIMEOUT);
+      expect(logs).toContain('Stream stalled - no data received');
+      expect(player.getState().retryCount).toBe(1);
+      player.destroy();
+    });
+
+    it('recovers fatal media errors in place', async () => {
+      const { player, Hls } = setup();
+      player.start();
+      const hls = Hls.last();
+      hls.error('bufferAppendError', { fatal: true, type: Hls.ErrorTypes.MEDIA_ERROR });
+      expect(hls.recoverCount).toBe(1);
+      expect(player.getState().retryCount).toBe(0);
+      player.destroy();
+    });
+  });
+
+  describe('ended black screen', () => {
+    it('treats the ended event as a failure instead of leaving a black frame', async () => {
+      const { player, Hls, videoA } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      videoA.dispatch('ended');
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, retryCount: 1 });
+      player.destroy();
+    });
+  });
+
+  describe('retries', () => {
+    it('retries the same source on the same slot without leaking listeners', async () => {
+      const { player, Hls, videoA } = setup();
+      player.start();
+      const baseline = videoA.listenerCount();
+
+      for (let i = 0; i < MAX_RETRIES; i += 1) {
+        Hls.last().error('manifestLoadError', { fatal: true });
+        jest.advanceTimersByTime(RETRY_DELAY);
+        expect(Hls.last().url).toBe(SOURCES[0].url);
+        expect(videoA.listenerCount()).toBe(baseline);
+      }
+      expect(Hls.live()).toHaveLength(1);
+      player.destroy();
+    });
+
+    it('moves to the next source break-before-make when nothing is playing', () => {
+      const { player, Hls, switches } = setup();
+      player.start();
+
+      for (let i = 0; i < MAX_RETRIES; i += 1) {
+        Hls.last().error('manifestLoadError', { fatal: true });
+        jest.advanceTimersByTime(RETRY_DELAY);
+      }
+      Hls.last().error('manifestLoadError', { fatal: true });
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'secondary', activeSlot: 'A' });
+      expect(switches).toEqual([expect.objectContaining({ from: 'primary', to: 'secondary', reason: SWITCH_REASONS.ERROR, mode: 'reconnect' })]);
+      player.destroy();
+    });
+  });
+
+  describe('make-before-break', () => {
+    it('loads the next source on the standby slot and crossfades when ready', async () => {
+      const { player, Hls, videoA, videoB, switches } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      await exhaustRetries(Hls);
+
+      Hls.last().error('levelLoadError', { fatal: true });
+      const standby = Hls.last();
+      expect(player.getState()).toMatchObject({ phase: PHASES.SWITCHING, standbySource: 'secondary' });
+      expect(standby.media).toBe(videoB);
+      expect(videoB.muted).toBe(true);
+
+      // Needs both manifest and first fragment before crossfading
+      standby.manifestParsed();
+      await flushPromises();
+      expect(player.getState().crossfading).toBe(false);
+      standby.fragLoaded();
+      await flushPromises();
+      expect(player.getState().crossfading).toBe(true);
+      expect(videoA.muted).toBe(true);
+      expect(videoB.muted).toBe(false);
+
+      jest.advanceTimersByTime(CROSSFADE_MS + 200);
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'secondary', activeSlot: 'B' });
+      expect(Hls.live()).toEqual([standby]);
+      expect(switches).toEqual([expect.objectContaining({ from: 'primary', to: 'secondary', mode: 'crossfade' })]);
+      player.destroy();
+    });
+
+    it('completes on transitionend before the safety timeout', async () => {
+      const { player, Hls, videoB } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      player.switchTo('tertiary');
+      Hls.last().manifestParsed();
+      Hls.last().fragLoaded();
+      await flushPromises();
+
+      videoB.dispatch('transitionend', { propertyName: 'transform' });
+      expect(player.getState().phase).toBe(PHASES.SWITCHING);
+      videoB.dispatch('transitionend', { propertyName: 'opacity' });
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'tertiary' });
+      player.destroy();
+    });
+
+    it('aborts the switch and tries another candidate when the standby errors', async () => {
+      const { player, Hls, logs } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      player.switchTo('secondary');
+
+      Hls.last().error('manifestLoadError', { fatal: true });
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'primary', standbySource: null });
+      expect(player.getStability().failed).toContain('secondary');
+      expect(logs).toContain('Trying primary instead...');
+      player.destroy();
+    });
+
+    it('gives up on a standby that is not ready within SWITCH_TIMEOUT', async () => {
+      const { player, Hls, logs } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      player.switchTo('secondary');
+      const standby = Hls.last();
+      standby.manifestParsed();
+
+      jest.advanceTimersByTime(SWITCH_TIMEOUT);
+      expect(logs).toContain('Standby source failed to load in time — falling back');
+      expect(standby.destroyed).toBe(true);
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'primary' });
+
+      jest.advanceTimersByTime(RETRY_DELAY);
+      expect(player.getState()).toMatchObject({ phase: PHASES.SWITCHING, standbySource: 'primary' });
+      player.destroy();
+    });
+  });
+
+  describe('hold and background probe', () => {
+    const goToHold = (Hls) => {
+      for (let s = 0; s < SOURCES.length; s += 1) {
+        for (let i = 0; i <= MAX_RETRIES; i += 1) {
+          Hls.last().error('manifestLoadError', { fatal: true });
+          if (i < MAX_RETRIES) jest.advanceTimersByTime(RETRY_DELAY);
+        }
+      }
+    };
+
+    it('holds once every source has failed', () => {
+      const { player, Hls } = setup();
+      player.start();
+      goToHold(Hls);
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.HOLD, activeSource: 'hold' });
+      expect(Hls.live()).toHaveLength(0);
+      expect(player.getStability().failed).toEqual([]);
+      player.destroy();
+    });
+
+    it('probes every source and reconnects to the one that proves stable', () => {
+      const { player, Hls, probeVideos, switches } = setup();
+      player.start();
+      goToHold(Hls);
+
+      jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+      const probes = Hls.live();
+      expect(probes.map(p => p.url)).toEqual(SOURCES.map(s => s.url));
+
+      for (let i = 0; i < STABLE_MIN_FRAGS; i += 1) probes[2].fragLoaded();
+      probes[0].error('manifestLoadError', { fatal: true });
+
+      jest.advanceTimersByTime(STABLE_THRESHOLD);
+      expect(probes.every(p => p.destroyed)).toBe(true);
+      expect(probeVideos.every(v => v.loadCount > 0)).toBe(true);
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'tertiary' });
+      expect(Hls.last().url).toBe(SOURCES[2].url);
+      expect(switches[switches.length - 1]).toMatchObject({ from: 'hold', to: 'tertiary', reason: SWITCH_REASONS.PROBE });
+      player.destroy();
+    });
+
+    it('keeps probing while nothing is stable', () => {
+      const { player, Hls, logs } = setup();
+      player.start();
+      goToHold(Hls);
+
+      jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY + STABLE_THRESHOLD);
+      expect(logs).toContain('No stable stream found, will retry...');
+      jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+      expect(Hls.live()).toHaveLength(SOURCES.length);
+      expect(player.getState().phase).toBe(PHASES.HOLD);
+      player.destroy();
+    });
+
+    describe('embed tier', () => {
+      // Any object with start/stop/isLive and a change event will do
+      class FakeLiveness extends Emitter {
+        constructor(live = false) {
+          super();
+          this.live = live;
+          this.started = false;
+        }
+
+        start() { this.started = true; }
+
+        stop() { this.started = false; }
+
+        isLive() { return this.live; }
+
+        set(live) {
+          this.live = live;
+          this.emit(LIVENESS_EVENTS.CHANGE, { live });
+        }
+      }
+
+      const withEmbed = (live) => {
+        const liveness = new FakeLiveness(live);
+        const sources = [...SOURCES, {
+          id: 'teams', type: 'iframe', label: 'Teams', url: 'https://teams.microsoft.com/l/meetup-join/x', liveness,
+        }];
+        return { liveness, ...setup({ sources }) };
+      };
+
+      it('shows the iframe source instead of the hold screen while it is live', () => {
+        const { player, Hls, liveness, logs } = withEmbed(true);
+        player.start();
+        expect(liveness.started).toBe(true);
+        goToHold(Hls);
+
+        expect(player.getState()).toMatchObject({ phase: PHASES.HOLD, activeSource: 'teams', embed: true });
+        expect(logs).toContain('Teams is live — showing it until a stream recovers');
+
+        liveness.set(false);
+        expect(player.getState()).toMatchObject({ phase: PHASES.HOLD, activeSource: 'hold', embed: false });
+        liveness.set(true);
+        expect(player.getState().embed).toBe(true);
+
+        player.destroy();
+        expect(liveness.started).toBe(false);
+      });
+
+      it('keeps probing underneath and goes back to HLS once a source is stable', () => {
+        const { player, Hls, liveness } = withEmbed(false);
+        player.start();
+        goToHold(Hls);
+        expect(player.getState()).toMatchObject({ activeSource: 'hold', embed: false });
+        liveness.set(true);
+        expect(player.getState().activeSource).toBe('teams');
+
+        jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+        for (let i = 0; i < STABLE_MIN_FRAGS; i += 1) Hls.live()[0].fragLoaded();
+        jest.advanceTimersByTime(STABLE_THRESHOLD);
+        expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'primary', embed: false });
+
+        // Live or not, it only matters once everything else has failed
+        liveness.set(false);
+        liveness.set(true);
+        expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, embed: false });
+        player.destroy();
+      });
+
+      it('shows the first iframe source that is live', () => {
+        const teams = new FakeLiveness(false);
+        const youtube = new FakeLiveness(true);
+        const { player, Hls, logs } = setup({
+          sources: [
+            ...SOURCES,
+            { id: 'teams', type: 'iframe', label: 'Teams', url: 'https://teams.microsoft.com/l/x', liveness: teams },
+            { id: 'youtube', type: 'iframe', label: 'YouTube', url: 'https://www.youtube.com/embed/x', liveness: youtube },
+            { id: 'zoom', type: 'iframe', label: 'Zoom', url: 'https://zoom.us/wc/join/x' },
+          ],
+        });
+        player.start();
+        goToHold(Hls);
+        expect(player.getState()).toMatchObject({ activeSource: 'youtube', embed: true });
+
+        teams.set(true);
+        expect(player.getState().activeSource).toBe('teams');
+        teams.set(false);
+        youtube.set(false);
+        expect(player.getState()).toMatchObject({ activeSource: 'hold', embed: false });
+        expect(logs).toContain('YouTube is no longer live. Showing hold screen.');
+        player.destroy();
+      });
+
+      it('never replaces an operator hold', () => {
+        const { player, liveness } = withEmbed(true);
+        player.setOperatorHold(true);
+        player.start();
+        liveness.set(false);
+        liveness.set(true);
+        expect(player.getState()).toMatchObject({ phase: PHASES.HOLD, activeSource: 'hold', embed: false });
+        player.destroy();
+      });
+    });
+
+    it('reconnects immediately when the network comes back', () => {
+      const { player, Hls, switches } = setup();
+      player.start();
+      goToHold(Hls);
+
+      window.dispatchEvent(new Event('online'));
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'primary' });
+      expect(switches[switches.length - 1]).toMatchObject({ reason: SWITCH_REASONS.NETWORK });
+      player.destroy();
+    });
+
+    it('probes playlists only in playlist mode and leaves HOLD for the first live source', async () => {
+      const origin = createFakeOrigin();
+      // The primary's packager has stopped; the others keep publishing
+      const fetchImpl = jest.fn((url, options) => (url.includes('primary')
+        ? Promise.resolve({ ok: false, status: 404 })
+        : origin.fetch(url, options)));
+      const { player, Hls, probeVideos, logs, switches } = setup({ probe: { mode: PROBE_MODES.PLAYLIST, fetchImpl } });
+      const results = [];
+      player.on(PLAYER_EVENTS.PROBE_RESULT, r => results.push(r));
+      player.start();
+      goToHold(Hls);
+
+      jest.advanceTimersByTime(PLAYLIST_PROBE_DELAY);
+      for (let i = 0; i < PLAYLIST_PROBE_ADVANCES; i += 1) {
+        await flushPromises();
+        origin.sequence += 1;
+        jest.advanceTimersByTime(origin.targetDuration * 1000);
+      }
+      await flushPromises();
+      await flushPromises();
+
+      expect(probeVideos).toHaveLength(0);
+      expect(logs).toContain('Probe primary: Playlist HTTP 404');
+      expect(results[0]).toEqual({ results: { primary: -1, secondary: 3, tertiary: 3 }, winner: 'secondary' });
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'secondary' });
+      expect(switches[switches.length - 1]).toMatchObject({ from: 'hold', to: 'secondary', reason: SWITCH_REASONS.PROBE });
+      player.destroy();
+    });
+
+    describe('with an audio-only fallback', () => {
+      const AUDIO_URL = 'https://ivs/audio/en.m3u8';
+      // The primary's master playlist, with its audio in a rendition of its own
+      const masterWith = (...media) => jest.fn(() => Promise.resolve({
+        ok: true,
+        url: SOURCES[0].url,
+        text: () => Promise.resolve(['#EXTM3U', ...media, '#EXT-X-STREAM-INF:BANDWIDTH=3000000,AUDIO="aac"', 'hd.m3u8'].join('\n')),
+      }));
+
+      const reachAudio = async (options) => {
+        const env = setup(options);
+        env.player.start();
+        goToHold(env.Hls);
+        await flushPromises();
+        await flushPromises();
+        return env;
+      };
+
+      it('plays a source\'s audio rendition instead of holding, then crossfades back to video', async () => {
+        const fetchImpl = masterWith('#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",LANGUAGE="en",DEFAULT=YES,URI="audio/en.m3u8"');
+        const { player, Hls, videoA, switches } = await reachAudio({ audioFallback: { source: 'primary', fetchImpl } });
+
+        expect(fetchImpl).toHaveBeenCalledWith(SOURCES[0].url, { cache: 'no-store' });
+        const audio = Hls.last();
+        expect(audio).toMatchObject({ url: AUDIO_URL, media: videoA });
+        await bringUp(audio);
+        expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'audio', audioOnly: true });
+
+        // The probe carries on underneath, exactly as it would in HOLD
+        jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+        const probes = Hls.live().filter(h => h !== audio);
+        expect(probes.map(p => p.url)).toEqual(SOURCES.map(src => src.url));
+        for (let i = 0; i < STABLE_MIN_FRAGS; i += 1) probes[1].fragLoaded();
+        jest.advanceTimersByTime(STABLE_THRESHOLD);
+
+        // Make-before-break: audio plays on until the video is ready
+        expect(player.getState()).toMatchObject({ phase: PHASES.SWITCHING, activeSource: 'audio', standbySource: 'secondary' });
+        expect(audio.destroyed).toBe(false);
+        Hls.last().manifestParsed();
+        Hls.last().fragLoaded();
+        await flushPromises();
+        jest.advanceTimersByTime(CROSSFADE_MS + 200);
+
+        expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'secondary', audioOnly: false });
+        expect(audio.destroyed).toBe(true);
+        expect(switches[switches.length - 1]).toMatchObject({
+          from: 'audio', to: 'secondary', reason: SWITCH_REASONS.PROBE, mode: 'crossfade',
+        });
+        player.destroy();
+      });
+
+      // Audio playing, the probe vouched for secondary, now loading on the standby
+      const switchFromAudio = async () => {
+        const env = await reachAudio({ audioFallback: { url: AUDIO_URL } });
+        const audio = env.Hls.last();
+        await bringUp(audio);
+        jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+        const probes = env.Hls.live().filter(h => h !== audio);
+        for (let i = 0; i < STABLE_MIN_FRAGS; i += 1) probes[1].fragLoaded();
+        jest.advanceTimersByTime(STABLE_THRESHOLD);
+        return { ...env, audio, standby: env.Hls.last() };
+      };
+
+      it('lets video already loading take over when the audio fails', async () => {
+        const { player, audio, standby, logs } = await switchFromAudio();
+        audio.error('manifestLoadError', { fatal: true });
+
+        expect(logs).toContain('Audio-only fallback failed — waiting for secondary');
+        expect(player.getState()).toMatchObject({ phase: PHASES.SWITCHING, standbySource: 'secondary' });
+        expect(audio.destroyed).toBe(true);
+        expect(standby.destroyed).toBe(false);
+
+        standby.manifestParsed();
+        standby.fragLoaded();
+        await flushPromises();
+        jest.advanceTimersByTime(CROSSFADE_MS + 200);
+        expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'secondary', audioOnly: false });
+        expect(player.audioFailed).toBe(false);
+        player.destroy();
+      });
+
+      it('holds when the audio fails and then the video loading over it does too', async () => {
+        const { player, audio, standby } = await switchFromAudio();
+        audio.error('manifestLoadError', { fatal: true });
+        standby.error('manifestLoadError', { fatal: true });
+
+        expect(player.getState()).toMatchObject({ phase: PHASES.HOLD, audioOnly: false });
+        expect(standby.destroyed).toBe(true);
+        player.destroy();
+      });
+
+      it('holds when the audio fails as well, and keeps probing for video', async () => {
+        const { player, Hls } = await reachAudio({ audioFallback: { url: AUDIO_URL } });
+        Hls.last().error('manifestLoadError', { fatal: true });
+
+        expect(player.getState()).toMatchObject({ phase: PHASES.HOLD, activeSource: 'hold', audioOnly: false });
+        expect(Hls.live()).toHaveLength(0);
+        jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+        expect(Hls.live()).toHaveLength(SOURCES.length);
+        player.destroy();
+      });
+
+      it('holds when the source has no audio rendition of its own', async () => {
+        const fetchImpl = masterWith('#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",DEFAULT=YES');
+        const { player, logs } = await reachAudio({ audioFallback: { source: 'primary', fetchImpl } });
+
+        expect(logs).toContain('Audio-only fallback unavailable: primary has no separate audio rendition');
+        expect(player.getState().phase).toBe(PHASES.HOLD);
+        player.destroy();
+      });
+    });
+
+    describe('with a shared health checker', () => {
+      // Polls slowly enough that a snapshot outlives goToHold, which runs
+      // every timer synchronously before any fetch can resolve
+      const POLL = 20000;
+
+      // Health checker stand-in; `report` can be changed between polls
+      const createChecker = (report) => {
+        const checker = { report, reachable: true };
+        checker.healthCheck = {
+          url: 'https://health.example.com',
+          pollInterval: POLL,
+          fetchImpl: jest.fn(() => (checker.reachable
+            ? Promise.resolve({ ok: true, json: () => Promise.resolve(checker.report) })
+            : Promise.reject(new Error('offline')))),
+        };
+        return checker;
+      };
+      const allUnhealthy = { sources: SOURCES.map(s => ({ id: s.id, healthy: false, healthyForMs: 0 })) };
+
+      it('leaves HOLD on the checker\'s verdict without probing', async () => {
+        const checker = createChecker(allUnhealthy);
+        const { player, Hls, probeVideos, switches } = setup({ healthCheck: checker.healthCheck });
+        player.start();
+        await flushPromises();
+        goToHold(Hls);
+        await flushPromises();
+
+        jest.advanceTimersByTime(POLL);
+        expect(player.getState().phase).toBe(PHASES.HOLD);
+
+        checker.report = {
+          sources: [
+            { id: 'primary', healthy: true, healthyForMs: 5000 }, // not stable for long enough yet
+            { id: 'secondary', healthy: true, healthyForMs: STABLE_THRESHOLD },
+          ],
+        };
+        jest.advanceTimersByTime(POLL);
+        await flushPromises();
+        jest.advanceTimersByTime(POLL);
+
+        expect(probeVideos).toHaveLength(0);
+        expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'secondary' });
+        expect(switches[switches.length - 1]).toMatchObject({ from: 'hold', to: 'secondary', reason: SWITCH_REASONS.PROBE });
+        player.destroy();
+      });
+
+      it('falls back to probing from the client when the checker is unreachable', async () => {
+        const checker = createChecker(allUnhealthy);
+        checker.reachable = false;
+        const { player, Hls, logs } = setup({ healthCheck: checker.healthCheck });
+        player.start();
+        goToHold(Hls);
+        await flushPromises();
+
+        jest.advanceTimersByTime(POLL);
+        expect(logs).toContain('Health checker unreachable — probing from this client');
+        jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+        expect(Hls.live()).toHaveLength(SOURCES.length);
+        player.destroy();
+      });
+
+      // The checker only reports HLS sources
+      const NATIVE = { id: 'mp4', type: 'native', url: 'https://cdn/event.mp4' };
+      const holdNative = async (sources, report) => {
+        const checker = createChecker(report);
+        const env = setup({ sources, healthCheck: checker.healthCheck });
+        env.player.start();
+        await flushPromises();
+        for (let i = 0; i <= MAX_RETRIES; i += 1) {
+          env.videoA.dispatch('error');
+          if (i < MAX_RETRIES) jest.advanceTimersByTime(RETRY_DELAY);
+        }
+        return env;
+      };
+
+      it('retries sources the checker doesn\'t report from the client, even while it is reachable', async () => {
+        const { player, logs } = await holdNative([NATIVE], { sources: [] });
+        expect(player.getState().phase).toBe(PHASES.HOLD);
+
+        jest.advanceTimersByTime(POLL);
+        jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+        expect(logs).toContain('No playlist to probe — retrying mp4');
+        expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'mp4' });
+        player.destroy();
+      });
+
+      it('leaves the sources it reports to the checker when retrying the rest', async () => {
+        const { player, Hls } = await holdNative([NATIVE, SOURCES[0]], {
+          sources: [{ id: 'primary', healthy: false, healthyForMs: 0 }],
+        });
+        // The native source failed over to primary; fail that too
+        for (let i = 0; i <= MAX_RETRIES; i += 1) {
+          Hls.last().error('manifestLoadError', { fatal: true });
+          if (i < MAX_RETRIES) jest.advanceTimersByTime(RETRY_DELAY);
+        }
+        expect(player.getState().phase).toBe(PHASES.HOLD);
+        const before = Hls.instances.length;
+
+        jest.advanceTimersByTime(POLL);
+        jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+        expect(Hls.instances).toHaveLength(before);
+        expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'mp4' });
+        player.destroy();
+      });
+
+      it('fails over to a source the checker reports healthy ahead of priority order', async () => {
+        const checker = createChecker({
+          sources: [
+            { id: 'primary', healthy: true, healthyForMs: STABLE_THRESHOLD },
+            { id: 'secondary', healthy: false, healthyForMs: 0, reason: 'Media sequence stuck' },
+            { id: 'tertiary', healthy: true, healthyForMs: STABLE_THRESHOLD },
+          ],
+        });
+        const { player, Hls } = setup({ healthCheck: checker.healthCheck });
+        player.start();
+        await flushPromises();
+        await bringUp(Hls.last());
+        await exhaustRetries(Hls);
+
+        Hls.last().error('manifestLoadError', { fatal: true });
+        expect(Hls.last().url).toBe(SOURCES[2].url);
+        player.destroy();
+      });
+    });
+  });
+
+  describe('low latency', () => {
+    const LL_SOURCES = [
+      { id: 'primary', url: 'https://ivs/primary.m3u8', lowLatency: { targetLatencyMs: 3000, maxDriftMs: 1500 } },
+      { id: 'secondary', url: 'https://mux/secondary.m3u8' },
+    ];
+
+    it('opts only the low-latency source into LL-HLS at its target', async () => {
+      const { player, Hls } = setup({ sources: LL_SOURCES });
+      player.start();
+      await bringUp(Hls.last());
+      expect(Hls.last().config).toMatchObject({ lowLatencyMode: true, liveSyncDuration: 3 });
+
+      player.switchTo('secondary');
+      expect(Hls.last().config).toMatchObject({ lowLatencyMode: false });
+      expect(Hls.last().config.liveSyncDuration).toBeUndefined();
+      player.destroy();
+    });
+
+    it('plays faster past the drift threshold until back on target', async () => {
+      const { player, Hls, videoA, logs } = setup({ sources: LL_SOURCES });
+      player.start();
+      const hls = Hls.last();
+      await bringUp(hls);
+
+      hls.latency = 4.2;
+      videoA.dispatch('timeupdate');
+      expect(videoA.playbackRate).toBe(1);
+
+      hls.latency = 4.8;
+      videoA.dispatch('timeupdate');
+      expect(videoA.playbackRate).toBe(CATCH_UP_RATE);
+      expect(logs).toContain('Latency 4.8s, target 3.0s — catching up');
+
+      hls.latency = 3.5;
+      videoA.dispatch('timeupdate');
+      expect(videoA.playbackRate).toBe(CATCH_UP_RATE);
+      hls.latency = 2.9;
+      videoA.dispatch('timeupdate');
+      expect(videoA.playbackRate).toBe(1);
+
+      tick(videoA, 10);
+      expect(player.getLatency()).toEqual({ source: 'primary', latency: 2.9, target: 3, rate: 1 });
+      player.destroy();
+    });
+
+    it('reports latency on the heartbeat for every source', async () => {
+      const { player, Hls, videoA } = setup();
+      const reports = [];
+      player.on(PLAYER_EVENTS.LATENCY, e => reports.push(e));
+      player.start();
+      await bringUp(Hls.last());
+      Hls.last().latency = 24.6;
+      tick(videoA, 10);
+      expect(reports[reports.length - 1]).toEqual({ source: 'primary', latency: 24.6, target: null, rate: 1 });
+
+      // Drift on a normal source is left alone
+      videoA.dispatch('timeupdate');
+      expect(videoA.playbackRate).toBe(1);
+      player.destroy();
+    });
+
+    it('gives the smaller buffer a longer grace period and more stalls before falling back', async () => {
+      const { player, Hls } = setup({ sources: LL_SOURCES });
+      player.start();
+      const hls = Hls.last();
+      await bringUp(hls);
+
+      jest.setSystemTime(Date.now() + STABILITY_WINDOW);
+      for (let i = 0; i < BUFFER_ERROR_THRESHOLD; i += 1) hls.bufferStalled();
+      expect(player.getState().retryCount).toBe(0);
+
+      jest.setSystemTime(Date.now() + LL_STABILITY_WINDOW - STABILITY_WINDOW);
+      hls.fragLoaded();
+      for (let i = 0; i < LL_BUFFER_ERROR_THRESHOLD - 1; i += 1) hls.bufferStalled();
+      expect(player.getState().retryCount).toBe(0);
+      hls.bufferStalled();
+      expect(player.getState().retryCount).toBe(1);
+      player.destroy();
+    });
+  });
+
+  describe('playhead sync', () => {
+    // A live window of 6s fragments from media time `start`, the first stamped `pdt`
+    const dated = (start, pdt) => ({
+      live: true,
+      endSN: 10,
+      targetduration: 6,
+      fragments: Array.from({ length: 10 }, (_, i) => ({ start: start + i * 6, duration: 6, programDateTime: pdt + i * 6000 })),
+    });
+
+    // Primary shows T0 + 30s; the secondary starts 6s short of its live edge, at T0 + 42s
+    const loadWithOffset = async (options) => {
+      const env = setup(options);
+      const T0 = Date.now() - 60000;
+      env.player.start();
+      const primary = env.Hls.last();
+      await bringUp(primary);
+      primary.levelLoaded(dated(1000, T0));
+      env.videoA.currentTime = 1030;
+
+      env.player.switchTo('secondary');
+      const standby = env.Hls.last();
+      standby.levelLoaded(dated(0, T0 - 6000));
+      standby.liveSyncPosition = 48;
+      standby.manifestParsed();
+      standby.fragLoaded();
+      await flushPromises();
+      return { ...env, standby };
+    };
+
+    const switchWithOffset = async (options) => {
+      const env = await loadWithOffset(options);
+      env.standby.fragBuffered();
+      await flushPromises();
+      return env;
+    };
+
+    it('waits for hls.js to seek the standby to its start position before measuring', async () => {
+      const { player, standby, videoB, logs } = await loadWithOffset();
+      expect(videoB.currentTime).toBe(0);
+      expect(logs.some(l => l.includes('aligning'))).toBe(false);
+
+      standby.fragBuffered({ type: 'audio' });
+      expect(videoB.currentTime).toBe(0);
+      standby.fragBuffered();
+      expect(logs).toContain('secondary is 12.0s ahead of primary — aligning');
+      expect(videoB.currentTime).toBe(36);
+      expect(player.getState().crossfading).toBe(false);
+      player.destroy();
+    });
+
+    it('crossfades unaligned if the first fragment never buffers', async () => {
+      const { player } = await loadWithOffset();
+      jest.advanceTimersByTime(PLAYHEAD_SYNC_TIMEOUT);
+      await flushPromises();
+      expect(player.getState().crossfading).toBe(true);
+      player.destroy();
+    });
+
+    it('seeks the standby to the outgoing moment before crossfading, and logs the offset', async () => {
+      const { player, videoB, logs } = await switchWithOffset();
+
+      expect(logs).toContain('secondary is 12.0s ahead of primary — aligning');
+      expect(videoB.currentTime).toBe(36);
+      expect(player.getState().crossfading).toBe(false);
+
+      videoB.dispatch('seeked');
+      await flushPromises();
+      expect(player.getState().crossfading).toBe(true);
+      jest.advanceTimersByTime(CROSSFADE_MS + 200);
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'secondary' });
+      player.destroy();
+    });
+
+    it('crossfades anyway if the seek never lands', async () => {
+      const { player } = await switchWithOffset();
+      jest.advanceTimersByTime(PLAYHEAD_SYNC_TIMEOUT);
+      await flushPromises();
+      expect(player.getState().crossfading).toBe(true);
+      player.destroy();
+    });
+
+    it('leaves the standby where it is within the configured tolerance', async () => {
+      const { player, videoB, logs } = await switchWithOffset({ playheadSync: { tolerance: 15000 } });
+      expect(logs).toContain('secondary is 12.0s ahead of primary — within tolerance');
+      expect(videoB.currentTime).toBe(48);
+      expect(player.getState().crossfading).toBe(true);
+      player.destroy();
+    });
+  });
+
+  describe('quality', () => {
+    const IVS_LEVELS = [
+      { height: 360, bitrate: 800000 }, { height: 720, bitrate: 3000000 }, { height: 1080, bitrate: 6000000 },
+    ];
+    const MUX_LEVELS = [
+      { height: 1080, bitrate: 5000000 }, { height: 720, bitrate: 2800000 }, { height: 480, bitrate: 1200000 },
+    ];
+
+    it('keeps a chosen height across a source switch, whatever the level index', async () => {
+      const { player, Hls } = setup();
+      const offers = [];
+      player.on(PLAYER_EVENTS.QUALITY_OPTIONS, o => offers.push(o));
+      player.start();
+      const primary = Hls.last();
+      primary.manifestParsed({ levels: IVS_LEVELS });
+      await flushPromises();
+
+      player.setQuality(720);
+      expect(primary.currentLevel).toBe(1);
+      expect(offers[offers.length - 1]).toMatchObject({ source: 'primary', height: 720, maxHeight: null });
+      expect(offers[offers.length - 1].options.map(o => o.label)).toEqual(['1080p', '720p', '360p']);
+
+      player.switchTo('secondary');
+      const standby = Hls.last();
+      standby.manifestParsed({ levels: MUX_LEVELS });
+      standby.fragLoaded();
+      await flushPromises();
+      jest.advanceTimersByTime(CROSSFADE_MS + 200);
+
+      expect(standby.currentLevel).toBe(1);
+      expect(offers[offers.length - 1]).toMatchObject({ source: 'secondary', height: 720 });
+      player.destroy();
+    });
+
+    it('caps ABR with data saver and the event policy, and hands back to ABR on auto', async () => {
+      const { player, Hls } = setup();
+      player.setDataSaver(true);
+      player.start();
+      const hls = Hls.last();
+      hls.manifestParsed({ levels: IVS_LEVELS });
+      await flushPromises();
+
+      expect(hls.autoLevelCapping).toBe(0);
+      expect(hls.currentLevel).toBe(-1);
+
+      player.setDataSaver(false);
+      player.setQuality(1080);
+      expect(hls).toMatchObject({ autoLevelCapping: -1, currentLevel: 2 });
+      player.setQuality(null);
+      expect(hls.nextLevel).toBe(-1);
+      player.destroy();
+
+      const capped = setup({ quality: { maxHeight: 720 } });
+      capped.player.setQuality(1080);
+      capped.player.start();
+      capped.Hls.last().manifestParsed({ levels: IVS_LEVELS });
+      expect(capped.Hls.last()).toMatchObject({ autoLevelCapping: 1, currentLevel: 1 });
+      capped.player.destroy();
+    });
+  });
+
+  describe('captions', () => {
+    it('keeps the chosen language through a switch from 608 captions to WebVTT subtitles', async () => {
+      const { player, Hls, videoA, videoB } = setup();
+      const offers = [];
+      player.on(PLAYER_EVENTS.CAPTION_OPTIONS, o => offers.push(o));
+      player.setCaptions('en');
+      player.start();
+      await bringUp(Hls.last());
+
+      // hls.js finds CEA-608 in the primary's fragments
+      const cc = videoA.addTextTrack('captions', 'English', 'en');
+      expect(cc.mode).toBe('showing');
+      expect(offers[offers.length - 1]).toEqual({
+        source: 'primary', language: 'en', options: [{ language: 'en', label: 'English', kind: 'captions' }],
+      });
+
+      player.switchTo('secondary');
+      const standby = Hls.last();
+      standby.subtitleTracksUpdated([{ lang: 'es', name: 'Español' }, { lang: 'en-GB', name: 'English' }]);
+      expect(standby).toMatchObject({ subtitleTrack: 1, subtitleDisplay: true });
+
+      standby.manifestParsed();
+      standby.fragLoaded();
+      await flushPromises();
+      jest.advanceTimersByTime(CROSSFADE_MS + 200);
+      expect(player.getState().activeSlot).toBe('B');
+      expect(offers[offers.length - 1]).toMatchObject({ source: 'secondary', language: 'en' });
+      expect(offers[offers.length - 1].options.map(o => o.language)).toEqual(['es', 'en']);
+      expect(videoB.textTracks).toHaveLength(0);
+      player.destroy();
+    });
+
+    it('turns every track off, and back on for a language the source has', async () => {
+      const { player, Hls, videoA } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      const hls = Hls.last();
+      hls.subtitleTracksUpdated([{ lang: 'en', name: 'English', default: true }]);
+      const cc = videoA.addTextTrack('captions', 'English', 'en');
+
+      expect(hls).toMatchObject({ subtitleTrack: -1, subtitleDisplay: false });
+      expect(cc.mode).toBe('disabled');
+
+      player.setCaptions('en');
+      expect(hls).toMatchObject({ subtitleTrack: 0, subtitleDisplay: true });
+      // The subtitle rendition is already showing 'en' — no doubled captions
+      expect(cc.mode).toBe('disabled');
+
+      player.setCaptions(null);
+      expect(hls.subtitleTrack).toBe(-1);
+      player.destroy();
+    });
+  });
+
+  describe('restarting', () => {
+    it('stops everything and starts again from the best source', async () => {
+      const { player, Hls } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      await exhaustRetries(Hls);
+      Hls.last().error('manifestLoadError', { fatal: true });
+
+      player.stop();
+      expect(player.getState().phase).toBe(PHASES.IDLE);
+      expect(Hls.live()).toHaveLength(0);
+
+      player.start();
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'primary' });
+      expect(player.getStability().failed).toEqual([]);
+      await bringUp(Hls.last());
+      expect(player.getState().phase).toBe(PHASES.PLAYING);
+      player.destroy();
+    });
+  });
+
+  describe('stability history', () => {
+    const createStore = () => {
+      const items = {};
+      return new StabilityStore({
+        storage: { getItem: key => items[key] || null, setItem: (key, value) => { items[key] = value; } },
+        channel: null,
+      });
+    };
+
+    it('starts on the source that was working before a reload, not the one that just failed', () => {
+      const store = createStore();
+      store.recordUptime(SOURCES[0].url, STABLE_THRESHOLD * 5);
+      store.recordFailure(SOURCES[0].url);
+      store.recordUptime(SOURCES[1].url, 20000);
+
+      const { player, Hls } = setup({ stabilityStore: store });
+      player.start();
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'secondary' });
+      expect(Hls.last().url).toBe(SOURCES[1].url);
+      expect(player.getStability().stability).toMatchObject({ primary: STABLE_THRESHOLD * 5, secondary: 20000 });
+      player.destroy();
+    });
+
+    it('records uptime while playing and failures when giving up on a source', async () => {
+      const store = createStore();
+      const { player, Hls, videoA } = setup({ stabilityStore: store });
+      player.start();
+      await bringUp(Hls.last());
+
+      tick(videoA, 5);
+      tick(videoA, 10);
+      tick(videoA, 15);
+      expect(store.get(SOURCES[0].url).stableMs).toBeGreaterThanOrEqual(HEARTBEAT_INTERVAL * 2);
+
+      await exhaustRetries(Hls);
+      Hls.last().error('manifestLoadError', { fatal: true });
+      expect(store.get(SOURCES[0].url)).toMatchObject({ failures: 1 });
+      player.destroy();
+    });
+  });
+
+  describe('stale playlists', () => {
+    const level = (endSN, live = true) => ({
+      live, endSN, targetduration: 2, fragments: [{ sn: endSN, duration: 2, programDateTime: null }],
+    });
+
+    it('crossfades away from a frozen media sequence without retrying the source', async () => {
+      const { player, Hls, switches } = setup();
+      player.start();
+      const primary = Hls.last();
+      await bringUp(primary);
+
+      primary.levelLoaded(level(100));
+      jest.advanceTimersByTime(4000);
+      primary.levelLoaded(level(101));
+      jest.advanceTimersByTime(7000);
+      primary.levelLoaded(level(101));
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.SWITCHING, activeSource: 'primary', standbySource: 'secondary' });
+      expect(Hls.last().url).toBe(SOURCES[1].url);
+      expect(player.getStability().failed).toEqual(['primary']);
+
+      // The outgoing playlist stays stale until the crossfade finishes
+      primary.levelLoaded(level(101));
+      Hls.last().manifestParsed();
+      Hls.last().fragLoaded();
+      await flushPromises();
+      jest.advanceTimersByTime(CROSSFADE_MS + 200);
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'secondary' });
+      expect(switches[switches.length - 1]).toMatchObject({
+        from: 'primary', to: 'secondary', reason: SWITCH_REASONS.STALE, detail: 'Media sequence stuck at 101 for 7s', mode: 'crossfade',
+      });
+      player.destroy();
+    });
+
+    it('switches when EXT-X-ENDLIST appears on the live stream', async () => {
+      const { player, Hls } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      Hls.last().levelLoaded(level(100));
+      Hls.last().levelLoaded(level(101, false));
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.SWITCHING, standbySource: 'secondary' });
+      player.destroy();
+    });
+
+    it('abandons a standby whose playlist is stale', async () => {
+      const { player, Hls } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      player.switchTo('secondary');
+
+      const standby = Hls.last();
+      standby.levelLoaded(level(50));
+      standby.levelLoaded(level(51, false));
+      jest.advanceTimersByTime(RETRY_DELAY);
+
+      expect(standby.destroyed).toBe(true);
+      expect(player.getStability().failed).toContain('secondary');
+      expect(player.getState()).toMatchObject({ activeSource: 'primary' });
+      player.destroy();
+    });
+
+    it('stays put with no other source to move to', async () => {
+      const { player, Hls, logs } = setup({ sources: SOURCES.slice(0, 1) });
+      player.start();
+      await bringUp(Hls.last());
+
+      Hls.last().levelLoaded(level(100));
+      Hls.last().levelLoaded(level(100, false));
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'primary' });
+      expect(logs).toContain('primary playlist is stale: EXT-X-ENDLIST on a live stream — no other source to move to');
+      player.destroy();
+    });
+  });
+
+  describe('operator directives', () => {
+    it('forces every viewer onto a source with a crossfade', async () => {
+      const { player, Hls, switches } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      player.forceSource('tertiary');
+      expect(player.getState()).toMatchObject({ phase: PHASES.SWITCHING, standbySource: 'tertiary' });
+      Hls.last().manifestParsed();
+      Hls.last().fragLoaded();
+      await flushPromises();
+      jest.advanceTimersByTime(CROSSFADE_MS + 200);
+
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'tertiary' });
+      expect(switches[switches.length - 1]).toMatchObject({ to: 'tertiary', reason: SWITCH_REASONS.OPERATOR, mode: 'crossfade' });
+      player.destroy();
+    });
+
+    it('starts on the forced source and prefers it when falling back', () => {
+      const { player, Hls } = setup();
+      player.forceSource('secondary');
+      player.start();
+      expect(Hls.last().url).toBe(SOURCES[1].url);
+      player.destroy();
+    });
+
+    it('moves viewers off a blocked source and never plays or probes it', async () => {
+      const { player, Hls } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      player.setBlockedSources(['primary']);
+      expect(player.getState()).toMatchObject({ phase: PHASES.SWITCHING, standbySource: 'secondary' });
+      expect(player.switchTo('primary')).toBe(false);
+
+      player.setBlockedSources(['primary', 'secondary', 'tertiary']);
+      expect(player.getState()).toMatchObject({ phase: PHASES.HOLD });
+      player.setBlockedSources(['primary', 'secondary']);
+      jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY);
+      expect(Hls.live().map(p => p.url)).toEqual([SOURCES[2].url]);
+      player.destroy();
+    });
+
+    it('aborts an in-flight switch to a source that gets blocked', async () => {
+      const { player, Hls, videoA } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      player.switchTo('secondary');
+      const standby = Hls.last();
+
+      player.setBlockedSources(['secondary']);
+      expect(standby.destroyed).toBe(true);
+      expect(player.getState()).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'primary', standbySource: null });
+      expect(videoA.muted).toBe(false);
+      player.destroy();
+    });
+
+    it('holds without probing until the operator releases it', async () => {
+      const { player, Hls, switches } = setup();
+      player.start();
+      await bringUp(Hls.last());
+
+      player.setOperatorHold(true);
+      expect(player.getState().phase).toBe(PHASES.HOLD);
+      expect(Hls.live()).toHaveLength(0);
+      jest.advanceTimersByTime(BACKGROUND_RETRY_DELAY + STABLE_THRESHOLD);
+      window.dispatchEvent(new Event('online'));
+      expect(Hls.live()).toHaveLength(0);
+      expect(player.switchTo('secondary')).toBe(false);
+
+      player.setOperatorHold(false);
+      expect(player.getState()).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'primary' });
+      expect(switches[switches.length - 1]).toMatchObject({ reason: SWITCH_REASONS.OPERATOR, mode: 'reconnect' });
+      player.destroy();
+    });
+  });
+
+  describe('telemetry events', () => {
+    it('reports buffering from the visible slot only', async () => {
+      const { player, Hls, videoA, videoB } = setup();
+      const buffering = [];
+      player.on(PLAYER_EVENTS.BUFFERING, e => buffering.push(e));
+      player.start();
+      await bringUp(Hls.last());
+      player.switchTo('secondary');
+
+      videoB.dispatch('waiting');
+      videoA.dispatch('waiting');
+      videoA.dispatch('playing');
+      expect(buffering).toEqual([
+        { buffering: true, source: 'primary' },
+        { buffering: false, source: 'primary' },
+      ]);
+      player.destroy();
+    });
+
+    it('reports level switches with the level bitrate', () => {
+      const { player, Hls } = setup();
+      const quality = [];
+      player.on(PLAYER_EVENTS.QUALITY, e => quality.push(e));
+      player.start();
+      const hls = Hls.last();
+      hls.levels = [{ bitrate: 800000, width: 640, height: 360 }, { bitrate: 3000000, width: 1280, height: 720 }];
+      hls.trigger(Hls.Events.LEVEL_SWITCHED, { level: 1 });
+
+      expect(quality).toEqual([{ source: 'primary', level: 1, bitrate: 3000000, width: 1280, height: 720 }]);
+      player.destroy();
+    });
+  });
+
+  describe('lifecycle', () => {
+    it('stop() tears down every Hls instance and timer', async () => {
+      const { player, Hls } = setup();
+      player.start();
+      await bringUp(Hls.last());
+      player.switchTo('secondary');
+
+      player.stop();
+      expect(player.getState().phase).toBe(PHASES.IDLE);
+      expect(Hls.live()).toHaveLength(0);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('switchTo() ignores unknown sources', () => {
+      const { player } = setup();
+      player.start();
+      expect(player.switchTo('nope')).toBe(false);
+      player.destroy();
+    });
+  });
+});
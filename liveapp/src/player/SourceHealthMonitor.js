@@ -0,0 +1,101 @@
+import { STABLE_THRESHOLD } from './constants';
+
+export const HEALTH_CHECK_INTERVAL = 10000;
+// A snapshot older than this many polls counts as the endpoint being unreachable
+const STALE_AFTER_POLLS = 3;
+
+const normalizeHealth = (raw) => {
+  const health = {};
+  (Array.isArray(raw && raw.sources) ? raw.sources : []).forEach((s) => {
+    if (!s || typeof s.id !== 'string') return;
+    health[s.id] = {
+      healthy: s.healthy === true,
+      healthyForMs: Number.isFinite(s.healthyForMs) ? s.healthyForMs : 0,
+      reason: typeof s.reason === 'string' ? s.reason : null,
+    };
+  });
+  return health;
+};
+
+// =============================================================================
+// SourceHealthMonitor — polls the shared health checker (server/healthChecker.js)
+// so the player can rank sources and leave HOLD without probing from every
+// client. While the endpoint is unreachable isAvailable() is false and the
+// player falls back to its own probe.
+// =============================================================================
+class SourceHealthMonitor {
+  constructor({
+    url,
+    pollInterval = HEALTH_CHECK_INTERVAL,
+    fetchImpl = (...args) => fetch(...args),
+    now = () => Date.now(),
+  }) {
+    this.url = `${url.replace(/\/$/, '')}/health`;
+    this.pollInterval = pollInterval;
+    this.fetchImpl = fetchImpl;
+    this.now = now;
+
+    this.health = null;
+    this.receivedAt = null;
+    this.timer = null;
+    this.active = false;
+
+    this.poll = this.poll.bind(this);
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    this.poll();
+  }
+
+  stop() {
+    this.active = false;
+    if (this.timer) { clearTimeout(this.timer); this.timer = null; }
+  }
+
+  async poll() {
+    this.timer = null;
+    try {
+      const response = await this.fetchImpl(this.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const raw = await response.json();
+      if (!this.active) return;
+      this.health = normalizeHealth(raw);
+      this.receivedAt = this.now();
+    } catch (e) {
+      // Keep the last snapshot; isAvailable() lets it age out
+    }
+    if (this.active) this.timer = setTimeout(this.poll, this.pollInterval);
+  }
+
+  isAvailable() {
+    return this.health !== null && this.now() - this.receivedAt <= this.pollInterval * STALE_AFTER_POLLS;
+  }
+
+  // Healthy for as long as the player's own probe would demand
+  isReady(id) {
+    if (!this.isAvailable()) return false;
+    const h = this.health[id];
+    return !!h && h.healthy && h.healthyForMs >= STABLE_THRESHOLD;
+  }
+
+  // Stable reorder: healthy sources, then ones the checker doesn't know, then
+  // unhealthy ones. Nothing is dropped — the checker sees the CDN from one
+  // place, a viewer's own failures stay authoritative.
+  rank(ids) {
+    if (!this.isAvailable()) return ids;
+    const weight = (id) => {
+      const h = this.health[id];
+      if (!h) return 1;
+      return h.healthy ? 0 : 2;
+    };
+    return [...ids].sort((a, b) => weight(a) - weight(b));
+  }
+
+  getHealth(id) {
+    return this.isAvailable() ? this.health[id] || null : null;
+  }
+}
+
+export default SourceHealthMonitor;
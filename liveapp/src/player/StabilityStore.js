@@ -0,0 +1,130 @@
+import { STABILITY_HALF_LIFE, STABILITY_MAX_AGE, RECENT_FAILURE_WINDOW } from './constants';
+
+export const STABILITY_STORAGE_KEY = 'liveapp.stability';
+const CHANNEL_NAME = 'liveapp.stability';
+
+const emptyRecord = () => ({
+  stableMs: 0, failures: 0, lastFailureAt: null, lastPlayingAt: null, updatedAt: 0,
+});
+
+const isRecord = r => r && typeof r === 'object'
+  && Number.isFinite(r.stableMs) && Number.isFinite(r.failures) && Number.isFinite(r.updatedAt);
+
+// Uptime and failure count halve every `halfLife`: what happened an hour ago
+// still counts, but less than what happened a minute ago
+export const decayRecord = (record, now, halfLife = STABILITY_HALF_LIFE) => {
+  const factor = 0.5 ** (Math.max(0, now - record.updatedAt) / halfLife);
+  return {
+    ...record, stableMs: record.stableMs * factor, failures: record.failures * factor, updatedAt: now,
+  };
+};
+
+// Failed lately and nobody has seen it play since
+export const isRecentFailure = (record, now) => record.lastFailureAt !== null
+  && now - record.lastFailureAt < RECENT_FAILURE_WINDOW
+  && !(record.lastPlayingAt > record.lastFailureAt);
+
+const defaultStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null; // blocked by privacy settings
+  }
+};
+
+const defaultChannel = () => (typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null);
+
+// =============================================================================
+// StabilityStore — per-source stability history that survives a reload and is
+// shared by every tab on the origin. localStorage holds the records, keyed by
+// stream URL so events reusing an id like "primary" don't mix; BroadcastChannel
+// tells the other tabs to re-read. Without either it degrades to in-memory.
+// =============================================================================
+class StabilityStore {
+  constructor({
+    storage = defaultStorage(),
+    channel = defaultChannel(),
+    now = () => Date.now(),
+    halfLife = STABILITY_HALF_LIFE,
+  } = {}) {
+    this.storage = storage;
+    this.channel = channel;
+    this.now = now;
+    this.halfLife = halfLife;
+    this.memory = {};
+    this.listeners = new Set();
+
+    this.onMessage = (e) => {
+      const url = e && e.data && e.data.url;
+      if (typeof url === 'string') this.listeners.forEach(l => l(url));
+    };
+    if (this.channel) this.channel.addEventListener('message', this.onMessage);
+  }
+
+  readAll() {
+    if (!this.storage) return this.memory;
+    try {
+      const parsed = JSON.parse(this.storage.getItem(STABILITY_STORAGE_KEY));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  writeAll(records) {
+    this.memory = records;
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STABILITY_STORAGE_KEY, JSON.stringify(records));
+    } catch (e) {
+      // Quota or private mode — keep going on the in-memory copy
+    }
+  }
+
+  // Decayed record for a stream URL, or null if there is no usable history
+  get(url) {
+    const record = this.readAll()[url];
+    if (!isRecord(record)) return null;
+    const now = this.now();
+    if (now - record.updatedAt > STABILITY_MAX_AGE) return null;
+    return decayRecord({ ...emptyRecord(), ...record }, now, this.halfLife);
+  }
+
+  update(url, change) {
+    const now = this.now();
+    const records = this.readAll();
+    // Prune while we're here so the key doesn't grow event after event
+    Object.keys(records).forEach((key) => {
+      if (!isRecord(records[key]) || now - records[key].updatedAt > STABILITY_MAX_AGE) delete records[key];
+    });
+    const current = records[url] ? decayRecord({ ...emptyRecord(), ...records[url] }, now, this.halfLife) : emptyRecord();
+    records[url] = { ...current, ...change(current, now), updatedAt: now };
+    this.writeAll(records);
+    if (this.channel) this.channel.postMessage({ url });
+  }
+
+  // `ms` is how long the source has been playing this time round
+  recordUptime(url, ms) {
+    this.update(url, (current, now) => ({ stableMs: Math.max(current.stableMs, ms), lastPlayingAt: now }));
+  }
+
+  recordFailure(url) {
+    this.update(url, (current, now) => ({ failures: current.failures + 1, lastFailureAt: now }));
+  }
+
+  // Called with the URL another tab updated; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  close() {
+    this.listeners.clear();
+    if (this.channel) {
+      this.channel.removeEventListener('message', this.onMessage);
+      this.channel.close();
+    }
+  }
+}
+
+export default StabilityStore;
@@ -0,0 +1,103 @@
+import StabilityStore, { STABILITY_STORAGE_KEY, isRecentFailure } from './StabilityStore';
+import { STABILITY_HALF_LIFE, RECENT_FAILURE_WINDOW } from './constants';
+import { createChannelHub } from './testing/FakeBroadcastChannel';
+
+const URL_A = 'https://ivs/primary.m3u8';
+const URL_B = 'https://mux/secondary.m3u8';
+
+const createStorage = () => {
+  const items = {};
+  return {
+    items,
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; },
+  };
+};
+
+describe('StabilityStore', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 1000000;
+  });
+
+  it('survives a reload: a new store on the same storage sees the history', () => {
+    const storage = createStorage();
+    const first = new StabilityStore({ storage, channel: null, now });
+    first.recordUptime(URL_A, 90000);
+    first.recordFailure(URL_B);
+
+    const second = new StabilityStore({ storage, channel: null, now });
+    expect(second.get(URL_A)).toMatchObject({ stableMs: 90000, failures: 0, lastPlayingAt: clock });
+    expect(second.get(URL_B)).toMatchObject({ stableMs: 0, failures: 1, lastFailureAt: clock });
+    expect(second.get('https://unknown/index.m3u8')).toBeNull();
+  });
+
+  it('halves uptime and failure counts every half-life', () => {
+    const store = new StabilityStore({ storage: createStorage(), channel: null, now });
+    store.recordUptime(URL_A, 80000);
+    store.recordFailure(URL_A);
+    store.recordFailure(URL_A);
+
+    clock += STABILITY_HALF_LIFE;
+    expect(store.get(URL_A)).toMatchObject({ stableMs: 40000, failures: 1 });
+
+    // Uptime keeps the longer of the decayed record and the current run
+    store.recordUptime(URL_A, 30000);
+    expect(store.get(URL_A).stableMs).toBe(40000);
+  });
+
+  it('forgets records older than the maximum age', () => {
+    const storage = createStorage();
+    const store = new StabilityStore({ storage, channel: null, now });
+    store.recordUptime(URL_A, 60000);
+    clock += 13 * 60 * 60 * 1000;
+
+    expect(store.get(URL_A)).toBeNull();
+    store.recordUptime(URL_B, 1000);
+    expect(Object.keys(JSON.parse(storage.items[STABILITY_STORAGE_KEY]))).toEqual([URL_B]);
+  });
+
+  it('tells the other tabs, not itself, when a record changes', () => {
+    const storage = createStorage();
+    const hub = createChannelHub();
+    const here = new StabilityStore({ storage, channel: hub(), now });
+    const there = new StabilityStore({ storage, channel: hub(), now });
+    const seenHere = jest.fn();
+    const seenThere = jest.fn();
+    here.subscribe(seenHere);
+    const unsubscribe = there.subscribe(seenThere);
+
+    here.recordFailure(URL_A);
+    expect(seenThere).toHaveBeenCalledWith(URL_A);
+    expect(seenHere).not.toHaveBeenCalled();
+    expect(there.get(URL_A).failures).toBe(1);
+
+    unsubscribe();
+    here.recordFailure(URL_A);
+    expect(seenThere).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores unreadable storage and keeps working in memory', () => {
+    const storage = createStorage();
+    storage.items[STABILITY_STORAGE_KEY] = '{not json';
+    storage.setItem = () => { throw new Error('QuotaExceededError'); };
+    const store = new StabilityStore({ storage, channel: null, now });
+
+    expect(store.get(URL_A)).toBeNull();
+    expect(() => store.recordFailure(URL_A)).not.toThrow();
+    expect(new StabilityStore({ storage: null, channel: null, now }).get(URL_A)).toBeNull();
+  });
+});
+
+describe('isRecentFailure', () => {
+  const record = { lastFailureAt: 1000, lastPlayingAt: null };
+
+  it('counts a failure inside the window that nothing has played since', () => {
+    expect(isRecentFailure(record, 1000 + RECENT_FAILURE_WINDOW - 1)).toBe(true);
+    expect(isRecentFailure(record, 1000 + RECENT_FAILURE_WINDOW)).toBe(false);
+    expect(isRecentFailure({ ...record, lastPlayingAt: 2000 }, 3000)).toBe(false);
+    expect(isRecentFailure({ lastFailureAt: null, lastPlayingAt: null }, 3000)).toBe(false);
+  });
+});
@@ -0,0 +1,158 @@
+import Emitter from '../utils/Emitter';
+
+const LOCK_NAME = 'liveapp.playback';
+const CHANNEL_NAME = 'liveapp.playback';
+// Without Web Locks: how long a tab waits for a leader to answer before leading itself
+export const LEADER_REPLY_WINDOW = 300;
+
+export const TAB_LEADER_EVENTS = {
+  CHANGE: 'change', // ({ leader }) — this tab started or stopped being the one that plays
+};
+
+const defaultLocks = () => (typeof navigator !== 'undefined' && navigator.locks ? navigator.locks : null);
+const defaultChannel = () => (typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null);
+
+// =============================================================================
+// TabLeader — elects one tab per browser to play the event so two tabs don't
+// double the bandwidth and echo each other's audio. The leader holds a Web
+// Lock for as long as it lives; other tabs queue for it, so when the leader
+// closes the next tab takes over by itself. takeOver() steals the lock.
+// Browsers without Web Locks hold the election over BroadcastChannel instead;
+// with neither, every tab leads (as before). One-shot: stop() is final.
+// =============================================================================
+class TabLeader extends Emitter {
+  constructor({
+    locks = defaultLocks(),
+    channel = defaultChannel(),
+    replyWindow = LEADER_REPLY_WINDOW,
+  } = {}) {
+    super();
+    this.locks = locks;
+    this.channel = channel;
+    this.replyWindow = replyWindow;
+    this.id = Math.random().toString(36).slice(2);
+
+    this.active = false;
+    this.leader = null;      // null until this tab knows whether it leads
+    this.attempt = null;     // the lock request this tab currently cares about
+    this.release = null;     // resolves the held lock
+    this.claimTimer = null;
+
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  start() {
+    if (this.active) return;
+    this.active = true;
+    if (this.channel) this.channel.addEventListener('message', this.onMessage);
+
+    if (this.locks) this.requestLock({ ifAvailable: true });
+    else if (this.channel) this.claim();
+    else this.setLeader(true);
+  }
+
+  stop() {
+    if (!this.active) return;
+    const resign = this.leader && !this.locks;
+    this.active = false;
+    this.leader = false;
+    this.attempt = null;
+    if (this.release) { this.release(); this.release = null; }
+    if (this.claimTimer) { clearTimeout(this.claimTimer); this.claimTimer = null; }
+    if (this.channel) {
+      this.channel.removeEventListener('message', this.onMessage);
+      if (resign) this.post({ type: 'resign', id: this.id });
+      this.channel.close();
+    }
+  }
+
+  isLeader() {
+    return this.leader === true;
+  }
+
+  // Move playback to this tab; the current leader stops
+  takeOver() {
+    if (!this.active || this.leader) return;
+    if (this.locks) {
+      this.requestLock({ steal: true });
+    } else {
+      this.setLeader(true);
+      this.post({ type: 'leader', id: this.id, takeover: true });
+    }
+  }
+
+  setLeader(leader) {
+    if (leader === this.leader) return;
+    this.leader = leader;
+    this.emit(TAB_LEADER_EVENTS.CHANGE, { leader });
+  }
+
+  post(message) {
+    if (this.channel) this.channel.postMessage(message);
+  }
+
+  // --- Web Locks ---
+
+  // Queues for the lock by default. On start, ifAvailable finds out at once
+  // whether another tab holds it, so this one can say it follows.
+  requestLock({ steal = false, ifAvailable = false } = {}) {
+    const queued = !steal && !ifAvailable;
+    const attempt = { controller: queued && typeof AbortController !== 'undefined' ? new AbortController() : null };
+    // A takeover supersedes this tab's place in the queue
+    if (this.attempt && this.attempt.controller) this.attempt.controller.abort();
+    this.attempt = attempt;
+
+    let options = { signal: attempt.controller ? attempt.controller.signal : undefined };
+    if (steal) options = { steal: true };
+    else if (ifAvailable) options = { ifAvailable: true };
+    this.locks.request(LOCK_NAME, options, (lock) => {
+      if (!this.active || this.attempt !== attempt) return undefined; // let it go straight away
+      if (!lock) {
+        // Another tab leads: follow, and queue to lead once it goes
+        this.setLeader(false);
+        this.requestLock();
+        return undefined;
+      }
+      this.setLeader(true);
+      return new Promise((resolve) => { this.release = resolve; });
+    }).catch(() => {
+      // Aborted (superseded above) or stolen by another tab's takeOver()
+      if (!this.active || this.attempt !== attempt) return;
+      this.release = null;
+      this.setLeader(false);
+      this.requestLock(); // queue again — lead once the other tab goes
+    });
+  }
+
+  // --- BroadcastChannel-only election ---
+
+  claim() {
+    if (this.claimTimer) clearTimeout(this.claimTimer);
+    this.claimTimer = setTimeout(() => {
+      this.claimTimer = null;
+      if (!this.active) return;
+      this.setLeader(true);
+      this.post({ type: 'leader', id: this.id, takeover: false });
+    }, this.replyWindow);
+    this.post({ type: 'query', id: this.id });
+  }
+
+  onMessage(e) {
+    const message = e && e.data;
+    if (!message || message.id === this.id || this.locks) return;
+
+    if (message.type === 'query' && this.leader) {
+      this.post({ type: 'leader', id: this.id, takeover: false });
+    } else if (message.type === 'leader') {
+      if (this.claimTimer) { clearTimeout(this.claimTimer); this.claimTimer = null; }
+      // A tab still waiting to hear follows; two tabs that claimed at once
+      // settle on the lower id
+      if (this.leader === null) this.setLeader(false);
+      else if (this.leader && (message.takeover || message.id < this.id)) this.setLeader(false);
+    } else if (message.type === 'resign' && !this.leader) {
+      this.claim();
+    }
+  }
+}
+
+export default TabLeader;
@@ -0,0 +1,109 @@
+import TabLeader, { TAB_LEADER_EVENTS, LEADER_REPLY_WINDOW } from './TabLeader';
+import { createFakeLocks } from './testing/FakeLocks';
+import { createChannelHub } from './testing/FakeBroadcastChannel';
+import { flushPromises } from './testing/FakeVideo';
+
+// A tab: its leader plus the leadership changes it has seen
+const openTab = (options) => {
+  const leader = new TabLeader(options);
+  const changes = [];
+  leader.on(TAB_LEADER_EVENTS.CHANGE, ({ leader: isLeader }) => changes.push(isLeader));
+  leader.start();
+  return { leader, changes };
+};
+
+describe('TabLeader', () => {
+  describe('with Web Locks', () => {
+    let locks;
+    let hub;
+    const tab = () => openTab({ locks, channel: hub() });
+
+    beforeEach(() => {
+      locks = createFakeLocks();
+      hub = createChannelHub();
+    });
+
+    it('lets the first tab lead and queues the rest', async () => {
+      const first = tab();
+      const second = tab();
+      await flushPromises();
+
+      expect(first.leader.isLeader()).toBe(true);
+      expect(second.leader.isLeader()).toBe(false);
+      // Says so at once, so the host can show who is playing
+      expect(second.changes).toEqual([false]);
+    });
+
+    it('hands over to a waiting tab when the leader closes', async () => {
+      const first = tab();
+      const second = tab();
+      await flushPromises();
+
+      first.leader.stop();
+      await flushPromises();
+      expect(second.changes).toEqual([false, true]);
+    });
+
+    it('moves playback on takeover, and the old leader queues to lead again', async () => {
+      const first = tab();
+      const second = tab();
+      await flushPromises();
+
+      second.leader.takeOver();
+      await flushPromises();
+      expect(first.changes).toEqual([true, false]);
+      expect(second.changes).toEqual([false, true]);
+
+      second.leader.stop();
+      await flushPromises();
+      expect(first.changes).toEqual([true, false, true]);
+    });
+  });
+
+  describe('with BroadcastChannel only', () => {
+    let hub;
+    const tab = () => openTab({ locks: null, channel: hub() });
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      hub = createChannelHub();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('leads when no leader answers, follows when one does', () => {
+      const first = tab();
+      jest.advanceTimersByTime(LEADER_REPLY_WINDOW);
+      const second = tab();
+      jest.advanceTimersByTime(LEADER_REPLY_WINDOW);
+
+      expect(first.changes).toEqual([true]);
+      expect(second.changes).toEqual([false]);
+    });
+
+    it('steps down on takeover and re-elects when the leader closes', () => {
+      const first = tab();
+      jest.advanceTimersByTime(LEADER_REPLY_WINDOW);
+      const second = tab();
+      const third = tab();
+      jest.advanceTimersByTime(LEADER_REPLY_WINDOW);
+
+      second.leader.takeOver();
+      expect(first.changes).toEqual([true, false]);
+      expect(second.changes).toEqual([false, true]);
+
+      second.leader.stop();
+      jest.advanceTimersByTime(LEADER_REPLY_WINDOW);
+      // first and third both claim; exactly one keeps it
+      expect([first.leader.isLeader(), third.leader.isLeader()].filter(Boolean)).toHaveLength(1);
+    });
+  });
+
+  it('leads straight away with neither API', () => {
+    const { leader, changes } = openTab({ locks: null, channel: null });
+    expect(leader.isLeader()).toBe(true);
+    expect(changes).toEqual([true]);
+  });
+});
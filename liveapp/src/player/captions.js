@@ -0,0 +1,41 @@
+// Captions are chosen by language, not track index, so a choice survives the
+// slot swap on every switch and providers that order tracks differently.
+// Two kinds of track can carry a language:
+//   - WebVTT subtitle renditions from the playlist (hls.subtitleTracks)
+//   - CEA-608/708 captions inside the video, which hls.js exposes as
+//     'captions' TextTracks on the <video> once it finds them
+// WebVTT wins when a source has both.
+
+export const CAPTIONS_OFF = null;
+
+// 'en-GB' and 'en' are the same choice; a track without a language is 'und'
+export const baseLanguage = code => (typeof code === 'string' && code.trim()
+  ? code.trim().toLowerCase().split(/[-_]/)[0] : 'und');
+
+// The in-band 608/708 tracks hls.js added to a video element
+export const getInbandTracks = video => (video && video.textTracks
+  ? Array.from(video.textTracks).filter(t => t.kind === 'captions') : []);
+
+// One option per language, in the order the source lists them
+export const getCaptionOptions = (subtitleTracks = [], inbandTracks = []) => {
+  const options = new Map();
+  const add = (code, label, kind) => {
+    const language = baseLanguage(code);
+    if (!options.has(language)) options.set(language, { language, label: label || language, kind });
+  };
+  subtitleTracks.forEach(t => add(t.lang, t.name, 'subtitles'));
+  inbandTracks.forEach(t => add(t.language, t.label, 'captions'));
+  return Array.from(options.values());
+};
+
+// Index into hls.subtitleTracks for a language (the DEFAULT=YES one if
+// there are several), or -1
+export const findSubtitleTrack = (subtitleTracks = [], language) => {
+  if (language === CAPTIONS_OFF) return -1;
+  const matches = subtitleTracks
+    .map((t, index) => ({ t, index }))
+    .filter(({ t }) => baseLanguage(t.lang) === language);
+  if (matches.length === 0) return -1;
+  const preferred = matches.find(({ t }) => t.default);
+  return (preferred || matches[0]).index;
+};
@@ -0,0 +1,40 @@
+import {
+  CAPTIONS_OFF, baseLanguage, getCaptionOptions, getInbandTracks, findSubtitleTrack,
+} from './captions';
+
+const SUBTITLES = [
+  { lang: 'fr', name: 'Français' },
+  { lang: 'en-GB', name: 'English' },
+  { lang: 'en-US', name: 'English (US)', default: true },
+];
+
+describe('captions', () => {
+  it('compares languages without region and names unlabelled tracks', () => {
+    expect(baseLanguage('en-GB')).toBe('en');
+    expect(baseLanguage('PT_br')).toBe('pt');
+    expect(baseLanguage('')).toBe('und');
+    expect(baseLanguage(undefined)).toBe('und');
+  });
+
+  it('lists one option per language, subtitle renditions before in-band captions', () => {
+    const inband = [{ kind: 'captions', label: 'English CC', language: 'en' }, { kind: 'captions', label: 'Deutsch', language: 'de' }];
+    expect(getCaptionOptions(SUBTITLES, inband)).toEqual([
+      { language: 'fr', label: 'Français', kind: 'subtitles' },
+      { language: 'en', label: 'English', kind: 'subtitles' },
+      { language: 'de', label: 'Deutsch', kind: 'captions' },
+    ]);
+  });
+
+  it('only treats captions-kind text tracks as in-band', () => {
+    const video = { textTracks: [{ kind: 'captions', language: 'en' }, { kind: 'subtitles', language: 'en' }, { kind: 'metadata' }] };
+    expect(getInbandTracks(video)).toEqual([{ kind: 'captions', language: 'en' }]);
+    expect(getInbandTracks(null)).toEqual([]);
+  });
+
+  it('picks the default rendition when a language has several', () => {
+    expect(findSubtitleTrack(SUBTITLES, 'en')).toBe(2);
+    expect(findSubtitleTrack(SUBTITLES, 'fr')).toBe(0);
+    expect(findSubtitleTrack(SUBTITLES, 'de')).toBe(-1);
+    expect(findSubtitleTrack(SUBTITLES, CAPTIONS_OFF)).toBe(-1);
+  });
+});
@@ -0,0 +1,31 @@
+// --- Timing & thresholds ---
+export const MAX_RETRIES = 3;
+export const RETRY_DELAY = 4000;
+export const STALL_TIMEOUT = 20000;
+export const BUFFER_ERROR_THRESHOLD = 5;
+export const BACKGROUND_RETRY_DELAY = 30000;
+export const PLAYLIST_PROBE_DELAY = 10000;
+export const STABILITY_WINDOW = 15000;
+// Low-latency sources stall more often on the way to steady playback (see latency.js)
+export const LL_STABILITY_WINDOW = 30000;
+export const LL_BUFFER_ERROR_THRESHOLD = 10;
+export const STABLE_THRESHOLD = 60000;
+export const STABLE_MIN_FRAGS = 10;
+export const SWITCH_TIMEOUT = 15000;
+export const CROSSFADE_MS = 600;
+export const HEARTBEAT_INTERVAL = 5000;
+export const LOOP_JUMP_SECONDS = 3;
+export const LOOP_JUMP_LIMIT = 2;
+// A seek this soon after a click or key press on the video is the viewer's own
+export const USER_SEEK_WINDOW = 1000;
+export const STALE_PLAYLIST_TARGET_DURATIONS = 3;
+export const PDT_MAX_LAG = 60000;
+export const PLAYHEAD_SYNC_TOLERANCE = 1000;
+export const PLAYHEAD_SYNC_TIMEOUT = 5000;
+export const STABILITY_HALF_LIFE = 30 * 60 * 1000;
+export const STABILITY_MAX_AGE = 12 * 60 * 60 * 1000;
+export const RECENT_FAILURE_WINDOW = 10 * 60 * 1000;
+
+// --- Special source ids ---
+// activeSource while the audio-only fallback plays (alongside 'hold' for HOLD)
+export const AUDIO_SOURCE = 'audio';
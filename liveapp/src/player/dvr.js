@@ -0,0 +1,47 @@
+// DVR over the live sliding window. Nothing here touches hls.js: the window
+// is whatever the browser reports as seekable, and the live edge is where
+// hls.js would sync to (liveSyncPosition) when it knows, else the window end.
+
+// A window shorter than this isn't worth a scrubber (a plain live playlist
+// carries a handful of segments)
+export const DVR_MIN_WINDOW = 60;
+// Within this many seconds of the live edge counts as live — about one segment
+export const LIVE_EDGE_SLACK = 6;
+
+const NO_DVR = {
+  available: false, start: null, end: null, liveEdge: null, position: null, behind: 0, atLive: true,
+};
+
+// The last seekable range; live MSE playback has one that slides forward
+export const getSeekableWindow = (video) => {
+  const ranges = video && video.seekable;
+  if (!ranges || ranges.length === 0) return null;
+  const start = ranges.start(ranges.length - 1);
+  const end = ranges.end(ranges.length - 1);
+  return Number.isFinite(start) && Number.isFinite(end) && end > start ? { start, end } : null;
+};
+
+export const getDvrState = (video, liveSyncPosition = null) => {
+  const range = getSeekableWindow(video);
+  if (!range || range.end - range.start < DVR_MIN_WINDOW) return NO_DVR;
+  const liveEdge = Number.isFinite(liveSyncPosition) ? Math.min(liveSyncPosition, range.end) : range.end;
+  const position = video.currentTime;
+  return {
+    available: true,
+    start: range.start,
+    end: range.end,
+    liveEdge,
+    position,
+    behind: Math.max(0, liveEdge - position),
+    atLive: position >= liveEdge - LIVE_EDGE_SLACK,
+  };
+};
+
+// "-2:05", or "-1:02:05" past an hour
+export const formatBehind = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `-${h}:${String(m).padStart(2, '0')}:${s}` : `-${m}:${s}`;
+};
@@ -0,0 +1,41 @@
+import { DVR_MIN_WINDOW, LIVE_EDGE_SLACK, getSeekableWindow, getDvrState, formatBehind } from './dvr';
+
+const videoAt = (currentTime, ranges) => ({
+  currentTime,
+  seekable: {
+    length: ranges.length,
+    start: i => ranges[i][0],
+    end: i => ranges[i][1],
+  },
+});
+
+describe('dvr', () => {
+  it('reads the last seekable range as the sliding window', () => {
+    expect(getSeekableWindow(videoAt(0, [[0, 10], [100, 400]]))).toEqual({ start: 100, end: 400 });
+    expect(getSeekableWindow(videoAt(0, []))).toBeNull();
+    expect(getSeekableWindow(videoAt(0, [[0, Infinity]]))).toBeNull();
+    expect(getSeekableWindow(null)).toBeNull();
+  });
+
+  it('offers DVR only on a window long enough to scrub', () => {
+    expect(getDvrState(videoAt(500, [[450, 450 + DVR_MIN_WINDOW - 1]])).available).toBe(false);
+    expect(getDvrState(videoAt(500, [[450, 450 + DVR_MIN_WINDOW]])).available).toBe(true);
+  });
+
+  it('measures how far behind the live edge the playhead is', () => {
+    const video = videoAt(1000, [[700, 1100]]);
+    expect(getDvrState(video, 1090)).toEqual({
+      available: true, start: 700, end: 1100, liveEdge: 1090, position: 1000, behind: 90, atLive: false,
+    });
+    video.currentTime = 1090 - LIVE_EDGE_SLACK;
+    expect(getDvrState(video, 1090)).toMatchObject({ behind: LIVE_EDGE_SLACK, atLive: true });
+    // Without hls.js (native HLS) the window end is the live edge
+    expect(getDvrState(video).liveEdge).toBe(1100);
+  });
+
+  it('formats the offset behind live', () => {
+    expect(formatBehind(0)).toBe('-0:00');
+    expect(formatBehind(125.4)).toBe('-2:05');
+    expect(formatBehind(3725)).toBe('-1:02:05');
+  });
+});
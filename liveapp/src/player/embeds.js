@@ -0,0 +1,103 @@
+// =============================================================================
+// Embed adapters — iframe sources. Each platform's player wants its own embed
+// URL, permissions and, where it has one, a postMessage API for sound. The
+// host renders the iframe (EmbedFrame); this decides what goes on it.
+//
+//   load  — embedUrl(url), allow
+//   ready — the iframe's load event
+//   error — no load event within EMBED_LOAD_TIMEOUT; a cross-origin iframe
+//           reports nothing else
+//   mute  — muteMessage(muted), posted to the embed's origin, or null when
+//           the platform can't be muted from outside
+//
+// A platform that can't be muted is only kept loaded while hidden when it
+// needs a click to start (Teams, Zoom) or its liveness is posted from the
+// page itself; otherwise it would play sound under the player.
+// =============================================================================
+
+export const EMBED_PLATFORMS = {
+  YOUTUBE: 'youtube',
+  VIMEO: 'vimeo',
+  TEAMS: 'teams',
+  ZOOM: 'zoom',
+  GENERIC: 'generic',
+};
+
+export const EMBED_LOAD_TIMEOUT = 20000;
+
+const HOSTS = [
+  [EMBED_PLATFORMS.YOUTUBE, /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)$/],
+  [EMBED_PLATFORMS.VIMEO, /(^|\.)vimeo\.com$/],
+  [EMBED_PLATFORMS.TEAMS, /(^|\.)(teams\.microsoft\.com|teams\.live\.com)$/],
+  [EMBED_PLATFORMS.ZOOM, /(^|\.)zoom\.(us|com)$/],
+];
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+};
+
+const withParams = (url, params) => {
+  const u = new URL(url);
+  Object.entries(params).forEach(([key, value]) => u.searchParams.set(key, value));
+  return u.href;
+};
+
+const ADAPTERS = {
+  [EMBED_PLATFORMS.YOUTUBE]: {
+    embedUrl: url => withParams(url, { enablejsapi: 1, autoplay: 1, playsinline: 1 }),
+    allow: 'autoplay; encrypted-media; picture-in-picture; fullscreen',
+    keepLoaded: true,
+    muteMessage: muted => JSON.stringify({ event: 'command', func: muted ? 'mute' : 'unMute', args: [] }),
+  },
+  [EMBED_PLATFORMS.VIMEO]: {
+    embedUrl: url => withParams(url, { autoplay: 1 }),
+    allow: 'autoplay; fullscreen; picture-in-picture',
+    keepLoaded: true,
+    muteMessage: muted => JSON.stringify({ method: 'setVolume', value: muted ? 0 : 1 }),
+  },
+  [EMBED_PLATFORMS.TEAMS]: {
+    embedUrl: url => url,
+    allow: 'autoplay; camera; microphone; fullscreen',
+    keepLoaded: true,
+    muteMessage: null,
+  },
+  [EMBED_PLATFORMS.ZOOM]: {
+    embedUrl: url => url,
+    allow: 'autoplay; camera; microphone; fullscreen; display-capture',
+    keepLoaded: true,
+    muteMessage: null,
+  },
+  [EMBED_PLATFORMS.GENERIC]: {
+    embedUrl: url => url,
+    allow: 'autoplay; fullscreen',
+    keepLoaded: false,
+    muteMessage: null,
+  },
+};
+
+// `platform` in the config wins; otherwise it is read off the URL's host
+export const detectPlatform = (source) => {
+  if (ADAPTERS[source.platform]) return source.platform;
+  const host = hostOf(source.url);
+  const match = HOSTS.find(([, pattern]) => pattern.test(host));
+  return match ? match[0] : EMBED_PLATFORMS.GENERIC;
+};
+
+// Everything the host needs to render one iframe source
+export const getEmbedAdapter = (source) => {
+  const platform = detectPlatform(source);
+  const adapter = ADAPTERS[platform];
+  const src = adapter.embedUrl(source.url);
+  return {
+    platform,
+    src,
+    origin: new URL(src).origin,
+    allow: adapter.allow,
+    keepLoaded: adapter.keepLoaded || !!(source.liveness && source.liveness.origin),
+    muteMessage: adapter.muteMessage,
+  };
+};
@@ -0,0 +1,42 @@
+import { EMBED_PLATFORMS, detectPlatform, getEmbedAdapter } from './embeds';
+
+describe('detectPlatform', () => {
+  it('reads the platform off the host unless the config names one', () => {
+    expect(detectPlatform({ url: 'https://www.youtube.com/embed/live_stream?channel=x' })).toBe(EMBED_PLATFORMS.YOUTUBE);
+    expect(detectPlatform({ url: 'https://player.vimeo.com/video/1' })).toBe(EMBED_PLATFORMS.VIMEO);
+    expect(detectPlatform({ url: 'https://teams.microsoft.com/l/meetup-join/x' })).toBe(EMBED_PLATFORMS.TEAMS);
+    expect(detectPlatform({ url: 'https://acme.zoom.us/wc/join/1' })).toBe(EMBED_PLATFORMS.ZOOM);
+    expect(detectPlatform({ url: 'https://events.example.com/live' })).toBe(EMBED_PLATFORMS.GENERIC);
+    expect(detectPlatform({ url: 'https://notyoutube.com/x' })).toBe(EMBED_PLATFORMS.GENERIC);
+    expect(detectPlatform({ url: 'https://wrapper.example.com/teams', platform: 'teams' })).toBe(EMBED_PLATFORMS.TEAMS);
+  });
+});
+
+describe('getEmbedAdapter', () => {
+  it('turns on the YouTube iframe API so the embed can be muted', () => {
+    const adapter = getEmbedAdapter({ url: 'https://www.youtube.com/embed/abc' });
+    expect(adapter).toMatchObject({
+      platform: EMBED_PLATFORMS.YOUTUBE,
+      src: 'https://www.youtube.com/embed/abc?enablejsapi=1&autoplay=1&playsinline=1',
+      origin: 'https://www.youtube.com',
+      keepLoaded: true,
+    });
+    expect(JSON.parse(adapter.muteMessage(true))).toMatchObject({ event: 'command', func: 'mute' });
+    expect(JSON.parse(adapter.muteMessage(false))).toMatchObject({ func: 'unMute' });
+  });
+
+  it('mutes Vimeo through its volume', () => {
+    const adapter = getEmbedAdapter({ url: 'https://player.vimeo.com/video/1' });
+    expect(JSON.parse(adapter.muteMessage(true))).toEqual({ method: 'setVolume', value: 0 });
+  });
+
+  it('keeps an embed that can\'t be muted loaded only when it has to be', () => {
+    expect(getEmbedAdapter({ url: 'https://teams.microsoft.com/l/x' })).toMatchObject({
+      src: 'https://teams.microsoft.com/l/x', muteMessage: null, keepLoaded: true,
+    });
+    expect(getEmbedAdapter({ url: 'https://events.example.com/live' })).toMatchObject({ muteMessage: null, keepLoaded: false });
+    // Its wrapper page has to be there to post liveness
+    expect(getEmbedAdapter({ url: 'https://events.example.com/live', liveness: { origin: 'https://events.example.com' } }).keepLoaded)
+      .toBe(true);
+  });
+});
@@ -0,0 +1,55 @@
+// Cache-bust playlist requests so CDN edge nodes serve fresh manifests
+// instead of stale cached content when a stream is cut
+export const bustPlaylistCache = (xhr, url) => {
+  if (url.includes('.m3u8')) {
+    const sep = url.includes('?') ? '&' : '?';
+    xhr.open('GET', `${url}${sep}_cb=${Date.now()}`, true);
+  }
+};
+
+// --- HLS configs ---
+export const HLS_CONFIG = {
+  enableWorker: true,
+  lowLatencyMode: false,
+  backBufferLength: 60,
+  maxBufferLength: 30,
+  maxMaxBufferLength: 60,
+  maxBufferSize: 60 * 1000 * 1000,
+  maxBufferHole: 1.0,
+  startLevel: -1,
+  abrEwmaDefaultEstimate: 500000,
+  abrBandWidthFactor: 0.8,
+  abrBandWidthUpFactor: 0.4,
+  fragLoadingTimeOut: 20000,
+  fragLoadingMaxRetry: 6,
+  fragLoadingRetryDelay: 2000,
+  manifestLoadingTimeOut: 20000,
+  manifestLoadingMaxRetry: 4,
+  levelLoadingTimeOut: 20000,
+  levelLoadingMaxRetry: 4,
+  xhrSetup: bustPlaylistCache,
+};
+
+// LL-HLS: load partial segments and hold the playhead `target` seconds behind
+// the live edge. Playback-rate catch-up is the player's (see latency.js), so
+// hls.js's own stays off.
+export const getHlsConfig = policy => (policy ? {
+  ...HLS_CONFIG,
+  lowLatencyMode: true,
+  liveSyncDuration: policy.target,
+  maxLiveSyncPlaybackRate: 1,
+} : HLS_CONFIG);
+
+export const PROBE_HLS_CONFIG = {
+  enableWorker: false,
+  startLevel: 0,
+  manifestLoadingTimeOut: 10000,
+  manifestLoadingMaxRetry: 1,
+  levelLoadingTimeOut: 10000,
+  levelLoadingMaxRetry: 1,
+  fragLoadingTimeOut: 15000,
+  fragLoadingMaxRetry: 2,
+  maxBufferLength: 10,
+  maxMaxBufferLength: 15,
+  xhrSetup: bustPlaylistCache,
+};
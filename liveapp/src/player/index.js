@@ -0,0 +1,28 @@
+export {
+  default as ResilientPlayer, PLAYER_EVENTS, SWITCH_REASONS, PROBE_MODES, getSlotClass,
+} from './ResilientPlayer';
+export { PHASES, ACTIONS, initialState, streamReducer } from './streamReducer';
+export {
+  SOURCE_TYPES, normalizeSources, findSource, selectBestCandidate, getSourceLabel, isEmbedSource, isPlaylistSource,
+} from './sources';
+export { nativeAdapter, createDashAdapter } from './mediaAdapters';
+export {
+  EMBED_PLATFORMS, EMBED_LOAD_TIMEOUT, detectPlatform, getEmbedAdapter,
+} from './embeds';
+export { MAX_RETRIES, AUDIO_SOURCE } from './constants';
+export { default as SourceHealthMonitor, HEALTH_CHECK_INTERVAL } from './SourceHealthMonitor';
+export { default as PlaylistProbe, PLAYLIST_PROBE_ADVANCES } from './PlaylistProbe';
+export { default as PlaylistWatchdog } from './PlaylistWatchdog';
+export { default as StabilityStore, STABILITY_STORAGE_KEY } from './StabilityStore';
+export { default as TabLeader, TAB_LEADER_EVENTS } from './TabLeader';
+export {
+  StatusLiveness, MessageLiveness, createLivenessChecker, LIVENESS_EVENTS, LIVENESS_MESSAGE_TYPE,
+} from './LivenessChecker';
+export {
+  QUALITY_AUTO, DATA_SAVER_MAX_HEIGHT, formatHeight, getQualityOptions, getMaxHeight, resolveQuality,
+} from './quality';
+export { DVR_MIN_WINDOW, LIVE_EDGE_SLACK, formatBehind } from './dvr';
+export { CAPTIONS_OFF, baseLanguage, getCaptionOptions, findSubtitleTrack } from './captions';
+export {
+  DEFAULT_TARGET_LATENCY, DEFAULT_MAX_DRIFT, CATCH_UP_RATE, getLatencyPolicy, formatLatency,
+} from './latency';
@@ -0,0 +1,46 @@
+// Low-latency HLS per source. A source opts in with `lowLatency: true` or
+// `{ targetLatencyMs, maxDriftMs }`; everything here works in seconds, the
+// unit of the media timeline and of hls.js's latency figures.
+import {
+  STABILITY_WINDOW, BUFFER_ERROR_THRESHOLD, LL_STABILITY_WINDOW, LL_BUFFER_ERROR_THRESHOLD,
+} from './constants';
+
+export const DEFAULT_TARGET_LATENCY = 3;
+export const DEFAULT_MAX_DRIFT = 1.5;
+// Fast enough to win back a second every ten, slow enough that speech doesn't
+// sound sped up
+export const CATCH_UP_RATE = 1.1;
+
+// null for a source that isn't low latency
+export const getLatencyPolicy = (source) => {
+  const ll = source && source.lowLatency;
+  if (!ll) return null;
+  const options = ll === true ? {} : ll;
+  return {
+    target: Number.isFinite(options.targetLatencyMs) ? options.targetLatencyMs / 1000 : DEFAULT_TARGET_LATENCY,
+    maxDrift: Number.isFinite(options.maxDriftMs) ? options.maxDriftMs / 1000 : DEFAULT_MAX_DRIFT,
+  };
+};
+
+// Catch up once drift passes maxDrift and keep going until back on target, so
+// the rate doesn't flap around the threshold. Never slows down: a playhead
+// ahead of target is hls.js's to correct.
+export const getPlaybackRate = (latency, policy, currentRate = 1) => {
+  if (!policy || !(latency > 0)) return 1;
+  const drift = latency - policy.target;
+  if (drift > policy.maxDrift) return CATCH_UP_RATE;
+  return currentRate > 1 && drift > 0 ? currentRate : 1;
+};
+
+// A low-latency buffer holds a few seconds rather than thirty, so a network
+// hiccup that a normal buffer absorbs surfaces as a stall that clears itself.
+// Count more of them, for longer, before calling the source broken.
+export const getStallLimits = policy => (policy
+  ? { stabilityWindow: LL_STABILITY_WINDOW, bufferErrorThreshold: LL_BUFFER_ERROR_THRESHOLD }
+  : { stabilityWindow: STABILITY_WINDOW, bufferErrorThreshold: BUFFER_ERROR_THRESHOLD });
+
+// "4.2s", or "4.2s (target 3.0s)"
+export const formatLatency = (latency, target = null) => {
+  if (!(latency > 0)) return '—';
+  return target === null ? `${latency.toFixed(1)}s` : `${latency.toFixed(1)}s (target ${target.toFixed(1)}s)`;
+};
@@ -0,0 +1,44 @@
+import {
+  DEFAULT_TARGET_LATENCY, DEFAULT_MAX_DRIFT, CATCH_UP_RATE,
+  getLatencyPolicy, getPlaybackRate, getStallLimits, formatLatency,
+} from './latency';
+import {
+  STABILITY_WINDOW, BUFFER_ERROR_THRESHOLD, LL_STABILITY_WINDOW, LL_BUFFER_ERROR_THRESHOLD,
+} from './constants';
+
+describe('latency', () => {
+  it('reads a source\'s low-latency policy in seconds', () => {
+    expect(getLatencyPolicy({ id: 'primary' })).toBeNull();
+    expect(getLatencyPolicy({ id: 'primary', lowLatency: false })).toBeNull();
+    expect(getLatencyPolicy({ id: 'primary', lowLatency: true }))
+      .toEqual({ target: DEFAULT_TARGET_LATENCY, maxDrift: DEFAULT_MAX_DRIFT });
+    expect(getLatencyPolicy({ id: 'primary', lowLatency: { targetLatencyMs: 5000 } }))
+      .toEqual({ target: 5, maxDrift: DEFAULT_MAX_DRIFT });
+  });
+
+  it('catches up past the drift threshold and holds until back on target', () => {
+    const policy = { target: 3, maxDrift: 1.5 };
+    expect(getPlaybackRate(4.5, policy)).toBe(1);
+    expect(getPlaybackRate(4.6, policy)).toBe(CATCH_UP_RATE);
+    expect(getPlaybackRate(3.2, policy, CATCH_UP_RATE)).toBe(CATCH_UP_RATE);
+    expect(getPlaybackRate(3.2, policy, 1)).toBe(1);
+    expect(getPlaybackRate(2.9, policy, CATCH_UP_RATE)).toBe(1);
+  });
+
+  it('leaves the rate alone without a policy or a measurement', () => {
+    expect(getPlaybackRate(30, null)).toBe(1);
+    expect(getPlaybackRate(0, { target: 3, maxDrift: 1.5 })).toBe(1);
+  });
+
+  it('relaxes the stall limits for low-latency sources', () => {
+    expect(getStallLimits(null)).toEqual({ stabilityWindow: STABILITY_WINDOW, bufferErrorThreshold: BUFFER_ERROR_THRESHOLD });
+    expect(getStallLimits({ target: 3, maxDrift: 1.5 }))
+      .toEqual({ stabilityWindow: LL_STABILITY_WINDOW, bufferErrorThreshold: LL_BUFFER_ERROR_THRESHOLD });
+  });
+
+  it('formats latency for the debug panel', () => {
+    expect(formatLatency(4.23)).toBe('4.2s');
+    expect(formatLatency(4.23, 3)).toBe('4.2s (target 3.0s)');
+    expect(formatLatency(null)).toBe('—');
+  });
+});
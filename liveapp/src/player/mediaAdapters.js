@@ -0,0 +1,56 @@
+// =============================================================================
+// Media adapters — play a source hls.js doesn't handle on one of the player's
+// <video> slots. hls.js itself stays in ResilientPlayer: quality, captions,
+// the playlist watchdog and latency all hang off it. An adapter reports three
+// moments and can be torn down:
+//
+//   attach(video, url, { onLoaded, onReady, onError }) → detach()
+//     onLoaded        — metadata is in; time to call play()
+//     onReady         — enough media to start without stalling (standby)
+//     onError(message)
+//
+// Mute is the <video> element's own, so adapters have nothing to do for it.
+// =============================================================================
+
+const listen = (video, handlers) => {
+  Object.entries(handlers).forEach(([event, handler]) => video.addEventListener(event, handler));
+  return () => Object.entries(handlers).forEach(([event, handler]) => video.removeEventListener(event, handler));
+};
+
+// The browser plays the URL itself: an MP4, or HLS where there is no MSE
+export const nativeAdapter = {
+  name: 'native',
+  isAvailable: () => true,
+  attach(video, url, { onLoaded, onReady, onError }) {
+    const detach = listen(video, {
+      loadedmetadata: () => onLoaded(),
+      canplay: () => onReady(),
+      error: () => onError('Native playback error'),
+    });
+    video.src = url;
+    return detach;
+  },
+};
+
+// dash.js isn't bundled. An event with DASH sources loads it on the page
+// (window.dashjs) or hands it to the player; without it DASH sources are
+// skipped rather than failed.
+export const createDashAdapter = dashjs => ({
+  name: 'DASH',
+  isAvailable: () => !!(dashjs && dashjs.MediaPlayer),
+  attach(video, url, { onLoaded, onReady, onError }) {
+    const player = dashjs.MediaPlayer().create();
+    const { events } = dashjs.MediaPlayer;
+    const handlers = {
+      [events.STREAM_INITIALIZED]: () => onLoaded(),
+      [events.CAN_PLAY]: () => onReady(),
+      [events.ERROR]: ({ error } = {}) => onError(`DASH error: ${(error && (error.message || error.code)) || 'unknown'}`),
+    };
+    Object.entries(handlers).forEach(([event, handler]) => player.on(event, handler));
+    player.initialize(video, url, false);
+    return () => {
+      Object.entries(handlers).forEach(([event, handler]) => player.off(event, handler));
+      player.reset();
+    };
+  },
+});
@@ -0,0 +1,51 @@
+import { nativeAdapter, createDashAdapter } from './mediaAdapters';
+import { createFakeDash } from './testing/FakeDash';
+import { FakeVideo } from './testing/FakeVideo';
+
+const callbacks = () => ({ onLoaded: jest.fn(), onReady: jest.fn(), onError: jest.fn() });
+
+describe('nativeAdapter', () => {
+  it('hands the URL to the video and reports its events until detached', () => {
+    const video = new FakeVideo();
+    const cb = callbacks();
+    const detach = nativeAdapter.attach(video, 'https://cdn/event.mp4', cb);
+    expect(video.src).toBe('https://cdn/event.mp4');
+
+    video.dispatch('loadedmetadata');
+    video.dispatch('canplay');
+    video.dispatch('error');
+    expect(cb.onLoaded).toHaveBeenCalledTimes(1);
+    expect(cb.onReady).toHaveBeenCalledTimes(1);
+    expect(cb.onError).toHaveBeenCalledWith('Native playback error');
+
+    detach();
+    expect(video.listenerCount()).toBe(0);
+  });
+});
+
+describe('createDashAdapter', () => {
+  it('is unavailable without dash.js', () => {
+    expect(createDashAdapter(undefined).isAvailable()).toBe(false);
+    expect(createDashAdapter(createFakeDash()).isAvailable()).toBe(true);
+  });
+
+  it('plays through a dash.js MediaPlayer and resets it on detach', () => {
+    const dashjs = createFakeDash();
+    const video = new FakeVideo();
+    const cb = callbacks();
+    const detach = createDashAdapter(dashjs).attach(video, 'https://cdn/event.mpd', cb);
+    const player = dashjs.last();
+    expect(player).toMatchObject({ video, url: 'https://cdn/event.mpd', autoPlay: false });
+
+    player.initialized();
+    player.canPlay();
+    player.error('Manifest load failed');
+    expect(cb.onLoaded).toHaveBeenCalledTimes(1);
+    expect(cb.onReady).toHaveBeenCalledTimes(1);
+    expect(cb.onError).toHaveBeenCalledWith('DASH error: Manifest load failed');
+
+    detach();
+    expect(player.isReset).toBe(true);
+    expect(player.listenerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,36 @@
+// Playhead alignment between sources by EXT-X-PROGRAM-DATE-TIME. Each CDN
+// puts its live edge somewhere different on its own media timeline, but the
+// program date time on a fragment names the same wall-clock moment on all of
+// them. `fragments` are hls.js LevelDetails fragments: media `start` and
+// `duration` in seconds, `programDateTime` in ms (null when untagged).
+
+const dated = fragments => (fragments || []).filter(f => Number.isFinite(f.programDateTime));
+
+// Wall-clock ms shown at a media time, or null outside the dated fragments
+export const mediaTimeToDate = (fragments, time) => {
+  const frag = dated(fragments).find(f => time >= f.start && time < f.start + f.duration);
+  return frag ? frag.programDateTime + (time - frag.start) * 1000 : null;
+};
+
+// Media time showing a wall-clock ms, or null when the playlist doesn't reach it
+export const dateToMediaTime = (fragments, date) => {
+  const frag = dated(fragments).find(f => date >= f.programDateTime && date < f.programDateTime + f.duration * 1000);
+  return frag ? frag.start + (date - frag.programDateTime) / 1000 : null;
+};
+
+// How far the incoming source is from the outgoing one (ms, positive when it
+// is ahead), and where to seek it so both show the same moment. `offset` is
+// null when either side has no program date time; `target` is null when the
+// moment is outside the incoming window (it is too far behind, or rewound).
+export const planSync = ({ from, to, tolerance }) => {
+  const fromDate = mediaTimeToDate(from.fragments, from.time);
+  const toDate = mediaTimeToDate(to.fragments, to.time);
+  if (fromDate === null || toDate === null) return { offset: null, target: null, seek: false };
+
+  const offset = toDate - fromDate;
+  if (Math.abs(offset) <= tolerance) return { offset, target: to.time, seek: false };
+  const target = dateToMediaTime(to.fragments, fromDate);
+  return { offset, target, seek: target !== null };
+};
+
+export const formatOffset = offset => `${(Math.abs(offset) / 1000).toFixed(1)}s ${offset > 0 ? 'ahead of' : 'behind'}`;
@@ -0,0 +1,48 @@
+import { mediaTimeToDate, dateToMediaTime, planSync, formatOffset } from './pdtSync';
+
+const T0 = Date.parse('2025-06-01T14:00:00Z');
+
+// Six-second fragments from `start` on the media timeline, the first one
+// stamped `pdt`
+const fragmentsFrom = (start, pdt, count = 10) => Array.from({ length: count }, (_, i) => ({
+  start: start + i * 6,
+  duration: 6,
+  programDateTime: pdt === null ? null : pdt + i * 6000,
+}));
+
+describe('pdtSync', () => {
+  it('maps between media time and program date time inside the window', () => {
+    const fragments = fragmentsFrom(100, T0);
+    expect(mediaTimeToDate(fragments, 100)).toBe(T0);
+    expect(mediaTimeToDate(fragments, 115.5)).toBe(T0 + 15500);
+    expect(mediaTimeToDate(fragments, 99)).toBeNull();
+    expect(dateToMediaTime(fragments, T0 + 15500)).toBe(115.5);
+    expect(dateToMediaTime(fragments, T0 + 60000)).toBeNull();
+    expect(mediaTimeToDate(fragmentsFrom(100, null), 110)).toBeNull();
+  });
+
+  it('seeks the incoming source to the outgoing moment when they differ by more than the tolerance', () => {
+    // IVS shows 14:00:30; MUX, on a timeline of its own, is showing 14:00:42
+    const from = { fragments: fragmentsFrom(1000, T0), time: 1030 };
+    const to = { fragments: fragmentsFrom(0, T0 - 6000), time: 48 };
+    expect(planSync({ from, to, tolerance: 1000 })).toEqual({ offset: 12000, target: 36, seek: true });
+    expect(planSync({ from, to, tolerance: 15000 })).toEqual({ offset: 12000, target: 48, seek: false });
+  });
+
+  it('cannot align a source whose window does not reach the outgoing moment', () => {
+    const from = { fragments: fragmentsFrom(1000, T0), time: 1055 };
+    const to = { fragments: fragmentsFrom(0, T0 - 30000), time: 50 };
+    expect(planSync({ from, to, tolerance: 1000 })).toEqual({ offset: -35000, target: null, seek: false });
+  });
+
+  it('has nothing to go on without program date time', () => {
+    const from = { fragments: fragmentsFrom(1000, null), time: 1030 };
+    const to = { fragments: fragmentsFrom(0, T0), time: 10 };
+    expect(planSync({ from, to, tolerance: 1000 })).toEqual({ offset: null, target: null, seek: false });
+  });
+
+  it('describes the offset', () => {
+    expect(formatOffset(12345)).toBe('12.3s ahead of');
+    expect(formatOffset(-800)).toBe('0.8s behind');
+  });
+});
@@ -0,0 +1,77 @@
+// Minimal HLS playlist parser for the playlist-only probe and the audio-only
+// fallback. Reads only the tags those need: variants, audio renditions, media
+// sequence, segment durations, program date time and end of stream.
+// server/playlist.js is the CommonJS mirror used by the health checker —
+// keep the two in step.
+
+export const parseAttributes = (list) => {
+  const attrs = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match = pattern.exec(list);
+  while (match) {
+    attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+    match = pattern.exec(list);
+  }
+  return attrs;
+};
+
+export const parsePlaylist = (text, baseUrl) => {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') throw new Error('Not an HLS playlist');
+
+  const playlist = {
+    variants: [], audio: [], segments: [], mediaSequence: 0, targetDuration: null, endList: false,
+  };
+  let variant = null;
+  let duration = null;
+  let programDateTime = null;
+
+  lines.slice(1).forEach((line) => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      variant = { bandwidth: Number(parseAttributes(line.slice(18)).BANDWIDTH) || 0 };
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      // Only renditions with their own playlist; one without a URI is muxed into the variants
+      const attrs = parseAttributes(line.slice(13));
+      if (attrs.TYPE === 'AUDIO' && attrs.URI) {
+        playlist.audio.push({
+          groupId: attrs['GROUP-ID'] || null,
+          language: attrs.LANGUAGE || null,
+          default: attrs.DEFAULT === 'YES',
+          uri: new URL(attrs.URI, baseUrl).href,
+        });
+      }
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = Number(line.slice(22));
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = Number(line.slice(22)) || 0;
+    } else if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice(8));
+    } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+      programDateTime = Date.parse(line.slice(25));
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.endList = true;
+    } else if (!line.startsWith('#')) {
+      const uri = new URL(line, baseUrl).href;
+      if (variant) {
+        playlist.variants.push({ ...variant, uri });
+        variant = null;
+      } else {
+        const previous = playlist.segments[playlist.segments.length - 1];
+        // PDT carries forward: a segment without its own tag starts where the last one ended
+        const start = Number.isFinite(programDateTime) ? programDateTime
+          : previous && previous.programDateTime !== null ? previous.programDateTime + previous.duration * 1000
+            : null;
+        playlist.segments.push({
+          uri,
+          duration: duration || 0,
+          sequence: playlist.mediaSequence + playlist.segments.length,
+          programDateTime: start,
+        });
+        duration = null;
+        programDateTime = null;
+      }
+    }
+  });
+
+  return playlist;
+};
@@ -0,0 +1,59 @@
+import { parsePlaylist } from './playlist';
+
+describe('parsePlaylist', () => {
+  it('reads variants from a master playlist, resolving relative URIs', () => {
+    const playlist = parsePlaylist([
+      '#EXTM3U',
+      '#EXT-X-STREAM-INF:BANDWIDTH=3000000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"',
+      'hd/index.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000',
+      'https://other.example.com/sd.m3u8',
+    ].join('\n'), 'https://cdn.example.com/live/master.m3u8');
+
+    expect(playlist.variants).toEqual([
+      { bandwidth: 3000000, uri: 'https://cdn.example.com/live/hd/index.m3u8' },
+      { bandwidth: 800000, uri: 'https://other.example.com/sd.m3u8' },
+    ]);
+    expect(playlist.segments).toEqual([]);
+  });
+
+  it('lists audio renditions that have their own playlist', () => {
+    const playlist = parsePlaylist([
+      '#EXTM3U',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="audio/en.m3u8"',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="muxed",NAME="Main",DEFAULT=YES',
+      '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="English",URI="subs/en.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=3000000,AUDIO="aac"',
+      'hd/index.m3u8',
+    ].join('\n'), 'https://cdn.example.com/live/master.m3u8');
+
+    expect(playlist.audio).toEqual([
+      { groupId: 'aac', language: 'en', default: true, uri: 'https://cdn.example.com/live/audio/en.m3u8' },
+    ]);
+    expect(playlist.variants).toHaveLength(1);
+  });
+
+  it('numbers segments from the media sequence and carries program date time forward', () => {
+    const playlist = parsePlaylist([
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:6',
+      '#EXT-X-MEDIA-SEQUENCE:120',
+      '#EXT-X-PROGRAM-DATE-TIME:2025-06-01T14:00:00.000Z',
+      '#EXTINF:6.000,',
+      'seg120.ts',
+      '#EXTINF:5.5,',
+      'seg121.ts',
+      '#EXT-X-ENDLIST',
+    ].join('\r\n'), 'https://cdn.example.com/live/index.m3u8');
+
+    expect(playlist).toMatchObject({ targetDuration: 6, mediaSequence: 120, endList: true });
+    expect(playlist.segments).toEqual([
+      { uri: 'https://cdn.example.com/live/seg120.ts', duration: 6, sequence: 120, programDateTime: Date.parse('2025-06-01T14:00:00Z') },
+      { uri: 'https://cdn.example.com/live/seg121.ts', duration: 5.5, sequence: 121, programDateTime: Date.parse('2025-06-01T14:00:06Z') },
+    ]);
+  });
+
+  it('rejects anything that is not a playlist', () => {
+    expect(() => parsePlaylist('<!doctype html>', 'https://cdn.example.com/')).toThrow('Not an HLS playlist');
+  });
+});
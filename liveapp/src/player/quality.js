@@ -0,0 +1,54 @@
+// Quality choices are made by picture height, not level index: IVS, MUX and
+// MediaPackage publish different ladders, so index 2 on one source can be
+// 1080p and on the next 480p. A choice of "720" survives a source switch as
+// "the tallest level no taller than 720".
+
+export const QUALITY_AUTO = null;
+export const DATA_SAVER_MAX_HEIGHT = 480;
+
+export const formatHeight = height => `${height}p`;
+
+// One entry per distinct height, tallest first — a ladder can carry two
+// bitrates at the same resolution, but the menu only needs one
+export const getQualityOptions = (levels = []) => {
+  const byHeight = new Map();
+  levels.forEach((level) => {
+    if (!level || !(level.height > 0)) return;
+    const current = byHeight.get(level.height);
+    if (!current || level.bitrate > current.bitrate) byHeight.set(level.height, level);
+  });
+  return Array.from(byHeight.values())
+    .sort((a, b) => b.height - a.height)
+    .map(level => ({ height: level.height, bitrate: level.bitrate || null, label: formatHeight(level.height) }));
+};
+
+// Lowest non-null of the event's policy and the viewer's data saver
+export const getMaxHeight = ({ maxHeight = null, dataSaver = false, dataSaverMaxHeight = DATA_SAVER_MAX_HEIGHT } = {}) => {
+  const caps = [maxHeight, dataSaver ? dataSaverMaxHeight : null].filter(h => Number.isFinite(h));
+  return caps.length > 0 ? Math.min(...caps) : null;
+};
+
+// Index of the best level at or under `height` (highest bitrate among equals).
+// When every level is taller, the shortest one. -1 for no levels.
+export const findLevelForHeight = (levels = [], height) => {
+  let best = -1;
+  let shortest = -1;
+  levels.forEach((level, index) => {
+    if (!level) return;
+    if (shortest === -1 || level.height < levels[shortest].height) shortest = index;
+    if (level.height > height) return;
+    const current = levels[best];
+    if (best === -1 || level.height > current.height
+      || (level.height === current.height && level.bitrate > current.bitrate)) best = index;
+  });
+  return best === -1 ? shortest : best;
+};
+
+// What to set on an hls.js instance: `capping` for autoLevelCapping, and
+// `level` (-1 for ABR) for currentLevel
+export const resolveQuality = (levels, { height = QUALITY_AUTO, maxHeight = null } = {}) => {
+  const capping = maxHeight === null || levels.length === 0 ? -1 : findLevelForHeight(levels, maxHeight);
+  if (height === QUALITY_AUTO || levels.length === 0) return { capping, level: -1 };
+  const target = maxHeight === null ? height : Math.min(height, maxHeight);
+  return { capping, level: findLevelForHeight(levels, target) };
+};
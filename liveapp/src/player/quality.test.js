@@ -0,0 +1,49 @@
+import {
+  QUALITY_AUTO, getQualityOptions, getMaxHeight, findLevelForHeight, resolveQuality,
+} from './quality';
+
+// Same stream, two ladders: index 1 is 480p on one and 720p on the other
+const IVS = [
+  { height: 360, bitrate: 800000 },
+  { height: 480, bitrate: 1400000 },
+  { height: 720, bitrate: 3000000 },
+  { height: 1080, bitrate: 6000000 },
+];
+const MUX = [
+  { height: 540, bitrate: 1600000 },
+  { height: 720, bitrate: 2500000 },
+  { height: 720, bitrate: 3500000 },
+];
+
+describe('quality', () => {
+  it('lists one option per height, tallest first', () => {
+    expect(getQualityOptions(MUX)).toEqual([
+      { height: 720, bitrate: 3500000, label: '720p' },
+      { height: 540, bitrate: 1600000, label: '540p' },
+    ]);
+    expect(getQualityOptions([{ height: 0, bitrate: 64000 }])).toEqual([]);
+  });
+
+  it('maps a height to the best level at or under it on each ladder', () => {
+    expect(findLevelForHeight(IVS, 720)).toBe(2);
+    expect(findLevelForHeight(MUX, 720)).toBe(2);
+    expect(findLevelForHeight(IVS, 600)).toBe(1);
+    // Nothing short enough — the shortest there is
+    expect(findLevelForHeight(MUX, 360)).toBe(0);
+    expect(findLevelForHeight([], 720)).toBe(-1);
+  });
+
+  it('caps at the lower of the event policy and data saver', () => {
+    expect(getMaxHeight()).toBeNull();
+    expect(getMaxHeight({ maxHeight: 720 })).toBe(720);
+    expect(getMaxHeight({ maxHeight: 720, dataSaver: true })).toBe(480);
+    expect(getMaxHeight({ maxHeight: 360, dataSaver: true, dataSaverMaxHeight: 480 })).toBe(360);
+  });
+
+  it('resolves a choice and cap to hls.js settings', () => {
+    expect(resolveQuality(IVS, { height: QUALITY_AUTO })).toEqual({ capping: -1, level: -1 });
+    expect(resolveQuality(IVS, { height: QUALITY_AUTO, maxHeight: 480 })).toEqual({ capping: 1, level: -1 });
+    expect(resolveQuality(IVS, { height: 1080, maxHeight: 720 })).toEqual({ capping: 2, level: 2 });
+    expect(resolveQuality([], { height: 720, maxHeight: 480 })).toEqual({ capping: -1, level: -1 });
+  });
+});
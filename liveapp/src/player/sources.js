@@ -0,0 +1,58 @@
+import { STABLE_THRESHOLD, AUDIO_SOURCE } from './constants';
+
+// How a source is played. The first three go on the player's <video> slots
+// through a media adapter (mediaAdapters.js); iframe sources are embedded
+// pages — YouTube Live, Vimeo, Teams, Zoom — shown by the host (embeds.js).
+export const SOURCE_TYPES = {
+  HLS: 'hls',       // hls.js, or the browser's own HLS where hls.js can't run
+  NATIVE: 'native', // whatever the browser plays from a plain src (MP4, its own HLS)
+  DASH: 'dash',     // dash.js, loaded by the page
+  IFRAME: 'iframe',
+};
+
+export const isEmbedSource = s => s.type === SOURCE_TYPES.IFRAME;
+// HLS playlists: what the probes, the health checker and the audio fallback can read
+export const isPlaylistSource = s => s.type === SOURCE_TYPES.HLS;
+
+// Normalise a source list into priority order. Priority defaults to array
+// position, so callers can simply list sources in fallback order.
+export const normalizeSources = (sources = []) => sources
+  .filter(s => s && s.id && s.url)
+  .map((s, index) => ({
+    ...s,
+    type: s.type || SOURCE_TYPES.HLS,
+    label: s.label || s.id,
+    provider: s.provider || null,
+    priority: typeof s.priority === 'number' ? s.priority : index,
+  }))
+  .sort((a, b) => a.priority - b.priority);
+
+export const findSource = (sources, id) => sources.find(s => s.id === id) || null;
+
+// Ties keep priority order (Array.prototype.sort is stable). `history` is
+// what StabilityStore remembers from earlier page loads and other tabs:
+// id → { recentlyFailed, failures }. A recent failure outranks old uptime.
+export const selectBestCandidate = (failedSources, stabilityMap, sources, history = {}) => {
+  const recent = id => (history[id] && history[id].recentlyFailed ? 1 : 0);
+  const failures = id => (history[id] ? history[id].failures : 0);
+  return sources
+    .map(s => s.id)
+    .filter(id => !failedSources.has(id))
+    .sort((a, b) => {
+      if (recent(a) !== recent(b)) return recent(a) - recent(b);
+      const aMs = stabilityMap[a] || 0;
+      const bMs = stabilityMap[b] || 0;
+      const aStable = aMs >= STABLE_THRESHOLD;
+      const bStable = bMs >= STABLE_THRESHOLD;
+      if (aStable !== bStable) return bStable - aStable;
+      if (aMs !== bMs) return bMs - aMs;
+      return failures(a) - failures(b);
+    });
+};
+
+export const getSourceLabel = (sources, id) => {
+  if (id === 'hold' || !id) return 'None active';
+  if (id === AUDIO_SOURCE) return 'Audio only';
+  const source = findSource(sources, id);
+  return source ? source.label : id;
+};
@@ -0,0 +1,65 @@
+import {
+  normalizeSources, selectBestCandidate, getSourceLabel, isEmbedSource, isPlaylistSource, SOURCE_TYPES,
+} from './sources';
+import { STABLE_THRESHOLD } from './constants';
+
+const sources = normalizeSources([
+  { id: 'primary', url: 'https://a/index.m3u8', label: 'Primary' },
+  { id: 'secondary', url: 'https://b/index.m3u8' },
+  { id: 'tertiary', url: 'https://c/index.m3u8' },
+  { id: 'regional', url: 'https://d/index.m3u8', priority: 0.5 },
+]);
+
+describe('normalizeSources', () => {
+  it('orders by priority, defaulting to array position', () => {
+    expect(sources.map(s => s.id)).toEqual(['primary', 'regional', 'secondary', 'tertiary']);
+  });
+
+  it('fills in labels and drops entries without an id or url', () => {
+    const list = normalizeSources([{ id: 'a', url: 'u' }, { id: 'b' }, null, { url: 'x' }]);
+    expect(list).toEqual([{ id: 'a', url: 'u', type: SOURCE_TYPES.HLS, label: 'a', provider: null, priority: 0 }]);
+  });
+
+  it('tells embedded pages from playlists', () => {
+    const [hls, dash, youtube] = normalizeSources([
+      { id: 'hls', url: 'u' },
+      { id: 'dash', url: 'u', type: SOURCE_TYPES.DASH },
+      { id: 'youtube', url: 'u', type: SOURCE_TYPES.IFRAME },
+    ]);
+    expect([hls, dash, youtube].map(isEmbedSource)).toEqual([false, false, true]);
+    expect([hls, dash, youtube].map(isPlaylistSource)).toEqual([true, false, false]);
+  });
+});
+
+describe('selectBestCandidate', () => {
+  it('falls back to priority order with no stability history', () => {
+    expect(selectBestCandidate(new Set(['primary']), {}, sources))
+      .toEqual(['regional', 'secondary', 'tertiary']);
+  });
+
+  it('prefers sources with proven uptime over the threshold', () => {
+    const stability = { tertiary: STABLE_THRESHOLD + 1, secondary: 5000 };
+    expect(selectBestCandidate(new Set(), stability, sources))
+      .toEqual(['tertiary', 'secondary', 'primary', 'regional']);
+  });
+
+  it('puts recent failures last and breaks ties on failure count', () => {
+    const stability = { primary: STABLE_THRESHOLD * 10, secondary: 20000 };
+    const history = {
+      primary: { recentlyFailed: true, failures: 1 },
+      regional: { recentlyFailed: false, failures: 3 },
+      tertiary: { recentlyFailed: false, failures: 0.5 },
+    };
+    expect(selectBestCandidate(new Set(), stability, sources, history))
+      .toEqual(['secondary', 'tertiary', 'regional', 'primary']);
+  });
+});
+
+describe('getSourceLabel', () => {
+  it('uses the configured label and treats hold as no source', () => {
+    expect(getSourceLabel(sources, 'primary')).toBe('Primary');
+    expect(getSourceLabel(sources, 'hold')).toBe('None active');
+    expect(getSourceLabel(sources, 'audio')).toBe('Audio only');
+    expect(getSourceLabel(sources, 'unknown')).toBe('unknown');
+  });
+});
@@ -0,0 +1,136 @@
+import { AUDIO_SOURCE } from './constants';
+
+// --- Phases & Actions ---
+export const PHASES = {
+  IDLE: 'IDLE',
+  CONNECTING: 'CONNECTING',
+  PLAYING: 'PLAYING',
+  SWITCHING: 'SWITCHING',
+  HOLD: 'HOLD',
+};
+
+export const ACTIONS = {
+  CONNECT: 'CONNECT',
+  PLAY_STARTED: 'PLAY_STARTED',
+  AUTOPLAY_BLOCKED: 'AUTOPLAY_BLOCKED',
+  RETRY: 'RETRY',
+  SWITCH_START: 'SWITCH_START',
+  SWITCH_READY: 'SWITCH_READY',
+  SWITCH_COMPLETE: 'SWITCH_COMPLETE',
+  HOLD: 'HOLD',
+  AUDIO_ONLY: 'AUDIO_ONLY',
+  EMBED: 'EMBED',
+  PROBE_SUCCESS: 'PROBE_SUCCESS',
+  SWITCH_ABORT: 'SWITCH_ABORT',
+  STOP: 'STOP',
+};
+
+// --- Reducer ---
+export const initialState = {
+  phase: PHASES.CONNECTING,
+  activeSource: null,
+  standbySource: null,
+  activeSlot: 'A',
+  crossfading: false,
+  retryCount: 0,
+  needsUserInteraction: false,
+  // Playing the audio-only fallback; phase is CONNECTING or PLAYING as for any source
+  audioOnly: false,
+  // HOLD with an iframe source (Teams) on screen in place of the hold screen
+  embed: false,
+};
+
+export function streamReducer(state, action) {
+  switch (action.type) {
+    case ACTIONS.CONNECT:
+      return {
+        ...state,
+        phase: PHASES.CONNECTING,
+        activeSource: action.source,
+        standbySource: null,
+        crossfading: false,
+        needsUserInteraction: false,
+        audioOnly: false,
+        embed: false,
+      };
+
+    case ACTIONS.PLAY_STARTED:
+      return { ...state, phase: PHASES.PLAYING, needsUserInteraction: false };
+
+    case ACTIONS.AUTOPLAY_BLOCKED:
+      return { ...state, phase: PHASES.PLAYING, needsUserInteraction: true };
+
+    case ACTIONS.RETRY:
+      return { ...state, phase: PHASES.CONNECTING, retryCount: state.retryCount + 1 };
+
+    case ACTIONS.SWITCH_START:
+      return { ...state, phase: PHASES.SWITCHING, standbySource: action.source, crossfading: false };
+
+    case ACTIONS.SWITCH_READY:
+      return { ...state, crossfading: true };
+
+    case ACTIONS.SWITCH_COMPLETE:
+      return {
+        ...state,
+        phase: PHASES.PLAYING,
+        activeSource: state.standbySource,
+        standbySource: null,
+        activeSlot: state.activeSlot === 'A' ? 'B' : 'A',
+        crossfading: false,
+        retryCount: 0,
+        needsUserInteraction: false,
+        audioOnly: false,
+      };
+
+    case ACTIONS.SWITCH_ABORT:
+      return { ...state, phase: PHASES.PLAYING, standbySource: null, crossfading: false };
+
+    case ACTIONS.HOLD:
+      return {
+        ...state,
+        phase: PHASES.HOLD,
+        activeSource: 'hold',
+        standbySource: null,
+        crossfading: false,
+        retryCount: 0,
+        audioOnly: false,
+        embed: false,
+      };
+
+    case ACTIONS.AUDIO_ONLY:
+      return {
+        ...state,
+        phase: PHASES.CONNECTING,
+        activeSource: AUDIO_SOURCE,
+        standbySource: null,
+        crossfading: false,
+        retryCount: 0,
+        needsUserInteraction: false,
+        audioOnly: true,
+        embed: false,
+      };
+
+    // Only while in HOLD; source null puts the hold screen back
+    case ACTIONS.EMBED:
+      if (state.phase !== PHASES.HOLD) return state;
+      return { ...state, activeSource: action.source || 'hold', embed: !!action.source };
+
+    case ACTIONS.PROBE_SUCCESS:
+      return {
+        ...state,
+        phase: PHASES.CONNECTING,
+        activeSource: action.source,
+        standbySource: null,
+        crossfading: false,
+        retryCount: 0,
+        audioOnly: false,
+        embed: false,
+      };
+
+    case ACTIONS.STOP:
+      return { ...initialState, phase: PHASES.IDLE, activeSlot: state.activeSlot };
+
+    default:
+      return state;
+  }
+}
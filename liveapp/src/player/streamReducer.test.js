@@ -0,0 +1,109 @@
+import { PHASES, ACTIONS, initialState, streamReducer } from './streamReducer';
+
+const reduce = (actions, state = initialState) => actions.reduce(streamReducer, state);
+
+describe('streamReducer', () => {
+  it('CONNECT moves to CONNECTING on the given source and clears standby', () => {
+    const state = reduce([
+      { type: ACTIONS.SWITCH_START, source: 'secondary' },
+      { type: ACTIONS.CONNECT, source: 'tertiary' },
+    ]);
+    expect(state).toMatchObject({
+      phase: PHASES.CONNECTING,
+      activeSource: 'tertiary',
+      standbySource: null,
+      crossfading: false,
+    });
+  });
+
+  it('AUTOPLAY_BLOCKED counts as playing but needs a click', () => {
+    const state = reduce([{ type: ACTIONS.AUTOPLAY_BLOCKED }]);
+    expect(state.phase).toBe(PHASES.PLAYING);
+    expect(state.needsUserInteraction).toBe(true);
+    expect(reduce([{ type: ACTIONS.PLAY_STARTED }], state).needsUserInteraction).toBe(false);
+  });
+
+  it('RETRY increments the retry count', () => {
+    const state = reduce([{ type: ACTIONS.RETRY }, { type: ACTIONS.RETRY }]);
+    expect(state.phase).toBe(PHASES.CONNECTING);
+    expect(state.retryCount).toBe(2);
+  });
+
+  it('make-before-break swaps slots and resets retries on SWITCH_COMPLETE', () => {
+    const state = reduce([
+      { type: ACTIONS.CONNECT, source: 'primary' },
+      { type: ACTIONS.RETRY },
+      { type: ACTIONS.PLAY_STARTED },
+      { type: ACTIONS.SWITCH_START, source: 'secondary' },
+      { type: ACTIONS.SWITCH_READY },
+    ]);
+    expect(state).toMatchObject({ phase: PHASES.SWITCHING, standbySource: 'secondary', crossfading: true });
+
+    const done = streamReducer(state, { type: ACTIONS.SWITCH_COMPLETE });
+    expect(done).toMatchObject({
+      phase: PHASES.PLAYING,
+      activeSource: 'secondary',
+      standbySource: null,
+      activeSlot: 'B',
+      crossfading: false,
+      retryCount: 0,
+    });
+  });
+
+  it('SWITCH_ABORT keeps the active slot playing', () => {
+    const state = reduce([
+      { type: ACTIONS.CONNECT, source: 'primary' },
+      { type: ACTIONS.PLAY_STARTED },
+      { type: ACTIONS.SWITCH_START, source: 'secondary' },
+      { type: ACTIONS.SWITCH_ABORT },
+    ]);
+    expect(state).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'primary', activeSlot: 'A', standbySource: null });
+  });
+
+  it('HOLD and PROBE_SUCCESS reset retries', () => {
+    const held = reduce([{ type: ACTIONS.RETRY }, { type: ACTIONS.HOLD }]);
+    expect(held).toMatchObject({ phase: PHASES.HOLD, activeSource: 'hold', retryCount: 0 });
+
+    const probed = streamReducer(held, { type: ACTIONS.PROBE_SUCCESS, source: 'tertiary' });
+    expect(probed).toMatchObject({ phase: PHASES.CONNECTING, activeSource: 'tertiary', retryCount: 0 });
+  });
+
+  it('AUDIO_ONLY connects to the audio fallback until video crossfades back in', () => {
+    const audio = reduce([
+      { type: ACTIONS.CONNECT, source: 'tertiary' },
+      { type: ACTIONS.RETRY },
+      { type: ACTIONS.AUDIO_ONLY },
+      { type: ACTIONS.PLAY_STARTED },
+    ]);
+    expect(audio).toMatchObject({ phase: PHASES.PLAYING, activeSource: 'audio', audioOnly: true, retryCount: 0 });
+
+    const switching = reduce([{ type: ACTIONS.SWITCH_START, source: 'primary' }, { type: ACTIONS.SWITCH_READY }], audio);
+    expect(switching.audioOnly).toBe(true);
+    expect(streamReducer(switching, { type: ACTIONS.SWITCH_COMPLETE })).toMatchObject({ activeSource: 'primary', audioOnly: false });
+    expect(streamReducer(audio, { type: ACTIONS.HOLD }).audioOnly).toBe(false);
+  });
+
+  it('EMBED swaps the hold screen for an iframe source, and only in HOLD', () => {
+    const hold = reduce([{ type: ACTIONS.HOLD }]);
+    const embedded = streamReducer(hold, { type: ACTIONS.EMBED, source: 'teams' });
+    expect(embedded).toMatchObject({ phase: PHASES.HOLD, activeSource: 'teams', embed: true });
+    expect(streamReducer(embedded, { type: ACTIONS.EMBED, source: null })).toMatchObject({ activeSource: 'hold', embed: false });
+    expect(streamReducer(embedded, { type: ACTIONS.PROBE_SUCCESS, source: 'primary' }).embed).toBe(false);
+
+    const playing = reduce([{ type: ACTIONS.CONNECT, source: 'primary' }, { type: ACTIONS.PLAY_STARTED }]);
+    expect(streamReducer(playing, { type: ACTIONS.EMBED, source: 'teams' })).toBe(playing);
+  });
+
+  it('STOP goes IDLE but keeps the active slot', () => {
+    const state = reduce([
+      { type: ACTIONS.SWITCH_START, source: 'secondary' },
+      { type: ACTIONS.SWITCH_COMPLETE },
+      { type: ACTIONS.STOP },
+    ]);
+    expect(state).toMatchObject({ phase: PHASES.IDLE, activeSource: null, activeSlot: 'B' });
+  });
+
+  it('ignores unknown actions', () => {
+    expect(streamReducer(initialState, { type: 'NOPE' })).toBe(initialState);
+  });
+});
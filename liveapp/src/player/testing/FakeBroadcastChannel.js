@@ -0,0 +1,22 @@
+// In-process stand-in for BroadcastChannel. Channels made by one hub reach
+// each other (never themselves), synchronously, like tabs on one origin.
+export const createChannelHub = () => {
+  const members = [];
+  return () => {
+    const channel = {
+      listeners: [],
+      closed: false,
+      addEventListener: (type, l) => { channel.listeners.push(l); },
+      removeEventListener: (type, l) => { channel.listeners = channel.listeners.filter(x => x !== l); },
+      postMessage: (data) => {
+        members.filter(m => m !== channel).forEach(m => m.listeners.slice().forEach(l => l({ data })));
+      },
+      close: () => {
+        channel.closed = true;
+        if (members.includes(channel)) members.splice(members.indexOf(channel), 1);
+      },
+    };
+    members.push(channel);
+    return channel;
+  };
+};
@@ -0,0 +1,40 @@
+// Scriptable stand-in for the dash.js global: MediaPlayer().create() hands out
+// players the test drives with initialized(), canPlay() and error().
+export const createFakeDash = () => {
+  const players = [];
+  const events = { STREAM_INITIALIZED: 'streamInitialized', CAN_PLAY: 'canPlay', ERROR: 'error' };
+
+  const create = () => {
+    const handlers = {};
+    const player = {
+      video: null,
+      url: null,
+      autoPlay: null,
+      isReset: false,
+      on(event, handler) { (handlers[event] = handlers[event] || []).push(handler); },
+      off(event, handler) { handlers[event] = (handlers[event] || []).filter(h => h !== handler); },
+      initialize(video, url, autoPlay) {
+        player.video = video;
+        player.url = url;
+        player.autoPlay = autoPlay;
+      },
+      reset() { player.isReset = true; },
+      emit(event, payload) { (handlers[event] || []).slice().forEach(h => h(payload)); },
+      initialized() { player.emit(events.STREAM_INITIALIZED); },
+      canPlay() { player.emit(events.CAN_PLAY); },
+      error(message) { player.emit(events.ERROR, { error: { message } }); },
+      listenerCount: () => Object.values(handlers).reduce((n, list) => n + list.length, 0),
+    };
+    players.push(player);
+    return player;
+  };
+
+  const MediaPlayer = () => ({ create });
+  MediaPlayer.events = events;
+
+  return {
+    MediaPlayer,
+    players,
+    last: () => players[players.length - 1],
+  };
+};
@@ -0,0 +1,99 @@
+import Hls from 'hls.js';
+
+// Scriptable stand-in for hls.js. Each test gets a fresh class via
+// createFakeHls() so instance bookkeeping never leaks between tests.
+export const createFakeHls = ({ supported = true } = {}) => {
+  class FakeHls {
+    static Events = Hls.Events;
+
+    static ErrorTypes = Hls.ErrorTypes;
+
+    static instances = [];
+
+    static isSupported() {
+      return supported;
+    }
+
+    constructor(config) {
+      this.config = config;
+      this.url = null;
+      this.media = null;
+      this.handlers = {};
+      this.destroyed = false;
+      this.recoverCount = 0;
+      this.levels = [];
+      this.currentLevel = -1;
+      this.nextLevel = -1;
+      this.autoLevelCapping = -1;
+      this.subtitleTracks = [];
+      this.subtitleTrack = -1;
+      this.subtitleDisplay = true;
+      this.liveSyncPosition = null;
+      this.startPosition = -1;
+      this.loadedmetadata = false;
+      this.latency = 0;
+      FakeHls.instances.push(this);
+    }
+
+    loadSource(url) { this.url = url; }
+
+    attachMedia(media) { this.media = media; }
+
+    on(event, handler) {
+      (this.handlers[event] = this.handlers[event] || []).push(handler);
+    }
+
+    off(event, handler) {
+      this.handlers[event] = (this.handlers[event] || []).filter(h => h !== handler);
+    }
+
+    recoverMediaError() { this.recoverCount += 1; }
+
+    destroy() {
+      this.destroyed = true;
+      this.handlers = {};
+    }
+
+    // --- Scripting helpers ---
+    trigger(event, data = {}) {
+      (this.handlers[event] || []).slice().forEach(h => h(event, data));
+    }
+
+    manifestParsed(data = { levels: this.levels }) {
+      this.levels = data.levels;
+      this.trigger(Hls.Events.MANIFEST_PARSED, data);
+    }
+
+    fragLoaded(data = {}) { this.trigger(Hls.Events.FRAG_LOADED, data); }
+
+    // Like hls.js, seek to the start position (the live sync position unless
+    // configured) only when the first main fragment is buffered
+    fragBuffered(frag = { type: 'main' }) {
+      if (!this.loadedmetadata && frag.type === 'main' && this.media) {
+        this.loadedmetadata = true;
+        const start = this.startPosition >= 0 ? this.startPosition : this.liveSyncPosition;
+        if (start !== null && this.media.currentTime < start) this.media.currentTime = start;
+      }
+      this.trigger(Hls.Events.FRAG_BUFFERED, { frag });
+    }
+
+    subtitleTracksUpdated(subtitleTracks) {
+      this.subtitleTracks = subtitleTracks;
+      this.trigger(Hls.Events.SUBTITLE_TRACKS_UPDATED, { subtitleTracks });
+    }
+
+    // A media playlist (re)load; `details` mirrors the hls.js LevelDetails fields the player reads
+    levelLoaded(details) { this.trigger(Hls.Events.LEVEL_LOADED, { details }); }
+
+    error(details, { fatal = false, type = Hls.ErrorTypes.NETWORK_ERROR } = {}) {
+      this.trigger(Hls.Events.ERROR, { details, fatal, type });
+    }
+
+    bufferStalled() { this.error('bufferStalledError'); }
+  }
+
+  FakeHls.live = () => FakeHls.instances.filter(h => !h.destroyed);
+  FakeHls.last = () => FakeHls.instances[FakeHls.instances.length - 1];
+
+  return FakeHls;
+};
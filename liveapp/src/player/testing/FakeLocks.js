@@ -0,0 +1,59 @@
+// Stand-in for navigator.locks (Web Locks API) with the parts TabLeader uses:
+// exclusive locks, a FIFO queue, `signal` to leave the queue, `ifAvailable`
+// (the callback gets null when the lock is taken) and `steal`.
+// One instance plays the browser; pass it to every "tab".
+export const createFakeLocks = () => {
+  const held = {};   // name → { release, reject }
+  const queues = {}; // name → [{ callback, resolve, reject }]
+
+  const abortError = () => Object.assign(new Error('Lock request aborted'), { name: 'AbortError' });
+
+  const grant = (name, request) => {
+    let release;
+    const done = new Promise((r) => { release = r; });
+    held[name] = { release, reject: request.reject };
+    Promise.resolve(request.callback({ name })).then((value) => {
+      if (held[name] && held[name].release === release) delete held[name];
+      release();
+      request.resolve(value);
+      next(name);
+    });
+    return done;
+  };
+
+  const next = (name) => {
+    if (held[name] || !(queues[name] && queues[name].length)) return;
+    grant(name, queues[name].shift());
+  };
+
+  return {
+    request(name, options, callback) {
+      return new Promise((resolve, reject) => {
+        const request = { callback, resolve, reject };
+        if (options.steal) {
+          if (held[name]) {
+            held[name].reject(abortError());
+            delete held[name];
+          }
+          grant(name, request);
+          return;
+        }
+        if (options.ifAvailable && (held[name] || (queues[name] && queues[name].length))) {
+          Promise.resolve(callback(null)).then(resolve, reject);
+          return;
+        }
+        if (options.signal) {
+          options.signal.addEventListener('abort', () => {
+            const queue = queues[name] || [];
+            if (!queue.includes(request)) return;
+            queue.splice(queue.indexOf(request), 1);
+            reject(abortError());
+          });
+        }
+        (queues[name] = queues[name] || []).push(request);
+        next(name);
+      });
+    },
+    isHeld: name => !!held[name],
+  };
+};
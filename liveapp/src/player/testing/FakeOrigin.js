@@ -0,0 +1,33 @@
+// Stand-in for a CDN serving a live HLS stream to fetch(): a master playlist
+// at /master.m3u8 pointing at a media playlist whose sequence the test moves
+export const createFakeOrigin = ({ targetDuration = 2, window = 3 } = {}) => {
+  const origin = {
+    sequence: 0,
+    targetDuration,
+    segmentDuration: targetDuration,
+    endList: false,
+    status: 200,
+    segmentStatus: 200,
+    requests: [],
+  };
+
+  const mediaPlaylist = () => {
+    const lines = ['#EXTM3U', `#EXT-X-TARGETDURATION:${origin.targetDuration}`, `#EXT-X-MEDIA-SEQUENCE:${origin.sequence}`];
+    for (let i = 0; i < window; i += 1) lines.push(`#EXTINF:${origin.segmentDuration},`, `seg${origin.sequence + i}.ts`);
+    if (origin.endList) lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n');
+  };
+
+  origin.fetch = jest.fn((url, { method = 'GET' } = {}) => {
+    origin.requests.push(`${method} ${url}`);
+    const path = new URL(url).pathname;
+    let status = origin.status;
+    let body = '';
+    if (path.endsWith('/master.m3u8')) body = '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=3000000\nhd.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nsd.m3u8\n';
+    else if (path.endsWith('.m3u8')) body = mediaPlaylist();
+    else status = origin.segmentStatus;
+    return Promise.resolve({ ok: status >= 200 && status < 300, status, url, text: () => Promise.resolve(body) });
+  });
+
+  return origin;
+};
@@ -0,0 +1,100 @@
+// Array-like TextTrackList that also fires addtrack
+const createTextTrackList = () => {
+  const list = [];
+  const listeners = {};
+  list.addEventListener = (event, handler) => { (listeners[event] = listeners[event] || []).push(handler); };
+  list.removeEventListener = (event, handler) => {
+    listeners[event] = (listeners[event] || []).filter(h => h !== handler);
+  };
+  list.dispatch = (event, props = {}) => (listeners[event] || []).slice().forEach(h => h({ type: event, ...props }));
+  list.listenerCount = () => Object.values(listeners).reduce((n, l) => n + l.length, 0);
+  return list;
+};
+
+// TimeRanges over [start, end] pairs
+const createTimeRanges = (ranges = []) => ({
+  length: ranges.length,
+  start: i => ranges[i][0],
+  end: i => ranges[i][1],
+});
+
+// Minimal HTMLVideoElement stand-in: tests drive currentTime directly and
+// decide whether play() resolves, rejects, or is blocked by autoplay policy.
+export class FakeVideo {
+  constructor() {
+    this.currentTime = 0;
+    this.paused = true;
+    this.seekable = createTimeRanges();
+    this.muted = false;
+    this.playbackRate = 1;
+    this.src = '';
+    this.loadCount = 0;
+    this.playCount = 0;
+    this.playResult = 'resolve';
+    this.listeners = {};
+    this.textTracks = createTextTrackList();
+  }
+
+  // A live sliding window of [start, end] seconds
+  setSeekable(start, end) {
+    this.seekable = createTimeRanges([[start, end]]);
+  }
+
+  // What hls.js does when it finds CEA-608/708 captions in the stream
+  addTextTrack(kind, label, language) {
+    const track = { kind, label, language, mode: 'disabled' };
+    this.textTracks.push(track);
+    this.textTracks.dispatch('addtrack', { track });
+    return track;
+  }
+
+  play() {
+    this.playCount += 1;
+    if (this.playResult === 'blocked') {
+      const err = new Error('play() failed because the user did not interact');
+      err.name = 'NotAllowedError';
+      return Promise.reject(err);
+    }
+    if (this.playResult === 'reject') return Promise.reject(new Error('Decode failed'));
+    this.paused = false;
+    return Promise.resolve();
+  }
+
+  pause() {
+    this.paused = true;
+    this.dispatch('pause');
+  }
+
+  // The media load algorithm also resets the rate
+  load() {
+    this.loadCount += 1;
+    this.playbackRate = 1;
+  }
+
+  removeAttribute(name) { if (name === 'src') this.src = ''; }
+
+  canPlayType() { return ''; }
+
+  addEventListener(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+  }
+
+  removeEventListener(event, handler) {
+    this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+  }
+
+  dispatch(event, props = {}) {
+    (this.listeners[event] || []).slice().forEach(h => h({ type: event, ...props }));
+  }
+
+  listenerCount() {
+    return Object.values(this.listeners).reduce((n, list) => n + list.length, 0);
+  }
+}
+
+// Let queued promise callbacks (play() resolution, etc.) run under fake timers
+export const flushPromises = async () => {
+  for (let i = 0; i < 5; i += 1) {
+    await Promise.resolve();
+  }
+};
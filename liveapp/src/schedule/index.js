@@ -0,0 +1,4 @@
+export {
+  EVENT_STAGES, parseSchedule, getEventStage, msUntilNextStage, getCountdown,
+} from './schedule';
+export { default as useEventStage } from './useEventStage';
@@ -0,0 +1,53 @@
+// Event lifecycle from the config's schedule. Times are ISO strings; the
+// stage is always derived from the clock, never stored, so a viewer who
+// arrives late or leaves a tab open overnight lands on the right screen.
+
+export const EVENT_STAGES = {
+  PRE_SHOW: 'pre_show',     // before doors open — countdown, no player
+  DOORS_OPEN: 'doors_open', // doors open → start — "starting soon" hold, player probing
+  LIVE: 'live',
+  ENDED: 'ended',           // after end — thank-you screen, player torn down
+};
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in steps
+export const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const toMs = value => (value ? Date.parse(value) : NaN);
+
+// Schedule with parsed timestamps. Without doorsOpen the countdown runs
+// straight to the start time.
+export const parseSchedule = (schedule) => {
+  if (!schedule) return null;
+  const start = toMs(schedule.start);
+  const end = toMs(schedule.end);
+  const doorsOpen = schedule.doorsOpen ? toMs(schedule.doorsOpen) : start;
+  return { doorsOpen, start, end };
+};
+
+export const getEventStage = (schedule, now = Date.now()) => {
+  const times = parseSchedule(schedule);
+  if (!times) return EVENT_STAGES.LIVE;
+  if (now >= times.end) return EVENT_STAGES.ENDED;
+  if (now >= times.start) return EVENT_STAGES.LIVE;
+  if (now >= times.doorsOpen) return EVENT_STAGES.DOORS_OPEN;
+  return EVENT_STAGES.PRE_SHOW;
+};
+
+// Milliseconds until the stage next changes, or null once the event is over
+export const msUntilNextStage = (schedule, now = Date.now()) => {
+  const times = parseSchedule(schedule);
+  if (!times) return null;
+  const next = [times.doorsOpen, times.start, times.end].find(t => t > now);
+  return next === undefined ? null : next - now;
+};
+
+// { days, hours, minutes, seconds } left until `target`, floored at zero
+export const getCountdown = (target, now = Date.now()) => {
+  const total = Math.max(0, Math.ceil((toMs(target) - now) / 1000));
+  return {
+    days: Math.floor(total / 86400),
+    hours: Math.floor((total % 86400) / 3600),
+    minutes: Math.floor((total % 3600) / 60),
+    seconds: total % 60,
+  };
+};
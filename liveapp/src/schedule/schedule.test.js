@@ -0,0 +1,47 @@
+import {
+  EVENT_STAGES, getEventStage, msUntilNextStage, getCountdown,
+} from './schedule';
+
+const at = iso => Date.parse(iso);
+
+const schedule = {
+  doorsOpen: '2025-06-01T13:45:00Z',
+  start: '2025-06-01T14:00:00Z',
+  end: '2025-06-01T15:30:00Z',
+};
+
+describe('getEventStage', () => {
+  it('walks through pre-show, doors open, live and ended', () => {
+    expect(getEventStage(schedule, at('2025-06-01T09:00:00Z'))).toBe(EVENT_STAGES.PRE_SHOW);
+    expect(getEventStage(schedule, at('2025-06-01T13:45:00Z'))).toBe(EVENT_STAGES.DOORS_OPEN);
+    expect(getEventStage(schedule, at('2025-06-01T14:00:00Z'))).toBe(EVENT_STAGES.LIVE);
+    expect(getEventStage(schedule, at('2025-06-01T15:30:00Z'))).toBe(EVENT_STAGES.ENDED);
+  });
+
+  it('goes straight from countdown to live without a doors-open time', () => {
+    const noDoors = { start: schedule.start, end: schedule.end };
+    expect(getEventStage(noDoors, at('2025-06-01T13:59:59Z'))).toBe(EVENT_STAGES.PRE_SHOW);
+    expect(getEventStage(noDoors, at('2025-06-01T14:00:00Z'))).toBe(EVENT_STAGES.LIVE);
+  });
+
+  it('treats an unscheduled event as always live', () => {
+    expect(getEventStage(null)).toBe(EVENT_STAGES.LIVE);
+    expect(msUntilNextStage(null)).toBeNull();
+  });
+});
+
+describe('msUntilNextStage', () => {
+  it('returns the time to the next boundary, and null once ended', () => {
+    expect(msUntilNextStage(schedule, at('2025-06-01T13:40:00Z'))).toBe(5 * 60 * 1000);
+    expect(msUntilNextStage(schedule, at('2025-06-01T13:50:00Z'))).toBe(10 * 60 * 1000);
+    expect(msUntilNextStage(schedule, at('2025-06-01T15:00:00Z'))).toBe(30 * 60 * 1000);
+    expect(msUntilNextStage(schedule, at('2025-06-01T16:00:00Z'))).toBeNull();
+  });
+});
+
+describe('getCountdown', () => {
+  it('splits the remaining time and never goes negative', () => {
+    expect(getCountdown(schedule.start, at('2025-05-30T11:58:30Z'))).toEqual({ days: 2, hours: 2, minutes: 1, seconds: 30 });
+    expect(getCountdown(schedule.start, at('2025-06-01T14:00:05Z'))).toEqual({ days: 0, hours: 0, minutes: 0, seconds: 0 });
+  });
+});
@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+import { getEventStage, msUntilNextStage, MAX_TIMER_MS } from './schedule';
+
+// Current lifecycle stage, re-evaluated exactly when the next boundary passes
+const useEventStage = (schedule) => {
+  const [stage, setStage] = useState(() => getEventStage(schedule));
+
+  useEffect(() => {
+    let timer = null;
+    const update = () => {
+      setStage(getEventStage(schedule));
+      const wait = msUntilNextStage(schedule);
+      if (wait !== null) timer = setTimeout(update, Math.min(wait, MAX_TIMER_MS));
+    };
+    update();
+    return () => clearTimeout(timer);
+  }, [schedule]);
+
+  return stage;
+};
+
+export default useEventStage;
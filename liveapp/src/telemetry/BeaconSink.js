@@ -0,0 +1,75 @@
+import createId from '../utils/createId';
+
+// --- Constants ---
+const DEFAULT_BATCH_SIZE = 25;
+const DEFAULT_FLUSH_INTERVAL = 15000;
+
+// =============================================================================
+// BeaconSink — batches telemetry events and posts them to an endpoint.
+// Uses navigator.sendBeacon so the final batch survives the page unloading.
+// Any object with track(type, data) and flush() can stand in for it.
+// =============================================================================
+class BeaconSink {
+  constructor({
+    endpoint,
+    sessionId = createId(),
+    context = {},
+    batchSize = DEFAULT_BATCH_SIZE,
+    flushInterval = DEFAULT_FLUSH_INTERVAL,
+  }) {
+    this.endpoint = endpoint;
+    this.sessionId = sessionId;
+    this.context = context;
+    this.batchSize = batchSize;
+    this.queue = [];
+    this.seq = 0;
+
+    this.flush = this.flush.bind(this);
+    this.onVisibilityChange = this.onVisibilityChange.bind(this);
+
+    this.timer = flushInterval > 0 ? setInterval(this.flush, flushInterval) : null;
+    if (typeof window !== 'undefined') window.addEventListener('pagehide', this.flush);
+    if (typeof document !== 'undefined') document.addEventListener('visibilitychange', this.onVisibilityChange);
+  }
+
+  track(type, data = {}) {
+    this.queue.push({ type, ts: Date.now(), ...data });
+    if (this.queue.length >= this.batchSize) this.flush();
+  }
+
+  flush() {
+    if (this.queue.length === 0) return;
+    this.seq += 1;
+    // text/plain keeps the beacon a CORS "simple" request — no preflight
+    const body = JSON.stringify({
+      sessionId: this.sessionId,
+      seq: this.seq,
+      context: this.context,
+      events: this.queue,
+    });
+    this.queue = [];
+
+    if (typeof navigator !== 'undefined' && navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+    if (typeof fetch !== 'undefined') {
+      fetch(this.endpoint, {
+        method: 'POST',
+        body,
+        keepalive: true,
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+      }).catch(() => { /* telemetry must never break playback */ });
+    }
+  }
+
+  onVisibilityChange() {
+    if (document.visibilityState === 'hidden') this.flush();
+  }
+
+  destroy() {
+    this.flush();
+    if (this.timer) { clearInterval(this.timer); this.timer = null; }
+    if (typeof window !== 'undefined') window.removeEventListener('pagehide', this.flush);
+    if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', this.onVisibilityChange);
+  }
+}
+
+export default BeaconSink;
@@ -0,0 +1,39 @@
+import BeaconSink from './BeaconSink';
+
+describe('BeaconSink', () => {
+  const originalSendBeacon = navigator.sendBeacon;
+  let sent;
+
+  beforeEach(() => {
+    sent = [];
+    navigator.sendBeacon = jest.fn((url, body) => { sent.push({ url, body: JSON.parse(body) }); return true; });
+  });
+
+  afterEach(() => {
+    navigator.sendBeacon = originalSendBeacon;
+  });
+
+  it('batches events and beacons them once the batch is full', () => {
+    const sink = new BeaconSink({ endpoint: '/telemetry', sessionId: 's1', batchSize: 2, flushInterval: 0 });
+    sink.track('phase', { to: 'PLAYING' });
+    expect(sent).toHaveLength(0);
+    sink.track('switch', { to: 'secondary' });
+
+    expect(sent).toHaveLength(1);
+    expect(sent[0].url).toBe('/telemetry');
+    expect(sent[0].body).toMatchObject({ sessionId: 's1', seq: 1 });
+    expect(sent[0].body.events.map(e => e.type)).toEqual(['phase', 'switch']);
+    sink.destroy();
+  });
+
+  it('flushes what is queued when the page is hidden or unloaded', () => {
+    const sink = new BeaconSink({ endpoint: '/telemetry', flushInterval: 0 });
+    sink.track('phase');
+    window.dispatchEvent(new Event('pagehide'));
+    expect(sent).toHaveLength(1);
+
+    window.dispatchEvent(new Event('pagehide'));
+    expect(sent).toHaveLength(1);
+    sink.destroy();
+  });
+});
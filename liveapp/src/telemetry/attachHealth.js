@@ -0,0 +1,102 @@
+import { PLAYER_EVENTS, PHASES } from '../player';
+import { TELEMETRY_EVENTS } from './attachTelemetry';
+
+export const HEALTH_INTERVAL = 15000;
+
+// What the viewer has on screen, as opposed to what the player is doing
+export const HEALTH_VIEWS = {
+  PLAYER: 'player',
+  EMBED: 'embed', // an iframe source, named by `embed` in the report
+  TEAMS: 'teams', // sent by clients from before iframe sources; read as EMBED with embed: 'teams'
+};
+
+const isWatching = phase => phase === PHASES.PLAYING || phase === PHASES.SWITCHING;
+
+// =============================================================================
+// attachHealth — periodic health reports for the live viewer dashboard.
+// Each report carries where the viewer is now plus what happened since the
+// previous report (time played and rebuffering per source, hls.js errors by
+// `details`), so the aggregator can sum any window without double counting.
+// Returns a detach function that sends a final `leaving` report.
+// =============================================================================
+function attachHealth(player, sink, {
+  interval = HEALTH_INTERVAL,
+  getView = () => HEALTH_VIEWS.PLAYER,
+  getEmbed = () => null, // the iframe source's id while the view is EMBED
+  now = () => Date.now(),
+} = {}) {
+  let { phase, activeSource: source } = player.getState();
+  let buffering = false;
+  let cacheLoop = false;
+  let mark = now();
+  let watched = {}; // source → { playingMs, rebufferMs, rebuffers } since the last report
+  let errors = {};  // hls.js details → count since the last report
+
+  const entryFor = id => watched[id] || (watched[id] = { playingMs: 0, rebufferMs: 0, rebuffers: 0 });
+
+  // Credits the time since the last mark to the source and state it was spent in
+  const accrue = () => {
+    const t = now();
+    if (source && isWatching(phase)) entryFor(source)[buffering ? 'rebufferMs' : 'playingMs'] += t - mark;
+    mark = t;
+  };
+
+  const report = (extra = {}) => {
+    accrue();
+    const view = getView();
+    sink.track(TELEMETRY_EVENTS.HEALTH, {
+      view,
+      ...(view === HEALTH_VIEWS.EMBED && { embed: getEmbed() }),
+      phase,
+      source,
+      cacheLoop,
+      watched,
+      errors,
+      intervalMs: interval,
+      ...extra,
+    });
+    watched = {};
+    errors = {};
+    if (sink.flush) sink.flush();
+  };
+
+  const onPageHide = () => report({ leaving: true });
+
+  const unsubscribers = [
+    player.on(PLAYER_EVENTS.STATE_CHANGE, (state) => {
+      if (state.phase === phase && state.activeSource === source) return;
+      accrue();
+      phase = state.phase;
+      source = state.activeSource;
+      if (!isWatching(phase)) buffering = false;
+    }),
+
+    player.on(PLAYER_EVENTS.BUFFERING, ({ buffering: next }) => {
+      if (next === buffering) return;
+      accrue();
+      buffering = next;
+      if (next && source && isWatching(phase)) entryFor(source).rebuffers += 1;
+    }),
+
+    player.on(PLAYER_EVENTS.HLS_ERROR, ({ details }) => {
+      const key = details || 'unknown';
+      errors[key] = (errors[key] || 0) + 1;
+    }),
+
+    player.on(PLAYER_EVENTS.CACHE_LOOP, ({ count }) => {
+      cacheLoop = count > 0;
+    }),
+  ];
+
+  const timer = setInterval(report, interval);
+  if (typeof window !== 'undefined') window.addEventListener('pagehide', onPageHide);
+
+  return () => {
+    unsubscribers.forEach(off => off());
+    clearInterval(timer);
+    if (typeof window !== 'undefined') window.removeEventListener('pagehide', onPageHide);
+    report({ leaving: true });
+  };
+}
+
+export default attachHealth;
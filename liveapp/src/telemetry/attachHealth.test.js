@@ -0,0 +1,116 @@
+import Emitter from '../utils/Emitter';
+import { PLAYER_EVENTS, PHASES, initialState } from '../player';
+import attachHealth, { HEALTH_VIEWS } from './attachHealth';
+import { TELEMETRY_EVENTS } from './attachTelemetry';
+
+const createPlayer = () => {
+  const player = new Emitter();
+  player.state = initialState;
+  player.getState = () => player.state;
+  player.setState = (patch) => {
+    const prev = player.state;
+    player.state = { ...prev, ...patch };
+    player.emit(PLAYER_EVENTS.STATE_CHANGE, player.state, prev);
+  };
+  return player;
+};
+
+const createSink = () => {
+  const events = [];
+  return { events, track: (type, data) => events.push({ type, ...data }), flush: jest.fn() };
+};
+
+describe('attachHealth', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 0;
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('reports play and rebuffer time per source for each interval only', () => {
+    const player = createPlayer();
+    const sink = createSink();
+    const detach = attachHealth(player, sink, { interval: 10000, now });
+
+    clock = 1000;
+    player.setState({ phase: PHASES.PLAYING, activeSource: 'primary' });
+    clock = 4000;
+    player.emit(PLAYER_EVENTS.BUFFERING, { buffering: true });
+    clock = 6000;
+    player.emit(PLAYER_EVENTS.BUFFERING, { buffering: false });
+    clock = 8000;
+    player.setState({ activeSource: 'secondary' });
+    clock = 10000;
+    jest.advanceTimersByTime(10000);
+
+    expect(sink.events).toEqual([expect.objectContaining({
+      type: TELEMETRY_EVENTS.HEALTH,
+      phase: PHASES.PLAYING,
+      source: 'secondary',
+      view: HEALTH_VIEWS.PLAYER,
+      watched: {
+        primary: { playingMs: 5000, rebufferMs: 2000, rebuffers: 1 },
+        secondary: { playingMs: 2000, rebufferMs: 0, rebuffers: 0 },
+      },
+    })]);
+    expect(sink.flush).toHaveBeenCalled();
+
+    clock = 20000;
+    jest.advanceTimersByTime(10000);
+    expect(sink.events[1].watched).toEqual({ secondary: { playingMs: 10000, rebufferMs: 0, rebuffers: 0 } });
+    detach();
+  });
+
+  it('counts hls.js errors by details and flags cache loops', () => {
+    const player = createPlayer();
+    const sink = createSink();
+    const detach = attachHealth(player, sink, { interval: 10000, now, getView: () => HEALTH_VIEWS.TEAMS });
+
+    player.emit(PLAYER_EVENTS.HLS_ERROR, { source: 'primary', details: 'fragLoadError', fatal: false });
+    player.emit(PLAYER_EVENTS.HLS_ERROR, { source: 'primary', details: 'fragLoadError', fatal: true });
+    player.emit(PLAYER_EVENTS.HLS_ERROR, { source: 'primary', details: 'bufferStalledError', fatal: false });
+    player.emit(PLAYER_EVENTS.CACHE_LOOP, { source: 'primary', count: 1 });
+    jest.advanceTimersByTime(10000);
+
+    expect(sink.events[0]).toMatchObject({
+      view: HEALTH_VIEWS.TEAMS,
+      cacheLoop: true,
+      errors: { fragLoadError: 2, bufferStalledError: 1 },
+    });
+
+    player.emit(PLAYER_EVENTS.CACHE_LOOP, { source: 'primary', count: 0 });
+    jest.advanceTimersByTime(10000);
+    expect(sink.events[1]).toMatchObject({ cacheLoop: false, errors: {} });
+    detach();
+  });
+
+  it('names the iframe source on screen', () => {
+    const player = createPlayer();
+    const sink = createSink();
+    let view = HEALTH_VIEWS.EMBED;
+    const detach = attachHealth(player, sink, { interval: 10000, now, getView: () => view, getEmbed: () => 'youtube' });
+
+    jest.advanceTimersByTime(10000);
+    expect(sink.events[0]).toMatchObject({ view: HEALTH_VIEWS.EMBED, embed: 'youtube' });
+    view = HEALTH_VIEWS.PLAYER;
+    jest.advanceTimersByTime(10000);
+    expect(sink.events[1]).not.toHaveProperty('embed');
+    detach();
+  });
+
+  it('sends a leaving report on detach and stops reporting', () => {
+    const player = createPlayer();
+    const sink = createSink();
+    attachHealth(player, sink, { interval: 10000, now })();
+
+    expect(sink.events).toEqual([expect.objectContaining({ type: TELEMETRY_EVENTS.HEALTH, leaving: true })]);
+    jest.advanceTimersByTime(30000);
+    expect(sink.events).toHaveLength(1);
+  });
+});
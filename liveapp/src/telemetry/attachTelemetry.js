@@ -0,0 +1,123 @@
+import { PLAYER_EVENTS, PHASES } from '../player';
+
+export const TELEMETRY_EVENTS = {
+  SESSION_START: 'session_start',
+  PHASE: 'phase',
+  SWITCH: 'switch',
+  FIRST_FRAME: 'first_frame',
+  REBUFFER: 'rebuffer',
+  QUALITY: 'quality',
+  PROBE: 'probe',
+  ERROR: 'error',
+  SUMMARY: 'summary',
+  HEALTH: 'health', // periodic viewer health, see attachHealth
+};
+
+// =============================================================================
+// attachTelemetry — turns ResilientPlayer events into QoE telemetry.
+// Call before player.start() so time-to-first-frame covers the whole startup.
+// Returns a detach function that sends a final summary.
+// =============================================================================
+function attachTelemetry(player, sink, { now = () => Date.now() } = {}) {
+  const startedAt = now();
+  let phase = player.getState().phase;
+  let phaseSince = startedAt;
+  let rebufferStart = null;
+
+  const metrics = {
+    ttffMs: null,
+    rebufferCount: 0,
+    rebufferMs: 0,
+    switchCount: 0,
+    holdCount: 0,
+    errorCount: 0,
+    phaseMs: {},
+  };
+
+  const endRebuffer = () => {
+    if (rebufferStart === null) return;
+    const durationMs = now() - rebufferStart;
+    rebufferStart = null;
+    metrics.rebufferCount += 1;
+    metrics.rebufferMs += durationMs;
+    sink.track(TELEMETRY_EVENTS.REBUFFER, { source: player.getState().activeSource, durationMs });
+  };
+
+  // Summaries are cumulative — the collector keeps the latest per session
+  const summary = () => {
+    const phaseMs = { ...metrics.phaseMs };
+    phaseMs[phase] = (phaseMs[phase] || 0) + (now() - phaseSince);
+    return { ...metrics, phaseMs, sessionMs: now() - startedAt, phase };
+  };
+
+  const sendSummary = () => {
+    sink.track(TELEMETRY_EVENTS.SUMMARY, summary());
+    if (sink.flush) sink.flush();
+  };
+
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') sendSummary();
+  };
+
+  sink.track(TELEMETRY_EVENTS.SESSION_START, {
+    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+  });
+
+  const unsubscribers = [
+    player.on(PLAYER_EVENTS.PHASE_CHANGE, ({ phase: next, prevPhase, source }) => {
+      const durationMs = now() - phaseSince;
+      metrics.phaseMs[prevPhase] = (metrics.phaseMs[prevPhase] || 0) + durationMs;
+      if (next === PHASES.HOLD) metrics.holdCount += 1;
+      if (next !== PHASES.PLAYING && next !== PHASES.SWITCHING) endRebuffer();
+      phase = next;
+      phaseSince = now();
+      sink.track(TELEMETRY_EVENTS.PHASE, { from: prevPhase, to: next, source, durationMs });
+    }),
+
+    player.on(PLAYER_EVENTS.STATE_CHANGE, (state) => {
+      if (metrics.ttffMs !== null) return;
+      if (state.phase !== PHASES.PLAYING || state.needsUserInteraction) return;
+      metrics.ttffMs = now() - startedAt;
+      sink.track(TELEMETRY_EVENTS.FIRST_FRAME, { source: state.activeSource, ttffMs: metrics.ttffMs });
+    }),
+
+    player.on(PLAYER_EVENTS.SWITCH, ({ from, to, reason, detail, mode }) => {
+      metrics.switchCount += 1;
+      sink.track(TELEMETRY_EVENTS.SWITCH, { from, to, reason, detail, mode });
+    }),
+
+    player.on(PLAYER_EVENTS.BUFFERING, ({ buffering }) => {
+      // Initial load buffering counts toward TTFF, not rebuffering
+      if (metrics.ttffMs === null) return;
+      if (buffering && rebufferStart === null) rebufferStart = now();
+      if (!buffering) endRebuffer();
+    }),
+
+    player.on(PLAYER_EVENTS.QUALITY, (data) => {
+      sink.track(TELEMETRY_EVENTS.QUALITY, data);
+    }),
+
+    player.on(PLAYER_EVENTS.PROBE_RESULT, ({ results, winner }) => {
+      sink.track(TELEMETRY_EVENTS.PROBE, { results, winner });
+    }),
+
+    player.on(PLAYER_EVENTS.LOG, ({ message, type }) => {
+      if (type !== 'error') return;
+      metrics.errorCount += 1;
+      sink.track(TELEMETRY_EVENTS.ERROR, { message, source: player.getState().activeSource });
+    }),
+  ];
+
+  if (typeof window !== 'undefined') window.addEventListener('pagehide', sendSummary);
+  if (typeof document !== 'undefined') document.addEventListener('visibilitychange', onVisibilityChange);
+
+  return () => {
+    unsubscribers.forEach(off => off());
+    if (typeof window !== 'undefined') window.removeEventListener('pagehide', sendSummary);
+    if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', onVisibilityChange);
+    endRebuffer();
+    sendSummary();
+  };
+}
+
+export default attachTelemetry;
@@ -0,0 +1,97 @@
+import Emitter from '../utils/Emitter';
+import { PLAYER_EVENTS, PHASES, initialState } from '../player';
+import attachTelemetry, { TELEMETRY_EVENTS } from './attachTelemetry';
+
+// Player stand-in: an emitter with a settable state
+const createPlayer = () => {
+  const player = new Emitter();
+  player.state = initialState;
+  player.getState = () => player.state;
+  player.setState = (patch) => {
+    const prev = player.state;
+    player.state = { ...prev, ...patch };
+    player.emit(PLAYER_EVENTS.STATE_CHANGE, player.state, prev);
+    if (player.state.phase !== prev.phase) {
+      player.emit(PLAYER_EVENTS.PHASE_CHANGE, { phase: player.state.phase, prevPhase: prev.phase, source: player.state.activeSource });
+    }
+  };
+  return player;
+};
+
+const createSink = () => {
+  const events = [];
+  return { events, track: (type, data) => events.push({ type, ...data }), flush: jest.fn() };
+};
+
+describe('attachTelemetry', () => {
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => { clock = 0; });
+
+  it('records time to first frame once playback really starts', () => {
+    const player = createPlayer();
+    const sink = createSink();
+    attachTelemetry(player, sink, { now });
+
+    clock = 800;
+    player.setState({ phase: PHASES.PLAYING, activeSource: 'primary', needsUserInteraction: true });
+    clock = 2500;
+    player.setState({ needsUserInteraction: false });
+
+    const first = sink.events.filter(e => e.type === TELEMETRY_EVENTS.FIRST_FRAME);
+    expect(first).toEqual([{ type: TELEMETRY_EVENTS.FIRST_FRAME, source: 'primary', ttffMs: 2500 }]);
+  });
+
+  it('counts rebuffers after first frame only', () => {
+    const player = createPlayer();
+    const sink = createSink();
+    attachTelemetry(player, sink, { now });
+
+    player.emit(PLAYER_EVENTS.BUFFERING, { buffering: true });
+    player.emit(PLAYER_EVENTS.BUFFERING, { buffering: false });
+    player.setState({ phase: PHASES.PLAYING, activeSource: 'primary' });
+
+    clock = 1000;
+    player.emit(PLAYER_EVENTS.BUFFERING, { buffering: true });
+    clock = 4000;
+    player.emit(PLAYER_EVENTS.BUFFERING, { buffering: false });
+
+    const rebuffers = sink.events.filter(e => e.type === TELEMETRY_EVENTS.REBUFFER);
+    expect(rebuffers).toEqual([{ type: TELEMETRY_EVENTS.REBUFFER, source: 'primary', durationMs: 3000 }]);
+  });
+
+  it('reports time spent on the hold screen in the summary', () => {
+    const player = createPlayer();
+    const sink = createSink();
+    const detach = attachTelemetry(player, sink, { now });
+
+    clock = 1000;
+    player.setState({ phase: PHASES.PLAYING, activeSource: 'primary' });
+    clock = 61000;
+    player.setState({ phase: PHASES.HOLD, activeSource: 'hold' });
+    player.emit(PLAYER_EVENTS.SWITCH, { from: 'primary', to: 'secondary', reason: 'error', detail: 'Stream ended', mode: 'crossfade' });
+    clock = 181000;
+    detach();
+
+    const summary = sink.events[sink.events.length - 1];
+    expect(summary).toMatchObject({
+      type: TELEMETRY_EVENTS.SUMMARY,
+      holdCount: 1,
+      switchCount: 1,
+      sessionMs: 181000,
+      phaseMs: { [PHASES.CONNECTING]: 1000, [PHASES.PLAYING]: 60000, [PHASES.HOLD]: 120000 },
+    });
+    expect(sink.flush).toHaveBeenCalled();
+  });
+
+  it('stops listening after detach', () => {
+    const player = createPlayer();
+    const sink = createSink();
+    attachTelemetry(player, sink, { now })();
+    const count = sink.events.length;
+
+    player.emit(PLAYER_EVENTS.QUALITY, { level: 2 });
+    expect(sink.events).toHaveLength(count);
+  });
+});
@@ -0,0 +1,61 @@
+// Shape of the aggregated viewer health the dashboard reads from the
+// collector (server/healthAggregator.js). Normalised so a partial or older
+// snapshot renders as "no data" rather than throwing.
+
+export const HEALTH_BUCKETS = {
+  AUDIO: 'audio', // the audio-only fallback — reported as its source id
+  HOLD: 'hold',
+  TEAMS: 'teams',
+  CONNECTING: 'connecting',
+};
+
+// Above this share of watch time spent rebuffering a source is flagged
+export const REBUFFER_WARNING_RATIO = 0.02;
+
+const count = v => (Number.isFinite(v) && v > 0 ? v : 0);
+
+export const normalizeHealthSnapshot = raw => ({
+  generatedAt: typeof raw.generatedAt === 'string' ? raw.generatedAt : null,
+  windowMs: count(raw.windowMs),
+  viewers: count(raw.viewers),
+  distribution: raw.distribution && typeof raw.distribution === 'object' ? raw.distribution : {},
+  sources: (Array.isArray(raw.sources) ? raw.sources : [])
+    .filter(s => s && typeof s.source === 'string')
+    .map(s => ({
+      source: s.source,
+      playingMs: count(s.playingMs),
+      rebufferMs: count(s.rebufferMs),
+      rebuffers: count(s.rebuffers),
+      rebufferRatio: count(s.rebufferRatio),
+    })),
+  errors: (Array.isArray(raw.errors) ? raw.errors : [])
+    .filter(e => e && typeof e.details === 'string')
+    .map(e => ({ details: e.details, count: count(e.count), perMinute: count(e.perMinute) })),
+  cacheLoops: count(raw.cacheLoops),
+});
+
+// One row per place a viewer can be: the event's sources in priority order,
+// iframe sources included, then audio only, hold, Teams and connecting, then
+// any source the config no longer lists. A fixed row gives way to a source
+// with the same id: an iframe source called "teams" is the Teams row.
+export const getDistributionRows = (snapshot, sources) => {
+  const ids = new Set(sources.map(s => s.id));
+  const known = [
+    ...sources.map(s => ({ key: s.id, label: s.label })),
+    ...[
+      { key: HEALTH_BUCKETS.AUDIO, label: 'Audio only' },
+      { key: HEALTH_BUCKETS.HOLD, label: 'Hold screen' },
+      { key: HEALTH_BUCKETS.TEAMS, label: 'Teams' },
+      { key: HEALTH_BUCKETS.CONNECTING, label: 'Connecting' },
+    ].filter(row => !ids.has(row.key)),
+  ];
+  const keys = new Set(known.map(row => row.key));
+  const extra = Object.keys(snapshot.distribution)
+    .filter(key => !keys.has(key))
+    .map(key => ({ key, label: key }));
+
+  return [...known, ...extra].map((row) => {
+    const viewers = count(snapshot.distribution[row.key]);
+    return { ...row, viewers, share: snapshot.viewers > 0 ? viewers / snapshot.viewers : 0 };
+  });
+};
@@ -0,0 +1,43 @@
+import { normalizeHealthSnapshot, getDistributionRows } from './healthSnapshot';
+
+const SOURCES = [
+  { id: 'primary', label: 'Primary' },
+  { id: 'secondary', label: 'Secondary' },
+];
+
+describe('normalizeHealthSnapshot', () => {
+  it('turns a missing or partial snapshot into an empty one', () => {
+    expect(normalizeHealthSnapshot({})).toEqual({
+      generatedAt: null, windowMs: 0, viewers: 0, distribution: {}, sources: [], errors: [], cacheLoops: 0,
+    });
+    expect(normalizeHealthSnapshot({ errors: [{ details: 'fragLoadError' }, null, { count: 3 }] }).errors)
+      .toEqual([{ details: 'fragLoadError', count: 0, perMinute: 0 }]);
+  });
+});
+
+describe('getDistributionRows', () => {
+  it('lists the event sources in order, then audio only, hold, Teams, connecting and unknown sources', () => {
+    const snapshot = normalizeHealthSnapshot({
+      viewers: 10,
+      distribution: { secondary: 4, primary: 3, teams: 1, hold: 1, retired: 1 },
+    });
+    const rows = getDistributionRows(snapshot, SOURCES);
+
+    expect(rows.map(r => [r.key, r.viewers])).toEqual([
+      ['primary', 3], ['secondary', 4], ['audio', 0], ['hold', 1], ['teams', 1], ['connecting', 0], ['retired', 1],
+    ]);
+    expect(rows[1]).toMatchObject({ label: 'Secondary', share: 0.4 });
+  });
+
+  it('folds the Teams row into an iframe source of the same id', () => {
+    const snapshot = normalizeHealthSnapshot({ viewers: 2, distribution: { teams: 1, youtube: 1 } });
+    const rows = getDistributionRows(snapshot, [
+      ...SOURCES, { id: 'youtube', label: 'YouTube' }, { id: 'teams', label: 'Teams Town Hall' },
+    ]);
+
+    expect(rows.map(r => [r.key, r.label, r.viewers])).toEqual([
+      ['primary', 'Primary', 0], ['secondary', 'Secondary', 0], ['youtube', 'YouTube', 1], ['teams', 'Teams Town Hall', 1],
+      ['audio', 'Audio only', 0], ['hold', 'Hold screen', 0], ['connecting', 'Connecting', 0],
+    ]);
+  });
+});
@@ -0,0 +1,6 @@
+export { default as BeaconSink } from './BeaconSink';
+export { default as attachTelemetry, TELEMETRY_EVENTS } from './attachTelemetry';
+export { default as attachHealth, HEALTH_INTERVAL, HEALTH_VIEWS } from './attachHealth';
+export {
+  HEALTH_BUCKETS, REBUFFER_WARNING_RATIO, normalizeHealthSnapshot, getDistributionRows,
+} from './healthSnapshot';
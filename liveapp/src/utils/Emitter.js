@@ -0,0 +1,27 @@
+// Minimal event emitter — `on` returns an unsubscribe function so React
+// effects can hand it straight back as cleanup.
+class Emitter {
+  constructor() {
+    this.handlers = {};
+  }
+
+  on(event, handler) {
+    (this.handlers[event] = this.handlers[event] || []).push(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    const list = this.handlers[event];
+    if (list) this.handlers[event] = list.filter(h => h !== handler);
+  }
+
+  emit(event, ...args) {
+    (this.handlers[event] || []).slice().forEach(h => h(...args));
+  }
+
+  removeAllListeners() {
+    this.handlers = {};
+  }
+}
+
+export default Emitter;
@@ -0,0 +1,7 @@
+// Random id for sessions and messages; falls back where crypto.randomUUID is missing
+const createId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+export default createId;